@@ -3,6 +3,7 @@ module Camera exposing
     , CameraMsg(..)
     , CameraState
     , DragState
+    , screenToWorld
     , update
     , viewBoxString
     )
@@ -160,3 +161,12 @@ viewBoxString viewportSize camera =
         , String.fromFloat viewBoxWidth
         , String.fromFloat viewBoxHeight
         ]
+
+
+{-| The world position under a screen position, as for zooming.
+-}
+screenToWorld : { width : Float, height : Float } -> Camera -> Float -> Float -> Vec2
+screenToWorld viewportSize camera screenX screenY =
+    Vec2.vec2
+        (camera.center.x + (screenX - viewportSize.width / 2) / camera.zoom)
+        (camera.center.y + (screenY - viewportSize.height / 2) / camera.zoom)
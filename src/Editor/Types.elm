@@ -0,0 +1,103 @@
+module Editor.Types exposing
+    ( EditorState
+    , Piece
+    , Tool(..)
+    , initEditorState
+    , pieces
+    )
+
+{-| Types for the track layout editor.
+-}
+
+import LayoutFile exposing (LayoutDocument)
+import Track.Element exposing (ConnectorIndex, Ease(..), ElementId, Hand(..), TrackElementType(..))
+
+
+{-| What clicking on the canvas does.
+
+  - `Select`: pick an element to rotate or delete
+  - `Place`: lay a piece on from the open connector clicked, or on its own
+    where the canvas is double-clicked
+  - `Connect`: join two open connectors, clicked one after the other
+  - `PlaceSpot`: put a spot halfway along the straight clicked
+
+-}
+type Tool
+    = Select
+    | Place Piece
+    | Connect
+    | PlaceSpot
+
+
+{-| A track piece in the editor's palette.
+-}
+type alias Piece =
+    { name : String
+    , elementType : TrackElementType
+    }
+
+
+{-| State for the editor UI. `connectFrom` is the first connector picked
+with the Connect tool; `loadErrors` are the problems with the last layout
+file that failed to load, and `playErrors` what kept the layout from being
+played.
+-}
+type alias EditorState =
+    { document : LayoutDocument
+    , tool : Tool
+    , selectedElement : Maybe ElementId
+    , connectFrom : Maybe ( ElementId, ConnectorIndex )
+    , spotName : String
+    , message : Maybe String
+    , loadErrors : List String
+    , playErrors : List String
+    }
+
+
+{-| Start editing a layout document.
+-}
+initEditorState : LayoutDocument -> EditorState
+initEditorState document =
+    { document = document
+    , tool = Select
+    , selectedElement = Nothing
+    , connectFrom = Nothing
+    , spotName = ""
+    , message = Nothing
+    , loadErrors = []
+    , playErrors = []
+    }
+
+
+{-| The pieces in the palette, in palette order.
+-}
+pieces : List Piece
+pieces =
+    let
+        turnout hand =
+            Turnout { throughLength = 50, radius = 170, sweep = pi / 12, hand = hand }
+
+        diamond =
+            { length = 30, angle = 0.3, hand = RightHand }
+
+        -- Eases into and out of the palette's curves
+        easement hand ease =
+            Easement { length = 40, radius = 150, hand = hand, ease = ease }
+    in
+    [ { name = "Straight 50m", elementType = StraightTrack 50 }
+    , { name = "Straight 100m", elementType = StraightTrack 100 }
+    , { name = "Curve left", elementType = CurvedTrack { radius = 150, sweep = -(pi / 12) } }
+    , { name = "Curve right", elementType = CurvedTrack { radius = 150, sweep = pi / 12 } }
+    , { name = "Ease in left", elementType = easement LeftHand EaseIn }
+    , { name = "Ease in right", elementType = easement RightHand EaseIn }
+    , { name = "Ease out left", elementType = easement LeftHand EaseOut }
+    , { name = "Ease out right", elementType = easement RightHand EaseOut }
+    , { name = "Turnout left", elementType = turnout LeftHand }
+    , { name = "Turnout right", elementType = turnout RightHand }
+    , { name = "Track end", elementType = TrackEnd }
+    , { name = "Signal", elementType = Signal }
+    , { name = "Crossing", elementType = Crossing diamond }
+    , { name = "Single slip", elementType = SingleSlip diamond }
+    , { name = "Double slip", elementType = DoubleSlip diamond }
+    , { name = "Turntable", elementType = Turntable { radius = 12, exits = 8 } }
+    ]
@@ -0,0 +1,358 @@
+module Editor.Update exposing
+    ( cannotPlay
+    , clearLayout
+    , clickConnector
+    , clickElement
+    , deleteSelected
+    , loadDocument
+    , pickTool
+    , placeAt
+    , playableDocument
+    , rotateSelected
+    , setSpotName
+    )
+
+{-| Update logic for the track layout editor.
+
+New pieces snap to open connectors: a piece laid on from a connector starts
+there, and any of its other connectors that meet an open one closely enough
+to pass validation are joined to it.
+
+Turnouts and slips are named after their element id as they are laid ("t11"),
+so SetSwitch orders can throw them when the layout is played. A spot given
+the name of a spot of the game ("Platform", "Team Track", ...) is that spot.
+
+-}
+
+import Array
+import Editor.Types exposing (EditorState, Tool(..), initEditorState)
+import LayoutFile exposing (LayoutDocument)
+import Programmer.Types exposing (SpotId(..))
+import Track.Element exposing (ConnectorIndex, ElementId(..), TrackElementType(..))
+import Track.Layout as Layout exposing (Layout)
+import Track.Validation as Validation
+import Util.Vec2 exposing (Vec2)
+
+
+{-| How far the Rotate button turns an element: 15 degrees.
+-}
+rotationStep : Float
+rotationStep =
+    pi / 12
+
+
+{-| Pick the tool for the clicks that follow.
+-}
+pickTool : Tool -> EditorState -> EditorState
+pickTool tool editor =
+    { editor | tool = tool, connectFrom = Nothing, message = Nothing, loadErrors = [], playErrors = [] }
+
+
+{-| A click on an open connector: lay the piece being placed on from it,
+or pick it as one end of a new connection.
+-}
+clickConnector : ( ElementId, ConnectorIndex ) -> EditorState -> EditorState
+clickConnector (( elementId, _ ) as end) editor =
+    case editor.tool of
+        Place piece ->
+            if isOpen end editor.document.layout then
+                let
+                    ( placed, newId ) =
+                        Layout.placeElementAt piece.elementType end editor.document.layout
+                in
+                withLayout (snapConnectors newId placed)
+                    { editor | selectedElement = Just newId, message = Nothing }
+                    |> nameSwitch newId piece.elementType
+
+            else
+                { editor | message = Just "That end is already joined" }
+
+        Connect ->
+            case editor.connectFrom of
+                Nothing ->
+                    if isOpen end editor.document.layout then
+                        { editor | connectFrom = Just end, message = Nothing }
+
+                    else
+                        { editor | message = Just "That end is already joined" }
+
+                Just from ->
+                    if from == end then
+                        { editor | connectFrom = Nothing }
+
+                    else if isOpen end editor.document.layout then
+                        withLayout (Layout.connect from end editor.document.layout)
+                            { editor | connectFrom = Nothing, message = Nothing }
+
+                    else
+                        { editor | message = Just "That end is already joined" }
+
+        _ ->
+            { editor | selectedElement = Just elementId }
+
+
+{-| A click on an element: select it, or put a spot on it.
+-}
+clickElement : ElementId -> EditorState -> EditorState
+clickElement elementId editor =
+    case editor.tool of
+        PlaceSpot ->
+            case Layout.findElement elementId editor.document.layout |> Maybe.map .elementType of
+                Just (StraightTrack length) ->
+                    let
+                        document =
+                            editor.document
+
+                        name =
+                            spotNameOrDefault editor
+
+                        spot =
+                            { name = name
+                            , id = gameSpotNamed name
+                            , elementId = elementId
+                            , distance = length / 2
+                            }
+                    in
+                    { editor
+                        | document = { document | spots = document.spots ++ [ spot ] }
+                        , spotName = ""
+                        , message = Nothing
+                    }
+
+                _ ->
+                    { editor | message = Just "Spots go on straight track" }
+
+        _ ->
+            { editor | selectedElement = Just elementId, message = Nothing }
+
+
+{-| A double-click on the canvas: lay the piece being placed there on its
+own, running west (left to right on screen).
+-}
+placeAt : Vec2 -> EditorState -> EditorState
+placeAt position editor =
+    case editor.tool of
+        Place piece ->
+            let
+                ( placed, newId ) =
+                    Layout.placeElement piece.elementType
+                        { position = position, orientation = -(pi / 2) }
+                        editor.document.layout
+            in
+            withLayout (snapConnectors newId placed)
+                { editor | selectedElement = Just newId, message = Nothing }
+                |> nameSwitch newId piece.elementType
+
+        _ ->
+            editor
+
+
+{-| Turn the selected element clockwise round its connector 0.
+-}
+rotateSelected : EditorState -> EditorState
+rotateSelected editor =
+    case editor.selectedElement of
+        Just elementId ->
+            withLayout (Layout.rotateElement elementId rotationStep editor.document.layout) editor
+
+        Nothing ->
+            editor
+
+
+{-| Delete the selected element with its connections, its name as a
+turnout, its spots and its portal.
+-}
+deleteSelected : EditorState -> EditorState
+deleteSelected editor =
+    case editor.selectedElement of
+        Just elementId ->
+            let
+                document =
+                    editor.document
+            in
+            { editor
+                | document =
+                    { document
+                        | layout = Layout.removeElement elementId document.layout
+                        , turnouts = List.filter (\( _, turnoutId ) -> turnoutId /= elementId) document.turnouts
+                        , spots = List.filter (\spot -> spot.elementId /= elementId) document.spots
+                        , portals = List.filter (\portal -> portal.elementId /= elementId) document.portals
+                    }
+                , selectedElement = Nothing
+                , connectFrom =
+                    editor.connectFrom
+                        |> Maybe.andThen
+                            (\( fromId, idx ) ->
+                                if fromId == elementId then
+                                    Nothing
+
+                                else
+                                    Just ( fromId, idx )
+                            )
+            }
+
+        Nothing ->
+            editor
+
+
+{-| Name the next spot placed.
+-}
+setSpotName : String -> EditorState -> EditorState
+setSpotName name editor =
+    { editor | spotName = name }
+
+
+{-| Start over with an empty layout. The furniture stays.
+-}
+clearLayout : EditorState -> EditorState
+clearLayout editor =
+    let
+        document =
+            editor.document
+    in
+    { editor
+        | document = { document | layout = Layout.emptyLayout, turnouts = [], spots = [], portals = [] }
+        , selectedElement = Nothing
+        , connectFrom = Nothing
+        , message = Nothing
+        , loadErrors = []
+        , playErrors = []
+    }
+
+
+{-| Edit a layout file that loaded, or list what is wrong with one that
+didn't and keep editing the current layout.
+-}
+loadDocument : Result (List String) LayoutDocument -> EditorState -> EditorState
+loadDocument result editor =
+    case result of
+        Ok document ->
+            let
+                loaded =
+                    initEditorState document
+            in
+            { loaded | tool = editor.tool, message = Just "Layout loaded" }
+
+        Err problems ->
+            { editor | message = Nothing, loadErrors = problems }
+
+
+{-| The layout being edited, if it passes the checks and has a portal for
+trains to come in by.
+-}
+playableDocument : EditorState -> Result (List String) LayoutDocument
+playableDocument editor =
+    case LayoutFile.checkLayoutDocument editor.document of
+        Ok document ->
+            if List.isEmpty document.portals then
+                Err [ "There is no portal for trains to come in by" ]
+
+            else
+                Ok document
+
+        Err problems ->
+            Err problems
+
+
+{-| List what keeps the layout being edited from being played.
+-}
+cannotPlay : List String -> EditorState -> EditorState
+cannotPlay problems editor =
+    { editor | message = Nothing, playErrors = problems }
+
+
+
+-- INTERNAL HELPERS
+
+
+withLayout : Layout -> EditorState -> EditorState
+withLayout layout editor =
+    let
+        document =
+            editor.document
+    in
+    { editor | document = { document | layout = layout } }
+
+
+isOpen : ( ElementId, ConnectorIndex ) -> Layout -> Bool
+isOpen end layout =
+    List.member end (Layout.openConnectors layout)
+
+
+spotNameOrDefault : EditorState -> String
+spotNameOrDefault editor =
+    if String.isEmpty (String.trim editor.spotName) then
+        "Spot " ++ String.fromInt (List.length editor.document.spots + 1)
+
+    else
+        String.trim editor.spotName
+
+
+{-| Name a turnout or slip just laid after its element id.
+-}
+nameSwitch : ElementId -> TrackElementType -> EditorState -> EditorState
+nameSwitch ((ElementId id) as elementId) elementType editor =
+    let
+        document =
+            editor.document
+
+        named =
+            { editor | document = { document | turnouts = document.turnouts ++ [ ( "t" ++ String.fromInt id, elementId ) ] } }
+    in
+    case elementType of
+        Turnout _ ->
+            named
+
+        SingleSlip _ ->
+            named
+
+        DoubleSlip _ ->
+            named
+
+        _ ->
+            editor
+
+
+{-| The spot of the game with the given name, if there is one.
+-}
+gameSpotNamed : String -> Maybe SpotId
+gameSpotNamed name =
+    [ PlatformSpot, TeamTrackSpot, EastTunnelSpot, WestTunnelSpot ]
+        |> List.filter (\spot -> Programmer.Types.spotName spot == name)
+        |> List.head
+
+
+{-| Join each open connector of an element to an open connector of another
+element it meets, if the joint would pass validation.
+-}
+snapConnectors : ElementId -> Layout -> Layout
+snapConnectors elementId layout =
+    let
+        connectorCount =
+            Layout.findElement elementId layout
+                |> Maybe.map (.connectors >> Array.length)
+                |> Maybe.withDefault 0
+
+        snapOne idx current =
+            let
+                open =
+                    Layout.openConnectors current
+
+                meets other =
+                    Tuple.first other
+                        /= elementId
+                        && Validation.validateConnection current { from = ( elementId, idx ), to = other }
+                        == Nothing
+            in
+            if List.member ( elementId, idx ) open then
+                case List.filter meets open of
+                    other :: _ ->
+                        Layout.connect ( elementId, idx ) other current
+
+                    [] ->
+                        current
+
+            else
+                current
+    in
+    List.foldl snapOne layout (List.range 0 (connectorCount - 1))
@@ -0,0 +1,674 @@
+module Editor.View exposing (viewEditorPanel, viewLayout)
+
+{-| View functions for the track layout editor: the layout being edited on
+the canvas, and the editor panel beside it.
+
+The layout is validated as it is drawn. Broken joints are ringed in red on
+the canvas and listed in the panel.
+
+-}
+
+import Array
+import Editor.Types exposing (EditorState, Piece, Tool(..), pieces)
+import Html exposing (Html, button, div, input, label, span, text)
+import Html.Attributes exposing (attribute, disabled, placeholder, style, value)
+import Html.Events exposing (onClick, onInput)
+import Json.Decode as Decode
+import LayoutFile exposing (PlacedSpot, Portal)
+import Svg exposing (Svg)
+import Svg.Attributes as SvgA
+import Svg.Events as SvgE
+import Track.Element exposing (ConnectorIndex, ElementId(..), PlacedElement, TrackElementType(..))
+import Track.Layout as Layout exposing (Layout)
+import Track.Render as TrackRender
+import Track.Validation as Validation exposing (ValidationError(..))
+import Util.Vec2 as Vec2 exposing (Vec2)
+
+
+
+-- CANVAS
+
+
+{-| Render the layout being edited, with its open connectors to click on.
+-}
+viewLayout :
+    { editor : EditorState
+    , onConnectorClick : ( ElementId, ConnectorIndex ) -> msg
+    , onElementClick : ElementId -> msg
+    , noop : msg
+    }
+    -> Svg msg
+viewLayout config =
+    let
+        layout =
+            config.editor.document.layout
+
+        segments =
+            TrackRender.layoutToRenderSegments layout
+    in
+    Svg.g [ attribute "data-testid" "editor-layout" ]
+        [ Svg.g [] (List.map TrackRender.renderBallast segments)
+        , Svg.g [] (List.map TrackRender.renderRails segments)
+        , Svg.g [] (List.map (viewElementHitArea config) layout.elements)
+        , Svg.g [] (List.filterMap (viewSpot layout) config.editor.document.spots)
+        , Svg.g [] (List.filterMap (viewPortal layout) config.editor.document.portals)
+        , Svg.g [] (List.filterMap (viewOpenConnector config) (Layout.openConnectors layout))
+        , Svg.g [] (List.concatMap (viewBrokenJoint layout) (Validation.validateLayout layout).errors)
+        ]
+
+
+{-| An element's track, or a marker for elements without length, to click
+on. Drawn highlighted when selected.
+-}
+viewElementHitArea :
+    { a
+        | editor : EditorState
+        , onElementClick : ElementId -> msg
+        , noop : msg
+    }
+    -> PlacedElement
+    -> Svg msg
+viewElementHitArea config element =
+    let
+        isSelected =
+            config.editor.selectedElement == Just element.id
+
+        ( stroke, opacity ) =
+            if isSelected then
+                ( "#4a9eff", "0.6" )
+
+            else
+                ( "#fff", "0" )
+
+        (ElementId id) =
+            element.id
+
+        events =
+            [ SvgE.onClick (config.onElementClick element.id)
+            , SvgE.stopPropagationOn "mousedown" (Decode.succeed ( config.noop, True ))
+            , SvgA.style "cursor: pointer"
+            , attribute "data-testid" ("editor-element-" ++ String.fromInt id)
+            ]
+    in
+    case TrackRender.elementToRenderSegments element of
+        [] ->
+            case Array.get 0 element.connectors of
+                Just c0 ->
+                    Svg.rect
+                        ([ SvgA.x (String.fromFloat (c0.position.x - 3))
+                         , SvgA.y (String.fromFloat (c0.position.y - 3))
+                         , SvgA.width "6"
+                         , SvgA.height "6"
+                         , SvgA.fill "#555"
+                         , SvgA.stroke
+                            (if isSelected then
+                                "#4a9eff"
+
+                             else
+                                "#ddd"
+                            )
+                         , SvgA.strokeWidth "1"
+                         ]
+                            ++ events
+                        )
+                        []
+
+                Nothing ->
+                    Svg.g [] []
+
+        segments ->
+            Svg.g events
+                (List.map
+                    (\segment ->
+                        Svg.path
+                            [ SvgA.d (TrackRender.renderSegmentToPath segment)
+                            , SvgA.stroke stroke
+                            , SvgA.strokeOpacity opacity
+                            , SvgA.strokeWidth "7"
+                            , SvgA.fill "none"
+                            ]
+                            []
+                    )
+                    segments
+                )
+
+
+viewSpot : Layout -> PlacedSpot -> Maybe (Svg msg)
+viewSpot layout spot =
+    Maybe.map
+        (\pos ->
+            Svg.g []
+                [ Svg.circle
+                    [ SvgA.cx (String.fromFloat pos.x)
+                    , SvgA.cy (String.fromFloat pos.y)
+                    , SvgA.r "4"
+                    , SvgA.fill "#ffaa4a"
+                    , SvgA.fillOpacity "0.5"
+                    , SvgA.stroke "#ffaa4a"
+                    , SvgA.strokeWidth "1"
+                    ]
+                    []
+                , Svg.text_
+                    [ SvgA.x (String.fromFloat (pos.x + 6))
+                    , SvgA.y (String.fromFloat (pos.y - 6))
+                    , SvgA.fontSize "7"
+                    , SvgA.fill "#ccc"
+                    , SvgA.fontFamily "sans-serif"
+                    ]
+                    [ Svg.text spot.name ]
+                ]
+        )
+        (spotPosition layout spot)
+
+
+{-| A portal's name beside the track end trains enter the map by.
+-}
+viewPortal : Layout -> Portal -> Maybe (Svg msg)
+viewPortal layout portal =
+    Layout.getConnector portal.elementId 0 layout
+        |> Maybe.map
+            (\c0 ->
+                Svg.text_
+                    [ SvgA.x (String.fromFloat (c0.position.x + 6))
+                    , SvgA.y (String.fromFloat (c0.position.y + 12))
+                    , SvgA.fontSize "7"
+                    , SvgA.fill "#8ac4ff"
+                    , SvgA.fontFamily "sans-serif"
+                    , attribute "data-testid" "editor-portal"
+                    ]
+                    [ Svg.text portal.name ]
+            )
+
+
+{-| Where a spot is, on the straight it was put on.
+-}
+spotPosition : Layout -> PlacedSpot -> Maybe Vec2
+spotPosition layout spot =
+    Layout.findElement spot.elementId layout
+        |> Maybe.andThen
+            (\element ->
+                case ( element.elementType, Array.get 0 element.connectors, Array.get 1 element.connectors ) of
+                    ( StraightTrack length, Just c0, Just c1 ) ->
+                        Just (Vec2.lerp (spot.distance / length) c0.position c1.position)
+
+                    _ ->
+                        Nothing
+            )
+
+
+viewOpenConnector :
+    { a
+        | editor : EditorState
+        , onConnectorClick : ( ElementId, ConnectorIndex ) -> msg
+        , noop : msg
+    }
+    -> ( ElementId, ConnectorIndex )
+    -> Maybe (Svg msg)
+viewOpenConnector config (( elementId, idx ) as end) =
+    let
+        (ElementId id) =
+            elementId
+
+        color =
+            if config.editor.connectFrom == Just end then
+                "#ffdd4a"
+
+            else
+                "#4aff6a"
+    in
+    Layout.getConnector elementId idx config.editor.document.layout
+        |> Maybe.map
+            (\connector ->
+                Svg.circle
+                    [ SvgA.cx (String.fromFloat connector.position.x)
+                    , SvgA.cy (String.fromFloat connector.position.y)
+                    , SvgA.r "2.5"
+                    , SvgA.fill color
+                    , SvgA.fillOpacity "0.7"
+                    , SvgA.stroke color
+                    , SvgA.strokeWidth "0.5"
+                    , SvgA.style "cursor: pointer"
+                    , attribute "data-testid" ("editor-connector-" ++ String.fromInt id ++ "-" ++ String.fromInt idx)
+                    , SvgE.onClick (config.onConnectorClick end)
+                    , SvgE.stopPropagationOn "mousedown" (Decode.succeed ( config.noop, True ))
+                    ]
+                    []
+            )
+
+
+{-| A red ring round each connector a validation error is about.
+-}
+viewBrokenJoint : Layout -> ValidationError -> List (Svg msg)
+viewBrokenJoint layout error =
+    let
+        ends =
+            case error of
+                PositionMismatch { connection } ->
+                    [ connection.from, connection.to ]
+
+                OrientationMismatch { connection } ->
+                    [ connection.from, connection.to ]
+
+                DanglingConnection { connection, missing } ->
+                    List.filter ((/=) missing) [ connection.from, connection.to ]
+
+                SharedConnector { connector } ->
+                    [ connector ]
+
+                UnpairedExits { elementId } ->
+                    [ ( elementId, 0 ) ]
+    in
+    ends
+        |> List.filterMap (\( elementId, idx ) -> Layout.getConnector elementId idx layout)
+        |> List.map
+            (\connector ->
+                Svg.circle
+                    [ SvgA.cx (String.fromFloat connector.position.x)
+                    , SvgA.cy (String.fromFloat connector.position.y)
+                    , SvgA.r "5"
+                    , SvgA.fill "none"
+                    , SvgA.stroke "#ff4a4a"
+                    , SvgA.strokeWidth "1.5"
+                    , attribute "data-testid" "editor-broken-joint"
+                    ]
+                    []
+            )
+
+
+
+-- PANEL
+
+
+{-| Render the editor panel: tools, the palette of pieces, what to do with
+the selected element, and the validation result.
+-}
+viewEditorPanel :
+    { editor : EditorState
+    , onPickTool : Tool -> msg
+    , onRotate : msg
+    , onDelete : msg
+    , onSetSpotName : String -> msg
+    , onClear : msg
+    , onSave : msg
+    , onOpen : msg
+    , onPlay : msg
+    , onClose : msg
+    }
+    -> Html msg
+viewEditorPanel config =
+    div
+        [ style "width" "400px"
+        , style "background" "#1a1a2e"
+        , style "border-left" "2px solid #333"
+        , style "display" "flex"
+        , style "flex-direction" "column"
+        , style "font-family" "sans-serif"
+        , style "color" "#e0e0e0"
+        , style "overflow-y" "auto"
+        ]
+        [ viewHeader config.onClose
+        , viewTools config
+        , viewPalette config.editor.tool config.onPickTool
+        , viewSelection config
+        , viewValidation config.editor
+        , viewFooter config
+        ]
+
+
+viewHeader : msg -> Html msg
+viewHeader onClose =
+    div
+        [ style "display" "flex"
+        , style "justify-content" "space-between"
+        , style "align-items" "center"
+        , style "padding" "12px 16px"
+        , style "background" "#252540"
+        , style "border-bottom" "1px solid #333"
+        ]
+        [ span
+            [ style "font-weight" "bold"
+            , style "font-size" "16px"
+            ]
+            [ text "Layout Editor" ]
+        , button
+            [ attribute "data-testid" "close-editor"
+            , style "background" "#3a3a5a"
+            , style "border" "none"
+            , style "color" "#e0e0e0"
+            , style "padding" "6px 12px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , style "font-size" "14px"
+            , onClick onClose
+            ]
+            [ text "Done" ]
+        ]
+
+
+viewTools :
+    { a
+        | editor : EditorState
+        , onPickTool : Tool -> msg
+        , onSetSpotName : String -> msg
+    }
+    -> Html msg
+viewTools config =
+    viewSection "TOOLS"
+        [ div [ style "display" "flex", style "gap" "8px", style "flex-wrap" "wrap" ]
+            [ viewToolButton config.editor.tool config.onPickTool "select" "Select" Select
+            , viewToolButton config.editor.tool config.onPickTool "connect" "Connect" Connect
+            , viewToolButton config.editor.tool config.onPickTool "spot" "Spot" PlaceSpot
+            , input
+                [ attribute "data-testid" "editor-spot-name"
+                , placeholder "Spot name"
+                , value config.editor.spotName
+                , onInput config.onSetSpotName
+                , style "background" "#252540"
+                , style "border" "1px solid #555"
+                , style "color" "#e0e0e0"
+                , style "padding" "4px 8px"
+                , style "border-radius" "4px"
+                , style "width" "120px"
+                ]
+                []
+            ]
+        , div [ style "font-size" "12px", style "color" "#888", style "margin-top" "8px" ]
+            [ text (toolHint config.editor.tool) ]
+        ]
+
+
+toolHint : Tool -> String
+toolHint tool =
+    case tool of
+        Select ->
+            "Click an element to select it."
+
+        Place piece ->
+            "Click a green end to lay a " ++ String.toLower piece.name ++ " on from it, or double-click the canvas to lay one on its own."
+
+        Connect ->
+            "Click two green ends to join them."
+
+        PlaceSpot ->
+            "Click a straight to put a spot halfway along it."
+
+
+viewToolButton : Tool -> (Tool -> msg) -> String -> String -> Tool -> Html msg
+viewToolButton current onPickTool testId labelText tool =
+    button
+        [ attribute "data-testid" ("editor-tool-" ++ testId)
+        , style "background"
+            (if current == tool then
+                "#4a9eff"
+
+             else
+                "#3a3a5a"
+            )
+        , style "border" "none"
+        , style "color"
+            (if current == tool then
+                "#000"
+
+             else
+                "#e0e0e0"
+            )
+        , style "padding" "6px 12px"
+        , style "border-radius" "4px"
+        , style "cursor" "pointer"
+        , style "font-size" "12px"
+        , onClick (onPickTool tool)
+        ]
+        [ text labelText ]
+
+
+viewPalette : Tool -> (Tool -> msg) -> Html msg
+viewPalette current onPickTool =
+    viewSection "PIECES"
+        [ div [ style "display" "flex", style "gap" "6px", style "flex-wrap" "wrap" ]
+            (List.map (viewPieceButton current onPickTool) pieces)
+        ]
+
+
+viewPieceButton : Tool -> (Tool -> msg) -> Piece -> Html msg
+viewPieceButton current onPickTool piece =
+    let
+        isActive =
+            current == Place piece
+    in
+    button
+        [ attribute "data-testid" ("editor-piece-" ++ String.replace " " "-" (String.toLower piece.name))
+        , style "background"
+            (if isActive then
+                "#4a9eff"
+
+             else
+                "#3a5a3a"
+            )
+        , style "border" "none"
+        , style "color"
+            (if isActive then
+                "#000"
+
+             else
+                "#e0e0e0"
+            )
+        , style "padding" "6px 10px"
+        , style "border-radius" "4px"
+        , style "cursor" "pointer"
+        , style "font-size" "12px"
+        , onClick (onPickTool (Place piece))
+        ]
+        [ text piece.name ]
+
+
+viewSelection :
+    { a
+        | editor : EditorState
+        , onRotate : msg
+        , onDelete : msg
+    }
+    -> Html msg
+viewSelection config =
+    let
+        selected =
+            config.editor.selectedElement
+                |> Maybe.andThen (\elementId -> Layout.findElement elementId config.editor.document.layout)
+
+        actionButton testId labelText onPress =
+            button
+                [ attribute "data-testid" testId
+                , disabled (Maybe.map .id selected == Nothing)
+                , style "background" "#3a3a5a"
+                , style "border" "none"
+                , style "color" "#e0e0e0"
+                , style "padding" "6px 12px"
+                , style "border-radius" "4px"
+                , style "cursor" "pointer"
+                , style "font-size" "12px"
+                , onClick onPress
+                ]
+                [ text labelText ]
+    in
+    viewSection "SELECTED"
+        [ div [ style "font-size" "14px", style "margin-bottom" "8px" ]
+            [ text
+                (case selected of
+                    Just element ->
+                        describeElement element
+
+                    Nothing ->
+                        "Nothing selected"
+                )
+            ]
+        , div [ style "display" "flex", style "gap" "8px" ]
+            [ actionButton "editor-rotate" "Rotate 15°" config.onRotate
+            , actionButton "editor-delete" "Delete" config.onDelete
+            ]
+        ]
+
+
+describeElement : PlacedElement -> String
+describeElement element =
+    let
+        (ElementId id) =
+            element.id
+
+        kind =
+            case element.elementType of
+                StraightTrack length ->
+                    "Straight " ++ String.fromFloat length ++ "m"
+
+                CurvedTrack _ ->
+                    "Curve"
+
+                Turnout _ ->
+                    "Turnout"
+
+                TrackEnd ->
+                    "Track end"
+
+                Signal ->
+                    "Signal"
+
+                Turntable _ ->
+                    "Turntable"
+
+                Crossing _ ->
+                    "Crossing"
+
+                SingleSlip _ ->
+                    "Single slip"
+
+                DoubleSlip _ ->
+                    "Double slip"
+
+                Easement _ ->
+                    "Easement"
+    in
+    "#" ++ String.fromInt id ++ " " ++ kind
+
+
+viewValidation : EditorState -> Html msg
+viewValidation editor =
+    let
+        errors =
+            (Validation.validateLayout editor.document.layout).errors
+    in
+    viewSection "CHECKS"
+        [ case editor.message of
+            Just message ->
+                div [ style "color" "#ffaa4a", style "font-size" "13px", style "margin-bottom" "6px" ]
+                    [ text message ]
+
+            Nothing ->
+                text ""
+        , viewProblems "editor-load-errors" "The layout file was not loaded:" editor.loadErrors
+        , viewProblems "editor-play-errors" "The layout can't be played:" editor.playErrors
+        , if List.isEmpty errors then
+            div [ attribute "data-testid" "editor-layout-ok", style "color" "#4aff6a", style "font-size" "13px" ]
+                [ text "All joints line up" ]
+
+          else
+            div [ attribute "data-testid" "editor-errors" ]
+                (List.map
+                    (\error ->
+                        div [ style "color" "#ff8a8a", style "font-size" "13px", style "margin-bottom" "4px" ]
+                            [ text (Validation.describeError error) ]
+                    )
+                    errors
+                )
+        ]
+
+
+{-| A heading and the problems under it, or nothing when there are none.
+-}
+viewProblems : String -> String -> List String -> Html msg
+viewProblems testId heading problems =
+    if List.isEmpty problems then
+        text ""
+
+    else
+        div [ attribute "data-testid" testId, style "margin-bottom" "6px" ]
+            (div [ style "color" "#ffaa4a", style "font-size" "13px", style "margin-bottom" "4px" ]
+                [ text heading ]
+                :: List.map
+                    (\problem ->
+                        div [ style "color" "#ff8a8a", style "font-size" "13px", style "margin-bottom" "4px" ]
+                            [ text problem ]
+                    )
+                    problems
+            )
+
+
+viewFooter : { a | onClear : msg, onSave : msg, onOpen : msg, onPlay : msg } -> Html msg
+viewFooter config =
+    div
+        [ style "display" "flex"
+        , style "gap" "8px"
+        , style "padding" "12px 16px"
+        , style "margin-top" "auto"
+        ]
+        [ button
+            [ attribute "data-testid" "editor-save"
+            , style "flex" "1"
+            , style "background" "#4a9eff"
+            , style "border" "none"
+            , style "color" "#000"
+            , style "padding" "10px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , style "font-weight" "bold"
+            , onClick config.onSave
+            ]
+            [ text "Save layout" ]
+        , button
+            [ attribute "data-testid" "editor-open"
+            , style "background" "#3a3a5a"
+            , style "border" "none"
+            , style "color" "#e0e0e0"
+            , style "padding" "10px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , onClick config.onOpen
+            ]
+            [ text "Open layout" ]
+        , button
+            [ attribute "data-testid" "editor-play"
+            , style "background" "#3a5a3a"
+            , style "border" "none"
+            , style "color" "#e0e0e0"
+            , style "padding" "10px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , onClick config.onPlay
+            ]
+            [ text "Play layout" ]
+        , button
+            [ attribute "data-testid" "editor-clear"
+            , style "background" "#5a3a3a"
+            , style "border" "none"
+            , style "color" "#e0e0e0"
+            , style "padding" "10px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , onClick config.onClear
+            ]
+            [ text "Clear" ]
+        ]
+
+
+viewSection : String -> List (Html msg) -> Html msg
+viewSection title content =
+    div
+        [ style "padding" "12px 16px"
+        , style "border-bottom" "1px solid #333"
+        ]
+        (label
+            [ style "display" "block"
+            , style "margin-bottom" "8px"
+            , style "font-size" "12px"
+            , style "color" "#888"
+            ]
+            [ text title ]
+            :: content
+        )
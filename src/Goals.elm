@@ -0,0 +1,368 @@
+module Goals exposing
+    ( Goal
+    , GoalLog
+    , GoalResult
+    , Incident
+    , Observation
+    , Outcome(..)
+    , Task(..)
+    , WeeklySummary
+    , describe
+    , emptyLog
+    , endOfWeek
+    , isWeekOver
+    , outcomeFor
+    , recordIncidents
+    , summarize
+    , track
+    )
+
+{-| Scenario goals, and the log of how each weekday went.
+
+A goal is a task to be done every weekday within a time window. The
+simulation reports what it sees after each tick; the first time a task is
+done on or after the start of its window, the goal is settled for that day:
+on time, or late by however long it took past the end of the window. Goals
+still open when a day ends are missed.
+
+Incidents are trains coming to an unplanned stop, whatever the reason.
+
+-}
+
+import Planning.Types exposing (Load(..), SpawnPointId, StockItem, StockType, stockTypeName)
+import Programmer.Types exposing (SpotId, spotName)
+import Train.Route as Route
+import Train.Stock exposing (freightCapacity)
+import Train.Types exposing (ActiveTrain, Railway, Route, StandingConsist, TrainState(..))
+import Util.GameTime as GameTime exposing (GameTime)
+
+
+{-| Something that has to be done every weekday.
+
+`from` and `until` are times of day, in seconds since midnight.
+
+-}
+type alias Goal =
+    { task : Task
+    , from : GameTime
+    , until : GameTime
+    }
+
+
+{-| What has to be done.
+
+  - `StandAt`: a car of the type stands still at the spot, in a train or not
+  - `LeaveAt`: a car of the type is left uncoupled at the spot
+  - `ReturnTo`: a car of the type leaves the map at the station
+  - `ReturnLoaded`: a fully loaded car of the type leaves the map at the
+    station
+
+-}
+type Task
+    = StandAt StockType SpotId
+    | LeaveAt StockType SpotId
+    | ReturnTo StockType SpawnPointId
+    | ReturnLoaded StockType SpawnPointId
+
+
+{-| How a goal went on one day.
+-}
+type Outcome
+    = OnTime
+    | Late Float -- Seconds past the end of the window
+    | Missed
+
+
+{-| The outcome of one goal (by index into the scenario's goals) on one day.
+-}
+type alias GoalResult =
+    { day : Int
+    , goal : Int
+    , outcome : Outcome
+    }
+
+
+{-| A train stopped by something other than its orders.
+-}
+type alias Incident =
+    { time : GameTime
+    , trainId : Int
+    , description : String
+    }
+
+
+{-| Everything that happened towards the goals so far this week.
+-}
+type alias GoalLog =
+    { results : List GoalResult
+    , incidents : List Incident
+    }
+
+
+{-| What the simulation saw at the end of a tick. Only the player's trains
+count towards goals.
+-}
+type alias Observation =
+    { railway : Railway
+    , gameTime : GameTime
+    , activeTrains : List ActiveTrain
+    , standingConsists : List StandingConsist
+    , departures : List ( SpawnPointId, List StockItem ) -- Trains that left the map this tick
+    }
+
+
+{-| Totals for the week.
+-}
+type alias WeeklySummary =
+    { onTime : Int
+    , late : Int
+    , missed : Int
+    , totalDelay : Float -- Seconds
+    , incidents : Int
+    , score : Int
+    }
+
+
+{-| The log at the start of the week.
+-}
+emptyLog : GoalLog
+emptyLog =
+    { results = []
+    , incidents = []
+    }
+
+
+{-| Friday midnight, when the week is over.
+-}
+endOfWeek : GameTime
+endOfWeek =
+    GameTime.fromDayHourMinute 5 0 0
+
+
+{-| Whether the week is over, and with it the scenario.
+-}
+isWeekOver : GameTime -> Bool
+isWeekOver time =
+    time >= endOfWeek
+
+
+
+-- TRACKING
+
+
+{-| Update the log with what happened between the previous game time and
+the observation.
+
+Days that ended in between are closed first, so their open goals are
+missed; then the open goals of the current day are checked.
+
+-}
+track : List Goal -> GameTime -> Observation -> GoalLog -> GoalLog
+track goals previousTime observation log =
+    let
+        ( today, _, _ ) =
+            GameTime.toDayHourMinute observation.gameTime
+
+        ( previousDay, _, _ ) =
+            GameTime.toDayHourMinute previousTime
+
+        closedLog =
+            List.range previousDay (min 4 (today - 1))
+                |> List.foldl (\day acc -> settleOpen day (always (Just Missed)) goals acc) log
+
+        timeOfDay =
+            observation.gameTime - GameTime.fromDayHourMinute today 0 0
+    in
+    if isWeekOver observation.gameTime then
+        closedLog
+
+    else
+        settleOpen today (checkGoal observation timeOfDay) goals closedLog
+
+
+{-| Record an outcome for each goal of the day that is still open and
+for which `decide` has one.
+-}
+settleOpen : Int -> (Goal -> Maybe Outcome) -> List Goal -> GoalLog -> GoalLog
+settleOpen day decide goals log =
+    let
+        newResults =
+            goals
+                |> List.indexedMap Tuple.pair
+                |> List.filter (\( index, _ ) -> outcomeFor day index log == Nothing)
+                |> List.filterMap
+                    (\( index, goal ) ->
+                        decide goal
+                            |> Maybe.map (\outcome -> { day = day, goal = index, outcome = outcome })
+                    )
+    in
+    { log | results = log.results ++ newResults }
+
+
+checkGoal : Observation -> GameTime -> Goal -> Maybe Outcome
+checkGoal observation timeOfDay goal =
+    if timeOfDay >= goal.from && isDone observation goal.task then
+        if timeOfDay <= goal.until then
+            Just OnTime
+
+        else
+            Just (Late (timeOfDay - goal.until))
+
+    else
+        Nothing
+
+
+isDone : Observation -> Task -> Bool
+isDone observation task =
+    case task of
+        StandAt stockType spot ->
+            List.any (\train -> train.speed == 0 && hasCarAt observation.railway stockType spot train.route train.position train.consist)
+                observation.activeTrains
+                || List.any (\cut -> hasCarAt observation.railway stockType spot cut.route cut.position cut.consist)
+                    observation.standingConsists
+
+        LeaveAt stockType spot ->
+            List.any (\cut -> hasCarAt observation.railway stockType spot cut.route cut.position cut.consist)
+                observation.standingConsists
+
+        ReturnTo stockType station ->
+            List.any
+                (\( exit, consist ) -> exit == station && List.any (\item -> item.stockType == stockType) consist)
+                observation.departures
+
+        ReturnLoaded stockType station ->
+            List.any
+                (\( exit, consist ) -> exit == station && List.any (\item -> item.stockType == stockType && isFullyLoaded item) consist)
+                observation.departures
+
+
+isFullyLoaded : StockItem -> Bool
+isFullyLoaded item =
+    case item.load of
+        Cargo tonnes ->
+            tonnes >= freightCapacity item.stockType
+
+        _ ->
+            False
+
+
+{-| Whether a car of the type covers the spot, for a consist whose front
+is at `position` on the route.
+-}
+hasCarAt : Railway -> StockType -> SpotId -> Route -> Float -> List StockItem -> Bool
+hasCarAt railway stockType spot route position consist =
+    Route.spotsUnderCars railway [ spot ] route position consist
+        |> List.any (\( item, spots ) -> item.stockType == stockType && not (List.isEmpty spots))
+
+
+{-| Record trains that came to a stop (`Stopped`) since the last tick.
+-}
+recordIncidents : GameTime -> List ActiveTrain -> List ActiveTrain -> GoalLog -> GoalLog
+recordIncidents time before after log =
+    let
+        wasStopped train =
+            List.any (\old -> old.id == train.id && isStopped old.trainState) before
+
+        newIncidents =
+            after
+                |> List.filter (\train -> isStopped train.trainState && not (wasStopped train))
+                |> List.map
+                    (\train ->
+                        { time = time
+                        , trainId = train.id
+                        , description =
+                            case train.trainState of
+                                Stopped reason ->
+                                    reason
+
+                                _ ->
+                                    ""
+                        }
+                    )
+    in
+    { log | incidents = log.incidents ++ newIncidents }
+
+
+isStopped : TrainState -> Bool
+isStopped trainState =
+    case trainState of
+        Stopped _ ->
+            True
+
+        _ ->
+            False
+
+
+
+-- REPORTING
+
+
+{-| The outcome of a goal on a day, if it is settled.
+-}
+outcomeFor : Int -> Int -> GoalLog -> Maybe Outcome
+outcomeFor day goalIndex log =
+    log.results
+        |> List.filter (\result -> result.day == day && result.goal == goalIndex)
+        |> List.head
+        |> Maybe.map .outcome
+
+
+{-| Totals for the week and the score: 10 points per goal met on time,
+5 per goal met late, minus 10 per incident. The score doesn't go below 0.
+-}
+summarize : GoalLog -> WeeklySummary
+summarize log =
+    let
+        outcomes =
+            List.map .outcome log.results
+
+        delays =
+            List.filterMap
+                (\outcome ->
+                    case outcome of
+                        Late seconds ->
+                            Just seconds
+
+                        _ ->
+                            Nothing
+                )
+                outcomes
+
+        onTime =
+            List.length (List.filter ((==) OnTime) outcomes)
+
+        late =
+            List.length delays
+
+        incidents =
+            List.length log.incidents
+    in
+    { onTime = onTime
+    , late = late
+    , missed = List.length (List.filter ((==) Missed) outcomes)
+    , totalDelay = List.sum delays
+    , incidents = incidents
+    , score = max 0 (10 * onTime + 5 * late - 10 * incidents)
+    }
+
+
+{-| A goal as shown to the player, with stations named by the scenario.
+-}
+describe : (SpawnPointId -> String) -> Goal -> String
+describe stationName goal =
+    let
+        window =
+            " (" ++ GameTime.formatTime goal.from ++ "–" ++ GameTime.formatTime goal.until ++ ")"
+    in
+    case goal.task of
+        StandAt stockType spot ->
+            stockTypeName stockType ++ " at " ++ spotName spot ++ window
+
+        LeaveAt stockType spot ->
+            stockTypeName stockType ++ " left at " ++ spotName spot ++ window
+
+        ReturnTo stockType station ->
+            stockTypeName stockType ++ " back to " ++ stationName station ++ window
+
+        ReturnLoaded stockType station ->
+            "Loaded " ++ stockTypeName stockType ++ " back to " ++ stationName station ++ window
@@ -0,0 +1,714 @@
+module LayoutFile exposing
+    ( LayoutDocument
+    , PlacedSpot
+    , Portal
+    , checkLayoutDocument
+    , decodeLayoutDocument
+    , encodeLayoutDocument
+    , loadLayout
+    )
+
+{-| Layout files: a track layout with its named turnouts, spots, spawn
+portals and map furniture as a JSON document, as the layout editor saves
+them. `layouts/sawmill.json` is the sawmill layout in this format.
+
+Each element is stored with its type and the pose of its connector 0; the
+other connectors follow from those (see `Track.Element.computeConnectors`),
+so a file can't hold an element whose ends disagree with its shape.
+
+A decoded document is checked before it is used: the layout must pass
+`Track.Validation.validateLayout`, and turnouts, spots and portals must be
+on track that can hold them. Problems are reported as sentences a layout
+author can act on.
+
+A spot can be marked as one of the spots orders send trains to; the
+others are only labels. `Scenario.withLayoutDocument` plays a scenario on
+a document's track.
+
+-}
+
+import Array
+import Json.Decode as Decode exposing (Decoder)
+import Json.Encode as Encode
+import Planning.Types exposing (SpawnPointId)
+import Programmer.Types exposing (SpotId)
+import Sawmill.Layout exposing (Furniture, FurnitureItem)
+import Storage
+import Track.Element exposing (Connector, ConnectorIndex, Ease(..), ElementId(..), Hand(..), PlacedElement, TrackElementType(..))
+import Track.Layout as Layout exposing (Connection, Layout)
+import Track.Validation as Validation
+import Util.Vec2 exposing (Vec2, vec2)
+
+
+{-| A layout with the names SetSwitch orders use for its turnouts, the
+spots trains can be ordered to, the portals they enter and leave the map
+by, and the furniture drawn around the track.
+-}
+type alias LayoutDocument =
+    { layout : Layout
+    , turnouts : List ( String, ElementId )
+    , spots : List PlacedSpot
+    , portals : List Portal
+    , furniture : Maybe Furniture
+    }
+
+
+{-| A named spot, a distance along an element from its connector 0. `id`
+is the spot of the game it is, if any.
+-}
+type alias PlacedSpot =
+    { name : String
+    , id : Maybe SpotId
+    , elementId : ElementId
+    , distance : Float
+    }
+
+
+{-| Where trains from a spawn point enter the map: a track end.
+-}
+type alias Portal =
+    { name : String
+    , spawnPoint : SpawnPointId
+    , elementId : ElementId
+    }
+
+
+{-| Marker identifying a JSON file as a layout.
+-}
+layoutFormat : String
+layoutFormat =
+    "rr-layout"
+
+
+{-| Version of the layout format written by encodeLayoutDocument.
+
+  - 1: elements, connections and spots
+  - 2: spawn portals and furniture
+  - 3: named turnouts, and spots marked with the game's spot they are
+
+Files of any version decode; a version 1 file has no portals and no
+furniture, and files before version 3 have no named turnouts and no marked
+spots.
+
+-}
+layoutVersion : Int
+layoutVersion =
+    3
+
+
+
+-- ENCODERS
+
+
+{-| Encode a layout document as a layout file.
+-}
+encodeLayoutDocument : LayoutDocument -> Encode.Value
+encodeLayoutDocument document =
+    Encode.object
+        [ ( "format", Encode.string layoutFormat )
+        , ( "version", Encode.int layoutVersion )
+        , ( "elements", Encode.list encodeElement document.layout.elements )
+        , ( "connections", Encode.list encodeConnection document.layout.connections )
+        , ( "turnouts", Encode.list encodeTurnout document.turnouts )
+        , ( "spots", Encode.list encodeSpot document.spots )
+        , ( "portals", Encode.list encodePortal document.portals )
+        , ( "furniture"
+          , document.furniture
+                |> Maybe.map encodeFurniture
+                |> Maybe.withDefault Encode.null
+          )
+        ]
+
+
+encodeElement : PlacedElement -> Encode.Value
+encodeElement element =
+    Encode.object
+        [ ( "id", encodeElementId element.id )
+        , ( "type", encodeElementType element.elementType )
+        , ( "at"
+          , Array.get 0 element.connectors
+                |> Maybe.map encodeConnector
+                |> Maybe.withDefault Encode.null
+          )
+        ]
+
+
+encodeElementType : TrackElementType -> Encode.Value
+encodeElementType elementType =
+    case elementType of
+        StraightTrack length ->
+            Encode.object
+                [ ( "type", Encode.string "Straight" )
+                , ( "length", Encode.float length )
+                ]
+
+        CurvedTrack { radius, sweep } ->
+            Encode.object
+                [ ( "type", Encode.string "Curve" )
+                , ( "radius", Encode.float radius )
+                , ( "sweep", Encode.float sweep )
+                ]
+
+        Turnout { throughLength, radius, sweep, hand } ->
+            Encode.object
+                [ ( "type", Encode.string "Turnout" )
+                , ( "throughLength", Encode.float throughLength )
+                , ( "radius", Encode.float radius )
+                , ( "sweep", Encode.float sweep )
+                , ( "hand", encodeHand hand )
+                ]
+
+        TrackEnd ->
+            Encode.object
+                [ ( "type", Encode.string "TrackEnd" )
+                ]
+
+        Signal ->
+            Encode.object
+                [ ( "type", Encode.string "Signal" )
+                ]
+
+        Turntable { radius, exits } ->
+            Encode.object
+                [ ( "type", Encode.string "Turntable" )
+                , ( "radius", Encode.float radius )
+                , ( "exits", Encode.int exits )
+                ]
+
+        Crossing spec ->
+            encodeDiamond "Crossing" spec
+
+        SingleSlip spec ->
+            encodeDiamond "SingleSlip" spec
+
+        DoubleSlip spec ->
+            encodeDiamond "DoubleSlip" spec
+
+        Easement { length, radius, hand, ease } ->
+            Encode.object
+                [ ( "type", Encode.string "Easement" )
+                , ( "length", Encode.float length )
+                , ( "radius", Encode.float radius )
+                , ( "hand", encodeHand hand )
+                , ( "ease", encodeEase ease )
+                ]
+
+
+encodeDiamond : String -> Track.Element.DiamondSpec -> Encode.Value
+encodeDiamond elementType spec =
+    Encode.object
+        [ ( "type", Encode.string elementType )
+        , ( "length", Encode.float spec.length )
+        , ( "angle", Encode.float spec.angle )
+        , ( "hand", encodeHand spec.hand )
+        ]
+
+
+encodeHand : Hand -> Encode.Value
+encodeHand hand =
+    Encode.string <|
+        case hand of
+            LeftHand ->
+                "Left"
+
+            RightHand ->
+                "Right"
+
+
+encodeEase : Ease -> Encode.Value
+encodeEase ease =
+    Encode.string <|
+        case ease of
+            EaseIn ->
+                "In"
+
+            EaseOut ->
+                "Out"
+
+
+encodeConnector : Connector -> Encode.Value
+encodeConnector connector =
+    Encode.object
+        [ ( "x", Encode.float connector.position.x )
+        , ( "y", Encode.float connector.position.y )
+        , ( "orientation", Encode.float connector.orientation )
+        ]
+
+
+encodeConnection : Connection -> Encode.Value
+encodeConnection connection =
+    Encode.object
+        [ ( "from", encodeEnd connection.from )
+        , ( "to", encodeEnd connection.to )
+        ]
+
+
+encodeEnd : ( ElementId, ConnectorIndex ) -> Encode.Value
+encodeEnd ( elementId, connectorIdx ) =
+    Encode.object
+        [ ( "element", encodeElementId elementId )
+        , ( "connector", Encode.int connectorIdx )
+        ]
+
+
+encodeTurnout : ( String, ElementId ) -> Encode.Value
+encodeTurnout ( name, elementId ) =
+    Encode.object
+        [ ( "name", Encode.string name )
+        , ( "element", encodeElementId elementId )
+        ]
+
+
+encodeSpot : PlacedSpot -> Encode.Value
+encodeSpot spot =
+    Encode.object
+        [ ( "name", Encode.string spot.name )
+        , ( "id"
+          , spot.id
+                |> Maybe.map Storage.encodeSpotId
+                |> Maybe.withDefault Encode.null
+          )
+        , ( "element", encodeElementId spot.elementId )
+        , ( "distance", Encode.float spot.distance )
+        ]
+
+
+encodePortal : Portal -> Encode.Value
+encodePortal portal =
+    Encode.object
+        [ ( "name", Encode.string portal.name )
+        , ( "spawnPoint", Storage.encodeSpawnPointId portal.spawnPoint )
+        , ( "element", encodeElementId portal.elementId )
+        ]
+
+
+encodeFurniture : Furniture -> Encode.Value
+encodeFurniture furniture =
+    Encode.object
+        [ ( "sawmill", encodeFurnitureItem furniture.sawmill )
+        , ( "platform", encodeFurnitureItem furniture.platform )
+        , ( "teamTrackRamp", encodeFurnitureItem furniture.teamTrackRamp )
+        , ( "trees", Encode.list encodeVec2 furniture.trees )
+        ]
+
+
+encodeFurnitureItem : FurnitureItem -> Encode.Value
+encodeFurnitureItem item =
+    Encode.object
+        [ ( "x", Encode.float item.position.x )
+        , ( "y", Encode.float item.position.y )
+        , ( "width", Encode.float item.width )
+        , ( "height", Encode.float item.height )
+        , ( "orientation", Encode.float item.orientation )
+        ]
+
+
+encodeVec2 : Vec2 -> Encode.Value
+encodeVec2 v =
+    Encode.object
+        [ ( "x", Encode.float v.x )
+        , ( "y", Encode.float v.y )
+        ]
+
+
+encodeElementId : ElementId -> Encode.Value
+encodeElementId (ElementId id) =
+    Encode.int id
+
+
+
+-- DECODERS
+
+
+{-| Decode a layout file. Connectors are recomputed from each element's
+type and connector 0, and new elements are numbered after the highest id
+in the file.
+-}
+decodeLayoutDocument : Decoder LayoutDocument
+decodeLayoutDocument =
+    Decode.field "format" Decode.string
+        |> Decode.andThen
+            (\format ->
+                if format == layoutFormat then
+                    Decode.map5 LayoutDocument
+                        decodeLayout
+                        (Decode.oneOf
+                            [ Decode.field "turnouts" (Decode.list decodeTurnout)
+                            , Decode.succeed []
+                            ]
+                        )
+                        (Decode.field "spots" (Decode.list decodeSpot))
+                        (Decode.oneOf
+                            [ Decode.field "portals" (Decode.list decodePortal)
+                            , Decode.succeed []
+                            ]
+                        )
+                        (Decode.oneOf
+                            [ Decode.field "furniture" (Decode.nullable decodeFurniture)
+                            , Decode.succeed Nothing
+                            ]
+                        )
+
+                else
+                    Decode.fail ("Not a layout file: " ++ format)
+            )
+
+
+decodeLayout : Decoder Layout
+decodeLayout =
+    Decode.map2
+        (\elements connections ->
+            { elements = elements
+            , connections = connections
+            , nextId =
+                elements
+                    |> List.map (\element -> elementIdToInt element.id + 1)
+                    |> List.maximum
+                    |> Maybe.withDefault 0
+            }
+        )
+        (Decode.field "elements" (Decode.list decodeElement))
+        (Decode.field "connections" (Decode.list decodeConnection))
+
+
+decodeElement : Decoder PlacedElement
+decodeElement =
+    Decode.map3
+        (\elementId elementType connector0 ->
+            { id = elementId
+            , elementType = elementType
+            , connectors = Track.Element.computeConnectors connector0 elementType
+            }
+        )
+        (Decode.field "id" decodeElementId)
+        (Decode.field "type" decodeElementType)
+        (Decode.field "at" decodeConnector)
+
+
+decodeElementType : Decoder TrackElementType
+decodeElementType =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\elementType ->
+                case elementType of
+                    "Straight" ->
+                        Decode.map StraightTrack (Decode.field "length" Decode.float)
+
+                    "Curve" ->
+                        Decode.map2 (\radius sweep -> CurvedTrack { radius = radius, sweep = sweep })
+                            (Decode.field "radius" Decode.float)
+                            (Decode.field "sweep" Decode.float)
+
+                    "Turnout" ->
+                        Decode.map4
+                            (\throughLength radius sweep hand ->
+                                Turnout { throughLength = throughLength, radius = radius, sweep = sweep, hand = hand }
+                            )
+                            (Decode.field "throughLength" Decode.float)
+                            (Decode.field "radius" Decode.float)
+                            (Decode.field "sweep" Decode.float)
+                            (Decode.field "hand" decodeHand)
+
+                    "TrackEnd" ->
+                        Decode.succeed TrackEnd
+
+                    "Signal" ->
+                        Decode.succeed Signal
+
+                    "Turntable" ->
+                        Decode.map2 (\radius exits -> Turntable { radius = radius, exits = exits })
+                            (Decode.field "radius" Decode.float)
+                            (Decode.field "exits" Decode.int)
+
+                    "Crossing" ->
+                        Decode.map Crossing decodeDiamond
+
+                    "SingleSlip" ->
+                        Decode.map SingleSlip decodeDiamond
+
+                    "DoubleSlip" ->
+                        Decode.map DoubleSlip decodeDiamond
+
+                    "Easement" ->
+                        Decode.map4
+                            (\length radius hand ease ->
+                                Easement { length = length, radius = radius, hand = hand, ease = ease }
+                            )
+                            (Decode.field "length" Decode.float)
+                            (Decode.field "radius" Decode.float)
+                            (Decode.field "hand" decodeHand)
+                            (Decode.field "ease" decodeEase)
+
+                    _ ->
+                        Decode.fail ("Unknown element type: " ++ elementType)
+            )
+
+
+decodeDiamond : Decoder Track.Element.DiamondSpec
+decodeDiamond =
+    Decode.map3 Track.Element.DiamondSpec
+        (Decode.field "length" Decode.float)
+        (Decode.field "angle" Decode.float)
+        (Decode.field "hand" decodeHand)
+
+
+decodeHand : Decoder Hand
+decodeHand =
+    Decode.string
+        |> Decode.andThen
+            (\hand ->
+                case hand of
+                    "Left" ->
+                        Decode.succeed LeftHand
+
+                    "Right" ->
+                        Decode.succeed RightHand
+
+                    _ ->
+                        Decode.fail ("Unknown hand: " ++ hand)
+            )
+
+
+decodeEase : Decoder Ease
+decodeEase =
+    Decode.string
+        |> Decode.andThen
+            (\ease ->
+                case ease of
+                    "In" ->
+                        Decode.succeed EaseIn
+
+                    "Out" ->
+                        Decode.succeed EaseOut
+
+                    _ ->
+                        Decode.fail ("Unknown ease: " ++ ease)
+            )
+
+
+decodeConnector : Decoder Connector
+decodeConnector =
+    Decode.map3 (\x y orientation -> { position = vec2 x y, orientation = orientation })
+        (Decode.field "x" Decode.float)
+        (Decode.field "y" Decode.float)
+        (Decode.field "orientation" Decode.float)
+
+
+decodeConnection : Decoder Connection
+decodeConnection =
+    Decode.map2 Connection
+        (Decode.field "from" decodeEnd)
+        (Decode.field "to" decodeEnd)
+
+
+decodeEnd : Decoder ( ElementId, ConnectorIndex )
+decodeEnd =
+    Decode.map2 Tuple.pair
+        (Decode.field "element" decodeElementId)
+        (Decode.field "connector" Decode.int)
+
+
+decodeTurnout : Decoder ( String, ElementId )
+decodeTurnout =
+    Decode.map2 Tuple.pair
+        (Decode.field "name" Decode.string)
+        (Decode.field "element" decodeElementId)
+
+
+decodeSpot : Decoder PlacedSpot
+decodeSpot =
+    Decode.map4 PlacedSpot
+        (Decode.field "name" Decode.string)
+        (Decode.oneOf
+            [ Decode.field "id" (Decode.nullable Storage.decodeSpotId)
+            , Decode.succeed Nothing
+            ]
+        )
+        (Decode.field "element" decodeElementId)
+        (Decode.field "distance" Decode.float)
+
+
+decodePortal : Decoder Portal
+decodePortal =
+    Decode.map3 Portal
+        (Decode.field "name" Decode.string)
+        (Decode.field "spawnPoint" Storage.decodeSpawnPointId)
+        (Decode.field "element" decodeElementId)
+
+
+decodeFurniture : Decoder Furniture
+decodeFurniture =
+    Decode.map4 Furniture
+        (Decode.field "sawmill" decodeFurnitureItem)
+        (Decode.field "platform" decodeFurnitureItem)
+        (Decode.field "teamTrackRamp" decodeFurnitureItem)
+        (Decode.field "trees" (Decode.list decodeVec2))
+
+
+decodeFurnitureItem : Decoder FurnitureItem
+decodeFurnitureItem =
+    Decode.map5 (\x y width height orientation -> { position = vec2 x y, width = width, height = height, orientation = orientation })
+        (Decode.field "x" Decode.float)
+        (Decode.field "y" Decode.float)
+        (Decode.field "width" Decode.float)
+        (Decode.field "height" Decode.float)
+        (Decode.field "orientation" Decode.float)
+
+
+decodeVec2 : Decoder Vec2
+decodeVec2 =
+    Decode.map2 vec2
+        (Decode.field "x" Decode.float)
+        (Decode.field "y" Decode.float)
+
+
+decodeElementId : Decoder ElementId
+decodeElementId =
+    Decode.map ElementId Decode.int
+
+
+elementIdToInt : ElementId -> Int
+elementIdToInt (ElementId id) =
+    id
+
+
+
+-- LOADING
+
+
+{-| Decode a layout file and check it, returning every problem found.
+-}
+loadLayout : String -> Result (List String) LayoutDocument
+loadLayout json =
+    case Decode.decodeString decodeLayoutDocument json of
+        Ok document ->
+            checkLayoutDocument document
+
+        Err error ->
+            Err [ "Not a valid layout file: " ++ Decode.errorToString error ]
+
+
+{-| Check a layout document: its joints must pass
+`Track.Validation.validateLayout`, named turnouts must be elements that can
+be switched, spots must lie on straight track or at a track end and portals
+must be track ends. No two turnouts may have the same name, and no two
+spots may be marked as the same spot of the game.
+-}
+checkLayoutDocument : LayoutDocument -> Result (List String) LayoutDocument
+checkLayoutDocument document =
+    let
+        problems =
+            List.map Validation.describeError (Validation.validateLayout document.layout).errors
+                ++ List.filterMap (checkTurnout document.layout) document.turnouts
+                ++ List.filterMap (checkSpot document.layout) document.spots
+                ++ List.filterMap (checkPortal document.layout) document.portals
+                ++ List.map (\name -> "More than one turnout is named \"" ++ name ++ "\"")
+                    (repeated (List.map Tuple.first document.turnouts))
+                ++ List.map (\name -> "More than one spot is marked as the " ++ name)
+                    (repeated (List.filterMap (.id >> Maybe.map Programmer.Types.spotName) document.spots))
+    in
+    if List.isEmpty problems then
+        Ok document
+
+    else
+        Err problems
+
+
+checkTurnout : Layout -> ( String, ElementId ) -> Maybe String
+checkTurnout layout ( name, elementId ) =
+    let
+        prefix =
+            "The turnout \"" ++ name ++ "\" is element " ++ describeElementId elementId
+    in
+    case Layout.findElement elementId layout |> Maybe.map .elementType of
+        Just (Turnout _) ->
+            Nothing
+
+        Just (SingleSlip _) ->
+            Nothing
+
+        Just (DoubleSlip _) ->
+            Nothing
+
+        Just _ ->
+            Just (prefix ++ ", which can't be switched")
+
+        Nothing ->
+            Just (prefix ++ ", which doesn't exist")
+
+
+checkSpot : Layout -> PlacedSpot -> Maybe String
+checkSpot layout spot =
+    let
+        prefix =
+            "Spot \"" ++ spot.name ++ "\" is on element " ++ describeElementId spot.elementId
+    in
+    case Layout.findElement spot.elementId layout |> Maybe.map .elementType of
+        Just (StraightTrack length) ->
+            if spot.distance < 0 || spot.distance > length then
+                Just
+                    ("Spot \""
+                        ++ spot.name
+                        ++ "\" is "
+                        ++ String.fromInt (round spot.distance)
+                        ++ "m along element "
+                        ++ describeElementId spot.elementId
+                        ++ ", which is "
+                        ++ String.fromInt (round length)
+                        ++ "m long"
+                    )
+
+            else
+                Nothing
+
+        Just TrackEnd ->
+            if spot.distance == 0 then
+                Nothing
+
+            else
+                Just (prefix ++ ", a track end, so it must be 0m along it")
+
+        Just _ ->
+            Just (prefix ++ ", which isn't straight track or a track end")
+
+        Nothing ->
+            Just (prefix ++ ", which doesn't exist")
+
+
+checkPortal : Layout -> Portal -> Maybe String
+checkPortal layout portal =
+    let
+        prefix =
+            "The " ++ portal.name ++ " portal is on element " ++ describeElementId portal.elementId
+    in
+    case Layout.findElement portal.elementId layout |> Maybe.map .elementType of
+        Just TrackEnd ->
+            Nothing
+
+        Just _ ->
+            Just (prefix ++ ", which isn't a track end")
+
+        Nothing ->
+            Just (prefix ++ ", which doesn't exist")
+
+
+{-| The names that are in a list more than once, each of them once.
+-}
+repeated : List String -> List String
+repeated names =
+    names
+        |> List.foldl
+            (\name ( seen, found ) ->
+                if List.member name seen && not (List.member name found) then
+                    ( seen, found ++ [ name ] )
+
+                else
+                    ( name :: seen, found )
+            )
+            ( [], [] )
+        |> Tuple.second
+
+
+describeElementId : ElementId -> String
+describeElementId elementId =
+    String.fromInt (elementIdToInt elementId)
@@ -9,28 +9,48 @@ Main entry point and application shell.
 import Browser
 import Browser.Events
 import Camera
-import Html exposing (Html, button, div, span, text)
-import Html.Attributes exposing (disabled, style)
-import Html.Events exposing (onClick)
+import Dict
+import Editor.Types as Editor
+import Editor.Update
+import Editor.View as EditorView
+import Goals exposing (GoalLog, Outcome(..))
+import Html exposing (Html, button, div, option, select, span, text)
+import Html.Attributes exposing (disabled, selected, style, value)
+import Html.Events exposing (onClick, onInput)
 import Json.Decode as Decode
 import Json.Encode as Encode
+import LayoutFile exposing (LayoutDocument)
+import Planning.Catalog as Catalog exposing (Catalog)
 import Planning.Helpers exposing (returnStockToInventory)
-import Planning.Types as Planning exposing (PanelMode(..), SpawnPointId(..), StockItem, StockType(..))
+import Planning.Solution as Solution
+import Planning.Types as Planning exposing (PanelMode(..), ScheduledTrain, SpawnPointId(..), StockItem)
 import Planning.Update
 import Programmer.Types as Programmer
 import Programmer.Update
 import Planning.View as PlanningView
+import Preview
+import Process
 import Programmer.View as ProgrammerView
-import Sawmill.Layout as Layout exposing (ElementId(..), SwitchState(..))
+import Sawmill.Layout as Layout exposing (ElementId(..), SwitchState(..), SwitchStates)
 import Simulation
 import Sawmill.View as SawmillView
+import Scenario exposing (Scenario, ScenarioId)
 import Set exposing (Set)
 import Storage
 import Svg exposing (Svg, svg)
 import Svg.Attributes as SvgA
 import Svg.Events as SvgE
+import Task
 import Time
-import Train.Types exposing (ActiveTrain, TrainState(..))
+import Track.Element as TrackElement
+import Train.Analysis as Analysis
+import Train.Interlocking as Interlocking
+import Train.Loading as Loading
+import Train.Manual as Manual
+import Train.Pathfinding as Pathfinding
+import Train.Route as Route
+import Train.Stock exposing (isPowered)
+import Train.Types exposing (ActiveTrain, Reservations, StandingConsist, TrainState(..))
 import Train.View as TrainView
 import Util.GameTime as GameTime exposing (GameTime)
 import Util.Vec2 as Vec2 exposing (Vec2)
@@ -46,11 +66,47 @@ port saveToStorage : String -> Cmd msg
 port clearStorage : () -> Cmd msg
 
 
+{-| Port to keep a saved state that failed to decode under a separate key,
+so starting fresh doesn't overwrite the player's work.
+-}
+port backupFailedSave : String -> Cmd msg
+
+
+{-| Port to download the current plan as a solution file.
+-}
+port exportSolution : String -> Cmd msg
+
+
+{-| Port to download the layout being edited as a layout file.
+-}
+port exportLayout : String -> Cmd msg
+
+
+{-| Port to open a file picker for a solution file.
+-}
+port importSolution : () -> Cmd msg
+
+
+{-| Port receiving the contents of the picked solution file.
+-}
+port solutionLoaded : (String -> msg) -> Sub msg
+
+
+{-| Port to open a file picker for a layout file.
+-}
+port importLayout : () -> Cmd msg
+
+
+{-| Port receiving the contents of the picked layout file.
+-}
+port layoutLoaded : (String -> msg) -> Sub msg
+
+
 
 -- MAIN
 
 
-main : Program (Maybe String) Model Msg
+main : Program Flags Model Msg
 main =
     Browser.element
         { init = init
@@ -68,6 +124,7 @@ type GameMode
     = Planning
     | Running
     | Paused
+    | Editing
 
 
 type alias Model =
@@ -77,44 +134,113 @@ type alias Model =
     , viewportSize : { width : Float, height : Float }
 
     -- Sawmill puzzle state
-    , turnoutState : SwitchState
+    , switchStates : SwitchStates
     , hoveredElement : Maybe ElementId
+    , reservations : Reservations
 
     -- Planning state
     , planningState : Planning.PlanningState
+    , catalog : Catalog
+
+    -- Why the stock catalog could not be loaded, if it could not
+    , catalogError : Maybe String
 
     -- Active trains
     , activeTrains : List ActiveTrain
+    , standingConsists : List StandingConsist
     , spawnedTrainIds : Set Int
     , timeMultiplier : Float
 
+    -- Game time not simulated yet, and the trains before the last step,
+    -- to draw the trains between steps
+    , pendingTime : Float
+    , previousTrains : List ActiveTrain
+
     -- Train info panel
     , selectedTrainId : Maybe Int
+
+    -- Outcome of the last solution import
+    , solutionMessage : Maybe String
+
+    -- The last dry run of the schedule, or the one under way, with the
+    -- schedule it was run for
+    , schedulePreview : Maybe { scheduledTrains : List ScheduledTrain, progress : Preview.Progress }
+
+    -- The puzzle being played, and how the week is going
+    , scenario : Scenario
+
+    -- The layout from the editor the scenario is played on, if it is not
+    -- played on its own layout
+    , playedLayout : Maybe LayoutDocument
+
+    -- A scenario picked while a game was under way, until the player
+    -- confirms that game can go
+    , scenarioToConfirm : Maybe ScenarioId
+    , goalLog : GoalLog
+
+    -- Passengers that got off at the platform to work at the mill
+    , millWorkers : Int
+
+    -- Layout editor state
+    , editorState : Editor.EditorState
+    }
+
+
+{-| The saved game as a raw JSON string, and the stock catalog.
+-}
+type alias Flags =
+    { savedState : Maybe String
+    , stockCatalog : Decode.Value
     }
 
 
-init : Maybe String -> ( Model, Cmd Msg )
-init maybeJson =
-    case maybeJson of
+init : Flags -> ( Model, Cmd Msg )
+init flags =
+    let
+        -- A broken catalog leaves the game with its built-in stock only,
+        -- and the planning panel says what is wrong with it
+        ( catalog, catalogError ) =
+            case Decode.decodeValue Catalog.decoder flags.stockCatalog of
+                Ok decoded ->
+                    ( decoded, Nothing )
+
+                Err error ->
+                    ( Catalog.empty, Just (Decode.errorToString error) )
+
+        withCatalogError loaded =
+            { loaded | catalogError = catalogError }
+    in
+    case flags.savedState of
         Just jsonString ->
             case Decode.decodeString Storage.decodeSavedState jsonString of
                 Ok saved ->
-                    ( restoreModel saved, Cmd.none )
+                    ( withCatalogError (restoreModel catalog saved), Cmd.none )
 
                 Err _ ->
-                    -- Corrupt data, start fresh
-                    ( defaultModel, Cmd.none )
+                    -- Corrupt or unsupported data: keep it aside, start fresh
+                    ( withCatalogError (defaultModel catalog), backupFailedSave jsonString )
 
         Nothing ->
-            ( defaultModel, Cmd.none )
+            ( withCatalogError (defaultModel catalog), Cmd.none )
 
 
 {-| Default model for first-time users or corrupt saved data.
 -}
-defaultModel : Model
-defaultModel =
+defaultModel : Catalog -> Model
+defaultModel catalog =
+    newGame catalog Scenario.default
+
+
+{-| A fresh game of the given scenario.
+-}
+newGame : Catalog -> Scenario -> Model
+newGame catalog scenario =
+    let
+        planning =
+            Planning.initPlanningState
+    in
     { mode = Planning
-    , gameTime = GameTime.fromHourMinute 6 0
+    , gameTime = startOfPlay
     , cameraState =
         { camera =
             { center = Vec2.vec2 -50 60
@@ -123,20 +249,51 @@ defaultModel =
         , dragState = Nothing
         }
     , viewportSize = { width = 800, height = 600 }
-    , turnoutState = Normal
+    , switchStates = Dict.empty
     , hoveredElement = Nothing
-    , planningState = Planning.initPlanningState
+    , reservations = Dict.empty
+    , planningState = { planning | inventories = Catalog.withCatalogStock catalog scenario.inventories }
+    , catalog = catalog
+    , catalogError = Nothing
     , activeTrains = []
+    , standingConsists = []
     , spawnedTrainIds = Set.empty
     , timeMultiplier = 1.0
+    , pendingTime = 0
+    , previousTrains = []
     , selectedTrainId = Nothing
+    , solutionMessage = Nothing
+    , schedulePreview = Nothing
+    , scenario = scenario
+    , playedLayout = Nothing
+    , scenarioToConfirm = Nothing
+    , goalLog = Goals.emptyLog
+    , millWorkers = 0
+    , editorState = Editor.initEditorState (Scenario.layoutDocument scenario)
     }
 
 
+{-| Time of day a new game starts.
+-}
+startOfPlay : GameTime
+startOfPlay =
+    GameTime.fromHourMinute 6 0
+
+
+{-| Whether starting over would lose anything: trains scheduled, or the
+clock started.
+-}
+gameUnderWay : Model -> Bool
+gameUnderWay model =
+    not (List.isEmpty model.planningState.scheduledTrains)
+        || not (Set.isEmpty model.spawnedTrainIds)
+        || (model.gameTime /= startOfPlay)
+
+
 {-| Restore model from saved state.
 -}
-restoreModel : Storage.SavedState -> Model
-restoreModel saved =
+restoreModel : Catalog -> Storage.SavedState -> Model
+restoreModel catalog saved =
     let
         mode =
             case saved.mode of
@@ -149,33 +306,84 @@ restoreModel saved =
                 _ ->
                     Planning
 
-        turnoutState =
-            case saved.turnoutState of
-                "Reverse" ->
-                    Reverse
+        switchStates =
+            saved.turnouts
+                |> List.map
+                    (\( elementId, state ) ->
+                        case state of
+                            "Reverse" ->
+                                ( elementId, Reverse )
 
-                _ ->
-                    Normal
+                            _ ->
+                                ( elementId, Normal )
+                    )
+                |> Dict.fromList
+
+        railway =
+            Scenario.railway scenario
 
-        -- Restore active trains by reconstructing routes
+        -- Put the trains and cuts back where they were on the track,
+        -- walking their routes again. Those the scenario's track has no
+        -- place for are left off it.
         activeTrains =
-            List.map
+            List.filterMap
                 (\t ->
-                    { id = t.id
-                    , consist = t.consist
-                    , position = t.position
-                    , speed = t.speed
-                    , route = Storage.routeForSpawnPoint t.spawnPoint turnoutState
-                    , spawnPoint = t.spawnPoint
-                    , program = []
-                    , programCounter = 0
-                    , trainState = WaitingForOrders
-                    , reverser = Programmer.Forward
-                    , waitTimer = 0
-                    }
+                    Route.routeAt railway.layout switchStates t.trackPosition
+                        |> Maybe.map
+                            (\( route, position ) ->
+                                { id = t.id
+                                , consist = t.consist
+                                , trackPosition = t.trackPosition
+                                , position = position
+                                , speed = t.speed
+                                , route = route
+                                , spawnPoint = t.spawnPoint
+                                , program = t.program
+                                , programCounter = t.programCounter
+                                , trainState = t.trainState
+                                , reverser = t.reverser
+                                , waitTimer = t.waitTimer
+                                , autoMoves = []
+                                , laps = 0
+                                }
+                            )
                 )
                 saved.activeTrains
 
+        standingConsists =
+            List.filterMap
+                (\cut ->
+                    Route.routeAt railway.layout switchStates cut.trackPosition
+                        |> Maybe.map
+                            (\( route, position ) ->
+                                { id = cut.id
+                                , consist = cut.consist
+                                , trackPosition = cut.trackPosition
+                                , position = position
+                                , route = route
+                                }
+                            )
+                )
+                saved.standingConsists
+
+        -- A layout file that no longer loads leaves the game on the
+        -- scenario's own layout
+        playedLayout =
+            saved.layoutFile
+                |> Maybe.andThen (LayoutFile.loadLayout >> Result.toMaybe)
+
+        scenario =
+            Scenario.idFromString saved.scenario
+                |> Maybe.map Scenario.byId
+                |> Maybe.withDefault Scenario.default
+                |> (case playedLayout of
+                        Just document ->
+                            Scenario.withLayoutDocument document
+
+                        Nothing ->
+                            identity
+                   )
+
         -- Restore planning state
         planningState =
             let
@@ -198,13 +406,29 @@ restoreModel saved =
         , dragState = Nothing
         }
     , viewportSize = { width = 800, height = 600 }
-    , turnoutState = turnoutState
+    , switchStates = switchStates
     , hoveredElement = Nothing
+
+    -- Not saved: trains claim their blocks again on the first tick
+    , reservations = Dict.empty
     , planningState = planningState
+    , catalog = catalog
+    , catalogError = Nothing
     , activeTrains = activeTrains
+    , standingConsists = standingConsists
     , spawnedTrainIds = Set.fromList saved.spawnedTrainIds
     , timeMultiplier = saved.timeMultiplier
+    , pendingTime = 0
+    , previousTrains = []
     , selectedTrainId = Nothing
+    , solutionMessage = Nothing
+    , schedulePreview = Nothing
+    , scenario = scenario
+    , playedLayout = playedLayout
+    , scenarioToConfirm = Nothing
+    , goalLog = saved.goalLog
+    , millWorkers = saved.millWorkers
+    , editorState = Editor.initEditorState (Scenario.layoutDocument scenario)
     }
 
 
@@ -225,6 +449,14 @@ type Msg
       -- Storage messages
     | SaveTick Time.Posix
     | ResetGame
+    | ExportSolution
+    | ImportSolution
+    | SolutionLoaded String
+    | PreviewSchedule
+    | PreviewContinued -- Run the next chunk of the dry run
+    | SelectScenario String
+    | StartScenario ScenarioId
+    | KeepScenario -- Don't switch to the scenario picked after all
       -- Planning panel messages
     | ClosePlanningPanel
     | SelectSpawnPoint SpawnPointId
@@ -252,10 +484,38 @@ type Msg
     | MoveOrderUp Int
     | MoveOrderDown Int
     | SelectProgramOrder Int
+    | ToggleAutoRoute
+    | SetWaitUntil GameTime
+    | SelectWaitForTrain Int
     | SaveProgram
       -- Train info panel messages
     | TrainClicked Int
     | DeselectTrain
+    | EmergencyStop Int
+    | TakeControl Int
+    | SetThrottle Int Float
+    | SetBrake Int Float
+    | SetTrainReverser Int Programmer.ReverserPosition
+    | ManualCouple Int
+    | ManualUncouple Int Int -- Train id, cars to keep
+    | ManualMoveTo Int Programmer.SpotId
+    | ResumeProgram Int Int -- Train id, 0-based step
+      -- Layout editor messages
+    | OpenEditor
+    | CloseEditor
+    | EditorPickTool Editor.Tool
+    | EditorConnectorClicked ( TrackElement.ElementId, TrackElement.ConnectorIndex )
+    | EditorElementClicked TrackElement.ElementId
+    | EditorCanvasDoubleClicked Float Float -- Screen x, y
+    | EditorRotate
+    | EditorDelete
+    | EditorSetSpotName String
+    | EditorClear
+    | EditorPlay
+    | PlayLayout LayoutDocument
+    | ExportLayout
+    | ImportLayout
+    | LayoutLoaded String
 
 
 update : Msg -> Model -> ( Model, Cmd Msg )
@@ -264,30 +524,34 @@ update msg model =
         Tick deltaMs ->
             if model.mode == Running then
                 let
-                    simState =
-                        { timeMultiplier = model.timeMultiplier
-                        , gameTime = model.gameTime
-                        , activeTrains = model.activeTrains
-                        , spawnedTrainIds = model.spawnedTrainIds
-                        , scheduledTrains = model.planningState.scheduledTrains
-                        , inventories = model.planningState.inventories
-                        , turnoutState = model.turnoutState
-                        , selectedTrainId = model.selectedTrainId
-                        }
-
                     result =
-                        Simulation.tick deltaMs simState
+                        Simulation.tick deltaMs (simState model)
+
+                    -- The scenario ends with the week
+                    newMode =
+                        if Goals.isWeekOver result.gameTime then
+                            Paused
+
+                        else
+                            Running
 
                     planning =
                         model.planningState
                 in
                 ( { model
-                    | gameTime = result.gameTime
+                    | mode = newMode
+                    , gameTime = result.gameTime
                     , activeTrains = result.activeTrains
+                    , standingConsists = result.standingConsists
                     , spawnedTrainIds = result.spawnedTrainIds
                     , planningState = { planning | inventories = result.inventories }
-                    , turnoutState = result.turnoutState
+                    , switchStates = result.switchStates
+                    , reservations = result.reservations
                     , selectedTrainId = result.selectedTrainId
+                    , goalLog = result.goalLog
+                    , millWorkers = result.millWorkers
+                    , pendingTime = result.pendingTime
+                    , previousTrains = result.previousTrains
                   }
                 , Cmd.none
                 )
@@ -306,7 +570,14 @@ update msg model =
                             Paused
 
                         Paused ->
-                            Running
+                            if Goals.isWeekOver model.gameTime then
+                                Paused
+
+                            else
+                                Running
+
+                        Editing ->
+                            Editing
             in
             ( { model | mode = newMode }, Cmd.none )
 
@@ -321,43 +592,38 @@ update msg model =
 
         ElementClicked elementId ->
             case elementId of
-                TurnoutId ->
-                    let
-                        newState =
-                            case model.turnoutState of
-                                Normal ->
-                                    Reverse
+                TurnoutId turnoutId ->
+                    if Interlocking.turnoutLocked turnoutId model.activeTrains model.standingConsists then
+                        -- Locked while a train or cars stand on it
+                        ( model, Cmd.none )
 
-                                Reverse ->
-                                    Normal
+                    else
+                        let
+                            newState =
+                                case Layout.switchStateOf turnoutId model.switchStates of
+                                    Normal ->
+                                        Reverse
 
-                        rebuiltTrains =
-                            List.map (Simulation.rebuildIfBeforeTurnout newState) model.activeTrains
-                    in
-                    ( { model | turnoutState = newState, activeTrains = rebuiltTrains }, Cmd.none )
+                                    Reverse ->
+                                        Normal
 
-                TunnelPortalId ->
-                    -- Open planning panel with West Station selected (left/west portal)
-                    let
-                        planning =
-                            model.planningState
-                    in
-                    ( { model
-                        | mode = Planning
-                        , planningState = { planning | selectedSpawnPoint = WestStation }
-                      }
-                    , Cmd.none
-                    )
+                            newSwitchStates =
+                                Layout.setSwitchState turnoutId newState model.switchStates
 
-                WestTunnelPortalId ->
-                    -- Open planning panel with East Station selected (right/east portal)
+                            reroutedTrains =
+                                List.map (Simulation.rerouteTrain model.scenario.layout newSwitchStates) model.activeTrains
+                        in
+                        ( { model | switchStates = newSwitchStates, activeTrains = reroutedTrains }, Cmd.none )
+
+                PortalId spawnPoint ->
+                    -- Open the planning panel on the station the portal leads to
                     let
                         planning =
                             model.planningState
                     in
                     ( { model
                         | mode = Planning
-                        , planningState = { planning | selectedSpawnPoint = EastStation }
+                        , planningState = { planning | selectedSpawnPoint = spawnPoint }
                       }
                     , Cmd.none
                     )
@@ -451,7 +717,7 @@ update msg model =
                 newItems =
                     List.indexedMap
                         (\i item ->
-                            if i == index && item.stockType == Locomotive then
+                            if i == index && isPowered item.stockType then
                                 { item | reversed = not item.reversed }
 
                             else
@@ -577,6 +843,15 @@ update msg model =
         SelectProgramOrder index ->
             ( { model | planningState = Programmer.Update.selectProgramOrder index model.planningState }, Cmd.none )
 
+        ToggleAutoRoute ->
+            ( { model | planningState = Programmer.Update.toggleAutoRoute model.planningState }, Cmd.none )
+
+        SetWaitUntil timeOfDay ->
+            ( { model | planningState = Programmer.Update.setWaitUntil timeOfDay model.planningState }, Cmd.none )
+
+        SelectWaitForTrain otherId ->
+            ( { model | planningState = Programmer.Update.selectWaitForTrain otherId model.planningState }, Cmd.none )
+
         SaveProgram ->
             ( { model | planningState = Programmer.Update.saveProgram model.planningState }, Cmd.none )
 
@@ -586,12 +861,268 @@ update msg model =
         DeselectTrain ->
             ( { model | selectedTrainId = Nothing }, Cmd.none )
 
+        EmergencyStop trainId ->
+            ( driveTrain trainId Manual.emergencyStop model, Cmd.none )
+
+        TakeControl trainId ->
+            ( driveTrain trainId Manual.takeControl model, Cmd.none )
+
+        SetThrottle trainId throttle ->
+            ( driveTrain trainId (Manual.setThrottle throttle) model, Cmd.none )
+
+        SetBrake trainId brake ->
+            ( driveTrain trainId (Manual.setBrake brake) model, Cmd.none )
+
+        SetTrainReverser trainId position ->
+            ( driveTrain trainId (Manual.setReverser position) model, Cmd.none )
+
+        ManualCouple trainId ->
+            ( driveTrain trainId Manual.couple model, Cmd.none )
+
+        ManualUncouple trainId keep ->
+            ( driveTrain trainId (Manual.uncouple keep) model, Cmd.none )
+
+        ManualMoveTo trainId spot ->
+            ( driveTrain trainId (Manual.moveTo (Scenario.railway model.scenario) spot) model, Cmd.none )
+
+        ResumeProgram trainId step ->
+            ( driveTrain trainId (Manual.resumeProgram step) model, Cmd.none )
+
+        OpenEditor ->
+            ( { model | mode = Editing, selectedTrainId = Nothing }, Cmd.none )
+
+        CloseEditor ->
+            ( { model | mode = Paused }, Cmd.none )
+
+        EditorPickTool tool ->
+            ( { model | editorState = Editor.Update.pickTool tool model.editorState }, Cmd.none )
+
+        EditorConnectorClicked end ->
+            ( { model | editorState = Editor.Update.clickConnector end model.editorState }, Cmd.none )
+
+        EditorElementClicked elementId ->
+            ( { model | editorState = Editor.Update.clickElement elementId model.editorState }, Cmd.none )
+
+        EditorCanvasDoubleClicked screenX screenY ->
+            let
+                worldPos =
+                    Camera.screenToWorld model.viewportSize model.cameraState.camera screenX screenY
+            in
+            ( { model | editorState = Editor.Update.placeAt worldPos model.editorState }, Cmd.none )
+
+        EditorRotate ->
+            ( { model | editorState = Editor.Update.rotateSelected model.editorState }, Cmd.none )
+
+        EditorDelete ->
+            ( { model | editorState = Editor.Update.deleteSelected model.editorState }, Cmd.none )
+
+        EditorSetSpotName name ->
+            ( { model | editorState = Editor.Update.setSpotName name model.editorState }, Cmd.none )
+
+        EditorClear ->
+            ( { model | editorState = Editor.Update.clearLayout model.editorState }, Cmd.none )
+
+        EditorPlay ->
+            case Editor.Update.playableDocument model.editorState of
+                Ok document ->
+                    update (PlayLayout document) model
+
+                Err problems ->
+                    ( { model | editorState = Editor.Update.cannotPlay problems model.editorState }, Cmd.none )
+
+        PlayLayout document ->
+            let
+                fresh =
+                    newGame model.catalog (Scenario.withLayoutDocument document (Scenario.byId model.scenario.id))
+            in
+            ( { fresh
+                | cameraState = model.cameraState
+                , viewportSize = model.viewportSize
+                , catalogError = model.catalogError
+                , playedLayout = Just document
+                , editorState = model.editorState
+              }
+            , Cmd.none
+            )
+
+        ExportLayout ->
+            ( model
+            , exportLayout (Encode.encode 2 (LayoutFile.encodeLayoutDocument model.editorState.document))
+            )
+
+        ImportLayout ->
+            ( model, importLayout () )
+
+        LayoutLoaded json ->
+            ( { model | editorState = Editor.Update.loadDocument (LayoutFile.loadLayout json) model.editorState }
+            , Cmd.none
+            )
+
         SaveTick _ ->
             ( model, saveToStorage (Encode.encode 0 (extractSavedState model)) )
 
         ResetGame ->
             ( model, clearStorage () )
 
+        SelectScenario idString ->
+            case Scenario.idFromString idString of
+                Just scenarioId ->
+                    if gameUnderWay model then
+                        ( { model | scenarioToConfirm = Just scenarioId }, Cmd.none )
+
+                    else
+                        update (StartScenario scenarioId) model
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+        StartScenario scenarioId ->
+            let
+                fresh =
+                    newGame model.catalog (Scenario.byId scenarioId)
+            in
+            ( { fresh
+                | cameraState = model.cameraState
+                , viewportSize = model.viewportSize
+                , catalogError = model.catalogError
+              }
+            , Cmd.none
+            )
+
+        KeepScenario ->
+            ( { model | scenarioToConfirm = Nothing }, Cmd.none )
+
+        ExportSolution ->
+            ( model
+            , exportSolution (Encode.encode 2 (Solution.encodeSolution model.planningState.scheduledTrains))
+            )
+
+        ImportSolution ->
+            ( model, importSolution () )
+
+        SolutionLoaded json ->
+            if not (Set.isEmpty model.spawnedTrainIds) then
+                ( { model | solutionMessage = Just "Solutions can only be loaded before the first train departs" }
+                , Cmd.none
+                )
+
+            else
+                case Decode.decodeString Solution.decodeSolution json of
+                    Err error ->
+                        ( { model | solutionMessage = Just (Solution.errorMessage error) }, Cmd.none )
+
+                    Ok trains ->
+                        case Solution.applySolution model.scenario (Catalog.withCatalogStock model.catalog model.scenario.inventories) trains model.planningState of
+                            Ok planning ->
+                                ( { model
+                                    | planningState = planning
+                                    , solutionMessage = Just ("Loaded " ++ String.fromInt (List.length trains) ++ " scheduled trains")
+                                  }
+                                , Cmd.none
+                                )
+
+                            Err reason ->
+                                ( { model | solutionMessage = Just reason }, Cmd.none )
+
+        PreviewSchedule ->
+            let
+                -- A dry run under way goes on with the new one
+                underWay =
+                    case Maybe.map (.progress >> Preview.result) model.schedulePreview of
+                        Just Nothing ->
+                            True
+
+                        _ ->
+                            False
+            in
+            ( { model
+                | schedulePreview =
+                    Just
+                        { scheduledTrains = model.planningState.scheduledTrains
+                        , progress = Preview.start (simState model)
+                        }
+              }
+            , if underWay then
+                Cmd.none
+
+              else
+                continuePreview
+            )
+
+        PreviewContinued ->
+            case model.schedulePreview of
+                Just preview ->
+                    if preview.scheduledTrains /= model.planningState.scheduledTrains then
+                        -- The schedule has changed since: drop the dry run
+                        ( { model | schedulePreview = Nothing }, Cmd.none )
+
+                    else
+                        let
+                            progress =
+                                Preview.continue preview.progress
+                        in
+                        ( { model | schedulePreview = Just { preview | progress = progress } }
+                        , case Preview.result progress of
+                            Just _ ->
+                                Cmd.none
+
+                            Nothing ->
+                                continuePreview
+                        )
+
+                Nothing ->
+                    ( model, Cmd.none )
+
+
+{-| Run the next chunk of the dry run once the page has had a chance to show
+how far it has got.
+-}
+continuePreview : Cmd Msg
+continuePreview =
+    Task.perform (\_ -> PreviewContinued) (Process.sleep 0)
+
+
+{-| The world as the simulation sees it.
+-}
+simState : Model -> Simulation.SimState
+simState model =
+    { railway = Scenario.railway model.scenario
+    , timeMultiplier = model.timeMultiplier
+    , gameTime = model.gameTime
+    , activeTrains = model.activeTrains
+    , standingConsists = model.standingConsists
+    , spawnedTrainIds = model.spawnedTrainIds
+    , scheduledTrains = model.planningState.scheduledTrains
+    , timetable = model.scenario.timetable
+    , inventories = model.planningState.inventories
+    , switchStates = model.switchStates
+    , reservations = model.reservations
+    , selectedTrainId = model.selectedTrainId
+    , goals = model.scenario.goals
+    , goalLog = model.goalLog
+    , millWorkers = model.millWorkers
+    , pendingTime = model.pendingTime
+    , previousTrains = model.previousTrains
+    }
+
+
+{-| Work the controls of one of the active trains.
+-}
+driveTrain : Int -> (ActiveTrain -> ActiveTrain) -> Model -> Model
+driveTrain trainId control model =
+    { model
+        | activeTrains =
+            List.map
+                (\train ->
+                    if train.id == trainId then
+                        control train
+
+                    else
+                        train
+                )
+                model.activeTrains
+    }
+
 
 
 -- STORAGE HELPERS
@@ -613,13 +1144,22 @@ extractSavedState model =
                 Paused ->
                     "Paused"
 
-        turnoutString =
-            case model.turnoutState of
-                Normal ->
-                    "Normal"
+                -- The edited layout isn't saved with the game
+                Editing ->
+                    "Paused"
 
-                Reverse ->
-                    "Reverse"
+        savedTurnouts =
+            model.switchStates
+                |> Dict.toList
+                |> List.map
+                    (\( elementId, state ) ->
+                        case state of
+                            Normal ->
+                                ( elementId, "Normal" )
+
+                            Reverse ->
+                                ( elementId, "Reverse" )
+                    )
 
         -- Filter out trains that are exiting (position > route length)
         validTrains =
@@ -631,19 +1171,29 @@ extractSavedState model =
                 (\t ->
                     { id = t.id
                     , consist = t.consist
-                    , position = t.position
+                    , trackPosition = t.trackPosition
                     , speed = t.speed
                     , spawnPoint = t.spawnPoint
+                    , program = t.program
+                    , programCounter = t.programCounter
+                    , trainState = t.trainState
+                    , reverser = t.reverser
+                    , waitTimer = t.waitTimer
                     }
                 )
                 validTrains
 
         savedState : Storage.SavedState
         savedState =
-            { gameTime = model.gameTime
+            { scenario = Scenario.idToString model.scenario.id
+            , gameTime = model.gameTime
             , mode = modeString
-            , turnoutState = turnoutString
+            , turnouts = savedTurnouts
             , activeTrains = savedTrains
+            , standingConsists =
+                List.map
+                    (\cut -> { id = cut.id, consist = cut.consist, trackPosition = cut.trackPosition })
+                    model.standingConsists
             , spawnedTrainIds = Set.toList model.spawnedTrainIds
             , scheduledTrains = model.planningState.scheduledTrains
             , inventories = model.planningState.inventories
@@ -652,6 +1202,9 @@ extractSavedState model =
             , cameraY = model.cameraState.camera.center.y
             , cameraZoom = model.cameraState.camera.zoom
             , timeMultiplier = model.timeMultiplier
+            , goalLog = model.goalLog
+            , millWorkers = model.millWorkers
+            , layoutFile = Maybe.map (LayoutFile.encodeLayoutDocument >> Encode.encode 0) model.playedLayout
             }
     in
     Storage.encodeSavedState savedState
@@ -666,6 +1219,12 @@ subscriptions model =
         [ -- Save every second
           Time.every 1000 SaveTick
 
+        -- Solution file picked for import
+        , solutionLoaded SolutionLoaded
+
+        -- Layout file picked in the editor
+        , layoutLoaded LayoutLoaded
+
         -- Animation when running
         , if model.mode == Running then
             Browser.Events.onAnimationFrameDelta Tick
@@ -689,6 +1248,11 @@ view model =
         ]
         [ viewHeader model
         , viewMainContent model
+        , if Goals.isWeekOver model.gameTime then
+            viewWeeklySummary model
+
+          else
+            text ""
         ]
 
 
@@ -705,6 +1269,27 @@ viewMainContent model =
                 , viewRightPanel model
                 ]
 
+        Editing ->
+            div
+                [ style "display" "flex"
+                , style "flex" "1"
+                , style "overflow" "hidden"
+                ]
+                [ div [ style "flex" "1" ] [ viewCanvas model ]
+                , EditorView.viewEditorPanel
+                    { editor = model.editorState
+                    , onPickTool = EditorPickTool
+                    , onRotate = EditorRotate
+                    , onDelete = EditorDelete
+                    , onSetSpotName = EditorSetSpotName
+                    , onClear = EditorClear
+                    , onSave = ExportLayout
+                    , onOpen = ImportLayout
+                    , onPlay = EditorPlay
+                    , onClose = CloseEditor
+                    }
+                ]
+
         _ ->
             case model.selectedTrainId of
                 Just trainId ->
@@ -744,6 +1329,23 @@ viewRightPanel model =
                 , onSelectTrain = SelectScheduledTrain
                 , onOpenProgrammer = OpenProgrammer
                 , onReset = ResetGame
+                , onExportSolution = ExportSolution
+                , onImportSolution = ImportSolution
+                , solutionMessage = model.solutionMessage
+                , catalogError = model.catalogError
+                , onPreview = PreviewSchedule
+                , preview =
+                    case model.schedulePreview of
+                        Just preview ->
+                            if preview.scheduledTrains == model.planningState.scheduledTrains then
+                                Just preview.progress
+
+                            else
+                                Nothing
+
+                        Nothing ->
+                            Nothing
+                , scenario = model.scenario
                 , onConsistDragStart = ConsistDragStart
                 , onConsistDragMove = ConsistDragMove
                 , onConsistDragEnd = ConsistDragEnd
@@ -755,6 +1357,7 @@ viewRightPanel model =
                     ProgrammerView.viewProgrammerPanel
                         { state = progState
                         , trainId = trainId
+                        , railway = Scenario.railway model.scenario
                         , onBack = CloseProgrammer
                         , onSave = SaveProgram
                         , onAddOrder = AddOrder
@@ -762,6 +1365,25 @@ viewRightPanel model =
                         , onMoveOrderUp = MoveOrderUp
                         , onMoveOrderDown = MoveOrderDown
                         , onSelectOrder = SelectProgramOrder
+                        , onToggleAutoRoute = ToggleAutoRoute
+                        , onSetWaitUntil = SetWaitUntil
+                        , onSelectWaitForTrain = SelectWaitForTrain
+                        , otherTrains =
+                            (model.planningState.scheduledTrains ++ model.scenario.timetable)
+                                |> List.map .id
+                                |> List.filter ((/=) trainId)
+                        , plannedMoves =
+                            Pathfinding.preview (Scenario.railway model.scenario)
+                                model.switchStates
+                                model.planningState.selectedSpawnPoint
+                                model.planningState.consistBuilder.items
+                                progState.program
+                        , problems =
+                            Analysis.analyze (Scenario.railway model.scenario)
+                                model.switchStates
+                                model.planningState.selectedSpawnPoint
+                                model.planningState.consistBuilder.items
+                                progState.program
                         }
 
                 Nothing ->
@@ -788,6 +1410,9 @@ viewTrainInfoPanel model trainId =
                         Stopped reason ->
                             "Stopped: " ++ reason
 
+                        Manual _ ->
+                            "Manual control"
+
                 currentOrder =
                     if List.isEmpty train.program then
                         "No program"
@@ -872,11 +1497,24 @@ viewTrainInfoPanel model trainId =
                                         , style "margin-bottom" "2px"
                                         , style "font-size" "14px"
                                         ]
-                                        [ text (String.fromInt (i + 1) ++ ". " ++ Planning.stockTypeName item.stockType) ]
+                                        [ text (String.fromInt (i + 1) ++ ". " ++ Planning.stockTypeName item.stockType)
+                                        , case Loading.describeLoad item of
+                                            Just load ->
+                                                span [ style "color" "#888", style "margin-left" "8px" ] [ text load ]
+
+                                            Nothing ->
+                                                text ""
+                                        ]
                                 )
                                 train.consist
                             )
                         ]
+                    , if List.any (\t -> t.id == trainId) model.scenario.timetable then
+                        -- Timetable trains aren't the player's to drive
+                        text ""
+
+                      else
+                        viewDriverControls train
                     ]
                 ]
 
@@ -884,6 +1522,305 @@ viewTrainInfoPanel model trainId =
             text ""
 
 
+{-| The driver's controls of a player's train: the emergency stop while it
+runs its program, taking over once it waits or was stopped, and the
+throttle, brake, reverser and the rest under manual control.
+-}
+viewDriverControls : ActiveTrain -> Html Msg
+viewDriverControls train =
+    let
+        controlButton testId isActive isDisabled msg label =
+            button
+                [ onClick msg
+                , disabled isDisabled
+                , Html.Attributes.attribute "data-testid" testId
+                , style "background"
+                    (if isActive then
+                        "#4a9eff"
+
+                     else
+                        "#3a3a5a"
+                    )
+                , style "color"
+                    (if isActive then
+                        "#000"
+
+                     else
+                        "#e0e0e0"
+                    )
+                , style "border" "none"
+                , style "padding" "6px 10px"
+                , style "border-radius" "4px"
+                , style "cursor"
+                    (if isDisabled then
+                        "not-allowed"
+
+                     else
+                        "pointer"
+                    )
+                , style "opacity"
+                    (if isDisabled then
+                        "0.5"
+
+                     else
+                        "1"
+                    )
+                , style "font-size" "13px"
+                ]
+                [ text label ]
+
+        controlRow labelText controls =
+            div [ style "margin-bottom" "12px" ]
+                [ div
+                    [ style "font-size" "12px"
+                    , style "color" "#888"
+                    , style "margin-bottom" "4px"
+                    ]
+                    [ text labelText ]
+                , div [ style "display" "flex", style "flex-wrap" "wrap", style "gap" "4px" ] controls
+                ]
+
+        notches name current msg =
+            List.map
+                (\percent ->
+                    let
+                        setting =
+                            toFloat percent / 100
+                    in
+                    controlButton (name ++ "-" ++ String.fromInt percent)
+                        (setting == current)
+                        False
+                        (msg train.id setting)
+                        (String.fromInt percent ++ "%")
+                )
+                [ 0, 25, 50, 75, 100 ]
+
+        standing =
+            train.speed == 0
+
+        slug spot =
+            String.replace " " "-" (String.toLower (Programmer.spotName spot))
+
+        bigButton testId color msg label =
+            button
+                [ onClick msg
+                , Html.Attributes.attribute "data-testid" testId
+                , style "width" "100%"
+                , style "background" color
+                , style "border" "none"
+                , style "color" "#fff"
+                , style "padding" "10px"
+                , style "border-radius" "4px"
+                , style "cursor" "pointer"
+                , style "font-size" "14px"
+                , style "font-weight" "bold"
+                ]
+                [ text label ]
+    in
+    case train.trainState of
+        Executing ->
+            bigButton "emergency-stop" "#c62828" (EmergencyStop train.id) "Emergency stop"
+
+        Manual controls ->
+            div [ Html.Attributes.attribute "data-testid" "manual-controls" ]
+                [ if controls.emergency then
+                    bigButton "emergency-stop" "#c62828" (EmergencyStop train.id) "Emergency brake on"
+
+                  else
+                    bigButton "emergency-stop" "#8e2424" (EmergencyStop train.id) "Emergency stop"
+                , div [ style "height" "12px" ] []
+                , controlRow "THROTTLE" (notches "throttle" controls.throttle SetThrottle)
+                , controlRow "BRAKE" (notches "brake" controls.brake SetBrake)
+                , controlRow "REVERSER"
+                    [ controlButton "reverser-forward"
+                        (train.reverser == Programmer.Forward)
+                        (not standing)
+                        (SetTrainReverser train.id Programmer.Forward)
+                        "Forward"
+                    , controlButton "reverser-reverse"
+                        (train.reverser == Programmer.Reverse)
+                        (not standing)
+                        (SetTrainReverser train.id Programmer.Reverse)
+                        "Reverse"
+                    ]
+                , controlRow "COUPLING"
+                    (controlButton "manual-couple" False (not standing) (ManualCouple train.id) "Couple"
+                        :: List.map
+                            (\keep ->
+                                controlButton ("manual-uncouple-" ++ String.fromInt keep)
+                                    False
+                                    (not standing)
+                                    (ManualUncouple train.id keep)
+                                    ("Keep " ++ String.fromInt keep)
+                            )
+                            (List.range 1 (List.length train.consist - 1))
+                    )
+                , controlRow "MOVE TO"
+                    (List.map
+                        (\spot ->
+                            controlButton ("move-to-" ++ slug spot)
+                                False
+                                (not standing)
+                                (ManualMoveTo train.id spot)
+                                (Programmer.spotName spot)
+                        )
+                        (Manual.reachableSpots (Scenario.railway model.scenario) train)
+                    )
+                , if List.isEmpty train.program then
+                    text ""
+
+                  else
+                    controlRow "RESUME PROGRAM FROM"
+                        (List.indexedMap
+                            (\step order ->
+                                controlButton ("resume-step-" ++ String.fromInt (step + 1))
+                                    False
+                                    (not standing)
+                                    (ResumeProgram train.id step)
+                                    (String.fromInt (step + 1) ++ ". " ++ Programmer.orderDescription order)
+                            )
+                            train.program
+                        )
+                , case controls.moves of
+                    move :: _ ->
+                        div [ style "font-size" "13px", style "color" "#888" ]
+                            [ text ("Doing: " ++ Programmer.orderDescription move) ]
+
+                    [] ->
+                        text ""
+                , case controls.message of
+                    Just message ->
+                        div
+                            [ Html.Attributes.attribute "data-testid" "driver-message"
+                            , style "font-size" "13px"
+                            , style "color" "#ffb74d"
+                            , style "margin-top" "8px"
+                            ]
+                            [ text message ]
+
+                    Nothing ->
+                        text ""
+                ]
+
+        _ ->
+            bigButton "take-control" "#3a3a5a" (TakeControl train.id) "Take control"
+
+
+{-| End-of-week report: each goal's outcome per weekday, the week's
+totals, the incidents and the score.
+-}
+viewWeeklySummary : Model -> Html Msg
+viewWeeklySummary model =
+    let
+        summary =
+            Goals.summarize model.goalLog
+
+        cell content color =
+            Html.td
+                [ style "padding" "4px 8px"
+                , style "text-align" "center"
+                , style "color" color
+                ]
+                [ text content ]
+
+        outcomeCell goalIndex day =
+            case Goals.outcomeFor day goalIndex model.goalLog of
+                Just OnTime ->
+                    cell "✓" "#4aff6a"
+
+                Just (Late seconds) ->
+                    cell ("+" ++ String.fromInt (round (seconds / 60)) ++ "m") "#ffaa4a"
+
+                Just Missed ->
+                    cell "✗" "#ff4a4a"
+
+                Nothing ->
+                    cell "–" "#888"
+
+        goalRow goalIndex goal =
+            Html.tr []
+                (Html.td [ style "padding" "4px 8px" ] [ text (Goals.describe (Scenario.spawnPointName model.scenario) goal) ]
+                    :: List.map (outcomeCell goalIndex) (List.range 0 4)
+                )
+
+        totalRow labelText valueText =
+            div [ style "display" "flex", style "justify-content" "space-between" ]
+                [ span [ style "color" "#888" ] [ text labelText ]
+                , span [] [ text valueText ]
+                ]
+
+        incidentRow incident =
+            div [ style "font-size" "12px", style "color" "#ff8a8a" ]
+                [ text
+                    (GameTime.formatDayTime incident.time
+                        ++ " Train "
+                        ++ String.fromInt incident.trainId
+                        ++ ": "
+                        ++ incident.description
+                    )
+                ]
+    in
+    div
+        [ Html.Attributes.attribute "data-testid" "weekly-summary"
+        , style "position" "fixed"
+        , style "top" "50%"
+        , style "left" "50%"
+        , style "transform" "translate(-50%, -50%)"
+        , style "background" "#1a1a2e"
+        , style "border" "2px solid #4a9eff"
+        , style "border-radius" "8px"
+        , style "padding" "20px"
+        , style "color" "#e0e0e0"
+        , style "font-family" "sans-serif"
+        , style "max-height" "80%"
+        , style "overflow-y" "auto"
+        ]
+        [ div [ style "font-size" "18px", style "font-weight" "bold", style "margin-bottom" "12px" ]
+            [ text ("Week complete: " ++ model.scenario.name) ]
+        , Html.table [ style "border-collapse" "collapse", style "font-size" "13px", style "margin-bottom" "12px" ]
+            (Html.tr []
+                (Html.th [] []
+                    :: List.map
+                        (\day -> Html.th [ style "padding" "4px 8px", style "color" "#888" ] [ text (GameTime.dayName day) ])
+                        (List.range 0 4)
+                )
+                :: List.indexedMap goalRow model.scenario.goals
+            )
+        , div [ style "font-size" "14px", style "margin-bottom" "12px" ]
+            [ totalRow "On time" (String.fromInt summary.onTime)
+            , totalRow "Late" (String.fromInt summary.late)
+            , totalRow "Missed" (String.fromInt summary.missed)
+            , totalRow "Total delay" (String.fromInt (round (summary.totalDelay / 60)) ++ " min")
+            , totalRow "Incidents" (String.fromInt summary.incidents)
+            ]
+        , div [ style "margin-bottom" "12px" ] (List.map incidentRow model.goalLog.incidents)
+        , div
+            [ Html.Attributes.attribute "data-testid" "weekly-score"
+            , style "font-size" "20px"
+            , style "font-weight" "bold"
+            , style "margin-bottom" "12px"
+            ]
+            [ text ("Score: " ++ String.fromInt summary.score) ]
+        , button
+            [ onClick
+                (case model.playedLayout of
+                    Just document ->
+                        PlayLayout document
+
+                    Nothing ->
+                        StartScenario model.scenario.id
+                )
+            , style "background" "#4a9eff"
+            , style "color" "#000"
+            , style "border" "none"
+            , style "padding" "8px 16px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            ]
+            [ text "Play Again" ]
+        ]
+
+
 viewHeader : Model -> Html Msg
 viewHeader model =
     div
@@ -895,8 +1832,12 @@ viewHeader model =
         , style "align-items" "center"
         , style "font-family" "monospace"
         ]
-        [ div []
-            [ text "Railroad Switching Puzzle - Sawmill" ]
+        [ div [ style "display" "flex", style "gap" "12px", style "align-items" "center" ]
+            [ text "Railroad Switching Puzzle"
+            , viewScenarioSelector model.scenario model.scenarioToConfirm
+            , viewScenarioConfirmation model.scenarioToConfirm
+            , viewEditorButton model.mode
+            ]
         , div [ style "display" "flex", style "gap" "20px", style "align-items" "center" ]
             [ viewGameTime model.gameTime
             , viewSpeedControls model.timeMultiplier
@@ -906,6 +1847,107 @@ viewHeader model =
         ]
 
 
+{-| Scenario menu. Picking a scenario starts a fresh game of it, once the
+player has confirmed a game under way can go.
+-}
+viewScenarioSelector : Scenario -> Maybe ScenarioId -> Html Msg
+viewScenarioSelector current toConfirm =
+    let
+        shown =
+            Maybe.withDefault current.id toConfirm
+    in
+    select
+        [ onInput SelectScenario
+        , Html.Attributes.attribute "data-testid" "scenario-selector"
+        , Html.Attributes.title current.description
+        , style "background" "#333"
+        , style "color" "#e0e0e0"
+        , style "border" "1px solid #555"
+        , style "padding" "4px 8px"
+        , style "border-radius" "4px"
+        , style "font-family" "monospace"
+        ]
+        (List.map
+            (\scenario ->
+                option
+                    [ value (Scenario.idToString scenario.id)
+                    , selected (scenario.id == shown)
+                    ]
+                    [ text scenario.name ]
+            )
+            Scenario.all
+        )
+
+
+{-| Asks whether to give up the game under way for the scenario picked.
+-}
+viewScenarioConfirmation : Maybe ScenarioId -> Html Msg
+viewScenarioConfirmation toConfirm =
+    case toConfirm of
+        Just scenarioId ->
+            div
+                [ Html.Attributes.attribute "data-testid" "scenario-confirmation"
+                , style "display" "flex"
+                , style "gap" "8px"
+                , style "align-items" "center"
+                ]
+                [ text "Abandon the current game?"
+                , button
+                    [ onClick (StartScenario scenarioId)
+                    , Html.Attributes.attribute "data-testid" "confirm-scenario"
+                    , style "background" "#4a3030"
+                    , style "color" "#e0e0e0"
+                    , style "border" "1px solid #6a4040"
+                    , style "padding" "4px 8px"
+                    , style "border-radius" "4px"
+                    , style "cursor" "pointer"
+                    , style "font-family" "monospace"
+                    ]
+                    [ text "Switch" ]
+                , button
+                    [ onClick KeepScenario
+                    , Html.Attributes.attribute "data-testid" "keep-scenario"
+                    , style "background" "#333"
+                    , style "color" "#e0e0e0"
+                    , style "border" "1px solid #555"
+                    , style "padding" "4px 8px"
+                    , style "border-radius" "4px"
+                    , style "cursor" "pointer"
+                    , style "font-family" "monospace"
+                    ]
+                    [ text "Keep Playing" ]
+                ]
+
+        Nothing ->
+            text ""
+
+
+{-| Switch between the game and the layout editor.
+-}
+viewEditorButton : GameMode -> Html Msg
+viewEditorButton mode =
+    let
+        ( label, msg ) =
+            if mode == Editing then
+                ( "Back to Game", CloseEditor )
+
+            else
+                ( "Edit Layout", OpenEditor )
+    in
+    button
+        [ onClick msg
+        , Html.Attributes.attribute "data-testid" "layout-editor-button"
+        , style "background" "#333"
+        , style "color" "#e0e0e0"
+        , style "border" "1px solid #555"
+        , style "padding" "4px 8px"
+        , style "border-radius" "4px"
+        , style "cursor" "pointer"
+        , style "font-family" "monospace"
+        ]
+        [ text label ]
+
+
 viewPlayPauseButton : GameMode -> Html Msg
 viewPlayPauseButton mode =
     let
@@ -919,6 +1961,9 @@ viewPlayPauseButton mode =
 
                 Paused ->
                     ( "Start", "#4aff6a", False )
+
+                Editing ->
+                    ( "Start", "#666", True )
     in
     button
         [ onClick TogglePlayPause
@@ -1029,6 +2074,9 @@ viewModeIndicator mode =
 
                 Paused ->
                     ( "PAUSED", "#ffaa4a" )
+
+                Editing ->
+                    ( "EDITOR", "#c08aff" )
     in
     div
         [ Html.Attributes.attribute "data-testid" "mode-indicator"
@@ -1053,7 +2101,7 @@ viewCanvas model =
                 Just elemId ->
                     let
                         maybeElem =
-                            Layout.interactiveElements model.turnoutState
+                            Layout.interactiveElements (Scenario.spawnPointName model.scenario) (Scenario.railway model.scenario) model.switchStates
                                 |> List.filter (\e -> e.id == elemId)
                                 |> List.head
                     in
@@ -1065,14 +2113,63 @@ viewCanvas model =
                                     Vec2.vec2
                                         (elem.bounds.x + elem.bounds.width)
                                         (elem.bounds.y + elem.bounds.height / 2)
+
+                                tooltipText =
+                                    case elem.id of
+                                        TurnoutId turnoutId ->
+                                            if Interlocking.turnoutLocked turnoutId model.activeTrains model.standingConsists then
+                                                elem.tooltip ++ " - locked, track occupied"
+
+                                            else
+                                                elem.tooltip
+
+                                        _ ->
+                                            elem.tooltip
                             in
-                            SawmillView.viewTooltip tooltipPos elem.tooltip
+                            SawmillView.viewTooltip tooltipPos tooltipText
 
                         Nothing ->
                             Svg.g [] []
 
                 Nothing ->
                     Svg.g [] []
+
+        -- The layout being edited, or the game on the scenario's layout
+        content =
+            if model.mode == Editing then
+                [ EditorView.viewLayout
+                    { editor = model.editorState
+                    , onConnectorClick = EditorConnectorClicked
+                    , onElementClick = EditorElementClicked
+                    , noop = NoOp
+                    }
+                ]
+
+            else
+                [ -- Sawmill layout
+                  SawmillView.view
+                    { railway = Scenario.railway model.scenario
+                    , stationName = Scenario.spawnPointName model.scenario
+                    , furniture = model.scenario.furniture
+                    , switchStates = model.switchStates
+                    , lockedTurnouts = Interlocking.lockedTurnouts (Scenario.railway model.scenario) model.activeTrains model.standingConsists
+                    , reservations = model.reservations
+                    , hoveredElement = model.hoveredElement
+                    , onElementClick = ElementClicked
+                    , onElementHover = ElementHovered
+                    , onElementUnhover = ElementUnhovered
+                    , noop = NoOp
+                    }
+
+                -- Cars left standing by Uncouple
+                , TrainView.viewStandingConsists model.standingConsists
+
+                -- Active trains
+                , TrainView.viewTrains TrainClicked (Simulation.interpolatedTrains model)
+
+                -- Tooltip (rendered last so it's on top)
+                , tooltipView
+                ]
     in
     svg
         [ SvgA.width "100%"
@@ -1092,27 +2189,11 @@ viewCanvas model =
         , SvgE.on "mousemove" (decodeMousePosition (\x y -> CameraMsg (Camera.Drag x y)))
         , SvgE.on "mouseup" (Decode.succeed (CameraMsg Camera.EndDrag))
         , SvgE.on "mouseleave" (Decode.succeed (CameraMsg Camera.EndDrag))
+        , SvgE.on "dblclick" (decodeMousePosition EditorCanvasDoubleClicked)
         , Html.Events.preventDefaultOn "wheel" decodeWheelEvent
         ]
-        [ -- Grid for reference
-          viewGrid
-
-        -- Sawmill layout
-        , SawmillView.view
-            { turnoutState = model.turnoutState
-            , hoveredElement = model.hoveredElement
-            , onElementClick = ElementClicked
-            , onElementHover = ElementHovered
-            , onElementUnhover = ElementUnhovered
-            , noop = NoOp
-            }
-
-        -- Active trains
-        , TrainView.viewTrains TrainClicked model.activeTrains
-
-        -- Tooltip (rendered last so it's on top)
-        , tooltipView
-        ]
+        -- Grid for reference
+        (viewGrid :: content)
 
 
 {-| Decode mouse position from mouse event.
@@ -0,0 +1,353 @@
+module Planning.Catalog exposing
+    ( Catalog
+    , CatalogEntry
+    , decoder
+    , definitionDecoder
+    , empty
+    , encodeDefinition
+    , withCatalogStock
+    )
+
+{-| The rolling stock catalog: stock types defined in JSON instead of in
+the game, passed in through flags (see `src/stock-catalog.json`).
+
+    { "stock":
+        [ { "id": "TankCar"
+          , "name": "Tank Car"
+          , "length": 10.6
+          , "width": 2.9
+          , "couplerOffsets": { "front": 0.6, "rear": 0.6 }
+          , "mass": { "empty": 13, "loaded": 38 }
+          , "brakeForce": 65
+          , "capabilities": [ "freight" ]
+          , "color": "#5a5a5a"
+          , "profile":
+                [ { "type": "rect", "x": 2, "y": 6, "width": 56, "height": 14, "fill": "#5a5a5a" }
+                , { "type": "circle", "cx": 12, "cy": 26, "r": 4, "fill": "#333" }
+                ]
+          , "available": { "WestStation": 1 }
+          }
+        ]
+    }
+
+Lengths are in meters, masses in tonnes, forces in kilonewtons. Only
+`id`, `name`, `length`, `mass.empty` and `brakeForce` are required.
+Capabilities are "powered", "passengers" and "freight"; a powered type with
+a `tractiveEffort` can lead a train like a locomotive. `available` puts
+cars of the type into the stations' inventories of every scenario.
+
+-}
+
+import Json.Decode as Decode exposing (Decoder)
+import Json.Encode as Encode
+import Planning.Types exposing (Capability(..), Load(..), ProfileShape(..), SpawnPointId(..), SpawnPointInventory, StockDefinition, StockType(..))
+
+
+{-| All catalog entries.
+-}
+type alias Catalog =
+    List CatalogEntry
+
+
+{-| A stock type of the catalog, and how many cars of it each station has.
+-}
+type alias CatalogEntry =
+    { definition : StockDefinition
+    , available : List ( SpawnPointId, Int )
+    }
+
+
+{-| A catalog without any stock.
+-}
+empty : Catalog
+empty =
+    []
+
+
+{-| Stock item ids of catalog cars start here, clear of the scenarios' own
+stock.
+-}
+firstCatalogStockId : Int
+firstCatalogStockId =
+    1000
+
+
+{-| Add the catalog cars to the stations' inventories.
+-}
+withCatalogStock : Catalog -> List SpawnPointInventory -> List SpawnPointInventory
+withCatalogStock catalog inventories =
+    let
+        cars =
+            catalog
+                |> List.concatMap
+                    (\entry ->
+                        List.concatMap
+                            (\( station, count ) -> List.repeat count ( station, CatalogStock entry.definition ))
+                            entry.available
+                    )
+                |> List.indexedMap
+                    (\index ( station, stockType ) ->
+                        ( station
+                        , { id = firstCatalogStockId + index
+                          , stockType = stockType
+                          , reversed = False
+                          , provisional = False
+                          , load = Empty
+                          }
+                        )
+                    )
+    in
+    List.map
+        (\inventory ->
+            { inventory
+                | availableStock =
+                    inventory.availableStock
+                        ++ List.filterMap
+                            (\( station, item ) ->
+                                if station == inventory.spawnPointId then
+                                    Just item
+
+                                else
+                                    Nothing
+                            )
+                            cars
+            }
+        )
+        inventories
+
+
+
+-- DECODING
+
+
+{-| Decode a catalog.
+-}
+decoder : Decoder Catalog
+decoder =
+    Decode.field "stock" (Decode.list entryDecoder)
+
+
+entryDecoder : Decoder CatalogEntry
+entryDecoder =
+    Decode.map2 CatalogEntry
+        definitionDecoder
+        (withDefault [] (Decode.field "available" availableDecoder))
+
+
+availableDecoder : Decoder (List ( SpawnPointId, Int ))
+availableDecoder =
+    Decode.keyValuePairs Decode.int
+        |> Decode.andThen
+            (\pairs ->
+                List.foldr
+                    (\( name, count ) acc ->
+                        case name of
+                            "EastStation" ->
+                                Decode.map (\rest -> ( EastStation, count ) :: rest) acc
+
+                            "WestStation" ->
+                                Decode.map (\rest -> ( WestStation, count ) :: rest) acc
+
+                            _ ->
+                                Decode.fail ("Unknown station: " ++ name)
+                    )
+                    (Decode.succeed [])
+                    pairs
+            )
+
+
+{-| Decode a stock definition, as in the catalog and in saves.
+-}
+definitionDecoder : Decoder StockDefinition
+definitionDecoder =
+    Decode.map8
+        (\id name length width couplerOffsets mass tractiveEffort rest ->
+            { id = id
+            , name = name
+            , length = length
+            , width = width
+            , frontCouplerOffset = couplerOffsets.front
+            , rearCouplerOffset = couplerOffsets.rear
+            , emptyMass = mass.empty
+            , loadedMass = mass.loaded
+            , tractiveEffort = tractiveEffort
+            , brakeForce = rest.brakeForce
+            , capabilities = rest.capabilities
+            , color = rest.color
+            , profile = rest.profile
+            }
+        )
+        (Decode.field "id" Decode.string)
+        (Decode.field "name" Decode.string)
+        (Decode.field "length" Decode.float)
+        (withDefault 3.0 (Decode.field "width" Decode.float))
+        (withDefault { front = 0, rear = 0 }
+            (Decode.field "couplerOffsets"
+                (Decode.map2 (\front rear -> { front = front, rear = rear })
+                    (Decode.field "front" Decode.float)
+                    (Decode.field "rear" Decode.float)
+                )
+            )
+        )
+        (Decode.field "mass"
+            (Decode.field "empty" Decode.float
+                |> Decode.andThen
+                    (\emptyMass ->
+                        Decode.map (\loadedMass -> { empty = emptyMass, loaded = loadedMass })
+                            (withDefault emptyMass (Decode.field "loaded" Decode.float))
+                    )
+            )
+        )
+        (withDefault 0 (Decode.field "tractiveEffort" Decode.float))
+        decodeRestOfDefinition
+
+
+{-| Helper to decode remaining fields (avoids Decode.map8 limit).
+-}
+decodeRestOfDefinition :
+    Decoder
+        { brakeForce : Float
+        , capabilities : List Capability
+        , color : String
+        , profile : List ProfileShape
+        }
+decodeRestOfDefinition =
+    Decode.map4
+        (\brakeForce capabilities color profile ->
+            { brakeForce = brakeForce
+            , capabilities = capabilities
+            , color = color
+            , profile = profile
+            }
+        )
+        (Decode.field "brakeForce" Decode.float)
+        (withDefault [] (Decode.field "capabilities" (Decode.list capabilityDecoder)))
+        (withDefault "#6a6a6a" (Decode.field "color" Decode.string))
+        (withDefault [] (Decode.field "profile" (Decode.list profileShapeDecoder)))
+
+
+capabilityDecoder : Decoder Capability
+capabilityDecoder =
+    Decode.string
+        |> Decode.andThen
+            (\s ->
+                case s of
+                    "powered" ->
+                        Decode.succeed Powered
+
+                    "passengers" ->
+                        Decode.succeed CarriesPassengers
+
+                    "freight" ->
+                        Decode.succeed CarriesFreight
+
+                    _ ->
+                        Decode.fail ("Unknown capability: " ++ s)
+            )
+
+
+profileShapeDecoder : Decoder ProfileShape
+profileShapeDecoder =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\shapeType ->
+                case shapeType of
+                    "rect" ->
+                        Decode.map5
+                            (\x y width height fill ->
+                                ProfileRect { x = x, y = y, width = width, height = height, fill = fill }
+                            )
+                            (Decode.field "x" Decode.float)
+                            (Decode.field "y" Decode.float)
+                            (Decode.field "width" Decode.float)
+                            (Decode.field "height" Decode.float)
+                            (Decode.field "fill" Decode.string)
+
+                    "circle" ->
+                        Decode.map4
+                            (\cx cy r fill ->
+                                ProfileCircle { cx = cx, cy = cy, r = r, fill = fill }
+                            )
+                            (Decode.field "cx" Decode.float)
+                            (Decode.field "cy" Decode.float)
+                            (Decode.field "r" Decode.float)
+                            (Decode.field "fill" Decode.string)
+
+                    _ ->
+                        Decode.fail ("Unknown profile shape: " ++ shapeType)
+            )
+
+
+withDefault : a -> Decoder a -> Decoder a
+withDefault default fieldDecoder =
+    Decode.oneOf [ fieldDecoder, Decode.succeed default ]
+
+
+
+-- ENCODING
+
+
+{-| Encode a stock definition in the catalog format, e.g. for saves.
+-}
+encodeDefinition : StockDefinition -> Encode.Value
+encodeDefinition definition =
+    Encode.object
+        [ ( "id", Encode.string definition.id )
+        , ( "name", Encode.string definition.name )
+        , ( "length", Encode.float definition.length )
+        , ( "width", Encode.float definition.width )
+        , ( "couplerOffsets"
+          , Encode.object
+                [ ( "front", Encode.float definition.frontCouplerOffset )
+                , ( "rear", Encode.float definition.rearCouplerOffset )
+                ]
+          )
+        , ( "mass"
+          , Encode.object
+                [ ( "empty", Encode.float definition.emptyMass )
+                , ( "loaded", Encode.float definition.loadedMass )
+                ]
+          )
+        , ( "tractiveEffort", Encode.float definition.tractiveEffort )
+        , ( "brakeForce", Encode.float definition.brakeForce )
+        , ( "capabilities", Encode.list encodeCapability definition.capabilities )
+        , ( "color", Encode.string definition.color )
+        , ( "profile", Encode.list encodeProfileShape definition.profile )
+        ]
+
+
+encodeCapability : Capability -> Encode.Value
+encodeCapability capability =
+    Encode.string <|
+        case capability of
+            Powered ->
+                "powered"
+
+            CarriesPassengers ->
+                "passengers"
+
+            CarriesFreight ->
+                "freight"
+
+
+encodeProfileShape : ProfileShape -> Encode.Value
+encodeProfileShape shape =
+    case shape of
+        ProfileRect r ->
+            Encode.object
+                [ ( "type", Encode.string "rect" )
+                , ( "x", Encode.float r.x )
+                , ( "y", Encode.float r.y )
+                , ( "width", Encode.float r.width )
+                , ( "height", Encode.float r.height )
+                , ( "fill", Encode.string r.fill )
+                ]
+
+        ProfileCircle c ->
+            Encode.object
+                [ ( "type", Encode.string "circle" )
+                , ( "cx", Encode.float c.cx )
+                , ( "cy", Encode.float c.cy )
+                , ( "r", Encode.float c.r )
+                , ( "fill", Encode.string c.fill )
+                ]
@@ -0,0 +1,266 @@
+module Planning.Solution exposing
+    ( applySolution
+    , decodeSolution
+    , encodeSolution
+    , errorMessage
+    )
+
+{-| Solution files: the scheduled trains of a plan, with their consists and
+programs, exported to and imported from JSON so players can trade them.
+
+A solution only makes sense against the stock it was planned with, so on
+import it is checked against the scenario's starting inventories.
+
+-}
+
+import Json.Decode as Decode exposing (Decoder)
+import Json.Encode as Encode
+import Planning.Types exposing (PanelMode(..), PlanningState, ScheduledTrain, SpawnPointInventory, emptyConsistBuilder)
+import Programmer.Types exposing (emptyProgram)
+import Scenario exposing (Scenario)
+import Set
+import Storage
+import Train.Stock exposing (isPowered)
+
+
+{-| Marker identifying a JSON file as a solution.
+-}
+solutionFormat : String
+solutionFormat =
+    "rr-solution"
+
+
+{-| Version of the solution format written by encodeSolution, independent
+of the save format.
+
+  - 1: files from before solutions had their own version, which carry the
+    save format's version under "version" instead
+  - 2: the version under "solutionVersion"
+
+The scheduled trains of both read the same way, except that version 1
+files may come from before cars carried loads: their cars are read as
+empty (see `Storage.decodeScheduledTrainWithoutLoads`).
+
+-}
+solutionVersion : Int
+solutionVersion =
+    2
+
+
+{-| Encode scheduled trains as a solution file.
+-}
+encodeSolution : List ScheduledTrain -> Encode.Value
+encodeSolution trains =
+    Encode.object
+        [ ( "format", Encode.string solutionFormat )
+        , ( "solutionVersion", Encode.int solutionVersion )
+        , ( "scheduledTrains", Encode.list Storage.encodeScheduledTrain trains )
+        ]
+
+
+{-| Decode the scheduled trains of a solution file.
+
+Fails for files written by a newer version of the game.
+
+-}
+decodeSolution : Decoder (List ScheduledTrain)
+decodeSolution =
+    Decode.field "format" Decode.string
+        |> Decode.andThen
+            (\format ->
+                if format == solutionFormat then
+                    Decode.oneOf
+                        [ Decode.field "solutionVersion" Decode.int
+                        , Decode.succeed 1
+                        ]
+
+                else
+                    Decode.fail ("Not a solution file: " ++ format)
+            )
+        |> Decode.andThen
+            (\version ->
+                if version > solutionVersion then
+                    Decode.fail
+                        ("Solution format version "
+                            ++ String.fromInt version
+                            ++ " is newer than this game supports ("
+                            ++ String.fromInt solutionVersion
+                            ++ ")"
+                        )
+
+                else if version < 1 then
+                    Decode.fail ("Unknown solution format version: " ++ String.fromInt version)
+
+                else if version == 1 then
+                    Decode.field "scheduledTrains" (Decode.list Storage.decodeScheduledTrainWithoutLoads)
+
+                else
+                    Decode.field "scheduledTrains" (Decode.list Storage.decodeScheduledTrain)
+            )
+
+
+{-| What to tell the player about a file that didn't decode as a solution:
+the reason the file was turned down, or where in it the problem is.
+-}
+errorMessage : Decode.Error -> String
+errorMessage error =
+    case error of
+        Decode.Failure message _ ->
+            if String.startsWith "This is not valid JSON!" message then
+                "Not a valid solution file: it isn't JSON"
+
+            else if String.startsWith "Expecting" message then
+                "Not a valid solution file: " ++ message
+
+            else
+                message
+
+        _ ->
+            "Not a valid solution file: " ++ problemAt "" error
+
+
+problemAt : String -> Decode.Error -> String
+problemAt path error =
+    case error of
+        Decode.Field name inner ->
+            problemAt
+                (if String.isEmpty path then
+                    name
+
+                 else
+                    path ++ "." ++ name
+                )
+                inner
+
+        Decode.Index index inner ->
+            problemAt (path ++ "[" ++ String.fromInt index ++ "]") inner
+
+        Decode.OneOf (first :: _) ->
+            problemAt path first
+
+        Decode.OneOf [] ->
+            "nothing to read at " ++ path
+
+        Decode.Failure message _ ->
+            message ++ " at " ++ path
+
+
+{-| Replace the plan with the trains of a solution.
+
+Every real (non-provisional) stock item must come from the starting
+inventory of the train's spawn point, and be used by one train only.
+Inventories are rebuilt from the starting inventories minus the stock the
+solution uses.
+
+Returns the reason if the solution doesn't fit the inventories, naming
+stations as the scenario does.
+
+-}
+applySolution : Scenario -> List SpawnPointInventory -> List ScheduledTrain -> PlanningState -> Result String PlanningState
+applySolution scenario startingInventories trains planning =
+    validateSolution scenario startingInventories trains
+        |> Result.map
+            (\_ ->
+                let
+                    allStock =
+                        List.concatMap .consist trains
+
+                    usedIds =
+                        allStock
+                            |> List.filter (\item -> not item.provisional)
+                            |> List.map .id
+                            |> Set.fromList
+
+                    provisionalIds =
+                        allStock
+                            |> List.filter .provisional
+                            |> List.map .id
+                in
+                { planning
+                    | scheduledTrains = trains
+                    , inventories =
+                        List.map
+                            (\inv ->
+                                { inv
+                                    | availableStock =
+                                        List.filter (\item -> not (Set.member item.id usedIds)) inv.availableStock
+                                }
+                            )
+                            startingInventories
+                    , consistBuilder = emptyConsistBuilder
+                    , nextTrainId =
+                        List.map .id trains
+                            |> List.maximum
+                            |> Maybe.map ((+) 1)
+                            |> Maybe.withDefault 1
+                    , nextProvisionalId = List.foldl min 0 provisionalIds - 1
+                    , editingTrainId = Nothing
+                    , editingTrainProgram = emptyProgram
+                    , panelMode = PlanningView
+                    , programmerState = Nothing
+                }
+            )
+
+
+validateSolution : Scenario -> List SpawnPointInventory -> List ScheduledTrain -> Result String ()
+validateSolution scenario startingInventories trains =
+    let
+        trainIds =
+            List.map .id trains
+
+        realStockIds =
+            trains
+                |> List.concatMap .consist
+                |> List.filter (\item -> not item.provisional)
+                |> List.map .id
+
+        firstProblem =
+            trains
+                |> List.filterMap (trainProblem scenario startingInventories)
+                |> List.head
+    in
+    if Set.size (Set.fromList trainIds) /= List.length trainIds then
+        Err "Solution has duplicate train ids"
+
+    else if Set.size (Set.fromList realStockIds) /= List.length realStockIds then
+        Err "Solution uses the same stock item in more than one train"
+
+    else
+        case firstProblem of
+            Just problem ->
+                Err problem
+
+            Nothing ->
+                Ok ()
+
+
+trainProblem : Scenario -> List SpawnPointInventory -> ScheduledTrain -> Maybe String
+trainProblem scenario startingInventories train =
+    let
+        available =
+            startingInventories
+                |> List.filter (\inv -> inv.spawnPointId == train.spawnPoint)
+                |> List.concatMap .availableStock
+
+        isAvailable item =
+            item.provisional
+                || List.any (\stock -> stock.id == item.id && stock.stockType == item.stockType) available
+
+        trainName =
+            "Train " ++ String.fromInt train.id
+    in
+    if not (List.any (\item -> isPowered item.stockType) train.consist) then
+        Just (trainName ++ " has no locomotive")
+
+    else
+        train.consist
+            |> List.filter (not << isAvailable)
+            |> List.head
+            |> Maybe.map
+                (\item ->
+                    trainName
+                        ++ " uses stock item "
+                        ++ String.fromInt item.id
+                        ++ " not available at "
+                        ++ Scenario.spawnPointName scenario train.spawnPoint
+                )
@@ -1,7 +1,11 @@
 module Planning.Types exposing
     ( SpawnPointId(..)
     , StockType(..)
+    , StockDefinition
+    , Capability(..)
+    , ProfileShape(..)
     , StockItem
+    , Load(..)
     , Consist
     , ScheduledTrain
     , SpawnPointInventory
@@ -33,12 +37,57 @@ type SpawnPointId
 
 
 {-| Rolling stock types.
+
+`CatalogStock` types come from the stock catalog (see `Planning.Catalog`)
+and carry their definition with them.
+
 -}
 type StockType
     = Locomotive
     | PassengerCar
     | Flatbed
     | Boxcar
+    | CatalogStock StockDefinition
+
+
+{-| A rolling stock type defined in the stock catalog.
+
+Length is over couplers in meters, the coupler offsets are how far the
+couplers stick out beyond the body at each end. Masses are in tonnes,
+forces in kilonewtons. The profile is drawn in the 60x30 side view of the
+planning panel.
+
+-}
+type alias StockDefinition =
+    { id : String
+    , name : String
+    , length : Float
+    , width : Float
+    , frontCouplerOffset : Float
+    , rearCouplerOffset : Float
+    , emptyMass : Float
+    , loadedMass : Float
+    , tractiveEffort : Float
+    , brakeForce : Float
+    , capabilities : List Capability
+    , color : String
+    , profile : List ProfileShape
+    }
+
+
+{-| What a stock type can do.
+-}
+type Capability
+    = Powered
+    | CarriesPassengers
+    | CarriesFreight
+
+
+{-| A shape of a side profile drawing.
+-}
+type ProfileShape
+    = ProfileRect { x : Float, y : Float, width : Float, height : Float, fill : String }
+    | ProfileCircle { cx : Float, cy : Float, r : Float, fill : String }
 
 
 {-| A stock item with unique ID for tracking.
@@ -48,9 +97,18 @@ type alias StockItem =
     , stockType : StockType
     , reversed : Bool
     , provisional : Bool
+    , load : Load
     }
 
 
+{-| What a car carries. Loads only change at spots (see `Train.Loading`).
+-}
+type Load
+    = Empty
+    | Cargo Float -- Tonnes of freight
+    | Passengers Int
+
+
 {-| A consist is an ordered list of stock items.
 -}
 type alias Consist =
@@ -131,16 +189,16 @@ initPlanningState =
     , inventories =
         [ { spawnPointId = EastStation
           , availableStock =
-                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-                , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
+                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Passengers 24 }
+                , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
                 ]
           }
         , { spawnPointId = WestStation
           , availableStock =
-                [ { id = 4, stockType = Locomotive, reversed = False, provisional = False }
-                , { id = 5, stockType = Boxcar, reversed = False, provisional = False }
-                , { id = 6, stockType = Boxcar, reversed = False, provisional = False }
+                [ { id = 4, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                , { id = 5, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+                , { id = 6, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
                 ]
           }
         ]
@@ -175,3 +233,6 @@ stockTypeName stockType =
 
         Boxcar ->
             "Boxcar"
+
+        CatalogStock definition ->
+            definition.name
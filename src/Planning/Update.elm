@@ -13,6 +13,7 @@ module Planning.Update exposing
 import Planning.Helpers exposing (returnStockToInventory, takeStockFromInventory)
 import Planning.Types exposing (..)
 import Programmer.Types as Programmer
+import Train.Stock exposing (isPowered)
 import Util.GameTime as GameTime
 
 
@@ -45,6 +46,7 @@ addToConsist toFront planning =
                               , stockType = selectedStock.stockType
                               , reversed = False
                               , provisional = True
+                              , load = Empty
                               }
                             , planning.inventories
                             , planning.nextProvisionalId - 1
@@ -97,6 +99,7 @@ insertInConsist index planning =
                               , stockType = selectedStock.stockType
                               , reversed = False
                               , provisional = True
+                              , load = Empty
                               }
                             , planning.inventories
                             , planning.nextProvisionalId - 1
@@ -166,7 +169,7 @@ scheduleTrain planning =
 
         -- Check validation: must have items and at least one locomotive
         hasLoco =
-            List.any (\item -> item.stockType == Locomotive) consist
+            List.any (\item -> isPowered item.stockType) consist
     in
     if List.isEmpty consist || not hasLoco then
         -- Don't schedule empty trains or trains without locomotive
@@ -3,6 +3,7 @@ module Planning.View exposing (viewPlanningPanel)
 {-| View functions for the planning panel UI.
 -}
 
+import Goals
 import Html exposing (Html, button, div, label, option, select, span, text)
 import Html.Attributes exposing (attribute, disabled, id, selected, style, value)
 import Html.Events exposing (onClick, onInput)
@@ -10,17 +11,23 @@ import Json.Decode as Decode
 import Planning.Types as Planning
     exposing
         ( ConsistBuilder
+        , Load(..)
         , PanelMode(..)
         , PlanningState
+        , ProfileShape(..)
         , ScheduledTrain
         , SpawnPointId(..)
         , SpawnPointInventory
         , StockItem
         , StockType(..)
         )
+import Preview
+import Programmer.Types exposing (orderDescription, spotName)
+import Scenario exposing (Scenario)
 import Util.GameTime as GameTime
 import Svg exposing (Svg)
 import Svg.Attributes as SvgA
+import Train.Stock exposing (isPowered)
 
 
 {-| Render the entire planning panel.
@@ -44,6 +51,13 @@ viewPlanningPanel :
     , onSelectTrain : Int -> msg
     , onOpenProgrammer : Int -> msg
     , onReset : msg
+    , onExportSolution : msg
+    , onImportSolution : msg
+    , solutionMessage : Maybe String
+    , catalogError : Maybe String
+    , onPreview : msg
+    , preview : Maybe Preview.Progress
+    , scenario : Scenario
     , onConsistDragStart : Float -> msg
     , onConsistDragMove : Float -> msg
     , onConsistDragEnd : msg
@@ -61,8 +75,12 @@ viewPlanningPanel config =
         , style "overflow-y" "auto"
         ]
         [ viewPanelHeader config.onClose config.onReset
-        , viewSpawnPointSelector config.state.selectedSpawnPoint config.onSelectSpawnPoint
+        , viewCatalogError config.catalogError
+        , viewScenarioBrief config.scenario
+        , viewSolutionControls config.onExportSolution config.onImportSolution config.solutionMessage
+        , viewSpawnPointSelector config.scenario config.state.selectedSpawnPoint config.onSelectSpawnPoint
         , viewScheduledTrains config.state config.onRemoveTrain config.onSelectTrain config.onOpenProgrammer
+        , viewPreview config.state config.onPreview config.preview
         , viewAvailableStock config.state config.onSelectStock
         , viewConsistBuilder config.state.consistBuilder config.state.selectedSpawnPoint config.state.consistPanOffset config.state.consistDragState config.onAddToFront config.onAddToBack config.onInsertInConsist config.onRemoveFromConsist config.onClearConsist config.onFlipLoco config.onConsistDragStart config.onConsistDragMove config.onConsistDragEnd
         , viewScheduleControls config.state config.onSetDay config.onSetHour config.onSetMinute config.onSchedule config.onOpenProgrammer
@@ -115,11 +133,128 @@ viewPanelHeader onClose onReset =
         ]
 
 
--- TODO: Station names and count are scenario-specific. When supporting
--- multiple scenarios, derive this list from scenario data instead of
--- hardcoding "West Station" / "East Station".
-viewSpawnPointSelector : SpawnPointId -> (SpawnPointId -> msg) -> Html msg
-viewSpawnPointSelector selected onSelect =
+{-| Export/import of the plan as a solution file, with the outcome of the
+last import.
+-}
+viewSolutionControls : msg -> msg -> Maybe String -> Html msg
+viewSolutionControls onExport onImport message =
+    let
+        solutionButton testId label onPress =
+            button
+                [ attribute "data-testid" testId
+                , style "background" "#303050"
+                , style "border" "1px solid #505080"
+                , style "color" "#e0e0e0"
+                , style "font-size" "12px"
+                , style "cursor" "pointer"
+                , style "padding" "4px 8px"
+                , style "border-radius" "4px"
+                , onClick onPress
+                ]
+                [ text label ]
+    in
+    div
+        [ style "padding" "8px 16px"
+        , style "border-bottom" "1px solid #333"
+        ]
+        [ div
+            [ style "display" "flex"
+            , style "gap" "8px"
+            ]
+            [ solutionButton "export-solution" "Export Solution" onExport
+            , solutionButton "import-solution" "Import Solution" onImport
+            ]
+        , case message of
+            Just note ->
+                div
+                    [ attribute "data-testid" "solution-message"
+                    , style "margin-top" "6px"
+                    , style "font-size" "12px"
+                    , style "color" "#e0a060"
+                    ]
+                    [ text note ]
+
+            Nothing ->
+                text ""
+        ]
+
+
+{-| Why the stock catalog could not be loaded, so a broken
+`src/stock-catalog.json` does not just make its cars disappear.
+-}
+viewCatalogError : Maybe String -> Html msg
+viewCatalogError catalogError =
+    case catalogError of
+        Just error ->
+            div
+                [ attribute "data-testid" "catalog-error"
+                , style "padding" "8px 16px"
+                , style "border-bottom" "1px solid #333"
+                , style "background" "#3a2020"
+                , style "font-size" "12px"
+                , style "color" "#e0a060"
+                ]
+                [ div [ style "font-weight" "bold" ] [ text "The stock catalog could not be loaded" ]
+                , div
+                    [ style "margin-top" "4px"
+                    , style "white-space" "pre-wrap"
+                    , style "font-family" "monospace"
+                    ]
+                    [ text error ]
+                ]
+
+        Nothing ->
+            text ""
+
+
+{-| The scenario's goals, and the timetabled trains the plan has to work
+around.
+-}
+viewScenarioBrief : Scenario -> Html msg
+viewScenarioBrief scenario =
+    let
+        sectionLabel labelText =
+            div
+                [ style "font-size" "12px"
+                , style "color" "#888"
+                , style "margin" "6px 0 4px"
+                ]
+                [ text labelText ]
+
+        line content =
+            div [ style "font-size" "12px", style "padding" "2px 0" ] [ text content ]
+
+        timetableLine train =
+            line
+                (GameTime.formatDayTime train.departureTime
+                    ++ " from "
+                    ++ Scenario.spawnPointName scenario train.spawnPoint
+                )
+    in
+    div
+        [ attribute "data-testid" "scenario-brief"
+        , style "padding" "8px 16px"
+        , style "border-bottom" "1px solid #333"
+        ]
+        (div [ style "font-size" "13px", style "font-weight" "bold" ] [ text scenario.name ]
+            :: line scenario.description
+            :: (if List.isEmpty scenario.goals then
+                    []
+
+                else
+                    sectionLabel "DAILY GOALS" :: List.map (Goals.describe (Scenario.spawnPointName scenario) >> line) scenario.goals
+               )
+            ++ (if List.isEmpty scenario.timetable then
+                    []
+
+                else
+                    sectionLabel "TIMETABLE" :: List.map timetableLine scenario.timetable
+               )
+        )
+
+
+viewSpawnPointSelector : Scenario -> SpawnPointId -> (SpawnPointId -> msg) -> Html msg
+viewSpawnPointSelector scenario selected onSelect =
     div
         [ style "padding" "12px 16px"
         , style "border-bottom" "1px solid #333"
@@ -132,9 +267,10 @@ viewSpawnPointSelector selected onSelect =
             ]
             [ text "STATION" ]
         , div [ style "display" "flex", style "gap" "8px" ]
-            [ viewSpawnPointButton WestStation "West Station" selected onSelect
-            , viewSpawnPointButton EastStation "East Station" selected onSelect
-            ]
+            (List.map
+                (\spawnPoint -> viewSpawnPointButton spawnPoint.id spawnPoint.name selected onSelect)
+                scenario.spawnPoints
+            )
         ]
 
 
@@ -207,10 +343,10 @@ viewScheduledTrainItem onRemove onSelect onOpenProgrammer editingId train =
             editingId == Just train.id
 
         locoCount =
-            List.length (List.filter (\item -> item.stockType == Locomotive) train.consist)
+            List.length (List.filter (\item -> isPowered item.stockType) train.consist)
 
         carCount =
-            List.length (List.filter (\item -> item.stockType /= Locomotive) train.consist)
+            List.length (List.filter (\item -> not (isPowered item.stockType)) train.consist)
 
         consistDescription =
             if locoCount > 0 && carCount > 0 then
@@ -288,6 +424,101 @@ viewScheduledTrainItem onRemove onSelect onOpenProgrammer editingId train =
         ]
 
 
+{-| A button for a dry run of the schedule, and how far the one under way
+has got or how the trains got on in the last one, while the schedule is as
+it was run.
+-}
+viewPreview : PlanningState -> msg -> Maybe Preview.Progress -> Html msg
+viewPreview state onPreview preview =
+    if List.isEmpty state.scheduledTrains then
+        text ""
+
+    else
+        div
+            [ style "padding" "8px 16px"
+            , style "border-bottom" "1px solid #333"
+            ]
+            [ button
+                [ attribute "data-testid" "preview-schedule"
+                , style "background" "#303050"
+                , style "border" "1px solid #505080"
+                , style "color" "#e0e0e0"
+                , style "font-size" "12px"
+                , style "cursor" "pointer"
+                , style "padding" "4px 8px"
+                , style "border-radius" "4px"
+                , onClick onPreview
+                ]
+                [ text "Preview" ]
+            , case ( preview, Maybe.andThen Preview.result preview ) of
+                ( _, Just report ) ->
+                    div
+                        [ attribute "data-testid" "preview-report"
+                        , style "margin-top" "6px"
+                        , style "font-size" "12px"
+                        ]
+                        (div [ style "color" "#888", style "margin-bottom" "4px" ]
+                            [ text ("Dry run to " ++ GameTime.formatDayTime report.until) ]
+                            :: List.map viewTrainReport report.trains
+                        )
+
+                ( Just progress, Nothing ) ->
+                    div
+                        [ attribute "data-testid" "preview-progress"
+                        , style "margin-top" "6px"
+                        , style "font-size" "12px"
+                        , style "color" "#888"
+                        ]
+                        [ text ("Dry run " ++ String.fromInt (round (100 * Preview.completed progress)) ++ "% done...") ]
+
+                ( Nothing, Nothing ) ->
+                    text ""
+            ]
+
+
+viewTrainReport : Preview.TrainReport -> Html msg
+viewTrainReport train =
+    let
+        whereabouts =
+            case train.whereabouts of
+                Preview.NotDeparted ->
+                    "not departed"
+
+                Preview.AtSpot spot ->
+                    "at " ++ spotName spot
+
+                Preview.OnTheLine ->
+                    "on the line"
+
+                Preview.LeftTheMap ->
+                    "left the map"
+    in
+    div
+        [ attribute "data-testid" ("preview-train-" ++ String.fromInt train.trainId)
+        , style "padding" "4px 8px"
+        , style "margin-bottom" "4px"
+        , style "background" "#252540"
+        , style "border-radius" "4px"
+        ]
+        [ div []
+            [ span [ style "font-weight" "bold" ] [ text ("Train #" ++ String.fromInt train.trainId) ]
+            , span [ style "color" "#888", style "margin-left" "8px" ] [ text whereabouts ]
+            ]
+        , if List.isEmpty train.ordersRun then
+            text ""
+
+          else
+            div [ style "color" "#8aa8c8" ]
+                [ text ("Ran: " ++ String.join ", " (List.map orderDescription train.ordersRun)) ]
+        , case train.stoppedBecause of
+            Just reason ->
+                div [ style "color" "#e07070" ] [ text ("Stopped: " ++ reason) ]
+
+            Nothing ->
+                text ""
+        ]
+
+
 viewAvailableStock : PlanningState -> (StockItem -> msg) -> Html msg
 viewAvailableStock state onSelectStock =
     let
@@ -345,7 +576,7 @@ groupAndCountStock items =
 
                         [] ->
                             -- Unreachable: stockTypes derived from items
-                            { id = 0, stockType = stockType, reversed = False, provisional = False }
+                            { id = 0, stockType = stockType, reversed = False, provisional = False, load = Empty }
             in
             ( stockType, List.length matching, representative )
     in
@@ -437,6 +668,9 @@ stockTypeTestId stockType =
         Boxcar ->
             "boxcar"
 
+        CatalogStock definition ->
+            definition.id
+
 
 viewStockSideProfile : StockType -> Html msg
 viewStockSideProfile stockType =
@@ -493,6 +727,34 @@ viewStockSideProfileShapes stockType =
             , Svg.circle [ SvgA.cx "48", SvgA.cy "26", SvgA.r "4", SvgA.fill "#333" ] []
             ]
 
+        CatalogStock definition ->
+            List.map viewProfileShape definition.profile
+
+
+{-| Draw a shape of a catalog stock profile.
+-}
+viewProfileShape : ProfileShape -> Svg msg
+viewProfileShape shape =
+    case shape of
+        ProfileRect r ->
+            Svg.rect
+                [ SvgA.x (String.fromFloat r.x)
+                , SvgA.y (String.fromFloat r.y)
+                , SvgA.width (String.fromFloat r.width)
+                , SvgA.height (String.fromFloat r.height)
+                , SvgA.fill r.fill
+                ]
+                []
+
+        ProfileCircle c ->
+            Svg.circle
+                [ SvgA.cx (String.fromFloat c.cx)
+                , SvgA.cy (String.fromFloat c.cy)
+                , SvgA.r (String.fromFloat c.r)
+                , SvgA.fill c.fill
+                ]
+                []
+
 
 getItemAt : Int -> List a -> Maybe a
 getItemAt index list =
@@ -716,7 +978,7 @@ viewConsistItem : (Int -> msg) -> (Int -> msg) -> Int -> StockItem -> Html msg
 viewConsistItem onRemove onFlipLoco index item =
     let
         isLoco =
-            item.stockType == Locomotive
+            isPowered item.stockType
 
         flipButton =
             if isLoco then
@@ -811,7 +1073,7 @@ viewScheduleControls state onSetDay onSetHour onSetMinute onSchedule onOpenProgr
             state.consistBuilder.items
 
         hasLoco =
-            List.any (\item -> item.stockType == Locomotive) items
+            List.any (\item -> isPowered item.stockType) items
 
         isValid =
             not (List.isEmpty items) && hasLoco
@@ -0,0 +1,341 @@
+module Preview exposing (Progress, Report, TrainReport, Whereabouts(..), completed, continue, result, run, start)
+
+{-| A dry run of the schedule: the simulation runs ahead on its own (see
+`Simulation.simulateUntil`) and reports how the player's trains got on,
+without starting the real run.
+
+The dry run goes on until every scheduled train has departed and those
+still on the map stand with their program done or stopped, or have gone
+round it once, or until an hour after the last departure, whichever is
+first. Trains waiting run until then. It looks at the trains once a game
+minute, the simulation running every step in between; while no train is on
+the map it runs straight on to the next departure before it looks again. A
+train has gone round its program once a Repeat has started it over (see
+`laps` in `Train.Types.ActiveTrain`), whenever in between looks that was.
+
+It runs a chunk at a time (see `continue`), so that the page can show how far
+it has got in between.
+
+-}
+
+import Dict exposing (Dict)
+import Programmer.Types exposing (Order(..), SpotId)
+import Set exposing (Set)
+import Simulation exposing (SimState)
+import Train.Route as Route
+import Train.Stock exposing (consistLength)
+import Train.Types exposing (ActiveTrain, Railway, TrainState(..))
+import Util.GameTime exposing (GameTime)
+
+
+{-| How the dry run ended.
+-}
+type alias Report =
+    { until : GameTime
+    , trains : List TrainReport
+    }
+
+
+{-| Where a scheduled train got to, the orders it ran, and why it stopped if
+an order failed. Orders of automatic moves are the moves planned for them.
+-}
+type alias TrainReport =
+    { trainId : Int
+    , whereabouts : Whereabouts
+    , ordersRun : List Order
+    , stoppedBecause : Maybe String
+    }
+
+
+{-| Where a train was when the dry run ended.
+-}
+type Whereabouts
+    = NotDeparted
+    | AtSpot SpotId
+    | OnTheLine
+    | LeftTheMap
+
+
+{-| A dry run under way, or its report once it is over.
+-}
+type Progress
+    = Running Run
+    | Finished Report
+
+
+{-| A dry run under way: the simulation so far, how many looks at the trains
+are left before the horizon out of how many there were, and each scheduled
+train as it was last seen.
+-}
+type alias Run =
+    { state : SimState
+    , looksLeft : Int
+    , looks : Int
+    , seen : Dict Int ActiveTrain
+    }
+
+
+{-| Start a dry run of the schedule from this state.
+-}
+start : SimState -> Progress
+start state =
+    let
+        lastDeparture =
+            state.scheduledTrains
+                |> List.map .departureTime
+                |> List.maximum
+                |> Maybe.withDefault state.gameTime
+
+        looks =
+            ceiling ((max state.gameTime lastDeparture + settleTime - state.gameTime) / checkInterval)
+    in
+    lookOn 0
+        { state = state
+        , looksLeft = looks
+        , looks = looks
+        , seen = Dict.empty
+        }
+
+
+{-| Run the next chunk of a dry run.
+-}
+continue : Progress -> Progress
+continue progress =
+    case progress of
+        Running current ->
+            lookOn looksPerChunk current
+
+        Finished _ ->
+            progress
+
+
+{-| The report of a dry run that is over.
+-}
+result : Progress -> Maybe Report
+result progress =
+    case progress of
+        Running _ ->
+            Nothing
+
+        Finished report ->
+            Just report
+
+
+{-| How much of a dry run is done, from 0 to 1.
+-}
+completed : Progress -> Float
+completed progress =
+    case progress of
+        Running current ->
+            1 - toFloat current.looksLeft / toFloat (max 1 current.looks)
+
+        Finished _ ->
+            1
+
+
+{-| Run the schedule ahead from this state all at once.
+-}
+run : SimState -> Report
+run state =
+    finish (start state)
+
+
+
+-- INTERNAL HELPERS
+
+
+{-| Game seconds the trains have after the last departure.
+-}
+settleTime : Float
+settleTime =
+    60 * 60
+
+
+{-| Game seconds between looks at the trains.
+-}
+checkInterval : Float
+checkInterval =
+    60
+
+
+{-| Looks at the trains in a chunk of the dry run.
+-}
+looksPerChunk : Int
+looksPerChunk =
+    10
+
+
+finish : Progress -> Report
+finish progress =
+    case progress of
+        Running _ ->
+            finish (continue progress)
+
+        Finished report ->
+            report
+
+
+{-| Look at the trains up to this many more times, unless the dry run is
+over first.
+-}
+lookOn : Int -> Run -> Progress
+lookOn looks current =
+    if current.looksLeft <= 0 || settled current then
+        Finished (reportOn current)
+
+    else if looks <= 0 then
+        Running current
+
+    else
+        lookOn (looks - 1) (look current)
+
+
+{-| Run on to the next look at the trains, straight to the last one before
+the next departure while no train is on the map, and remember each train as
+it is seen so that trains that left the map can still be reported.
+-}
+look : Run -> Run
+look current =
+    let
+        state =
+            current.state
+
+        skipped =
+            idleLooks current
+
+        next =
+            Simulation.simulateUntil
+                (state.gameTime + state.pendingTime + toFloat (skipped + 1) * checkInterval)
+                state
+    in
+    { current
+        | state = next
+        , looksLeft = current.looksLeft - skipped - 1
+        , seen = List.foldl (\train -> Dict.insert train.id train) current.seen next.activeTrains
+    }
+
+
+{-| The looks that can be skipped while no train is on the map: those before
+the next departure, leaving at least the last look.
+-}
+idleLooks : Run -> Int
+idleLooks current =
+    let
+        state =
+            current.state
+    in
+    if List.isEmpty state.activeTrains then
+        (state.scheduledTrains ++ state.timetable)
+            |> List.filter (\scheduled -> not (Set.member scheduled.id state.spawnedTrainIds))
+            |> List.map .departureTime
+            |> List.minimum
+            |> Maybe.map (\departure -> floor ((departure - state.gameTime - state.pendingTime) / checkInterval))
+            |> Maybe.withDefault 0
+            |> clamp 0 (current.looksLeft - 1)
+
+    else
+        0
+
+
+{-| Every scheduled train has departed, and those on the map stand and
+aren't carrying out orders, or have gone round their program.
+-}
+settled : Run -> Bool
+settled { state } =
+    let
+        scheduledIds =
+            Set.fromList (List.map .id state.scheduledTrains)
+    in
+    Set.isEmpty (Set.diff scheduledIds state.spawnedTrainIds)
+        && List.all
+            (\train ->
+                not (Set.member train.id scheduledIds)
+                    || (train.laps > 0)
+                    || (train.speed == 0 && train.trainState /= Executing)
+            )
+            state.activeTrains
+
+
+reportOn : Run -> Report
+reportOn { state, seen } =
+    { until = state.gameTime
+    , trains =
+        List.map
+            (\scheduled ->
+                let
+                    lastSeen =
+                        Dict.get scheduled.id seen
+
+                    whereabouts =
+                        case List.filter (\train -> train.id == scheduled.id) state.activeTrains of
+                            train :: _ ->
+                                spotOf state.railway train
+                                    |> Maybe.map AtSpot
+                                    |> Maybe.withDefault OnTheLine
+
+                            [] ->
+                                if Set.member scheduled.id state.spawnedTrainIds then
+                                    LeftTheMap
+
+                                else
+                                    NotDeparted
+                in
+                { trainId = scheduled.id
+                , whereabouts = whereabouts
+                , ordersRun =
+                    lastSeen
+                        |> Maybe.map ordersRunBy
+                        |> Maybe.withDefault []
+                , stoppedBecause =
+                    case Maybe.map .trainState lastSeen of
+                        Just (Stopped reason) ->
+                            Just reason
+
+                        _ ->
+                            Nothing
+                }
+            )
+            state.scheduledTrains
+    }
+
+
+{-| A spot of the railway the train stands over, if any.
+-}
+spotOf : Railway -> ActiveTrain -> Maybe SpotId
+spotOf railway train =
+    List.map .spot railway.spots
+        |> List.filter
+            (\spot ->
+                case Route.spotPosition railway spot train.route of
+                    Just spotDistance ->
+                        spotDistance <= train.position && spotDistance >= train.position - consistLength train.consist
+
+                    Nothing ->
+                        False
+            )
+        |> List.head
+
+
+{-| The orders a train has run: those before its program counter, or the
+whole of its program up to the Repeat once it has gone round it.
+-}
+ordersRunBy : ActiveTrain -> List Order
+ordersRunBy train =
+    if train.laps > 0 then
+        untilRepeat train.program
+
+    else
+        List.take train.programCounter train.program
+
+
+untilRepeat : List Order -> List Order
+untilRepeat program =
+    case program of
+        Repeat :: _ ->
+            []
+
+        order :: rest ->
+            order :: untilRepeat rest
+
+        [] ->
+            []
@@ -4,6 +4,7 @@ module Programmer.Types exposing
     , ReverserPosition(..)
     , SwitchPosition(..)
     , Order(..)
+    , Condition(..)
     , Program
     , ProgrammerState
     , emptyProgram
@@ -15,6 +16,8 @@ module Programmer.Types exposing
 {-| Types for the train programmer system.
 -}
 
+import Util.GameTime as GameTime exposing (GameTime)
+
 
 {-| Named spots that can be targets for MoveTo orders.
 -}
@@ -49,14 +52,46 @@ type SpotTarget
 
 
 {-| Train orders - explicit commands that trains execute sequentially.
+
+AutoMoveTo is a MoveTo that finds its own way: each time the train gets to
+it, it plans the switch throws, reverser changes and moves the spot takes
+and runs them in its place (see `Train.Pathfinding`).
+
+Rotate turns the turntable the train stands on until the train's head faces
+the exit of the given 0-based index.
+
+WaitUntil waits for the next time the clock shows that time of day (seconds
+since midnight), WaitForTrain until the train with that id stands at the
+spot.
+
+If and EndIf bracket orders that only run when the condition holds; Ifs
+nest. Repeat starts the program over from its first order, so a program
+that waits until its departure time first and ends in Repeat runs every
+day.
+
 -}
 type Order
     = MoveTo SpotId SpotTarget
+    | AutoMoveTo SpotId SpotTarget
     | SetReverser ReverserPosition
     | SetSwitch String SwitchPosition
     | WaitSeconds Int
     | Couple
     | Uncouple Int
+    | Rotate Int
+    | WaitUntil GameTime
+    | WaitForTrain Int SpotId
+    | If Condition
+    | EndIf
+    | Repeat
+
+
+{-| What an If order can test. Cars are counted from the front of the
+train, 0-based, as for SpotCar.
+-}
+type Condition
+    = CarLoaded Int
+    | CarEmpty Int
 
 
 {-| A program is a sequence of orders.
@@ -65,12 +100,17 @@ type alias Program =
     List Order
 
 
-{-| State for the programmer UI.
+{-| State for the programmer UI. With `autoRoute` on, the spot buttons add
+AutoMoveTo orders instead of MoveTo. The time and train picked for the next
+WaitUntil and WaitForTrain orders are kept until they are changed.
 -}
 type alias ProgrammerState =
     { trainId : Int
     , program : Program
     , selectedOrderIndex : Maybe Int
+    , autoRoute : Bool
+    , waitUntil : GameTime -- Time of day
+    , waitForTrain : Maybe Int
     }
 
 
@@ -88,6 +128,9 @@ initProgrammerState trainId existingProgram =
     { trainId = trainId
     , program = existingProgram
     , selectedOrderIndex = Nothing
+    , autoRoute = False
+    , waitUntil = GameTime.fromHourMinute 17 30
+    , waitForTrain = Nothing
     }
 
 
@@ -122,6 +165,9 @@ orderDescription order =
                 SpotCar carIndex ->
                     "Spot Car " ++ String.fromInt (carIndex + 1) ++ " at " ++ spotName spot
 
+        AutoMoveTo spot target ->
+            "Auto " ++ orderDescription (MoveTo spot target)
+
         SetReverser Forward ->
             "Set Reverser Forward"
 
@@ -142,3 +188,24 @@ orderDescription order =
 
         Uncouple n ->
             "Uncouple (keep " ++ String.fromInt n ++ ")"
+
+        Rotate exit ->
+            "Rotate to exit " ++ String.fromInt (exit + 1)
+
+        WaitUntil time ->
+            "Wait until " ++ GameTime.formatTime time
+
+        WaitForTrain trainId spot ->
+            "Wait for train #" ++ String.fromInt trainId ++ " at " ++ spotName spot
+
+        If (CarLoaded carIndex) ->
+            "If car " ++ String.fromInt (carIndex + 1) ++ " is loaded"
+
+        If (CarEmpty carIndex) ->
+            "If car " ++ String.fromInt (carIndex + 1) ++ " is empty"
+
+        EndIf ->
+            "End if"
+
+        Repeat ->
+            "Repeat from the start"
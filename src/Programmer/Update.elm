@@ -7,6 +7,9 @@ module Programmer.Update exposing
     , removeOrder
     , saveProgram
     , selectProgramOrder
+    , selectWaitForTrain
+    , setWaitUntil
+    , toggleAutoRoute
     )
 
 {-| Update logic for the train programmer: order manipulation and program save.
@@ -146,6 +149,36 @@ selectProgramOrder index planning =
         )
 
 
+{-| Switch between adding explicit and automatically routed moves.
+-}
+toggleAutoRoute : PlanningState -> PlanningState
+toggleAutoRoute planning =
+    updateProgrammerState planning
+        (\progState ->
+            { progState | autoRoute = not progState.autoRoute }
+        )
+
+
+{-| Pick the time of day the next WaitUntil order waits for.
+-}
+setWaitUntil : GameTime.GameTime -> PlanningState -> PlanningState
+setWaitUntil time planning =
+    updateProgrammerState planning
+        (\progState ->
+            { progState | waitUntil = time }
+        )
+
+
+{-| Pick the train the next WaitForTrain order waits for.
+-}
+selectWaitForTrain : Int -> PlanningState -> PlanningState
+selectWaitForTrain trainId planning =
+    updateProgrammerState planning
+        (\progState ->
+            { progState | waitForTrain = Just trainId }
+        )
+
+
 {-| Helper to update programmer state within planning state.
 -}
 updateProgrammerState : PlanningState -> (Programmer.ProgrammerState -> Programmer.ProgrammerState) -> PlanningState
@@ -1,6 +1,11 @@
 module Programmer.View exposing (viewProgrammerPanel)
 
 {-| View functions for the train programmer panel UI.
+
+Automatically routed moves show the orders they are planned to turn into
+below them, as far as the programmer can tell before the train runs. Orders
+that would go wrong show what would (see `Train.Analysis`).
+
 -}
 
 import Html exposing (Html, button, div, input, label, option, select, span, text)
@@ -9,7 +14,8 @@ import Html.Events exposing (onClick, onInput)
 import Json.Decode
 import Programmer.Types as Programmer
     exposing
-        ( Order(..)
+        ( Condition(..)
+        , Order(..)
         , ProgrammerState
         , ReverserPosition(..)
         , SpotId(..)
@@ -18,6 +24,10 @@ import Programmer.Types as Programmer
         , orderDescription
         , spotName
         )
+import Track.Element exposing (ElementId)
+import Track.Layout as TrackLayout
+import Train.Types exposing (Railway)
+import Util.GameTime as GameTime exposing (GameTime)
 
 
 {-| Render the entire programmer panel.
@@ -25,6 +35,7 @@ import Programmer.Types as Programmer
 viewProgrammerPanel :
     { state : ProgrammerState
     , trainId : Int
+    , railway : Railway
     , onBack : msg
     , onSave : msg
     , onAddOrder : Order -> msg
@@ -32,6 +43,12 @@ viewProgrammerPanel :
     , onMoveOrderUp : Int -> msg
     , onMoveOrderDown : Int -> msg
     , onSelectOrder : Int -> msg
+    , onToggleAutoRoute : msg
+    , onSetWaitUntil : GameTime -> msg
+    , onSelectWaitForTrain : Int -> msg
+    , otherTrains : List Int
+    , plannedMoves : List (Maybe (Result String (List Order)))
+    , problems : List (List String)
     }
     -> Html msg
 viewProgrammerPanel config =
@@ -47,7 +64,7 @@ viewProgrammerPanel config =
         ]
         [ viewHeader config.trainId config.onBack
         , viewProgramList config
-        , viewOrderPalette config.onAddOrder
+        , viewOrderPalette config
         , viewSaveButton config.onSave
         ]
 
@@ -88,6 +105,8 @@ viewProgramList :
         , onMoveOrderUp : Int -> msg
         , onMoveOrderDown : Int -> msg
         , onSelectOrder : Int -> msg
+        , plannedMoves : List (Maybe (Result String (List Order)))
+        , problems : List (List String)
     }
     -> Html msg
 viewProgramList config =
@@ -119,7 +138,23 @@ viewProgramList config =
           else
             div []
                 (List.indexedMap
-                    (viewOrderItem config.state.selectedOrderIndex programLength config.onRemoveOrder config.onMoveOrderUp config.onMoveOrderDown config.onSelectOrder)
+                    (\index order ->
+                        div []
+                            [ viewOrderItem config.state.selectedOrderIndex programLength config.onRemoveOrder config.onMoveOrderUp config.onMoveOrderDown config.onSelectOrder index order
+                            , viewPlannedMoves index
+                                (config.plannedMoves
+                                    |> List.drop index
+                                    |> List.head
+                                    |> Maybe.andThen identity
+                                )
+                            , viewProblems index
+                                (config.problems
+                                    |> List.drop index
+                                    |> List.head
+                                    |> Maybe.withDefault []
+                                )
+                            ]
+                    )
                     program
                 )
         ]
@@ -261,8 +296,63 @@ viewOrderItem selectedIndex programLength onRemove onMoveUp onMoveDown onSelect
         ]
 
 
-viewOrderPalette : (Order -> msg) -> Html msg
-viewOrderPalette onAddOrder =
+{-| The orders an automatically routed move is planned to turn into, or why
+it can't be planned.
+-}
+viewPlannedMoves : Int -> Maybe (Result String (List Order)) -> Html msg
+viewPlannedMoves index planned =
+    case planned of
+        Just (Ok moves) ->
+            div
+                [ attribute "data-testid" ("planned-moves-" ++ String.fromInt index)
+                , style "margin" "-2px 0 6px 30px"
+                , style "font-size" "12px"
+                , style "color" "#8aa8c8"
+                ]
+                (List.map (\move -> div [] [ text ("→ " ++ orderDescription move) ]) moves)
+
+        Just (Err reason) ->
+            div
+                [ attribute "data-testid" ("planned-moves-" ++ String.fromInt index)
+                , style "margin" "-2px 0 6px 30px"
+                , style "font-size" "12px"
+                , style "color" "#e07070"
+                ]
+                [ text ("Can't plan: " ++ reason) ]
+
+        Nothing ->
+            text ""
+
+
+{-| What would go wrong with an order when the train runs it.
+-}
+viewProblems : Int -> List String -> Html msg
+viewProblems index problems =
+    if List.isEmpty problems then
+        text ""
+
+    else
+        div
+            [ attribute "data-testid" ("order-problems-" ++ String.fromInt index)
+            , style "margin" "-2px 0 6px 30px"
+            , style "font-size" "12px"
+            , style "color" "#e07070"
+            ]
+            (List.map (\problem -> div [] [ text ("⚠ " ++ problem) ]) problems)
+
+
+viewOrderPalette :
+    { a
+        | state : ProgrammerState
+        , railway : Railway
+        , onToggleAutoRoute : msg
+        , onAddOrder : Order -> msg
+        , onSetWaitUntil : GameTime -> msg
+        , onSelectWaitForTrain : Int -> msg
+        , otherTrains : List Int
+    }
+    -> Html msg
+viewOrderPalette config =
     div
         [ style "padding" "12px 16px"
         , style "border-bottom" "1px solid #333"
@@ -275,37 +365,78 @@ viewOrderPalette onAddOrder =
             ]
             [ text "ADD ORDER" ]
         , div [ style "display" "flex", style "flex-direction" "column", style "gap" "8px" ]
-            [ viewMoveToSelector onAddOrder
-            , viewReverserSelector onAddOrder
-            , viewSwitchSelector onAddOrder
-            , viewWaitSecondsSelector onAddOrder
-            , viewCoupleSelector onAddOrder
+            [ viewMoveToSelector config.state.autoRoute config.onToggleAutoRoute config.onAddOrder
+            , viewReverserSelector config.onAddOrder
+            , viewSwitchSelector config.railway.turnouts config.onAddOrder
+            , viewWaitSecondsSelector config.onAddOrder
+            , viewWaitUntilSelector config.state.waitUntil config.onSetWaitUntil config.onAddOrder
+            , viewWaitForTrainSelector config.state.waitForTrain config.otherTrains config.onSelectWaitForTrain config.onAddOrder
+            , viewCoupleSelector config.onAddOrder
+            , viewRotateSelector config.railway.layout config.onAddOrder
+            , viewConditionSelector config.onAddOrder
+            , viewFlowSelector config.onAddOrder
             ]
         ]
 
 
-viewMoveToSelector : (Order -> msg) -> Html msg
-viewMoveToSelector onAddOrder =
+viewMoveToSelector : Bool -> msg -> (Order -> msg) -> Html msg
+viewMoveToSelector autoRoute onToggleAutoRoute onAddOrder =
+    let
+        move =
+            if autoRoute then
+                AutoMoveTo
+
+            else
+                MoveTo
+    in
     div [ style "display" "flex", style "flex-direction" "column", style "gap" "6px" ]
         [ div [ style "display" "flex", style "gap" "8px", style "align-items" "center" ]
             [ label [ style "width" "90px", style "font-size" "14px" ] [ text "Move To" ]
-            , viewSpotButton PlatformSpot onAddOrder
-            , viewSpotButton TeamTrackSpot onAddOrder
-            , viewSpotButton EastTunnelSpot onAddOrder
-            , viewSpotButton WestTunnelSpot onAddOrder
+            , viewSpotButton move PlatformSpot onAddOrder
+            , viewSpotButton move TeamTrackSpot onAddOrder
+            , viewSpotButton move EastTunnelSpot onAddOrder
+            , viewSpotButton move WestTunnelSpot onAddOrder
             ]
         , div [ style "display" "flex", style "gap" "8px", style "align-items" "center" ]
             [ label [ style "width" "90px", style "font-size" "14px", style "color" "#aaa" ] [ text "Spot Car" ]
-            , viewSpotCarButton 0 PlatformSpot onAddOrder
-            , viewSpotCarButton 1 PlatformSpot onAddOrder
-            , viewSpotCarButton 0 TeamTrackSpot onAddOrder
-            , viewSpotCarButton 1 TeamTrackSpot onAddOrder
+            , viewSpotCarButton move 0 PlatformSpot onAddOrder
+            , viewSpotCarButton move 1 PlatformSpot onAddOrder
+            , viewSpotCarButton move 0 TeamTrackSpot onAddOrder
+            , viewSpotCarButton move 1 TeamTrackSpot onAddOrder
+            ]
+        , div [ style "display" "flex", style "gap" "8px", style "align-items" "center" ]
+            [ label [ style "width" "90px", style "font-size" "14px", style "color" "#aaa" ] [ text "Routing" ]
+            , button
+                [ attribute "data-testid" "toggle-auto-route"
+                , style "background"
+                    (if autoRoute then
+                        "#2a4a6e"
+
+                     else
+                        "#3a3a5a"
+                    )
+                , style "border" "none"
+                , style "color" "#e0e0e0"
+                , style "padding" "6px 10px"
+                , style "border-radius" "4px"
+                , style "cursor" "pointer"
+                , style "font-size" "12px"
+                , onClick onToggleAutoRoute
+                ]
+                [ text
+                    (if autoRoute then
+                        "Automatic"
+
+                     else
+                        "Explicit orders"
+                    )
+                ]
             ]
         ]
 
 
-viewSpotButton : SpotId -> (Order -> msg) -> Html msg
-viewSpotButton spot onAddOrder =
+viewSpotButton : (SpotId -> SpotTarget -> Order) -> SpotId -> (Order -> msg) -> Html msg
+viewSpotButton move spot onAddOrder =
     button
         [ attribute "data-testid" ("add-moveto-" ++ spotTestId spot)
         , style "background" "#3a5a3a"
@@ -315,13 +446,13 @@ viewSpotButton spot onAddOrder =
         , style "border-radius" "4px"
         , style "cursor" "pointer"
         , style "font-size" "12px"
-        , onClick (onAddOrder (MoveTo spot TrainHead))
+        , onClick (onAddOrder (move spot TrainHead))
         ]
         [ text (spotShortName spot) ]
 
 
-viewSpotCarButton : Int -> SpotId -> (Order -> msg) -> Html msg
-viewSpotCarButton carIndex spot onAddOrder =
+viewSpotCarButton : (SpotId -> SpotTarget -> Order) -> Int -> SpotId -> (Order -> msg) -> Html msg
+viewSpotCarButton move carIndex spot onAddOrder =
     button
         [ attribute "data-testid" ("add-spotcar-" ++ String.fromInt carIndex ++ "-" ++ spotTestId spot)
         , style "background" "#2a5a3a"
@@ -331,7 +462,7 @@ viewSpotCarButton carIndex spot onAddOrder =
         , style "border-radius" "4px"
         , style "cursor" "pointer"
         , style "font-size" "12px"
-        , onClick (onAddOrder (MoveTo spot (SpotCar carIndex)))
+        , onClick (onAddOrder (move spot (SpotCar carIndex)))
         ]
         [ text ("#" ++ String.fromInt (carIndex + 1) ++ "@" ++ spotShortName spot) ]
 
@@ -399,35 +530,47 @@ viewReverserSelector onAddOrder =
         ]
 
 
-viewSwitchSelector : (Order -> msg) -> Html msg
-viewSwitchSelector onAddOrder =
+viewSwitchSelector : List ( String, ElementId ) -> (Order -> msg) -> Html msg
+viewSwitchSelector turnouts onAddOrder =
     div [ style "display" "flex", style "gap" "8px", style "align-items" "center" ]
-        [ label [ style "width" "90px", style "font-size" "14px" ] [ text "Switch" ]
-        , button
-            [ attribute "data-testid" "add-switch-main-normal"
-            , style "background" "#5a5a3a"
-            , style "border" "none"
-            , style "color" "#e0e0e0"
-            , style "padding" "6px 10px"
-            , style "border-radius" "4px"
-            , style "cursor" "pointer"
-            , style "font-size" "12px"
-            , onClick (onAddOrder (SetSwitch "main" Normal))
-            ]
-            [ text "Main→N" ]
-        , button
-            [ attribute "data-testid" "add-switch-main-diverging"
-            , style "background" "#5a5a3a"
-            , style "border" "none"
-            , style "color" "#e0e0e0"
-            , style "padding" "6px 10px"
-            , style "border-radius" "4px"
-            , style "cursor" "pointer"
-            , style "font-size" "12px"
-            , onClick (onAddOrder (SetSwitch "main" Diverging))
-            ]
-            [ text "Main→D" ]
+        (label [ style "width" "90px", style "font-size" "14px" ] [ text "Switch" ]
+            :: List.concatMap (\( name, _ ) -> viewSwitchButtons onAddOrder name) turnouts
+        )
+
+
+{-| A Normal and a Diverging button for each turnout of the layout.
+-}
+viewSwitchButtons : (Order -> msg) -> String -> List (Html msg)
+viewSwitchButtons onAddOrder name =
+    let
+        shortName =
+            String.toUpper (String.left 1 name) ++ String.dropLeft 1 name
+    in
+    [ button
+        [ attribute "data-testid" ("add-switch-" ++ name ++ "-normal")
+        , style "background" "#5a5a3a"
+        , style "border" "none"
+        , style "color" "#e0e0e0"
+        , style "padding" "6px 10px"
+        , style "border-radius" "4px"
+        , style "cursor" "pointer"
+        , style "font-size" "12px"
+        , onClick (onAddOrder (SetSwitch name Normal))
         ]
+        [ text (shortName ++ "→N") ]
+    , button
+        [ attribute "data-testid" ("add-switch-" ++ name ++ "-diverging")
+        , style "background" "#5a5a3a"
+        , style "border" "none"
+        , style "color" "#e0e0e0"
+        , style "padding" "6px 10px"
+        , style "border-radius" "4px"
+        , style "cursor" "pointer"
+        , style "font-size" "12px"
+        , onClick (onAddOrder (SetSwitch name Diverging))
+        ]
+        [ text (shortName ++ "→D") ]
+    ]
 
 
 viewWaitSecondsSelector : (Order -> msg) -> Html msg
@@ -473,6 +616,106 @@ viewWaitSecondsSelector onAddOrder =
         ]
 
 
+{-| Hour and minute pickers for the time of day, and a button to add the
+WaitUntil order.
+-}
+viewWaitUntilSelector : GameTime -> (GameTime -> msg) -> (Order -> msg) -> Html msg
+viewWaitUntilSelector timeOfDay onSetWaitUntil onAddOrder =
+    let
+        ( _, hour, minute ) =
+            GameTime.toDayHourMinute timeOfDay
+
+        picker testId current options toTime =
+            select
+                [ attribute "data-testid" testId
+                , onInput (\s -> onSetWaitUntil (toTime (String.toInt s |> Maybe.withDefault 0)))
+                , style "background" "#252540"
+                , style "color" "#e0e0e0"
+                , style "border" "1px solid #444"
+                , style "padding" "4px"
+                , style "border-radius" "4px"
+                ]
+                (List.map
+                    (\n ->
+                        option [ value (String.fromInt n), selected (n == current) ]
+                            [ text (String.padLeft 2 '0' (String.fromInt n)) ]
+                    )
+                    options
+                )
+    in
+    div [ style "display" "flex", style "gap" "8px", style "align-items" "center" ]
+        [ label [ style "width" "90px", style "font-size" "14px" ] [ text "Wait Until" ]
+        , picker "wait-until-hour" hour (List.range 0 23) (\h -> GameTime.fromHourMinute h minute)
+        , picker "wait-until-minute" minute (List.map ((*) 5) (List.range 0 11)) (\m -> GameTime.fromHourMinute hour m)
+        , button
+            [ attribute "data-testid" "add-wait-until"
+            , style "background" "#5a3a5a"
+            , style "border" "none"
+            , style "color" "#e0e0e0"
+            , style "padding" "6px 10px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , style "font-size" "12px"
+            , onClick (onAddOrder (WaitUntil timeOfDay))
+            ]
+            [ text "Add" ]
+        ]
+
+
+{-| A picker for one of the other trains, and a button for each spot to add
+the WaitForTrain order.
+-}
+viewWaitForTrainSelector : Maybe Int -> List Int -> (Int -> msg) -> (Order -> msg) -> Html msg
+viewWaitForTrainSelector picked otherTrains onSelectWaitForTrain onAddOrder =
+    div [ style "display" "flex", style "gap" "8px", style "align-items" "center", style "flex-wrap" "wrap" ]
+        (label [ style "width" "90px", style "font-size" "14px" ] [ text "Wait For" ]
+            :: (case otherTrains of
+                    [] ->
+                        [ span [ style "font-size" "12px", style "color" "#666" ] [ text "No other trains" ] ]
+
+                    _ ->
+                        select
+                            [ attribute "data-testid" "wait-for-train"
+                            , onInput (\s -> String.toInt s |> Maybe.withDefault 0 |> onSelectWaitForTrain)
+                            , style "background" "#252540"
+                            , style "color" "#e0e0e0"
+                            , style "border" "1px solid #444"
+                            , style "padding" "4px"
+                            , style "border-radius" "4px"
+                            ]
+                            (option [ value "", selected (picked == Nothing), disabled True ] [ text "Train" ]
+                                :: List.map
+                                    (\trainId ->
+                                        option [ value (String.fromInt trainId), selected (picked == Just trainId) ]
+                                            [ text ("#" ++ String.fromInt trainId) ]
+                                    )
+                                    otherTrains
+                            )
+                            :: List.map
+                                (\spot ->
+                                    button
+                                        [ attribute "data-testid" ("add-waitfor-" ++ spotTestId spot)
+                                        , style "background" "#5a3a5a"
+                                        , style "border" "none"
+                                        , style "color" "#e0e0e0"
+                                        , style "padding" "6px 10px"
+                                        , style "border-radius" "4px"
+                                        , style "cursor" "pointer"
+                                        , style "font-size" "12px"
+                                        , case picked of
+                                            Just trainId ->
+                                                onClick (onAddOrder (WaitForTrain trainId spot))
+
+                                            Nothing ->
+                                                disabled True
+                                        ]
+                                        [ text (spotShortName spot) ]
+                                )
+                                [ PlatformSpot, TeamTrackSpot, EastTunnelSpot, WestTunnelSpot ]
+               )
+        )
+
+
 viewCoupleSelector : (Order -> msg) -> Html msg
 viewCoupleSelector onAddOrder =
     div [ style "display" "flex", style "gap" "8px", style "align-items" "center" ]
@@ -528,6 +771,103 @@ viewCoupleSelector onAddOrder =
         ]
 
 
+{-| A button for each exit of the layout's turntables, if it has any.
+-}
+viewRotateSelector : TrackLayout.Layout -> (Order -> msg) -> Html msg
+viewRotateSelector layout onAddOrder =
+    case List.maximum (List.map Tuple.second (TrackLayout.turntables layout)) of
+        Just exits ->
+            div [ style "display" "flex", style "gap" "8px", style "align-items" "center", style "flex-wrap" "wrap" ]
+                (label [ style "width" "90px", style "font-size" "14px" ] [ text "Turntable" ]
+                    :: List.map
+                        (\exit ->
+                            button
+                                [ attribute "data-testid" ("add-rotate-" ++ String.fromInt exit)
+                                , style "background" "#3a5a3a"
+                                , style "border" "none"
+                                , style "color" "#e0e0e0"
+                                , style "padding" "6px 10px"
+                                , style "border-radius" "4px"
+                                , style "cursor" "pointer"
+                                , style "font-size" "12px"
+                                , onClick (onAddOrder (Rotate exit))
+                                ]
+                                [ text ("Exit " ++ String.fromInt (exit + 1)) ]
+                        )
+                        (List.range 0 (exits - 1))
+                )
+
+        Nothing ->
+            text ""
+
+
+{-| If buttons testing whether one of the first three cars is loaded or
+empty, for the orders up to an EndIf.
+-}
+viewConditionSelector : (Order -> msg) -> Html msg
+viewConditionSelector onAddOrder =
+    let
+        conditionButton testId condition labelText =
+            button
+                [ attribute "data-testid" testId
+                , style "background" "#3a4a5a"
+                , style "border" "none"
+                , style "color" "#e0e0e0"
+                , style "padding" "6px 10px"
+                , style "border-radius" "4px"
+                , style "cursor" "pointer"
+                , style "font-size" "12px"
+                , onClick (onAddOrder (If condition))
+                ]
+                [ text labelText ]
+    in
+    div [ style "display" "flex", style "gap" "8px", style "align-items" "center", style "flex-wrap" "wrap" ]
+        (label [ style "width" "90px", style "font-size" "14px" ] [ text "If" ]
+            :: List.concatMap
+                (\carIndex ->
+                    let
+                        car =
+                            String.fromInt (carIndex + 1)
+                    in
+                    [ conditionButton ("add-if-loaded-" ++ String.fromInt carIndex) (CarLoaded carIndex) ("#" ++ car ++ " loaded")
+                    , conditionButton ("add-if-empty-" ++ String.fromInt carIndex) (CarEmpty carIndex) ("#" ++ car ++ " empty")
+                    ]
+                )
+                (List.range 0 2)
+        )
+
+
+viewFlowSelector : (Order -> msg) -> Html msg
+viewFlowSelector onAddOrder =
+    div [ style "display" "flex", style "gap" "8px", style "align-items" "center" ]
+        [ label [ style "width" "90px", style "font-size" "14px" ] [ text "Flow" ]
+        , button
+            [ attribute "data-testid" "add-endif"
+            , style "background" "#3a4a5a"
+            , style "border" "none"
+            , style "color" "#e0e0e0"
+            , style "padding" "6px 10px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , style "font-size" "12px"
+            , onClick (onAddOrder EndIf)
+            ]
+            [ text "End If" ]
+        , button
+            [ attribute "data-testid" "add-repeat"
+            , style "background" "#3a4a5a"
+            , style "border" "none"
+            , style "color" "#e0e0e0"
+            , style "padding" "6px 10px"
+            , style "border-radius" "4px"
+            , style "cursor" "pointer"
+            , style "font-size" "12px"
+            , onClick (onAddOrder Repeat)
+            ]
+            [ text "Repeat" ]
+        ]
+
+
 viewSaveButton : msg -> Html msg
 viewSaveButton onSave =
     div
@@ -1,13 +1,22 @@
 module Sawmill.Layout exposing
     ( Element(..)
     , ElementId(..)
+    , Furniture
+    , FurnitureItem
     , InteractiveElement
     , SpotType(..)
     , SwitchState(..)
+    , SwitchStates
     , elements
     , furniture
     , interactiveElements
+    , mainTurnoutId
+    , setSwitchState
+    , switchStateOf
     , trackLayout
+    , turnoutByName
+    , turnouts
+    , turntableLayout
     )
 
 {-| Layout for the Sawmill puzzle using the composable track element system.
@@ -26,12 +35,19 @@ Layout:
                                   ╲
                                Buffer
 
+Signals at the three ends of the turnout split the track into blocks: the
+mainline east, the turnout, the mainline west and the siding.
+
 -}
 
 import Array
+import Dict exposing (Dict)
+import Planning.Types exposing (SpawnPointId)
+import Programmer.Types exposing (SpotId(..))
 import Track.Element as TrackElement exposing (Connector, Hand(..))
 import Track.Layout as TrackLayout exposing (Layout)
-import Util.Vec2 exposing (Vec2, vec2)
+import Train.Types exposing (Railway)
+import Util.Vec2 as Vec2 exposing (Vec2, vec2)
 
 
 
@@ -39,12 +55,11 @@ import Util.Vec2 exposing (Vec2, vec2)
 
 
 type ElementId
-    = TunnelPortalId
-    | WestTunnelPortalId
-    | TurnoutId
-    | PlatformSpotId
-    | TeamTrackSpotId
-    | BufferStopId
+    = PortalId SpawnPointId
+    | TurnoutId TrackElement.ElementId
+    | SpotMarkerId SpotId
+    | BufferStopId TrackElement.ElementId
+    | SignalId TrackElement.ElementId
 
 
 type Element
@@ -52,6 +67,7 @@ type Element
     | Turnout Vec2 Float SwitchState -- position, orientation (radians), state
     | Spot Vec2 String SpotType -- position, name, type
     | BufferStop Vec2 Float -- position, orientation
+    | Signal Vec2 Float TrackElement.ElementId -- position, orientation (facing approaching trains), track element
 
 
 type SpotType
@@ -64,6 +80,56 @@ type SwitchState
     | Reverse
 
 
+{-| The state of every turnout, by track element id. Turnouts missing from
+the map are Normal, so `Dict.empty` sets all of them for the through route.
+-}
+type alias SwitchStates =
+    Dict Int SwitchState
+
+
+{-| The state of one turnout.
+-}
+switchStateOf : TrackElement.ElementId -> SwitchStates -> SwitchState
+switchStateOf (TrackElement.ElementId id) states =
+    Dict.get id states
+        |> Maybe.withDefault Normal
+
+
+{-| Throw one turnout.
+-}
+setSwitchState : TrackElement.ElementId -> SwitchState -> SwitchStates -> SwitchStates
+setSwitchState (TrackElement.ElementId id) state states =
+    Dict.insert id state states
+
+
+
+-- TURNOUTS
+
+
+{-| The turnout between the mainline and the sawmill siding.
+-}
+mainTurnoutId : TrackElement.ElementId
+mainTurnoutId =
+    TrackElement.ElementId 2
+
+
+{-| The turnouts of the layout with the names SetSwitch orders use for them.
+-}
+turnouts : List ( String, TrackElement.ElementId )
+turnouts =
+    [ ( "main", mainTurnoutId ) ]
+
+
+{-| The turnout a SetSwitch order names, if there is one.
+-}
+turnoutByName : String -> Maybe TrackElement.ElementId
+turnoutByName name =
+    turnouts
+        |> List.filter (\( turnoutName, _ ) -> turnoutName == name)
+        |> List.head
+        |> Maybe.map Tuple.second
+
+
 
 -- INTERACTIVE ELEMENTS
 
@@ -105,6 +171,22 @@ continuationSweep =
     30 * pi / 180 -- 30 degrees
 
 
+{-| How far signals stand from the track centerline (meters), clear of
+the turnout's hit area.
+-}
+signalOffset : Float
+signalOffset =
+    22
+
+
+{-| Radius of the turntable pit at the end of the siding, wide enough for a
+locomotive on the bridge.
+-}
+turntableRadius : Float
+turntableRadius =
+    12
+
+
 {-| Total curve angle (turnout + continuation) = 45 degrees
 -}
 totalCurveAngle : Float
@@ -122,10 +204,43 @@ Elements:
 4: Continuation curve (30° more)
 5: Siding (Straight 150m)
 6: Buffer stop (TrackEnd)
+7: West tunnel portal (TrackEnd) at the end of mainline west
+8: East signal, between mainline east and the turnout toe
+9: West signal, between the turnout's through route and mainline west
+10: Siding signal, between the turnout's diverging route and the curve
+
+The signals are inserted last so the other elements keep their ids. Each
+signal's connector 1 faces the turnout.
 
 -}
 trackLayout : Layout
 trackLayout =
+    sawmillTrack TrackElement.TrackEnd
+
+
+{-| The sawmill track with a turntable to turn locomotives on at the end of
+the siding, in place of the buffer stop, and a stall beyond it.
+
+Elements 0 to 10 are those of `trackLayout`, 6 being the turntable. Its exit
+0 faces the siding and exit 1 the stall:
+
+11: Stall (Straight 20m)
+12: Buffer stop (TrackEnd) at the end of the stall
+
+-}
+turntableLayout : Layout
+turntableLayout =
+    sawmillTrack (TrackElement.Turntable { radius = turntableRadius, exits = 2 })
+        |> TrackLayout.placeElementAt (TrackElement.StraightTrack 20) ( TrackElement.ElementId 6, 1 )
+        |> Tuple.first
+        |> TrackLayout.placeElementAt TrackElement.TrackEnd ( TrackElement.ElementId 11, 1 )
+        |> Tuple.first
+
+
+{-| The sawmill track, its siding ending in the given element.
+-}
+sawmillTrack : TrackElement.TrackElementType -> Layout
+sawmillTrack sidingEnd =
     let
         -- Start at tunnel portal facing west (90° = pi/2 radians)
         -- Trains exit the tunnel heading west (right on screen)
@@ -168,15 +283,25 @@ trackLayout =
         ( layout5, _ ) =
             TrackLayout.placeElementAt (TrackElement.StraightTrack 150) ( TrackElement.ElementId 4, 1 ) layout4
 
-        -- Buffer stop at end of siding
+        -- Buffer stop, or whatever else ends the siding
         ( layout6, _ ) =
-            TrackLayout.placeElementAt TrackElement.TrackEnd ( TrackElement.ElementId 5, 1 ) layout5
+            TrackLayout.placeElementAt sidingEnd ( TrackElement.ElementId 5, 1 ) layout5
 
         -- West tunnel portal at end of mainline west
         ( layout7, _ ) =
             TrackLayout.placeElementAt TrackElement.TrackEnd ( TrackElement.ElementId 3, 1 ) layout6
+
+        -- Signals guarding the turnout from all three sides
+        ( layout8, _ ) =
+            TrackLayout.insertElementAt TrackElement.Signal ( TrackElement.ElementId 1, 1 ) layout7
+
+        ( layout9, _ ) =
+            TrackLayout.insertElementAt TrackElement.Signal ( TrackElement.ElementId 3, 0 ) layout8
+
+        ( layout10, _ ) =
+            TrackLayout.insertElementAt TrackElement.Signal ( TrackElement.ElementId 4, 0 ) layout9
     in
-    layout7
+    layout10
 
 
 {-| Get the siding direction vector from the track layout.
@@ -214,103 +339,166 @@ pointAlongSiding distance =
 -- LAYOUT DATA
 
 
-{-| All interactive elements in the sawmill puzzle.
+{-| All interactive elements of a railway: a tunnel at each station's
+portal, a marker at the platform and the team track, a buffer stop at every
+other track end, the signals and the named turnouts. Stations are labelled
+with the names given.
 -}
-interactiveElements : SwitchState -> List InteractiveElement
-interactiveElements turnoutState =
+interactiveElements : (SpawnPointId -> String) -> Railway -> SwitchStates -> List InteractiveElement
+interactiveElements stationName railway switchStates =
     let
-        -- Get positions from track layout
-        tunnelPos =
-            case TrackLayout.getConnector (TrackElement.ElementId 0) 0 trackLayout of
-                Just c ->
-                    c.position
+        layout =
+            railway.layout
+
+        portalAt ( spawnPoint, elementId ) =
+            TrackLayout.getConnector elementId 0 layout
+                |> Maybe.map
+                    (\connector ->
+                        let
+                            pos =
+                                connector.position
+                        in
+                        { id = PortalId spawnPoint
+                        , element = TunnelPortal pos (stationName spawnPoint)
+                        , bounds = { x = pos.x - 20, y = pos.y - 20, width = 40, height = 40 }
+                        , tooltip = stationName spawnPoint ++ " (spawn point)"
+                        }
+                    )
+
+        spotAt place =
+            let
+                marker =
+                    case place.spot of
+                        PlatformSpot ->
+                            Just ( "Platform", Passenger, "Platform (passenger spot)" )
+
+                        TeamTrackSpot ->
+                            Just ( "Team Track", Freight, "Team Track (freight spot)" )
+
+                        -- The tunnels show the tunnel spots
+                        _ ->
+                            Nothing
+            in
+            Maybe.map2
+                (\( name, spotType, tooltip ) pos ->
+                    { id = SpotMarkerId place.spot
+                    , element = Spot pos name spotType
+                    , bounds = { x = pos.x - 15, y = pos.y - 15, width = 30, height = 30 }
+                    , tooltip = tooltip
+                    }
+                )
+                marker
+                (pointAlongStraight layout place.elementId place.distance)
+
+        turnoutAt ( name, elementId ) =
+            let
+                pos =
+                    case TrackLayout.getConnector elementId 0 layout of
+                        Just c ->
+                            c.position
+
+                        Nothing ->
+                            vec2 0 0
+
+                state =
+                    switchStateOf elementId switchStates
+            in
+            { id = TurnoutId elementId
+            , element = Turnout pos 0 state
+            , bounds = { x = pos.x - 15, y = pos.y - 15, width = 60, height = 30 }
+            , tooltip =
+                case state of
+                    Normal ->
+                        "Turnout " ++ name ++ ": Normal (mainline)"
+
+                    Reverse ->
+                        "Turnout " ++ name ++ ": Reverse (siding)"
+            }
+
+        isPortal elementId =
+            List.any (\( _, portal ) -> portal == elementId) railway.portals
+
+        trackEndAt element =
+            case ( element.elementType, Array.get 0 element.connectors ) of
+                ( TrackElement.TrackEnd, Just connector ) ->
+                    if isPortal element.id then
+                        Nothing
+
+                    else
+                        Just
+                            { id = BufferStopId element.id
+                            , element = BufferStop connector.position connector.orientation
+                            , bounds = { x = connector.position.x - 10, y = connector.position.y - 10, width = 20, height = 20 }
+                            , tooltip = "Buffer Stop"
+                            }
+
+                ( TrackElement.Signal, Just connector ) ->
+                    let
+                        -- Beside the track, on the right of approaching trains
+                        pos =
+                            vec2
+                                (connector.position.x - signalOffset * sin connector.orientation)
+                                (connector.position.y + signalOffset * cos connector.orientation)
+                    in
+                    Just
+                        { id = SignalId element.id
+                        , element = Signal pos connector.orientation element.id
+                        , bounds = { x = pos.x - 6, y = pos.y - 6, width = 12, height = 12 }
+                        , tooltip = "Signal (block boundary)"
+                        }
+
+                _ ->
+                    Nothing
+    in
+    List.filterMap portalAt railway.portals
+        ++ List.filterMap spotAt railway.spots
+        ++ List.filterMap trackEndAt layout.elements
+        ++ List.map turnoutAt railway.turnouts
 
-                Nothing ->
-                    vec2 -250 0
 
-        turnoutPos =
-            case TrackLayout.getConnector (TrackElement.ElementId 2) 0 trackLayout of
-                Just c ->
-                    c.position
+{-| Where a spot a distance along a straight from its connector 0 is.
+-}
+pointAlongStraight : Layout -> TrackElement.ElementId -> Float -> Maybe Vec2
+pointAlongStraight layout elementId distance =
+    TrackLayout.findElement elementId layout
+        |> Maybe.andThen
+            (\element ->
+                case ( element.elementType, Array.get 0 element.connectors ) of
+                    ( TrackElement.StraightTrack _, Just c0 ) ->
+                        Just (Vec2.add c0.position (Vec2.scale distance (Vec2.fromAngle (TrackElement.flipOrientation c0.orientation))))
 
-                Nothing ->
-                    vec2 0 0
+                    _ ->
+                        Nothing
+            )
 
-        -- Position along siding for each element
-        platformPos =
-            pointAlongSiding 60
 
-        teamTrackPos =
-            pointAlongSiding 120
+{-| Get all elements for rendering.
+-}
+elements : (SpawnPointId -> String) -> Railway -> SwitchStates -> List Element
+elements stationName railway switchStates =
+    List.map .element (interactiveElements stationName railway switchStates)
 
-        bufferPos =
-            pointAlongSiding 150
-    in
-    let
-        -- Get West Station position from track layout (element 7, connector 0)
-        westPos =
-            case TrackLayout.getConnector (TrackElement.ElementId 7) 0 trackLayout of
-                Just c ->
-                    c.position
 
-                Nothing ->
-                    vec2 250 0
-    in
-    [ { id = TunnelPortalId
-      , element = TunnelPortal tunnelPos "West Station"
-      , bounds = { x = tunnelPos.x - 20, y = tunnelPos.y - 20, width = 40, height = 40 }
-      , tooltip = "West Station (spawn point)"
-      }
-    , { id = WestTunnelPortalId
-      , element = TunnelPortal westPos "East Station"
-      , bounds = { x = westPos.x - 20, y = westPos.y - 20, width = 40, height = 40 }
-      , tooltip = "East Station (spawn point)"
-      }
-    , { id = TurnoutId
-      , element = Turnout turnoutPos 0 turnoutState
-      , bounds = { x = turnoutPos.x - 15, y = turnoutPos.y - 15, width = 60, height = 30 }
-      , tooltip =
-            case turnoutState of
-                Normal ->
-                    "Turnout: Normal (mainline)"
-
-                Reverse ->
-                    "Turnout: Reverse (siding)"
-      }
-    , { id = PlatformSpotId
-      , element = Spot platformPos "Platform" Passenger
-      , bounds = { x = platformPos.x - 15, y = platformPos.y - 15, width = 30, height = 30 }
-      , tooltip = "Platform (passenger spot)"
-      }
-    , { id = TeamTrackSpotId
-      , element = Spot teamTrackPos "Team Track" Freight
-      , bounds = { x = teamTrackPos.x - 15, y = teamTrackPos.y - 15, width = 30, height = 30 }
-      , tooltip = "Team Track (freight spot)"
-      }
-    , { id = BufferStopId
-      , element = BufferStop bufferPos (totalCurveAngle - pi / 2)
-      , bounds = { x = bufferPos.x - 10, y = bufferPos.y - 10, width = 20, height = 20 }
-      , tooltip = "Buffer Stop"
-      }
-    ]
+{-| Decorative map elements around the track.
+-}
+type alias Furniture =
+    { sawmill : FurnitureItem
+    , platform : FurnitureItem
+    , teamTrackRamp : FurnitureItem
+    , trees : List Vec2
+    }
 
 
-{-| Get all elements for rendering.
+{-| A rectangular building or structure on the map.
 -}
-elements : SwitchState -> List Element
-elements turnoutState =
-    List.map .element (interactiveElements turnoutState)
+type alias FurnitureItem =
+    { position : Vec2, width : Float, height : Float, orientation : Float }
 
 
 {-| Map furniture - decorative elements.
 Positioned relative to the angled siding.
 -}
-furniture :
-    { sawmill : { position : Vec2, width : Float, height : Float, orientation : Float }
-    , platform : { position : Vec2, width : Float, height : Float, orientation : Float }
-    , teamTrackRamp : { position : Vec2, width : Float, height : Float, orientation : Float }
-    , trees : List Vec2
-    }
+furniture : Furniture
 furniture =
     let
         -- Calculate positions along the siding
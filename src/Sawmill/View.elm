@@ -3,14 +3,17 @@ module Sawmill.View exposing (view, viewTooltip)
 {-| SVG rendering for the Sawmill puzzle layout.
 -}
 
+import Dict
 import Html.Attributes
 import Json.Decode as Decode
+import Planning.Types exposing (SpawnPointId)
 import Sawmill.Layout as Layout
     exposing
         ( Element(..)
         , ElementId(..)
         , InteractiveElement
         , SwitchState(..)
+        , SwitchStates
         )
 import Svg exposing (Svg)
 import Svg.Attributes as SvgA
@@ -18,13 +21,20 @@ import Svg.Events as SvgE
 import Track.Element as TrackElement
 import Track.Layout as TrackLayout
 import Track.Render as TrackRender
+import Train.Block as Block
+import Train.Types exposing (Railway, Reservations)
 import Util.Vec2 exposing (Vec2)
 
 
-{-| Render the entire sawmill layout.
+{-| Render the entire sawmill layout, on the track of the railway given.
 -}
 view :
-    { turnoutState : SwitchState
+    { railway : Railway
+    , stationName : SpawnPointId -> String
+    , furniture : Layout.Furniture
+    , switchStates : SwitchStates
+    , lockedTurnouts : List TrackElement.ElementId
+    , reservations : Reservations
     , hoveredElement : Maybe ElementId
     , onElementClick : ElementId -> msg
     , onElementHover : ElementId -> msg
@@ -34,8 +44,8 @@ view :
     -> Svg msg
 view config =
     Svg.g []
-        [ viewFurniture
-        , viewTrack config.turnoutState
+        [ viewFurniture config.furniture
+        , viewTrack config.railway config.switchStates config.lockedTurnouts
         , viewInteractiveElements config
         ]
 
@@ -44,12 +54,8 @@ view config =
 -- FURNITURE (DECORATIVE)
 
 
-viewFurniture : Svg msg
-viewFurniture =
-    let
-        furn =
-            Layout.furniture
-    in
+viewFurniture : Layout.Furniture -> Svg msg
+viewFurniture furn =
     Svg.g []
         [ -- Trees
           Svg.g [] (List.map viewTree furn.trees)
@@ -77,7 +83,7 @@ viewTree pos =
         []
 
 
-viewSawmill : { position : Vec2, width : Float, height : Float, orientation : Float } -> Svg msg
+viewSawmill : Layout.FurnitureItem -> Svg msg
 viewSawmill { position, width, height, orientation } =
     Svg.g
         [ SvgA.transform
@@ -131,7 +137,7 @@ viewSawmill { position, width, height, orientation } =
         ]
 
 
-viewPlatformStructure : { position : Vec2, width : Float, height : Float, orientation : Float } -> Svg msg
+viewPlatformStructure : Layout.FurnitureItem -> Svg msg
 viewPlatformStructure { position, width, height, orientation } =
     Svg.g
         [ SvgA.transform
@@ -168,7 +174,7 @@ viewPlatformStructure { position, width, height, orientation } =
         ]
 
 
-viewRamp : { position : Vec2, width : Float, height : Float, orientation : Float } -> Svg msg
+viewRamp : Layout.FurnitureItem -> Svg msg
 viewRamp { position, width, height, orientation } =
     Svg.g
         [ SvgA.transform
@@ -198,29 +204,42 @@ viewRamp { position, width, height, orientation } =
 -- TRACK
 
 
-viewTrack : SwitchState -> Svg msg
-viewTrack turnoutState =
+viewTrack : Railway -> SwitchStates -> List TrackElement.ElementId -> Svg msg
+viewTrack railway switchStates lockedTurnouts =
     let
         -- Get render segments from the track layout
         segments =
-            TrackRender.layoutToRenderSegments Layout.trackLayout
+            TrackRender.layoutToRenderSegments railway.layout
+
+        indicators =
+            List.map
+                (\( _, turnoutId ) ->
+                    viewTurnoutIndicator railway.layout
+                        turnoutId
+                        (Layout.switchStateOf turnoutId switchStates)
+                        (List.member turnoutId lockedTurnouts)
+                )
+                railway.turnouts
     in
     Svg.g []
         (-- Render all ballast first
          List.map TrackRender.renderBallast segments
             ++ -- Then render all rails
                List.map TrackRender.renderRails segments
-            ++ -- Turnout switch point indicator
-               [ viewTurnoutIndicator turnoutState ]
+            ++ -- Turnout switch point indicators
+               indicators
         )
 
 
-viewTurnoutIndicator : SwitchState -> Svg msg
-viewTurnoutIndicator state =
+{-| The set route at the turnout toe, ringed in red while the turnout is
+locked by a train or cars standing on it.
+-}
+viewTurnoutIndicator : TrackLayout.Layout -> TrackElement.ElementId -> SwitchState -> Bool -> Svg msg
+viewTurnoutIndicator layout turnoutId state locked =
     let
-        -- Get turnout position from layout (element 2, connector 0)
+        -- Get turnout position from layout (connector 0)
         turnoutPos =
-            case TrackLayout.getConnector (TrackElement.ElementId 2) 0 Layout.trackLayout of
+            case TrackLayout.getConnector turnoutId 0 layout of
                 Just c ->
                     c.position
 
@@ -267,6 +286,22 @@ viewTurnoutIndicator state =
             , SvgA.strokeLinecap "round"
             ]
             []
+
+        -- Red ring while the turnout is locked
+        , if locked then
+            Svg.circle
+                [ Html.Attributes.attribute "data-testid" "turnout-locked"
+                , SvgA.cx "0"
+                , SvgA.cy "0"
+                , SvgA.r "7"
+                , SvgA.fill "none"
+                , SvgA.stroke "#d33"
+                , SvgA.strokeWidth "2"
+                ]
+                []
+
+          else
+            Svg.g [] []
         ]
 
 
@@ -275,28 +310,36 @@ viewTurnoutIndicator state =
 
 
 viewInteractiveElements :
-    { turnoutState : SwitchState
-    , hoveredElement : Maybe ElementId
-    , onElementClick : ElementId -> msg
-    , onElementHover : ElementId -> msg
-    , onElementUnhover : msg
-    , noop : msg
+    { a
+        | railway : Railway
+        , stationName : SpawnPointId -> String
+        , switchStates : SwitchStates
+        , reservations : Reservations
+        , hoveredElement : Maybe ElementId
+        , onElementClick : ElementId -> msg
+        , onElementHover : ElementId -> msg
+        , onElementUnhover : msg
+        , noop : msg
     }
     -> Svg msg
 viewInteractiveElements config =
     Svg.g []
-        (Layout.interactiveElements config.turnoutState
+        (Layout.interactiveElements config.stationName config.railway config.switchStates
             |> List.map (viewInteractiveElement config)
         )
 
 
 viewInteractiveElement :
-    { turnoutState : SwitchState
-    , hoveredElement : Maybe ElementId
-    , onElementClick : ElementId -> msg
-    , onElementHover : ElementId -> msg
-    , onElementUnhover : msg
-    , noop : msg
+    { a
+        | railway : Railway
+        , stationName : SpawnPointId -> String
+        , switchStates : SwitchStates
+        , reservations : Reservations
+        , hoveredElement : Maybe ElementId
+        , onElementClick : ElementId -> msg
+        , onElementHover : ElementId -> msg
+        , onElementUnhover : msg
+        , noop : msg
     }
     -> InteractiveElement
     -> Svg msg
@@ -325,7 +368,7 @@ viewInteractiveElement config elem =
                 []
     in
     Svg.g []
-        (viewElement elem.element
+        (viewElement config.railway.layout config.reservations elem.element
             :: hoverOutline
             ++ [ -- Invisible hit area with hover events
                  Svg.rect
@@ -345,8 +388,8 @@ viewInteractiveElement config elem =
         )
 
 
-viewElement : Element -> Svg msg
-viewElement element =
+viewElement : TrackLayout.Layout -> Reservations -> Element -> Svg msg
+viewElement layout reservations element =
     case element of
         TunnelPortal pos name ->
             viewTunnelPortal pos name
@@ -361,6 +404,21 @@ viewElement element =
         BufferStop pos orientation ->
             viewBufferStop pos orientation
 
+        Signal pos orientation elementId ->
+            viewSignal pos orientation (isReserved layout reservations elementId)
+
+
+{-| Whether the block a signal guards is held by a train.
+-}
+isReserved : TrackLayout.Layout -> Reservations -> TrackElement.ElementId -> Bool
+isReserved layout reservations signalId =
+    case Block.guardedBlock layout signalId of
+        Just block ->
+            Dict.member block reservations
+
+        Nothing ->
+            False
+
 
 viewTunnelPortal : Vec2 -> String -> Svg msg
 viewTunnelPortal pos name =
@@ -508,6 +566,54 @@ viewBufferStop pos orientation =
         ]
 
 
+{-| A signal beside the track: a mast with a lamp, red while the block
+it guards is reserved and green while it is free.
+-}
+viewSignal : Vec2 -> Float -> Bool -> Svg msg
+viewSignal pos orientation reserved =
+    let
+        lampColor =
+            if reserved then
+                "#d33"
+
+            else
+                "#3c3"
+    in
+    Svg.g
+        [ Html.Attributes.attribute "data-testid" "signal"
+        , SvgA.transform
+            ("translate("
+                ++ String.fromFloat pos.x
+                ++ ","
+                ++ String.fromFloat pos.y
+                ++ ") rotate("
+                ++ String.fromFloat (orientation * 180 / pi)
+                ++ ")"
+            )
+        ]
+        [ -- Mast
+          Svg.rect
+            [ SvgA.x "-1"
+            , SvgA.y "-1"
+            , SvgA.width "8"
+            , SvgA.height "2"
+            , SvgA.fill "#333"
+            ]
+            []
+
+        -- Lamp
+        , Svg.circle
+            [ SvgA.cx "0"
+            , SvgA.cy "0"
+            , SvgA.r "3"
+            , SvgA.fill lampColor
+            , SvgA.stroke "#111"
+            , SvgA.strokeWidth "1"
+            ]
+            []
+        ]
+
+
 
 -- TOOLTIP
 
@@ -0,0 +1,357 @@
+module Scenario exposing
+    ( Scenario
+    , ScenarioId(..)
+    , SpawnPoint
+    , Spot
+    , all
+    , byId
+    , default
+    , idFromString
+    , idToString
+    , layoutDocument
+    , railway
+    , spawnPointName
+    , withLayoutDocument
+    )
+
+{-| Puzzle scenarios: everything that makes one puzzle different from
+another, bundled in one record.
+
+The scenarios so far are all played on the sawmill track, one of them with a
+turntable at the end of the siding. Trains find their way over the
+scenario's layout; the spots they move to and the portals they come in by
+are placed on it here. A scenario can also be played on the track of a
+layout file, see `withLayoutDocument`.
+
+-}
+
+import Goals exposing (Goal, Task(..))
+import LayoutFile exposing (LayoutDocument)
+import Planning.Types exposing (Load(..), ScheduledTrain, SpawnPointId(..), SpawnPointInventory, StockItem, StockType(..), initPlanningState)
+import Programmer.Types exposing (SpotId(..))
+import Sawmill.Layout as Sawmill
+import Track.Element exposing (ElementId(..))
+import Track.Layout exposing (Layout)
+import Train.Types exposing (Railway)
+import Util.GameTime as GameTime
+
+
+{-| Identifies a scenario, e.g. in saved games.
+-}
+type ScenarioId
+    = SawmillMorning
+    | SawmillPassenger
+    | SawmillTurntable
+
+
+{-| A puzzle scenario.
+
+  - `inventories`: stock available to the player at each station
+  - `timetable`: trains that run on their own, which the player must work
+    around. Their stock never reaches the player's inventories.
+  - `goals`: what the player has to achieve every weekday
+  - `turnouts`: the layout's turnouts by the names SetSwitch orders use
+
+-}
+type alias Scenario =
+    { id : ScenarioId
+    , name : String
+    , description : String
+    , layout : Layout
+    , turnouts : List ( String, ElementId )
+    , spots : List Spot
+    , spawnPoints : List SpawnPoint
+    , inventories : List SpawnPointInventory
+    , furniture : Sawmill.Furniture
+    , timetable : List ScheduledTrain
+    , goals : List Goal
+    }
+
+
+{-| A place trains can be ordered to move to, and where it is: an element
+of the layout and the distance along it from the element's connector 0.
+-}
+type alias Spot =
+    { id : SpotId
+    , name : String
+    , elementId : ElementId
+    , distance : Float
+    }
+
+
+{-| A station where trains enter and leave the map, and its portal: the
+track end of the layout its trains come in by.
+-}
+type alias SpawnPoint =
+    { id : SpawnPointId
+    , name : String
+    , portal : ElementId
+    }
+
+
+{-| All scenarios, in menu order.
+-}
+all : List Scenario
+all =
+    [ sawmillMorning
+    , sawmillPassenger
+    , sawmillTurntable
+    ]
+
+
+{-| The scenario a new game starts with.
+-}
+default : Scenario
+default =
+    sawmillMorning
+
+
+{-| Look up a scenario.
+-}
+byId : ScenarioId -> Scenario
+byId id =
+    case id of
+        SawmillMorning ->
+            sawmillMorning
+
+        SawmillPassenger ->
+            sawmillPassenger
+
+        SawmillTurntable ->
+            sawmillTurntable
+
+
+{-| Stable name of a scenario for saved games.
+-}
+idToString : ScenarioId -> String
+idToString id =
+    case id of
+        SawmillMorning ->
+            "SawmillMorning"
+
+        SawmillPassenger ->
+            "SawmillPassenger"
+
+        SawmillTurntable ->
+            "SawmillTurntable"
+
+
+{-| Parse a scenario name from a saved game.
+-}
+idFromString : String -> Maybe ScenarioId
+idFromString s =
+    case s of
+        "SawmillMorning" ->
+            Just SawmillMorning
+
+        "SawmillPassenger" ->
+            Just SawmillPassenger
+
+        "SawmillTurntable" ->
+            Just SawmillTurntable
+
+        _ ->
+            Nothing
+
+
+{-| Display name of a station in a scenario.
+-}
+spawnPointName : Scenario -> SpawnPointId -> String
+spawnPointName scenario spawnPointId =
+    scenario.spawnPoints
+        |> List.filter (\spawnPoint -> spawnPoint.id == spawnPointId)
+        |> List.head
+        |> Maybe.map .name
+        |> Maybe.withDefault "Unknown Station"
+
+
+{-| The track a scenario is played on, its spots and its portals, as trains
+see them.
+-}
+railway : Scenario -> Railway
+railway scenario =
+    { layout = scenario.layout
+    , spots =
+        List.map
+            (\spot -> { spot = spot.id, elementId = spot.elementId, distance = spot.distance })
+            scenario.spots
+    , portals = List.map (\spawnPoint -> ( spawnPoint.id, spawnPoint.portal )) scenario.spawnPoints
+    , turnouts = scenario.turnouts
+    }
+
+
+{-| A scenario's track as a layout document, for the layout editor. Each
+station's portal is the tunnel track end its trains start from.
+-}
+layoutDocument : Scenario -> LayoutDocument
+layoutDocument scenario =
+    { layout = scenario.layout
+    , turnouts = scenario.turnouts
+    , spots =
+        List.map
+            (\spot -> { name = spot.name, id = Just spot.id, elementId = spot.elementId, distance = spot.distance })
+            scenario.spots
+    , portals =
+        List.map
+            (\spawnPoint ->
+                { name = spawnPoint.name
+                , spawnPoint = spawnPoint.id
+                , elementId = spawnPoint.portal
+                }
+            )
+            scenario.spawnPoints
+    , furniture = Just scenario.furniture
+    }
+
+
+{-| A scenario played on a layout document's track: the layout, turnouts,
+spots and stations come from the document, the stock, timetable and goals
+from the scenario. Spots not marked as a spot of the game can't be ordered
+to and are left out. A document without furniture keeps the scenario's.
+-}
+withLayoutDocument : LayoutDocument -> Scenario -> Scenario
+withLayoutDocument document scenario =
+    { scenario
+        | layout = document.layout
+        , turnouts = document.turnouts
+        , spots =
+            List.filterMap
+                (\placed ->
+                    Maybe.map
+                        (\id -> { id = id, name = placed.name, elementId = placed.elementId, distance = placed.distance })
+                        placed.id
+                )
+                document.spots
+        , spawnPoints =
+            List.map
+                (\portal -> { id = portal.spawnPoint, name = portal.name, portal = portal.elementId })
+                document.portals
+        , furniture = Maybe.withDefault scenario.furniture document.furniture
+    }
+
+
+
+-- SCENARIOS
+
+
+{-| Scenario 1: the morning lumber run on an otherwise empty line.
+-}
+sawmillMorning : Scenario
+sawmillMorning =
+    { id = SawmillMorning
+    , name = "Sawmill: Morning Run"
+    , description = "Bring the workers to the platform and an empty flatcar to the team track."
+    , layout = Sawmill.trackLayout
+    , turnouts = Sawmill.turnouts
+    , spots = sawmillSpots
+    , spawnPoints = sawmillSpawnPoints
+    , inventories = initPlanningState.inventories
+    , furniture = Sawmill.furniture
+    , timetable = []
+    , goals = sawmillGoals
+    }
+
+
+{-| Scenario 2: the morning run with a passenger train on the mainline,
+eastbound at 07:00 and back westbound at 09:00, every weekday.
+-}
+sawmillPassenger : Scenario
+sawmillPassenger =
+    { sawmillMorning
+        | id = SawmillPassenger
+        , name = "Sawmill: Passenger Traffic"
+        , description = "The morning run, but a passenger train uses the mainline at 07:00 and 09:00. Keep the mainline clear."
+        , timetable = List.concatMap passengerService (List.range 0 4)
+    }
+
+
+{-| Scenario 3: the morning run with a turntable at the end of the siding,
+so the locomotive can be turned to lead its train back.
+-}
+sawmillTurntable : Scenario
+sawmillTurntable =
+    { sawmillMorning
+        | id = SawmillTurntable
+        , name = "Sawmill: Turning the Engine"
+        , description = "The morning run, with a turntable at the end of the siding to turn the locomotive on."
+        , layout = Sawmill.turntableLayout
+    }
+
+
+{-| The morning run brings the workers in and drops off an empty flatcar;
+the evening run picks up the workers and the loaded flatcar.
+-}
+sawmillGoals : List Goal
+sawmillGoals =
+    [ { task = StandAt PassengerCar PlatformSpot
+      , from = GameTime.fromHourMinute 7 0
+      , until = GameTime.fromHourMinute 7 15
+      }
+    , { task = LeaveAt Flatbed TeamTrackSpot
+      , from = GameTime.fromHourMinute 6 0
+      , until = GameTime.fromHourMinute 8 0
+      }
+    , { task = ReturnTo PassengerCar EastStation
+      , from = GameTime.fromHourMinute 7 0
+      , until = GameTime.fromHourMinute 9 30
+      }
+    , { task = StandAt PassengerCar PlatformSpot
+      , from = GameTime.fromHourMinute 17 0
+      , until = GameTime.fromHourMinute 17 30
+      }
+    , { task = ReturnLoaded Flatbed EastStation
+      , from = GameTime.fromHourMinute 17 0
+      , until = GameTime.fromHourMinute 18 0
+      }
+    ]
+
+
+{-| The platform and the team track are on the siding's straight (element 5,
+150m long); the tunnel spots are the tunnel track ends.
+-}
+sawmillSpots : List Spot
+sawmillSpots =
+    [ { id = PlatformSpot, name = "Platform", elementId = ElementId 5, distance = 60 }
+    , { id = TeamTrackSpot, name = "Team Track", elementId = ElementId 5, distance = 120 }
+    , { id = EastTunnelSpot, name = "East Tunnel", elementId = ElementId 0, distance = 0 }
+    , { id = WestTunnelSpot, name = "West Tunnel", elementId = ElementId 7, distance = 0 }
+    ]
+
+
+sawmillSpawnPoints : List SpawnPoint
+sawmillSpawnPoints =
+    [ { id = WestStation, name = "West Station", portal = ElementId 7 }
+    , { id = EastStation, name = "East Station", portal = ElementId 0 }
+    ]
+
+
+{-| The passenger train's two runs on a given day. It runs through
+without orders. For the return run the locomotive has been turned off-map;
+the coaches have not.
+-}
+passengerService : Int -> List ScheduledTrain
+passengerService day =
+    let
+        coaches =
+            [ timetableStock 102 PassengerCar False
+            , timetableStock 103 PassengerCar False
+            ]
+    in
+    [ { id = 1001 + 2 * day
+      , spawnPoint = WestStation
+      , departureTime = GameTime.fromDayHourMinute day 7 0
+      , consist = timetableStock 101 Locomotive False :: coaches
+      , program = []
+      }
+    , { id = 1002 + 2 * day
+      , spawnPoint = EastStation
+      , departureTime = GameTime.fromDayHourMinute day 9 0
+      , consist = timetableStock 101 Locomotive True :: coaches
+      , program = []
+      }
+    ]
+
+
+timetableStock : Int -> StockType -> Bool -> StockItem
+timetableStock id stockType reversed =
+    { id = id, stockType = stockType, reversed = reversed, provisional = False, load = Empty }
@@ -1,48 +1,88 @@
-module Simulation exposing (SimState, rebuildIfBeforeTurnout, tick)
+module Simulation exposing (SimState, fixedStep, interpolatedTrains, rerouteTrain, simulateUntil, tick)
 
-{-| Simulation tick: advances the world state by one frame.
+{-| Simulation tick: advances the world state by the time of one frame.
 
-Each tick:
+The world always moves in steps of the same length of game time. The time
+of each frame is added to what is left over from the frames before, and as
+many whole steps as it makes are run; the rest waits for the next frame. So
+the same schedule plays out the same way whatever the frame rate, and only
+the drawing of the trains goes between steps (see `interpolatedTrains`).
+
+Each step:
 
 1.  Advance game time
-2.  Spawn new trains
-3.  Execute programs and collect effects
-4.  Apply switch effects
-5.  Rebuild routes if turnout changed
-6.  Move unprogrammed trains
-7.  Despawn and return stock
+2.  Spawn new trains (scheduled and timetable)
+3.  Execute programs of the player's trains and collect effects
+4.  Apply switch effects (orders to throw an occupied turnout stop the train
+    instead, see `Train.Interlocking`)
+5.  Apply coupling effects to standing consists
+6.  Walk the track beyond each train again, following the turnouts
+7.  Move unprogrammed trains
+8.  Stop trains about to collide
+9.  Turn the cars that went round a wye or a turntable (see `Train.Turning`)
+10. Note where each train is on the track now
+11. Despawn and return stock of scheduled trains
+12. Update block reservations
+13. Load and unload cars standing at spots (see `Train.Loading`)
+14. Record incidents and progress towards the scenario's goals
+
+Timetable trains have no orders and run through at line speed. They claim
+the blocks ahead of them all the way, so the player's trains wait for them
+at the signals.
 
 -}
 
+import Dict
+import Goals exposing (Goal, GoalLog)
 import Planning.Helpers exposing (returnStockToInventory)
-import Planning.Types exposing (ScheduledTrain, SpawnPointId(..), SpawnPointInventory)
+import Planning.Types exposing (ScheduledTrain, SpawnPointId, SpawnPointInventory)
 import Programmer.Types exposing (SwitchPosition)
-import Sawmill.Layout exposing (SwitchState(..))
+import Sawmill.Layout exposing (SwitchState(..), SwitchStates, switchStateOf)
 import Set exposing (Set)
-import Track.Element
+import Track.Layout exposing (Layout)
+import Train.Block as Block
+import Train.Collision as Collision
 import Train.Execution as Execution
+import Train.Interlocking as Interlocking
+import Train.Loading as Loading
 import Train.Movement as Movement
 import Train.Route as Route
 import Train.Spawn as Spawn
-import Train.Types exposing (ActiveTrain, Effect(..), Route, RouteSegment, SegmentGeometry(..), TrainState(..))
+import Train.Stock exposing (consistLength)
+import Train.Turning as Turning
+import Train.Types exposing (ActiveTrain, Effect(..), Railway, Reservations, StandingConsist, TrainState(..))
 import Util.GameTime exposing (GameTime)
 
 
 {-| All the world state the simulation tick reads and writes.
 -}
 type alias SimState =
-    { timeMultiplier : Float
+    { railway : Railway
+    , timeMultiplier : Float
     , gameTime : GameTime
     , activeTrains : List ActiveTrain
+    , standingConsists : List StandingConsist
     , spawnedTrainIds : Set Int
     , scheduledTrains : List ScheduledTrain
+    , timetable : List ScheduledTrain
     , inventories : List SpawnPointInventory
-    , turnoutState : SwitchState
+    , switchStates : SwitchStates
+    , reservations : Reservations
     , selectedTrainId : Maybe Int
+    , goals : List Goal
+    , goalLog : GoalLog
+    , millWorkers : Int
+
+    -- Game seconds of frames not simulated yet, less than a step
+    , pendingTime : Float
+
+    -- The trains before the last step, to draw them between steps
+    , previousTrains : List ActiveTrain
     }
 
 
-{-| Advance the simulation by deltaMs milliseconds.
+{-| Advance the simulation by deltaMs milliseconds of a frame, sped up by
+the time multiplier, in as many fixed steps as fit.
 -}
 tick : Float -> SimState -> SimState
 tick deltaMs state =
@@ -50,27 +90,135 @@ tick deltaMs state =
         -- Cap delta to prevent teleportation when returning from background tab
         cappedDeltaMs =
             min deltaMs 100
+    in
+    runSteps { state | pendingTime = state.pendingTime + (cappedDeltaMs / 1000) * state.timeMultiplier }
 
-        -- Apply time multiplier
-        scaledDeltaSeconds =
-            (cappedDeltaMs / 1000) * state.timeMultiplier
 
+{-| The trains as they are drawn: part of the way from where they were
+before the last step to where they are now, as far as the frames have got
+towards the next step. A train that wasn't there before the step, or whose
+route was walked onto other track in it, is drawn where it is.
+-}
+interpolatedTrains : { a | pendingTime : Float, previousTrains : List ActiveTrain, activeTrains : List ActiveTrain } -> List ActiveTrain
+interpolatedTrains state =
+    let
+        fraction =
+            clamp 0 1 (state.pendingTime / fixedStep)
+    in
+    List.map
+        (\train ->
+            case List.filter (\before -> before.id == train.id) state.previousTrains of
+                before :: _ ->
+                    if before.route == train.route then
+                        { train | position = before.position + (train.position - before.position) * fraction }
+
+                    else
+                        train
+
+                [] ->
+                    train
+        )
+        state.activeTrains
+
+
+{-| Run the simulation without frames up to the game time `until`, in fixed
+steps of game time. What is left short of a whole step is kept pending, as
+`tick` does, so the simulation only ever moves a step at a time. The time
+multiplier and the frame cap of `tick` don't apply, so the outcome is the
+same however fast it runs. A time already past leaves the state as it is.
+-}
+simulateUntil : GameTime -> SimState -> SimState
+simulateUntil until state =
+    if state.gameTime >= until then
+        state
+
+    else
+        runSteps { state | pendingTime = until - state.gameTime }
+
+
+{-| Game seconds per step: a capped frame at normal speed.
+-}
+fixedStep : Float
+fixedStep =
+    0.1
+
+
+{-| Run the whole steps the pending time makes, keeping the rest pending.
+-}
+runSteps : SimState -> SimState
+runSteps state =
+    if state.pendingTime < fixedStep then
+        state
+
+    else
+        runSteps
+            (advance fixedStep
+                { state
+                    | pendingTime = state.pendingTime - fixedStep
+                    , previousTrains = state.activeTrains
+                }
+            )
+
+
+{-| Advance the simulation by this many seconds of game time.
+-}
+advance : Float -> SimState -> SimState
+advance scaledDeltaSeconds state =
+    let
         -- Advance simulation time
         newElapsed =
             state.gameTime + scaledDeltaSeconds
 
-        -- Spawn new trains
+        -- Spawn new trains, the player's and the scenario's timetable
         newTrains =
             Spawn.checkSpawns
+                state.railway
                 newElapsed
-                state.scheduledTrains
+                (state.scheduledTrains ++ state.timetable)
                 state.spawnedTrainIds
-                state.turnoutState
+                state.switchStates
+
+        -- Only the player's trains run programs, count towards goals and
+        -- return stock
+        timetableIds =
+            Set.fromList (List.map .id state.timetable)
+
+        isPlayerTrain train =
+            not (Set.member train.id timetableIds)
+
+        -- Turnouts can't be thrown while anything stands on them
+        lockedTurnouts =
+            state.railway.turnouts
+                |> List.filter
+                    (\( _, turnoutId ) ->
+                        Interlocking.turnoutLocked turnoutId state.activeTrains state.standingConsists
+                    )
+                |> List.map
+                    (\( name, turnoutId ) ->
+                        ( name, switchPosition (switchStateOf turnoutId state.switchStates) )
+                    )
+                |> Dict.fromList
 
         -- Execute programs and update positions
+        world =
+            { railway = state.railway
+            , standingConsists = state.standingConsists
+            , reservations = state.reservations
+            , lockedTurnouts = lockedTurnouts
+            , gameTime = newElapsed
+            , trains = state.activeTrains
+            }
+
         executedResults =
             state.activeTrains
-                |> List.map (Execution.stepProgram scaledDeltaSeconds)
+                |> List.map
+                    (\train ->
+                        if isPlayerTrain train then
+                            Execution.stepProgram scaledDeltaSeconds world train
+
+                        else
+                            ( train, [] )
+                    )
 
         executedTrains =
             List.map Tuple.first executedResults
@@ -79,56 +227,131 @@ tick deltaMs state =
         allEffects =
             List.concatMap Tuple.second executedResults
 
-        -- Apply switch effects to turnout state
-        newTurnoutState =
-            List.foldl applySwitchEffect state.turnoutState allEffects
+        -- Timetable trains claim the blocks through to the end of their
+        -- route, and wait at the signal of one another train holds
+        timetableAcquisition train =
+            Block.acquire state.railway.layout state.reservations (train.route.totalLength + consistLength train.consist) train
+
+        -- Blocks claimed by the player's trains on their way, and by
+        -- timetable trains
+        claims =
+            List.map
+                (\( train, effects ) ->
+                    if isPlayerTrain train then
+                        ( train.id, List.concatMap reservedBlocks effects )
 
-        -- Rebuild routes if turnout state changed, but only for trains
-        -- that haven't passed the turnout yet (to prevent position jumps)
-        routeRebuiltTrains =
-            if newTurnoutState /= state.turnoutState then
-                List.map (rebuildIfBeforeTurnout newTurnoutState) executedTrains
+                    else
+                        ( train.id, (timetableAcquisition train).claims )
+                )
+                executedResults
 
-            else
-                executedTrains
+        -- Apply switch effects to the turnouts they name
+        newSwitchStates =
+            List.foldl (applySwitchEffect state.railway) state.switchStates allEffects
+
+        -- Cars left behind by Uncouple, minus those picked up by Couple
+        newStandingConsists =
+            List.foldl applyCouplingEffect state.standingConsists allEffects
+
+        -- Trains follow the turnouts as they lie now, whichever way they
+        -- are heading and wherever they are
+        reroutedTrains =
+            List.map (rerouteTrain state.railway.layout newSwitchStates) executedTrains
 
         -- Move trains that are still using simple movement (no program).
         -- Trains with programs are fully handled by stepProgram
-        -- (including coasting to stop after program completion).
+        -- (including coasting to stop after program completion), and so
+        -- are trains under manual control. Timetable trains run through,
+        -- holding at signals, and brake to a stand here when train
+        -- protection stopped them, going on once the line is clear; the
+        -- player's brake in stepProgram.
         movedTrains =
-            routeRebuiltTrains
+            reroutedTrains
                 |> List.map
                     (\t ->
-                        if List.isEmpty t.program then
-                            Movement.updateTrain scaledDeltaSeconds t
+                        case t.trainState of
+                            Stopped _ ->
+                                if isPlayerTrain t then
+                                    t
 
-                        else
-                            t
+                                else
+                                    Collision.emergencyBrake scaledDeltaSeconds t
+                                        |> Collision.clearToRun reroutedTrains newStandingConsists
+
+                            Manual _ ->
+                                t
+
+                            _ ->
+                                if not (isPlayerTrain t) then
+                                    Movement.runThrough scaledDeltaSeconds (timetableAcquisition t).holdAt t
+
+                                else if List.isEmpty t.program then
+                                    Movement.updateTrain scaledDeltaSeconds t
+
+                                else
+                                    t
                     )
 
+        -- Stop trains before they run into each other or standing cars
+        protectedTrains =
+            Collision.protect scaledDeltaSeconds newStandingConsists movedTrains
+
+        -- Cars that came round a wye or were turned on a turntable face
+        -- the other way
+        turnedTrains =
+            List.map
+                (\train ->
+                    case List.filter (\before -> before.id == train.id) state.activeTrains of
+                        before :: _ ->
+                            { train | consist = Turning.turnStock state.railway.layout before train }
+
+                        [] ->
+                            train
+                )
+                protectedTrains
+
+        -- Where each train has got to on the track
+        placedTrains =
+            List.map (placeTrain state.railway.layout) turnedTrains
+
         -- Separate despawning trains from surviving trains
         despawningTrains =
-            List.filter Movement.shouldDespawn movedTrains
+            List.filter Movement.shouldDespawn placedTrains
 
         updatedTrains =
-            List.filter (not << Movement.shouldDespawn) movedTrains
+            List.filter (not << Movement.shouldDespawn) placedTrains
 
-        -- Return despawned trains' consist items to exit station inventory
+        playerDepartures =
+            despawningTrains
+                |> List.filter isPlayerTrain
+                |> List.map (\train -> ( exitSpawnPoint state.railway train, train.consist ))
+
+        -- Return despawned trains' consist items to exit station inventory.
+        -- Timetable trains keep their stock.
         newInventories =
-            List.foldl
-                (\train invs ->
-                    let
-                        exitStation =
-                            exitSpawnPoint train.route
-                    in
-                    returnStockToInventory exitStation train.consist invs
-                )
-                state.inventories
-                despawningTrains
+            despawningTrains
+                |> List.filter isPlayerTrain
+                |> List.foldl
+                    (\train invs ->
+                        let
+                            exitStation =
+                                exitSpawnPoint state.railway train
+                        in
+                        returnStockToInventory exitStation train.consist invs
+                    )
+                    state.inventories
+
+        -- Freight cars at the team track are loaded, coaches at the
+        -- platform board and alight passengers
+        loaded =
+            Loading.update state.railway scaledDeltaSeconds newElapsed state.millWorkers updatedTrains newStandingConsists
 
         -- Combine trains
         allTrains =
-            updatedTrains ++ newTrains
+            loaded.activeTrains ++ newTrains
+
+        newReservations =
+            Block.update state.railway.layout allTrains claims state.reservations
 
         -- Track newly spawned IDs
         newSpawnedIds =
@@ -147,14 +370,30 @@ tick deltaMs state =
 
                 Nothing ->
                     Nothing
+
+        newGoalLog =
+            state.goalLog
+                |> Goals.recordIncidents newElapsed state.activeTrains protectedTrains
+                |> Goals.track state.goals
+                    state.gameTime
+                    { railway = state.railway
+                    , gameTime = newElapsed
+                    , activeTrains = List.filter isPlayerTrain loaded.activeTrains
+                    , standingConsists = loaded.standingConsists
+                    , departures = playerDepartures
+                    }
     in
     { state
         | gameTime = newElapsed
         , activeTrains = allTrains
+        , standingConsists = loaded.standingConsists
         , spawnedTrainIds = newSpawnedIds
         , inventories = newInventories
-        , turnoutState = newTurnoutState
+        , switchStates = newSwitchStates
+        , reservations = newReservations
         , selectedTrainId = newSelectedTrainId
+        , goalLog = newGoalLog
+        , millWorkers = loaded.millWorkers
     }
 
 
@@ -162,109 +401,103 @@ tick deltaMs state =
 -- INTERNAL HELPERS
 
 
-{-| Apply a switch effect to the turnout state.
+{-| Apply a switch effect to the turnout it names. Names of turnouts the
+railway doesn't have are ignored.
 -}
-applySwitchEffect : Effect -> SwitchState -> SwitchState
-applySwitchEffect effect _ =
+applySwitchEffect : Railway -> Effect -> SwitchStates -> SwitchStates
+applySwitchEffect railway effect switchStates =
     case effect of
-        SetSwitchEffect _ pos ->
-            case pos of
-                Programmer.Types.Normal ->
-                    Sawmill.Layout.Normal
-
-                Programmer.Types.Diverging ->
-                    Reverse
+        SetSwitchEffect name pos ->
+            case
+                railway.turnouts
+                    |> List.filter (\( turnoutName, _ ) -> turnoutName == name)
+                    |> List.head
+                    |> Maybe.map Tuple.second
+            of
+                Just turnoutId ->
+                    case pos of
+                        Programmer.Types.Normal ->
+                            Sawmill.Layout.setSwitchState turnoutId Sawmill.Layout.Normal switchStates
+
+                        Programmer.Types.Diverging ->
+                            Sawmill.Layout.setSwitchState turnoutId Reverse switchStates
 
+                Nothing ->
+                    switchStates
 
-{-| Rebuild a train's route only if the train hasn't passed the turnout yet.
+        _ ->
+            switchStates
 
-Trains past the turnout keep their existing route to prevent position jumps
-when the switch changes — the same position value would map to a different
-physical location on the new route.
 
+{-| The order position a turnout state corresponds to.
 -}
-rebuildIfBeforeTurnout : SwitchState -> ActiveTrain -> ActiveTrain
-rebuildIfBeforeTurnout newSwitchState train =
-    case Route.turnoutStartDistance train.route of
-        Just turnoutDist ->
-            if train.position < turnoutDist then
-                { train | route = Route.rebuildRoute train.spawnPoint newSwitchState }
+switchPosition : SwitchState -> SwitchPosition
+switchPosition switchState =
+    case switchState of
+        Sawmill.Layout.Normal ->
+            Programmer.Types.Normal
 
-            else
-                train
-
-        Nothing ->
-            -- Turnout not on this route, rebuild is safe
-            { train | route = Route.rebuildRoute train.spawnPoint newSwitchState }
+        Reverse ->
+            Programmer.Types.Diverging
 
 
-{-| Determine spawn point from route (by checking route direction).
+{-| Apply a coupling effect to the standing consists on the map.
 -}
-spawnPointForRoute : Route -> SpawnPointId
-spawnPointForRoute route =
-    -- Check first segment orientation to determine direction
-    case List.head route.segments of
-        Just segment ->
-            case segment.geometry of
-                StraightGeometry geo ->
-                    -- East-to-West starts heading West (positive X direction)
-                    if geo.orientation > pi / 2 && geo.orientation < 3 * pi / 2 then
-                        WestStation
-
-                    else
-                        EastStation
+applyCouplingEffect : Effect -> List StandingConsist -> List StandingConsist
+applyCouplingEffect effect standingConsists =
+    case effect of
+        UncoupleEffect cut ->
+            standingConsists ++ [ cut ]
 
-                ArcGeometry _ ->
-                    -- Default to EastStation for arcs
-                    EastStation
+        CoupleEffect cutId ->
+            List.filter (\cut -> cut.id /= cutId) standingConsists
 
-        Nothing ->
-            EastStation
+        _ ->
+            standingConsists
 
 
-{-| Determine the exit spawn point for a despawning train.
+{-| The blocks a reservation effect claims.
+-}
+reservedBlocks : Effect -> List Int
+reservedBlocks effect =
+    case effect of
+        ReserveEffect blocks ->
+            blocks
 
-Checks which tunnel the route ends at (the last segment's element ID).
-A train that reversed and returned to its origin will have a rebuilt route
-whose last segment is near the origin tunnel, so stock returns correctly.
+        _ ->
+            []
 
-Falls back to opposite-of-spawn if the route end can't be identified
-(e.g., route ends at buffer stop -- shouldn't happen for despawning trains).
 
+{-| The spawn point whose tunnel a despawning train leaves through: the one
+its route ends in. Falls back to where it came from if the route ends
+elsewhere, which shouldn't happen for a train leaving the track.
 -}
-exitSpawnPoint : Route -> SpawnPointId
-exitSpawnPoint route =
-    case lastRouteSegment route.segments of
-        Just segment ->
-            if segment.elementId == Track.Element.ElementId 1 then
-                -- Route ends at mainline east (near East tunnel)
-                EastStation
-
-            else if segment.elementId == Track.Element.ElementId 3 then
-                -- Route ends at mainline west (near West tunnel)
-                WestStation
-
-            else
-                -- Route ends at siding or other element; fall back
-                case spawnPointForRoute route of
-                    EastStation ->
-                        WestStation
-
-                    WestStation ->
-                        EastStation
+exitSpawnPoint : Railway -> ActiveTrain -> SpawnPointId
+exitSpawnPoint railway train =
+    Route.endSpawnPoint railway train.route
+        |> Maybe.withDefault train.spawnPoint
 
-        Nothing ->
-            EastStation
 
+{-| Walk the track beyond a train again from where it stands, so it follows
+the turnouts as they are set now (see `Train.Route.reroute`).
+-}
+rerouteTrain : Layout -> SwitchStates -> ActiveTrain -> ActiveTrain
+rerouteTrain layout switchStates train =
+    let
+        ( route, shift ) =
+            Route.reroute layout switchStates (train.position - consistLength train.consist) train.position train.route
+    in
+    { train | route = route, position = train.position + shift }
 
-lastRouteSegment : List RouteSegment -> Maybe RouteSegment
-lastRouteSegment segments =
-    case segments of
-        [] ->
-            Nothing
 
-        [ x ] ->
-            Just x
+{-| Put down where a train that may have moved is on the track. A train
+whose route isn't on the layout keeps the place it had.
+-}
+placeTrain : Layout -> ActiveTrain -> ActiveTrain
+placeTrain layout train =
+    case Route.trackPosition layout train.position train.route of
+        Just place ->
+            { train | trackPosition = place }
 
-        _ :: rest ->
-            lastRouteSegment rest
+        Nothing ->
+            train
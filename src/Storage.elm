@@ -1,30 +1,51 @@
 module Storage exposing
-    ( SavedState
+    ( SavedCut
+    , SavedState
     , SavedTrain
+    , currentVersion
     , decodeSavedState
+    , decodeScheduledTrain
+    , decodeScheduledTrainWithoutLoads
+    , decodeSpawnPointId
+    , decodeSpotId
     , encodeSavedState
-    , routeForSpawnPoint
+    , encodeScheduledTrain
+    , encodeSpawnPointId
+    , encodeSpotId
     )
 
 {-| Local storage persistence for game state.
+
+Saves carry a format version. Older saves are brought up to the current
+format by a chain of migrations on the raw JSON before decoding, so the
+decoders only ever deal with the current format.
+
 -}
 
+import Dict exposing (Dict)
+import Goals exposing (GoalLog, GoalResult, Incident, Outcome(..))
 import Json.Decode as Decode exposing (Decoder)
 import Json.Encode as Encode
-import Planning.Types exposing (ScheduledTrain, SpawnPointId(..), SpawnPointInventory, StockItem, StockType(..))
-import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), SwitchPosition(..))
-import Sawmill.Layout exposing (SwitchState)
+import Planning.Catalog as Catalog
+import Planning.Types exposing (Load(..), ScheduledTrain, SpawnPointId(..), SpawnPointInventory, StockItem, StockType(..))
+import Programmer.Types exposing (Condition(..), Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), SwitchPosition(..))
+import Sawmill.Layout exposing (SwitchStates, mainTurnoutId, trackLayout)
+import Track.Element exposing (Ease(..), EasementSpec, ElementId(..), Hand(..))
 import Train.Route as Route
-import Train.Types exposing (Route)
+import Train.Types exposing (ManualControls, Route, RouteSegment, SegmentGeometry(..), TrackPosition, TrainState(..))
+import Util.Vec2 as Vec2 exposing (Vec2)
 
 
 {-| Saved state structure for localStorage.
 -}
 type alias SavedState =
-    { gameTime : Float
+    { scenario : String
+    , layoutFile : Maybe String -- The layout file played on, if not the scenario's own layout
+    , gameTime : Float
     , mode : String -- "Planning" | "Running" | "Paused"
-    , turnoutState : String -- "Normal" | "Reverse"
+    , turnouts : List ( Int, String ) -- Turnout element id, "Normal" | "Reverse"
     , activeTrains : List SavedTrain
+    , standingConsists : List SavedCut
     , spawnedTrainIds : List Int
     , scheduledTrains : List ScheduledTrain
     , inventories : List SpawnPointInventory
@@ -33,30 +54,58 @@ type alias SavedState =
     , cameraY : Float
     , cameraZoom : Float
     , timeMultiplier : Float
+    , goalLog : GoalLog
+    , millWorkers : Int
     }
 
 
-{-| Simplified train for storage (route reconstructed from spawnPoint).
+{-| Train for storage, including its program execution state.
+
+A train is saved by where it is on the track, not by its route: it is put
+back on the track from its track position, walking its route again.
+
 -}
 type alias SavedTrain =
     { id : Int
     , consist : List StockItem
-    , position : Float
+    , trackPosition : TrackPosition
     , speed : Float
     , spawnPoint : SpawnPointId
+    , program : List Order
+    , programCounter : Int
+    , trainState : TrainState
+    , reverser : ReverserPosition
+    , waitTimer : Float
     }
 
 
-{-| Get route for a spawn point with the given turnout state.
+{-| Standing consist for storage: its cars and where its front is on the
+track, from where its route is walked again.
 -}
-routeForSpawnPoint : SpawnPointId -> SwitchState -> Route
-routeForSpawnPoint spawnPoint switchState =
-    case spawnPoint of
-        EastStation ->
-            Route.eastToWestRoute switchState
+type alias SavedCut =
+    { id : Int
+    , consist : List StockItem
+    , trackPosition : TrackPosition
+    }
 
-        WestStation ->
-            Route.westToEastRoute switchState
+
+{-| Version of the save format written by encodeSavedState.
+
+  - 1: unversioned saves, trains without execution state
+  - 2: trains keep route and program execution state; standing consists
+  - 3: the scenario being played
+  - 4: goal results and incidents of the week so far
+  - 5: the state of each turnout instead of a single turnout state
+  - 6: loads of the cars and the workers at the mill
+  - 7: where trains are on the track
+  - 8: trains and standing consists by where they are on the track only,
+    without routes
+  - 9: the layout file the scenario is played on
+
+-}
+currentVersion : Int
+currentVersion =
+    9
 
 
 
@@ -68,10 +117,18 @@ routeForSpawnPoint spawnPoint switchState =
 encodeSavedState : SavedState -> Encode.Value
 encodeSavedState state =
     Encode.object
-        [ ( "gameTime", Encode.float state.gameTime )
+        [ ( "version", Encode.int currentVersion )
+        , ( "scenario", Encode.string state.scenario )
+        , ( "layoutFile"
+          , state.layoutFile
+                |> Maybe.map Encode.string
+                |> Maybe.withDefault Encode.null
+          )
+        , ( "gameTime", Encode.float state.gameTime )
         , ( "mode", Encode.string state.mode )
-        , ( "turnoutState", Encode.string state.turnoutState )
+        , ( "turnouts", Encode.list encodeTurnout state.turnouts )
         , ( "activeTrains", Encode.list encodeSavedTrain state.activeTrains )
+        , ( "standingConsists", Encode.list encodeSavedCut state.standingConsists )
         , ( "spawnedTrainIds", Encode.list Encode.int state.spawnedTrainIds )
         , ( "scheduledTrains", Encode.list encodeScheduledTrain state.scheduledTrains )
         , ( "inventories", Encode.list encodeInventory state.inventories )
@@ -80,6 +137,8 @@ encodeSavedState state =
         , ( "cameraY", Encode.float state.cameraY )
         , ( "cameraZoom", Encode.float state.cameraZoom )
         , ( "timeMultiplier", Encode.float state.timeMultiplier )
+        , ( "goalLog", encodeGoalLog state.goalLog )
+        , ( "millWorkers", Encode.int state.millWorkers )
         ]
 
 
@@ -88,12 +147,118 @@ encodeSavedTrain train =
     Encode.object
         [ ( "id", Encode.int train.id )
         , ( "consist", Encode.list encodeStockItem train.consist )
-        , ( "position", Encode.float train.position )
+        , ( "trackPosition", encodeTrackPosition train.trackPosition )
         , ( "speed", Encode.float train.speed )
         , ( "spawnPoint", encodeSpawnPointId train.spawnPoint )
+        , ( "program", Encode.list encodeOrder train.program )
+        , ( "programCounter", Encode.int train.programCounter )
+        , ( "trainState", encodeTrainState train.trainState )
+        , ( "reverser", encodeReverserPosition train.reverser )
+        , ( "waitTimer", Encode.float train.waitTimer )
+        ]
+
+
+encodeTurnout : ( Int, String ) -> Encode.Value
+encodeTurnout ( elementId, state ) =
+    Encode.object
+        [ ( "elementId", Encode.int elementId )
+        , ( "state", Encode.string state )
+        ]
+
+
+encodeSavedCut : SavedCut -> Encode.Value
+encodeSavedCut cut =
+    Encode.object
+        [ ( "id", Encode.int cut.id )
+        , ( "consist", Encode.list encodeStockItem cut.consist )
+        , ( "trackPosition", encodeTrackPosition cut.trackPosition )
+        ]
+
+
+encodeGoalLog : GoalLog -> Encode.Value
+encodeGoalLog log =
+    Encode.object
+        [ ( "results", Encode.list encodeGoalResult log.results )
+        , ( "incidents", Encode.list encodeIncident log.incidents )
+        ]
+
+
+encodeGoalResult : GoalResult -> Encode.Value
+encodeGoalResult result =
+    Encode.object
+        [ ( "day", Encode.int result.day )
+        , ( "goal", Encode.int result.goal )
+        , ( "outcome", encodeOutcome result.outcome )
+        ]
+
+
+encodeOutcome : Outcome -> Encode.Value
+encodeOutcome outcome =
+    case outcome of
+        OnTime ->
+            Encode.object [ ( "type", Encode.string "OnTime" ) ]
+
+        Late seconds ->
+            Encode.object
+                [ ( "type", Encode.string "Late" )
+                , ( "seconds", Encode.float seconds )
+                ]
+
+        Missed ->
+            Encode.object [ ( "type", Encode.string "Missed" ) ]
+
+
+encodeIncident : Incident -> Encode.Value
+encodeIncident incident =
+    Encode.object
+        [ ( "time", Encode.float incident.time )
+        , ( "trainId", Encode.int incident.trainId )
+        , ( "description", Encode.string incident.description )
+        ]
+
+
+encodeTrainState : TrainState -> Encode.Value
+encodeTrainState trainState =
+    case trainState of
+        Executing ->
+            Encode.object [ ( "type", Encode.string "Executing" ) ]
+
+        WaitingForOrders ->
+            Encode.object [ ( "type", Encode.string "WaitingForOrders" ) ]
+
+        Stopped reason ->
+            Encode.object
+                [ ( "type", Encode.string "Stopped" )
+                , ( "reason", Encode.string reason )
+                ]
+
+        Manual controls ->
+            Encode.object
+                [ ( "type", Encode.string "Manual" )
+                , ( "throttle", Encode.float controls.throttle )
+                , ( "brake", Encode.float controls.brake )
+                , ( "emergency", Encode.bool controls.emergency )
+                , ( "moves", Encode.list encodeOrder controls.moves )
+                , ( "message", Maybe.map Encode.string controls.message |> Maybe.withDefault Encode.null )
+                ]
+
+
+encodeTrackPosition : TrackPosition -> Encode.Value
+encodeTrackPosition place =
+    let
+        (ElementId elementId) =
+            place.elementId
+    in
+    Encode.object
+        [ ( "elementId", Encode.int elementId )
+        , ( "fromConnector", Encode.int place.fromConnector )
+        , ( "toConnector", Encode.int place.toConnector )
+        , ( "offset", Encode.float place.offset )
         ]
 
 
+{-| Encode a scheduled train with its consist and program.
+-}
 encodeScheduledTrain : ScheduledTrain -> Encode.Value
 encodeScheduledTrain train =
     Encode.object
@@ -120,26 +285,53 @@ encodeStockItem item =
         , ( "stockType", encodeStockType item.stockType )
         , ( "reversed", Encode.bool item.reversed )
         , ( "provisional", Encode.bool item.provisional )
+        , ( "load", encodeLoad item.load )
         ]
 
 
+encodeLoad : Load -> Encode.Value
+encodeLoad load =
+    case load of
+        Empty ->
+            Encode.object [ ( "kind", Encode.string "Empty" ) ]
+
+        Cargo tonnes ->
+            Encode.object
+                [ ( "kind", Encode.string "Cargo" )
+                , ( "tonnes", Encode.float tonnes )
+                ]
+
+        Passengers count ->
+            Encode.object
+                [ ( "kind", Encode.string "Passengers" )
+                , ( "count", Encode.int count )
+                ]
+
+
+{-| Built-in stock types by name; catalog stock with its whole definition,
+so saves don't depend on the catalog the game was started with.
+-}
 encodeStockType : StockType -> Encode.Value
 encodeStockType st =
-    Encode.string <|
-        case st of
-            Locomotive ->
-                "Locomotive"
+    case st of
+        Locomotive ->
+            Encode.string "Locomotive"
+
+        PassengerCar ->
+            Encode.string "PassengerCar"
 
-            PassengerCar ->
-                "PassengerCar"
+        Flatbed ->
+            Encode.string "Flatbed"
 
-            Flatbed ->
-                "Flatbed"
+        Boxcar ->
+            Encode.string "Boxcar"
 
-            Boxcar ->
-                "Boxcar"
+        CatalogStock definition ->
+            Catalog.encodeDefinition definition
 
 
+{-| Encode a spawn point by name, as saves and layout files store it.
+-}
 encodeSpawnPointId : SpawnPointId -> Encode.Value
 encodeSpawnPointId sp =
     Encode.string <|
@@ -155,18 +347,10 @@ encodeOrder : Order -> Encode.Value
 encodeOrder order =
     case order of
         MoveTo spot target ->
-            Encode.object
-                ([ ( "type", Encode.string "MoveTo" )
-                 , ( "spot", encodeSpotId spot )
-                 ]
-                    ++ (case target of
-                            TrainHead ->
-                                []
-
-                            SpotCar carIndex ->
-                                [ ( "spotCar", Encode.int carIndex ) ]
-                       )
-                )
+            encodeMove "MoveTo" spot target
+
+        AutoMoveTo spot target ->
+            encodeMove "AutoMoveTo" spot target
 
         SetReverser pos ->
             Encode.object
@@ -198,7 +382,76 @@ encodeOrder order =
                 , ( "keep", Encode.int n )
                 ]
 
+        Rotate exit ->
+            Encode.object
+                [ ( "type", Encode.string "Rotate" )
+                , ( "exit", Encode.int exit )
+                ]
+
+        WaitUntil timeOfDay ->
+            Encode.object
+                [ ( "type", Encode.string "WaitUntil" )
+                , ( "time", Encode.float timeOfDay )
+                ]
+
+        WaitForTrain trainId spot ->
+            Encode.object
+                [ ( "type", Encode.string "WaitForTrain" )
+                , ( "trainId", Encode.int trainId )
+                , ( "spot", encodeSpotId spot )
+                ]
+
+        If condition ->
+            Encode.object
+                [ ( "type", Encode.string "If" )
+                , ( "condition", encodeCondition condition )
+                ]
+
+        EndIf ->
+            Encode.object
+                [ ( "type", Encode.string "EndIf" )
+                ]
+
+        Repeat ->
+            Encode.object
+                [ ( "type", Encode.string "Repeat" )
+                ]
+
+
+encodeCondition : Condition -> Encode.Value
+encodeCondition condition =
+    case condition of
+        CarLoaded carIndex ->
+            Encode.object
+                [ ( "type", Encode.string "CarLoaded" )
+                , ( "car", Encode.int carIndex )
+                ]
+
+        CarEmpty carIndex ->
+            Encode.object
+                [ ( "type", Encode.string "CarEmpty" )
+                , ( "car", Encode.int carIndex )
+                ]
+
+
+encodeMove : String -> SpotId -> SpotTarget -> Encode.Value
+encodeMove orderType spot target =
+    Encode.object
+        ([ ( "type", Encode.string orderType )
+         , ( "spot", encodeSpotId spot )
+         ]
+            ++ (case target of
+                    TrainHead ->
+                        []
+
+                    SpotCar carIndex ->
+                        [ ( "spotCar", Encode.int carIndex ) ]
+               )
+        )
+
 
+{-| Encode a spot by name, as saves and layout files store it.
+-}
 encodeSpotId : SpotId -> Encode.Value
 encodeSpotId spot =
     Encode.string <|
@@ -242,29 +495,65 @@ encodeSwitchPosition pos =
 -- DECODERS
 
 
-{-| Decode saved state from JSON.
+{-| Decode saved state from JSON, migrating older save formats.
+
+Fails for saves written by a newer version of the game.
+
 -}
 decodeSavedState : Decoder SavedState
 decodeSavedState =
+    Decode.oneOf
+        [ Decode.field "version" Decode.int
+        , Decode.succeed 1
+        ]
+        |> Decode.andThen
+            (\version ->
+                if version > currentVersion then
+                    Decode.fail
+                        ("Save format version "
+                            ++ String.fromInt version
+                            ++ " is newer than this game supports ("
+                            ++ String.fromInt currentVersion
+                            ++ ")"
+                        )
+
+                else if version < 1 then
+                    Decode.fail ("Unknown save format version: " ++ String.fromInt version)
+
+                else
+                    migrateFrom version
+                        |> Decode.andThen (decodeMigrated decodeCurrentState)
+            )
+
+
+{-| Decode the current save format.
+-}
+decodeCurrentState : Decoder SavedState
+decodeCurrentState =
     Decode.map8
-        (\gameTime mode turnoutState activeTrains spawnedTrainIds scheduledTrains inventories rest ->
+        (\gameTime mode turnouts activeTrains spawnedTrainIds scheduledTrains inventories rest ->
             { gameTime = gameTime
             , mode = mode
-            , turnoutState = turnoutState
+            , turnouts = turnouts
             , activeTrains = activeTrains
             , spawnedTrainIds = spawnedTrainIds
             , scheduledTrains = scheduledTrains
             , inventories = inventories
+            , scenario = rest.scenario
+            , layoutFile = rest.layoutFile
+            , standingConsists = rest.standingConsists
             , nextTrainId = rest.nextTrainId
             , cameraX = rest.cameraX
             , cameraY = rest.cameraY
             , cameraZoom = rest.cameraZoom
             , timeMultiplier = rest.timeMultiplier
+            , goalLog = rest.goalLog
+            , millWorkers = rest.millWorkers
             }
         )
         (Decode.field "gameTime" Decode.float)
         (Decode.field "mode" Decode.string)
-        (Decode.field "turnoutState" Decode.string)
+        (Decode.field "turnouts" (Decode.list decodeTurnout))
         (Decode.field "activeTrains" (Decode.list decodeSavedTrain))
         (Decode.field "spawnedTrainIds" (Decode.list Decode.int))
         (Decode.field "scheduledTrains" (Decode.list decodeScheduledTrain))
@@ -276,39 +565,298 @@ decodeSavedState =
 -}
 decodeRestOfState :
     Decoder
-        { nextTrainId : Int
+        { scenario : String
+        , layoutFile : Maybe String
+        , standingConsists : List SavedCut
+        , nextTrainId : Int
         , cameraX : Float
         , cameraY : Float
         , cameraZoom : Float
         , timeMultiplier : Float
+        , goalLog : GoalLog
+        , millWorkers : Int
         }
 decodeRestOfState =
-    Decode.map5
-        (\nextTrainId cameraX cameraY cameraZoom timeMultiplier ->
-            { nextTrainId = nextTrainId
+    Decode.map8
+        (\played standingConsists nextTrainId cameraX cameraY cameraZoom timeMultiplier week ->
+            { scenario = played.scenario
+            , layoutFile = played.layoutFile
+            , standingConsists = standingConsists
+            , nextTrainId = nextTrainId
             , cameraX = cameraX
             , cameraY = cameraY
             , cameraZoom = cameraZoom
             , timeMultiplier = timeMultiplier
+            , goalLog = week.goalLog
+            , millWorkers = week.millWorkers
             }
         )
+        (Decode.map2 (\scenario layoutFile -> { scenario = scenario, layoutFile = layoutFile })
+            (Decode.field "scenario" Decode.string)
+            (Decode.field "layoutFile" (Decode.nullable Decode.string))
+        )
+        (Decode.field "standingConsists" (Decode.list decodeSavedCut))
         (Decode.field "nextTrainId" Decode.int)
         (Decode.field "cameraX" Decode.float)
         (Decode.field "cameraY" Decode.float)
         (Decode.field "cameraZoom" Decode.float)
         (Decode.field "timeMultiplier" Decode.float)
+        (Decode.map2 (\goalLog millWorkers -> { goalLog = goalLog, millWorkers = millWorkers })
+            (Decode.field "goalLog" decodeGoalLog)
+            (Decode.field "millWorkers" Decode.int)
+        )
+
+
+decodeTurnout : Decoder ( Int, String )
+decodeTurnout =
+    Decode.map2 Tuple.pair
+        (Decode.field "elementId" Decode.int)
+        (Decode.field "state" Decode.string)
 
 
 decodeSavedTrain : Decoder SavedTrain
 decodeSavedTrain =
-    Decode.map5 SavedTrain
+    Decode.map7
+        (\id consist trackPosition speed spawnPoint program execution ->
+            { id = id
+            , consist = consist
+            , trackPosition = trackPosition
+            , speed = speed
+            , spawnPoint = spawnPoint
+            , program = program
+            , programCounter = execution.programCounter
+            , trainState = execution.trainState
+            , reverser = execution.reverser
+            , waitTimer = execution.waitTimer
+            }
+        )
         (Decode.field "id" Decode.int)
         (Decode.field "consist" (Decode.list decodeStockItem))
-        (Decode.field "position" Decode.float)
+        (Decode.field "trackPosition" decodeTrackPosition)
         (Decode.field "speed" Decode.float)
         (Decode.field "spawnPoint" decodeSpawnPointId)
+        (Decode.field "program" (Decode.list decodeOrder))
+        decodeExecutionState
+
+
+{-| Helper to decode a train's execution state (avoids Decode.map8 limit).
+-}
+decodeExecutionState :
+    Decoder
+        { programCounter : Int
+        , trainState : TrainState
+        , reverser : ReverserPosition
+        , waitTimer : Float
+        }
+decodeExecutionState =
+    Decode.map4
+        (\programCounter trainState reverser waitTimer ->
+            { programCounter = programCounter
+            , trainState = trainState
+            , reverser = reverser
+            , waitTimer = waitTimer
+            }
+        )
+        (Decode.field "programCounter" Decode.int)
+        (Decode.field "trainState" decodeTrainState)
+        (Decode.field "reverser" decodeReverserPosition)
+        (Decode.field "waitTimer" Decode.float)
+
+
+decodeSavedCut : Decoder SavedCut
+decodeSavedCut =
+    Decode.map3 SavedCut
+        (Decode.field "id" Decode.int)
+        (Decode.field "consist" (Decode.list decodeStockItem))
+        (Decode.field "trackPosition" decodeTrackPosition)
+
+
+decodeGoalLog : Decoder GoalLog
+decodeGoalLog =
+    Decode.map2 GoalLog
+        (Decode.field "results" (Decode.list decodeGoalResult))
+        (Decode.field "incidents" (Decode.list decodeIncident))
+
+
+decodeGoalResult : Decoder GoalResult
+decodeGoalResult =
+    Decode.map3 GoalResult
+        (Decode.field "day" Decode.int)
+        (Decode.field "goal" Decode.int)
+        (Decode.field "outcome" decodeOutcome)
+
+
+decodeOutcome : Decoder Outcome
+decodeOutcome =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\outcomeType ->
+                case outcomeType of
+                    "OnTime" ->
+                        Decode.succeed OnTime
+
+                    "Late" ->
+                        Decode.map Late (Decode.field "seconds" Decode.float)
+
+                    "Missed" ->
+                        Decode.succeed Missed
 
+                    _ ->
+                        Decode.fail ("Unknown goal outcome: " ++ outcomeType)
+            )
 
+
+decodeIncident : Decoder Incident
+decodeIncident =
+    Decode.map3 Incident
+        (Decode.field "time" Decode.float)
+        (Decode.field "trainId" Decode.int)
+        (Decode.field "description" Decode.string)
+
+
+decodeTrainState : Decoder TrainState
+decodeTrainState =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\stateType ->
+                case stateType of
+                    "Executing" ->
+                        Decode.succeed Executing
+
+                    "WaitingForOrders" ->
+                        Decode.succeed WaitingForOrders
+
+                    "Stopped" ->
+                        Decode.map Stopped (Decode.field "reason" Decode.string)
+
+                    "Manual" ->
+                        Decode.map Manual
+                            (Decode.map5 ManualControls
+                                (Decode.field "throttle" Decode.float)
+                                (Decode.field "brake" Decode.float)
+                                (Decode.field "emergency" Decode.bool)
+                                (Decode.field "moves" (Decode.list decodeOrder))
+                                (Decode.field "message" (Decode.nullable Decode.string))
+                            )
+
+                    _ ->
+                        Decode.fail ("Unknown train state: " ++ stateType)
+            )
+
+
+decodeRoute : Decoder Route
+decodeRoute =
+    Decode.map2 Route
+        (Decode.field "segments" (Decode.list decodeRouteSegment))
+        (Decode.field "totalLength" Decode.float)
+
+
+decodeTrackPosition : Decoder TrackPosition
+decodeTrackPosition =
+    Decode.map4 TrackPosition
+        (Decode.field "elementId" (Decode.map ElementId Decode.int))
+        (Decode.field "fromConnector" Decode.int)
+        (Decode.field "toConnector" Decode.int)
+        (Decode.field "offset" Decode.float)
+
+
+decodeRouteSegment : Decoder RouteSegment
+decodeRouteSegment =
+    Decode.map4 RouteSegment
+        (Decode.field "elementId" (Decode.map ElementId Decode.int))
+        (Decode.field "length" Decode.float)
+        (Decode.field "startDistance" Decode.float)
+        (Decode.field "geometry" decodeSegmentGeometry)
+
+
+decodeSegmentGeometry : Decoder SegmentGeometry
+decodeSegmentGeometry =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\geometryType ->
+                case geometryType of
+                    "Straight" ->
+                        Decode.map3
+                            (\start end orientation ->
+                                StraightGeometry { start = start, end = end, orientation = orientation }
+                            )
+                            (Decode.field "start" decodeVec2)
+                            (Decode.field "end" decodeVec2)
+                            (Decode.field "orientation" Decode.float)
+
+                    "Arc" ->
+                        Decode.map4
+                            (\center radius startAngle sweep ->
+                                ArcGeometry { center = center, radius = radius, startAngle = startAngle, sweep = sweep }
+                            )
+                            (Decode.field "center" decodeVec2)
+                            (Decode.field "radius" Decode.float)
+                            (Decode.field "startAngle" Decode.float)
+                            (Decode.field "sweep" Decode.float)
+
+                    "Easement" ->
+                        Decode.map4
+                            (\position orientation spec forward ->
+                                EasementGeometry
+                                    { connector0 = { position = position, orientation = orientation }
+                                    , spec = spec
+                                    , forward = forward
+                                    }
+                            )
+                            (Decode.field "connector0" decodeVec2)
+                            (Decode.field "orientation" Decode.float)
+                            (Decode.field "spec" decodeEasementSpec)
+                            (Decode.field "forward" Decode.bool)
+
+                    _ ->
+                        Decode.fail ("Unknown segment geometry: " ++ geometryType)
+            )
+
+
+decodeEasementSpec : Decoder EasementSpec
+decodeEasementSpec =
+    Decode.map4 EasementSpec
+        (Decode.field "length" Decode.float)
+        (Decode.field "radius" Decode.float)
+        (Decode.field "hand" Decode.string
+            |> Decode.andThen
+                (\hand ->
+                    case hand of
+                        "Left" ->
+                            Decode.succeed LeftHand
+
+                        "Right" ->
+                            Decode.succeed RightHand
+
+                        _ ->
+                            Decode.fail ("Unknown hand: " ++ hand)
+                )
+        )
+        (Decode.field "ease" Decode.string
+            |> Decode.andThen
+                (\ease ->
+                    case ease of
+                        "In" ->
+                            Decode.succeed EaseIn
+
+                        "Out" ->
+                            Decode.succeed EaseOut
+
+                        _ ->
+                            Decode.fail ("Unknown ease: " ++ ease)
+                )
+        )
+
+
+decodeVec2 : Decoder Vec2
+decodeVec2 =
+    Decode.map2 Vec2.vec2
+        (Decode.field "x" Decode.float)
+        (Decode.field "y" Decode.float)
+
+
+{-| Decode a scheduled train with its consist and program.
+-}
 decodeScheduledTrain : Decoder ScheduledTrain
 decodeScheduledTrain =
     Decode.map5 ScheduledTrain
@@ -328,7 +876,7 @@ decodeInventory =
 
 decodeStockItem : Decoder StockItem
 decodeStockItem =
-    Decode.map4 StockItem
+    Decode.map5 StockItem
         (Decode.field "id" Decode.int)
         (Decode.field "stockType" decodeStockType)
         (Decode.oneOf
@@ -341,31 +889,57 @@ decodeStockItem =
             , Decode.succeed False
             ]
         )
+        (Decode.field "load" decodeLoad)
 
 
-decodeStockType : Decoder StockType
-decodeStockType =
-    Decode.string
+decodeLoad : Decoder Load
+decodeLoad =
+    Decode.field "kind" Decode.string
         |> Decode.andThen
-            (\s ->
-                case s of
-                    "Locomotive" ->
-                        Decode.succeed Locomotive
+            (\kind ->
+                case kind of
+                    "Empty" ->
+                        Decode.succeed Empty
 
-                    "PassengerCar" ->
-                        Decode.succeed PassengerCar
+                    "Cargo" ->
+                        Decode.map Cargo (Decode.field "tonnes" Decode.float)
 
-                    "Flatbed" ->
-                        Decode.succeed Flatbed
-
-                    "Boxcar" ->
-                        Decode.succeed Boxcar
+                    "Passengers" ->
+                        Decode.map Passengers (Decode.field "count" Decode.int)
 
                     _ ->
-                        Decode.fail ("Unknown stock type: " ++ s)
+                        Decode.fail ("Unknown load: " ++ kind)
             )
 
 
+decodeStockType : Decoder StockType
+decodeStockType =
+    Decode.oneOf
+        [ Decode.string
+            |> Decode.andThen
+                (\s ->
+                    case s of
+                        "Locomotive" ->
+                            Decode.succeed Locomotive
+
+                        "PassengerCar" ->
+                            Decode.succeed PassengerCar
+
+                        "Flatbed" ->
+                            Decode.succeed Flatbed
+
+                        "Boxcar" ->
+                            Decode.succeed Boxcar
+
+                        _ ->
+                            Decode.fail ("Unknown stock type: " ++ s)
+                )
+        , Decode.map CatalogStock Catalog.definitionDecoder
+        ]
+
+
+{-| Decode a spawn point stored by encodeSpawnPointId.
+-}
 decodeSpawnPointId : Decoder SpawnPointId
 decodeSpawnPointId =
     Decode.string
@@ -390,13 +964,10 @@ decodeOrder =
             (\orderType ->
                 case orderType of
                     "MoveTo" ->
-                        Decode.map2 MoveTo
-                            (Decode.field "spot" decodeSpotId)
-                            (Decode.field "spotCar" Decode.int
-                                |> Decode.map SpotCar
-                                |> Decode.maybe
-                                |> Decode.map (Maybe.withDefault TrainHead)
-                            )
+                        decodeMove MoveTo
+
+                    "AutoMoveTo" ->
+                        decodeMove AutoMoveTo
 
                     "SetReverser" ->
                         Decode.map SetReverser (Decode.field "position" decodeReverserPosition)
@@ -415,11 +986,61 @@ decodeOrder =
                     "Uncouple" ->
                         Decode.map Uncouple (Decode.field "keep" Decode.int)
 
+                    "Rotate" ->
+                        Decode.map Rotate (Decode.field "exit" Decode.int)
+
+                    "WaitUntil" ->
+                        Decode.map WaitUntil (Decode.field "time" Decode.float)
+
+                    "WaitForTrain" ->
+                        Decode.map2 WaitForTrain
+                            (Decode.field "trainId" Decode.int)
+                            (Decode.field "spot" decodeSpotId)
+
+                    "If" ->
+                        Decode.map If (Decode.field "condition" decodeCondition)
+
+                    "EndIf" ->
+                        Decode.succeed EndIf
+
+                    "Repeat" ->
+                        Decode.succeed Repeat
+
                     _ ->
                         Decode.fail ("Unknown order type: " ++ orderType)
             )
 
 
+decodeCondition : Decoder Condition
+decodeCondition =
+    Decode.field "type" Decode.string
+        |> Decode.andThen
+            (\conditionType ->
+                case conditionType of
+                    "CarLoaded" ->
+                        Decode.map CarLoaded (Decode.field "car" Decode.int)
+
+                    "CarEmpty" ->
+                        Decode.map CarEmpty (Decode.field "car" Decode.int)
+
+                    _ ->
+                        Decode.fail ("Unknown condition: " ++ conditionType)
+            )
+
+
+decodeMove : (SpotId -> SpotTarget -> Order) -> Decoder Order
+decodeMove toOrder =
+    Decode.map2 toOrder
+        (Decode.field "spot" decodeSpotId)
+        (Decode.field "spotCar" Decode.int
+            |> Decode.map SpotCar
+            |> Decode.maybe
+            |> Decode.map (Maybe.withDefault TrainHead)
+        )
+
+
+{-| Decode a spot stored by encodeSpotId.
+-}
 decodeSpotId : Decoder SpotId
 decodeSpotId =
     Decode.string
@@ -475,3 +1096,309 @@ decodeSwitchPosition =
                     _ ->
                         Decode.fail ("Unknown switch position: " ++ s)
             )
+
+
+
+-- MIGRATIONS
+
+
+{-| Migrations between consecutive save format versions. The first entry
+migrates version 1 to version 2, and so on.
+-}
+migrations : List (Decoder Decode.Value)
+migrations =
+    [ migrateV1ToV2
+    , migrateV2ToV3
+    , migrateV3ToV4
+    , migrateV4ToV5
+    , migrateV5ToV6
+    , migrateV6ToV7
+    , migrateV7ToV8
+    , migrateV8ToV9
+    ]
+
+
+{-| Bring a save of the given version up to the current format.
+-}
+migrateFrom : Int -> Decoder Decode.Value
+migrateFrom version =
+    migrations
+        |> List.drop (version - 1)
+        |> List.foldl
+            (\migration migrated -> Decode.andThen (decodeMigrated migration) migrated)
+            Decode.value
+
+
+{-| Run a decoder on a value produced by an earlier migration step.
+-}
+decodeMigrated : Decoder a -> Decode.Value -> Decoder a
+decodeMigrated decoder value =
+    case Decode.decodeValue decoder value of
+        Ok result ->
+            Decode.succeed result
+
+        Err err ->
+            Decode.fail (Decode.errorToString err)
+
+
+{-| Version 1 trains had no route or execution state: they resume on the
+route of their spawn point, without orders. There were no standing
+consists.
+-}
+migrateV1ToV2 : Decoder Decode.Value
+migrateV1ToV2 =
+    let
+        trainDefaults =
+            Dict.fromList
+                [ ( "route", Encode.null )
+                , ( "program", Encode.list identity [] )
+                , ( "programCounter", Encode.int 0 )
+                , ( "trainState", encodeTrainState WaitingForOrders )
+                , ( "reverser", encodeReverserPosition Forward )
+                , ( "waitTimer", Encode.float 0 )
+                ]
+    in
+    Decode.map2
+        (\fields trains ->
+            fields
+                |> Dict.insert "version" (Encode.int 2)
+                |> Dict.insert "activeTrains"
+                    (Encode.list (\train -> encodeFields (Dict.union train trainDefaults)) trains)
+                |> Dict.insert "standingConsists" (Encode.list identity [])
+                |> encodeFields
+        )
+        (Decode.dict Decode.value)
+        (Decode.field "activeTrains" (Decode.list (Decode.dict Decode.value)))
+
+
+{-| Version 2 saves were all of the original sawmill scenario.
+-}
+migrateV2ToV3 : Decoder Decode.Value
+migrateV2ToV3 =
+    Decode.dict Decode.value
+        |> Decode.map
+            (\fields ->
+                fields
+                    |> Dict.insert "version" (Encode.int 3)
+                    |> Dict.insert "scenario" (Encode.string "SawmillMorning")
+                    |> encodeFields
+            )
+
+
+{-| Goals weren't tracked before version 4: the week starts with a clean
+log.
+-}
+migrateV3ToV4 : Decoder Decode.Value
+migrateV3ToV4 =
+    Decode.dict Decode.value
+        |> Decode.map
+            (\fields ->
+                fields
+                    |> Dict.insert "version" (Encode.int 4)
+                    |> Dict.insert "goalLog" (encodeGoalLog Goals.emptyLog)
+                    |> encodeFields
+            )
+
+
+{-| Saves before version 5 had a single turnout, the main one.
+-}
+migrateV4ToV5 : Decoder Decode.Value
+migrateV4ToV5 =
+    let
+        (ElementId mainId) =
+            mainTurnoutId
+    in
+    Decode.map2
+        (\fields turnoutState ->
+            fields
+                |> Dict.insert "version" (Encode.int 5)
+                |> Dict.remove "turnoutState"
+                |> Dict.insert "turnouts" (Encode.list encodeTurnout [ ( mainId, turnoutState ) ])
+                |> encodeFields
+        )
+        (Decode.dict Decode.value)
+        (Decode.field "turnoutState" Decode.string)
+
+
+{-| Cars carried no loads before version 6, and nobody was at work at the
+mill.
+-}
+migrateV5ToV6 : Decoder Decode.Value
+migrateV5ToV6 =
+    Decode.dict Decode.value
+        |> Decode.map
+            (\fields ->
+                fields
+                    |> Dict.insert "version" (Encode.int 6)
+                    |> Dict.insert "millWorkers" (Encode.int 0)
+                    |> mapListField "activeTrains" (mapListField "consist" withEmptyLoad)
+                    |> mapListField "standingConsists" (mapListField "consist" withEmptyLoad)
+                    |> mapListField "scheduledTrains" (mapListField "consist" withEmptyLoad)
+                    |> mapListField "inventories" (mapListField "availableStock" withEmptyLoad)
+                    |> encodeFields
+            )
+
+
+{-| Decode a scheduled train written before cars carried loads: its cars
+are empty unless they say otherwise.
+-}
+decodeScheduledTrainWithoutLoads : Decoder ScheduledTrain
+decodeScheduledTrainWithoutLoads =
+    Decode.dict Decode.value
+        |> Decode.map (mapListField "consist" withEmptyLoad >> encodeFields)
+        |> Decode.andThen (decodeMigrated decodeScheduledTrain)
+
+
+withEmptyLoad : Dict String Decode.Value -> Dict String Decode.Value
+withEmptyLoad item =
+    Dict.union item (Dict.singleton "load" (encodeLoad Empty))
+
+
+{-| Change each object in a list field. Fields that are missing or aren't
+lists of objects are left for the decoder to reject.
+-}
+mapListField : String -> (Dict String Decode.Value -> Dict String Decode.Value) -> Dict String Decode.Value -> Dict String Decode.Value
+mapListField name change fields =
+    case Dict.get name fields |> Maybe.map (Decode.decodeValue (Decode.list (Decode.dict Decode.value))) of
+        Just (Ok items) ->
+            Dict.insert name (Encode.list (change >> encodeFields) items) fields
+
+        _ ->
+            fields
+
+
+{-| Trains didn't know where they were on the track before version 7: they
+are put back on their saved route instead.
+-}
+migrateV6ToV7 : Decoder Decode.Value
+migrateV6ToV7 =
+    Decode.map2
+        (\fields trains ->
+            fields
+                |> Dict.insert "version" (Encode.int 7)
+                |> Dict.insert "activeTrains"
+                    (Encode.list (\train -> encodeFields (Dict.insert "trackPosition" Encode.null train)) trains)
+                |> encodeFields
+        )
+        (Decode.dict Decode.value)
+        (Decode.field "activeTrains" (Decode.list (Decode.dict Decode.value)))
+
+
+{-| Saves before version 8 were all on the sawmill track, and kept each
+train's route and its position along it, as well as each standing
+consist's. Trains and cuts are put on the track from there, where a train
+didn't know where it was already; a train saved without a route is on the
+route from its station's tunnel. Anything that can't be found on the track
+is left off it.
+-}
+migrateV7ToV8 : Decoder Decode.Value
+migrateV7ToV8 =
+    Decode.map4
+        (\fields switchStates trains cuts ->
+            fields
+                |> Dict.insert "version" (Encode.int 8)
+                |> Dict.insert "activeTrains" (Encode.list encodeFields (List.filterMap (placeSavedTrain switchStates) trains))
+                |> Dict.insert "standingConsists" (Encode.list encodeFields (List.filterMap placeSavedCut cuts))
+                |> encodeFields
+        )
+        (Decode.dict Decode.value)
+        (Decode.field "turnouts" (Decode.list decodeTurnout) |> Decode.map savedSwitchStates)
+        (Decode.field "activeTrains" (Decode.list (Decode.dict Decode.value)))
+        (Decode.field "standingConsists" (Decode.list (Decode.dict Decode.value)))
+
+
+placeSavedTrain : SwitchStates -> Dict String Decode.Value -> Maybe (Dict String Decode.Value)
+placeSavedTrain switchStates train =
+    let
+        route =
+            case fieldOf "route" (Decode.nullable decodeRoute) train of
+                Just (Just savedRoute) ->
+                    Just savedRoute
+
+                _ ->
+                    fieldOf "spawnPoint" decodeSpawnPointId train
+                        |> Maybe.map (\spawnPoint -> Route.buildRoute (sawmillPortal spawnPoint) 0 switchStates trackLayout)
+
+        place =
+            case fieldOf "trackPosition" decodeTrackPosition train of
+                Just savedPlace ->
+                    Just savedPlace
+
+                Nothing ->
+                    Maybe.map2 (\position onRoute -> Route.trackPosition trackLayout position onRoute)
+                        (fieldOf "position" Decode.float train)
+                        route
+                        |> Maybe.andThen identity
+    in
+    Maybe.map (placedAt train) place
+
+
+placeSavedCut : Dict String Decode.Value -> Maybe (Dict String Decode.Value)
+placeSavedCut cut =
+    Maybe.map2 (\position route -> Route.trackPosition trackLayout position route)
+        (fieldOf "position" Decode.float cut)
+        (fieldOf "route" decodeRoute cut)
+        |> Maybe.andThen identity
+        |> Maybe.map (placedAt cut)
+
+
+{-| Saved fields with the track position in place of the route and the
+position along it.
+-}
+placedAt : Dict String Decode.Value -> TrackPosition -> Dict String Decode.Value
+placedAt fields place =
+    fields
+        |> Dict.remove "position"
+        |> Dict.remove "route"
+        |> Dict.insert "trackPosition" (encodeTrackPosition place)
+
+
+{-| The tunnel track ends the sawmill's stations brought their trains in by.
+-}
+sawmillPortal : SpawnPointId -> ElementId
+sawmillPortal spawnPoint =
+    case spawnPoint of
+        EastStation ->
+            ElementId 0
+
+        WestStation ->
+            ElementId 7
+
+
+savedSwitchStates : List ( Int, String ) -> SwitchStates
+savedSwitchStates turnouts =
+    turnouts
+        |> List.map
+            (\( elementId, state ) ->
+                if state == "Reverse" then
+                    ( elementId, Sawmill.Layout.Reverse )
+
+                else
+                    ( elementId, Sawmill.Layout.Normal )
+            )
+        |> Dict.fromList
+
+
+{-| Version 8 saves were all played on their scenario's own layout.
+-}
+migrateV8ToV9 : Decoder Decode.Value
+migrateV8ToV9 =
+    Decode.dict Decode.value
+        |> Decode.map
+            (\fields ->
+                fields
+                    |> Dict.insert "version" (Encode.int 9)
+                    |> Dict.insert "layoutFile" Encode.null
+                    |> encodeFields
+            )
+
+
+fieldOf : String -> Decoder a -> Dict String Decode.Value -> Maybe a
+fieldOf name decoder fields =
+    Dict.get name fields
+        |> Maybe.andThen (Decode.decodeValue decoder >> Result.toMaybe)
+
+
+encodeFields : Dict String Encode.Value -> Encode.Value
+encodeFields =
+    Encode.dict identity identity
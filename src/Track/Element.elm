@@ -1,15 +1,24 @@
 module Track.Element exposing
     ( Connector
     , ConnectorIndex
+    , DiamondSpec
+    , Ease(..)
+    , EasementSpec
     , ElementId(..)
     , Hand(..)
     , PlacedElement
     , TrackElementType(..)
     , computeConnectors
     , connectorCount
+    , easementPoint
     , flipOrientation
+    , isSlipRoute
+    , laidForward
     , normalizeAngle
+    , oppositeExit
     , routes
+    , slipCurve
+    , turntableCenter
     )
 
 {-| Track element types and geometry computation.
@@ -67,6 +76,59 @@ type TrackElementType
         , hand : Hand -- which way diverging route curves
         }
     | TrackEnd -- buffer stop, tunnel portal (single connector, no routes)
+    | Signal -- block boundary (two connectors at the same point, no length)
+    | Turntable
+        { radius : Float -- radius of the pit, half the length of the bridge
+        , exits : Int -- exits evenly spaced round the pit, in opposite pairs
+        }
+    | Crossing DiamondSpec -- diamond: two tracks crossing, no routes between them
+    | SingleSlip DiamondSpec -- diamond with a slip road from one track to the other
+    | DoubleSlip DiamondSpec -- diamond with slip roads both ways
+    | Easement EasementSpec -- transition curve between straight track and a curve
+
+
+{-| Two straight tracks of the same length crossing at their middles, as in a
+diamond crossing and the slips built on one.
+
+Connector 0: start of the first track
+Connector 1: end of the first track
+Connector 2: start of the second track
+Connector 3: end of the second track
+
+The slip road of a slip runs from the start of the first track to the end of
+the second (0-3). A double slip also has one from the start of the second to
+the end of the first (2-1).
+
+-}
+type alias DiamondSpec =
+    { length : Float -- length of each track
+    , angle : Float -- angle between the tracks (always positive)
+    , hand : Hand -- which way the second track turns from the first
+    }
+
+
+{-| A transition curve (clothoid): its curvature changes evenly along its
+length between none at its straight end and that of a curve of the given
+radius at its curved end, so trains don't go from straight to curve at once.
+It turns through `length / (2 * radius)`.
+
+Connector 0: entry
+Connector 1: exit
+
+-}
+type alias EasementSpec =
+    { length : Float -- meters
+    , radius : Float -- radius of the curve at its curved end
+    , hand : Hand -- which way it turns
+    , ease : Ease -- which end is straight
+    }
+
+
+{-| Which way an easement eases.
+-}
+type Ease
+    = EaseIn -- straight at connector 0, curved at connector 1: into a curve
+    | EaseOut -- curved at connector 0, straight at connector 1: out of a curve
 
 
 {-| A placed element with computed connectors.
@@ -126,6 +188,29 @@ computeConnectors connector0 elementType =
         TrackEnd ->
             Array.fromList [ connector0 ]
 
+        Signal ->
+            Array.fromList
+                [ connector0
+                , { position = connector0.position
+                  , orientation = flipOrientation connector0.orientation
+                  }
+                ]
+
+        Turntable { radius, exits } ->
+            computeTurntableConnectors connector0 radius exits
+
+        Crossing spec ->
+            computeDiamondConnectors connector0 spec
+
+        SingleSlip spec ->
+            computeDiamondConnectors connector0 spec
+
+        DoubleSlip spec ->
+            computeDiamondConnectors connector0 spec
+
+        Easement spec ->
+            Array.fromList [ connector0, easementPoint connector0 spec spec.length ]
+
 
 {-| Compute connectors for a straight track.
 Connector 0: entry (given)
@@ -262,6 +347,177 @@ computeTurnoutConnectors connector0 spec =
     Array.fromList [ connector0, connector1, connector2 ]
 
 
+{-| Compute connectors for a turntable.
+Connector 0: exit 0 on the rim of the pit (given)
+Connectors 1..n-1: the other exits, counter-clockwise round the pit
+
+Each exit faces straight out of the pit, away from its center.
+-}
+computeTurntableConnectors : Connector -> Float -> Int -> Array Connector
+computeTurntableConnectors connector0 radius exits =
+    let
+        center =
+            turntableCenter radius connector0
+
+        step =
+            2 * pi / toFloat (max 1 exits)
+
+        exitConnector index =
+            let
+                orientation =
+                    normalizeAngle (connector0.orientation + toFloat index * step)
+            in
+            { position = Vec2.add center (Vec2.scale radius (Vec2.fromAngle orientation))
+            , orientation = orientation
+            }
+    in
+    Array.fromList (connector0 :: List.map exitConnector (List.range 1 (exits - 1)))
+
+
+{-| Compute connectors for a crossing or slip.
+Connectors 0 and 1: the first track, as for a straight track
+Connectors 2 and 3: the second track, through the middle of the first at
+the diamond's angle
+
+Note: connector0.orientation points OUTWARD. Track extends in travel direction (opposite).
+-}
+computeDiamondConnectors : Connector -> DiamondSpec -> Array Connector
+computeDiamondConnectors connector0 spec =
+    let
+        travelOrientation =
+            flipOrientation connector0.orientation
+
+        middle =
+            Vec2.add connector0.position (Vec2.scale (spec.length / 2) (Vec2.fromAngle travelOrientation))
+
+        -- Same sign convention as the diverging route of a turnout
+        secondOrientation =
+            case spec.hand of
+                LeftHand ->
+                    normalizeAngle (travelOrientation - spec.angle)
+
+                RightHand ->
+                    normalizeAngle (travelOrientation + spec.angle)
+
+        halfway orientation =
+            Vec2.add middle (Vec2.scale (spec.length / 2) (Vec2.fromAngle orientation))
+    in
+    Array.fromList
+        [ connector0
+        , { position = halfway travelOrientation, orientation = travelOrientation }
+        , { position = halfway (flipOrientation secondOrientation), orientation = flipOrientation secondOrientation }
+        , { position = halfway secondOrientation, orientation = secondOrientation }
+        ]
+
+
+{-| The curve of a slip road, from the start of one track of the diamond to
+the end of the other: tangent to both tracks at the diamond's ends. The sweep
+is from connector 0; the road from connector 2 turns the other way.
+-}
+slipCurve : DiamondSpec -> { radius : Float, sweep : Float }
+slipCurve spec =
+    { radius = spec.length / (2 * tan (spec.angle / 2))
+    , sweep =
+        case spec.hand of
+            LeftHand ->
+                -spec.angle
+
+            RightHand ->
+                spec.angle
+    }
+
+
+{-| Where an easement is a distance along it from connector 0, with the
+direction of travel there.
+
+The heading turns with the square of the distance from the straight end, so
+the position is integrated numerically (Simpson's rule, in steps of 2.5m or
+less); it is exact to well under a millimeter at the lengths and radii
+track is laid to.
+
+-}
+easementPoint : Connector -> EasementSpec -> Float -> Connector
+easementPoint connector0 spec distance =
+    let
+        travelOrientation =
+            flipOrientation connector0.orientation
+
+        -- Same sign convention as the diverging route of a turnout
+        turn =
+            case spec.hand of
+                LeftHand ->
+                    -1
+
+                RightHand ->
+                    1
+
+        -- Angle turned after s meters: the integral of the curvature
+        turned s =
+            let
+                endCurvature =
+                    1 / spec.radius
+            in
+            case spec.ease of
+                EaseIn ->
+                    endCurvature * s * s / (2 * spec.length)
+
+                EaseOut ->
+                    endCurvature * (s - s * s / (2 * spec.length))
+
+        heading s =
+            travelOrientation + turn * turned s
+
+        steps =
+            2 * max 2 (ceiling (distance / 5))
+
+        stepLength =
+            distance / toFloat steps
+
+        weight i =
+            if i == 0 || i == steps then
+                1
+
+            else if modBy 2 i == 1 then
+                4
+
+            else
+                2
+
+        travelled =
+            List.range 0 steps
+                |> List.foldl
+                    (\i acc -> Vec2.add acc (Vec2.scale (weight i) (Vec2.fromAngle (heading (toFloat i * stepLength)))))
+                    (vec2 0 0)
+                |> Vec2.scale (stepLength / 3)
+    in
+    { position = Vec2.add connector0.position travelled
+    , orientation = normalizeAngle (heading distance)
+    }
+
+
+{-| Whether going from one connector of a crossing or slip to another takes
+a slip road rather than one of the straight tracks.
+-}
+isSlipRoute : ConnectorIndex -> ConnectorIndex -> Bool
+isSlipRoute entryConnIdx exitConnIdx =
+    List.member ( entryConnIdx, exitConnIdx ) [ ( 0, 3 ), ( 3, 0 ), ( 2, 1 ), ( 1, 2 ) ]
+
+
+{-| The center of a turntable's pit, from the exit its connector 0 is at.
+-}
+turntableCenter : Float -> Connector -> Vec2
+turntableCenter radius connector0 =
+    Vec2.subtract connector0.position (Vec2.scale radius (Vec2.fromAngle connector0.orientation))
+
+
+{-| The exit across the pit from the given one, where the bridge leads to
+from it.
+-}
+oppositeExit : Int -> ConnectorIndex -> ConnectorIndex
+oppositeExit exits index =
+    modBy (max 1 exits) (index + exits // 2)
+
+
 
 -- ROUTES
 
@@ -283,6 +539,24 @@ connectorCount elementType =
         TrackEnd ->
             1
 
+        Signal ->
+            2
+
+        Turntable { exits } ->
+            exits
+
+        Crossing _ ->
+            4
+
+        SingleSlip _ ->
+            4
+
+        DoubleSlip _ ->
+            4
+
+        Easement _ ->
+            2
+
 
 {-| Get the valid routes through an element.
 Each route is a pair of connector indices that can be traversed.
@@ -301,3 +575,53 @@ routes elementType =
 
         TrackEnd ->
             []
+
+        Signal ->
+            [ ( 0, 1 ) ]
+
+        Turntable { exits } ->
+            -- the bridge across the pit, lined up with a pair of exits
+            List.range 0 (exits // 2 - 1)
+                |> List.map (\index -> ( index, oppositeExit exits index ))
+
+        Crossing _ ->
+            [ ( 0, 1 ), ( 2, 3 ) ]
+
+        SingleSlip _ ->
+            [ ( 0, 1 ), ( 2, 3 ), ( 0, 3 ) ]
+
+        DoubleSlip _ ->
+            [ ( 0, 1 ), ( 2, 3 ), ( 0, 3 ), ( 2, 1 ) ]
+
+        Easement _ ->
+            [ ( 0, 1 ) ]
+
+
+{-| Whether running into an element through a connector runs it the way it
+was laid, from connector 0 onwards. A turntable's bridge runs the way it was
+laid from the first half of its exits, and both tracks of a crossing or slip
+from their starts.
+
+Trains keep running the way the track was laid from one element to the
+next, except where two elements were joined end to end the other way round,
+as happens where the legs of a wye meet. Running through such a joint, or
+being turned round on a turntable, turns the stock.
+
+-}
+laidForward : TrackElementType -> ConnectorIndex -> Bool
+laidForward elementType entryConnIdx =
+    case elementType of
+        Turntable { exits } ->
+            entryConnIdx < exits // 2
+
+        Crossing _ ->
+            entryConnIdx == 0 || entryConnIdx == 2
+
+        SingleSlip _ ->
+            entryConnIdx == 0 || entryConnIdx == 2
+
+        DoubleSlip _ ->
+            entryConnIdx == 0 || entryConnIdx == 2
+
+        _ ->
+            entryConnIdx == 0
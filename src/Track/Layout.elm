@@ -6,8 +6,13 @@ module Track.Layout exposing
     , findConnected
     , findElement
     , getConnector
+    , insertElementAt
+    , openConnectors
     , placeElement
     , placeElementAt
+    , removeElement
+    , rotateElement
+    , turntables
     )
 
 {-| Track layout structure and builder functions.
@@ -24,7 +29,7 @@ import Track.Element as Element
         , ConnectorIndex
         , ElementId(..)
         , PlacedElement
-        , TrackElementType
+        , TrackElementType(..)
         )
 
 
@@ -120,6 +125,77 @@ placeElementAt elementType ( existingId, connectorIdx ) layout =
             placeElement elementType { position = { x = 0, y = 0 }, orientation = 0 } layout
 
 
+{-| Insert a new element into an existing connection, at the given connector.
+
+The new element's connector 0 joins the given connector and its connector 1
+takes over the connection to the other side. Only elements without length
+(signals) fit in without moving the elements beyond. If the connector isn't
+connected, the element is simply placed there.
+
+-}
+insertElementAt :
+    TrackElementType
+    -> ( ElementId, ConnectorIndex )
+    -> Layout
+    -> ( Layout, ElementId )
+insertElementAt elementType ( existingId, connectorIdx ) layout =
+    case findConnected existingId connectorIdx layout of
+        Just otherSide ->
+            let
+                isSplit conn =
+                    (conn.from == ( existingId, connectorIdx ) && conn.to == otherSide)
+                        || (conn.to == ( existingId, connectorIdx ) && conn.from == otherSide)
+
+                ( layoutWithElement, newId ) =
+                    placeElementAt elementType
+                        ( existingId, connectorIdx )
+                        { layout | connections = List.filter (not << isSplit) layout.connections }
+            in
+            ( connect ( newId, 1 ) otherSide layoutWithElement, newId )
+
+        Nothing ->
+            placeElementAt elementType ( existingId, connectorIdx ) layout
+
+
+{-| Remove an element and every connection to it.
+-}
+removeElement : ElementId -> Layout -> Layout
+removeElement elementId layout =
+    { layout
+        | elements = List.filter (\e -> e.id /= elementId) layout.elements
+        , connections =
+            List.filter
+                (\conn -> Tuple.first conn.from /= elementId && Tuple.first conn.to /= elementId)
+                layout.connections
+    }
+
+
+{-| Turn an element round its connector 0 by the given angle (positive is
+clockwise). Its connections are kept, so elements joined to it no longer
+line up until they are moved too.
+-}
+rotateElement : ElementId -> Float -> Layout -> Layout
+rotateElement elementId angle layout =
+    { layout
+        | elements =
+            List.map
+                (\e ->
+                    case ( e.id == elementId, Array.get 0 e.connectors ) of
+                        ( True, Just c0 ) ->
+                            { e
+                                | connectors =
+                                    Element.computeConnectors
+                                        { c0 | orientation = Element.normalizeAngle (c0.orientation + angle) }
+                                        e.elementType
+                            }
+
+                        _ ->
+                            e
+                )
+                layout.elements
+    }
+
+
 {-| Connect two element connectors.
 -}
 connect : ( ElementId, ConnectorIndex ) -> ( ElementId, ConnectorIndex ) -> Layout -> Layout
@@ -172,3 +248,29 @@ findConnected elementId connIdx layout =
                         search rest
     in
     search layout.connections
+
+
+{-| The connectors not joined to anything, element by element.
+-}
+openConnectors : Layout -> List ( ElementId, ConnectorIndex )
+openConnectors layout =
+    layout.elements
+        |> List.concatMap
+            (\e -> List.map (\idx -> ( e.id, idx )) (List.range 0 (Array.length e.connectors - 1)))
+        |> List.filter (\( elementId, idx ) -> findConnected elementId idx layout == Nothing)
+
+
+{-| The turntables of the layout with the number of exits each has.
+-}
+turntables : Layout -> List ( ElementId, Int )
+turntables layout =
+    List.filterMap
+        (\e ->
+            case e.elementType of
+                Turntable { exits } ->
+                    Just ( e.id, exits )
+
+                _ ->
+                    Nothing
+        )
+        layout.elements
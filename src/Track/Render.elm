@@ -46,6 +46,7 @@ type RenderSegment
         , radius : Float
         , sweepFlag : Int -- 0 = CCW, 1 = CW (SVG convention)
         }
+    | RenderPath { points : List Vec2 } -- a curve without an SVG primitive, drawn as short chords
 
 
 {-| Convert a placed element to render segments (one per route).
@@ -109,6 +110,85 @@ elementToRenderSegments element =
             -- Track ends don't render track segments
             []
 
+        Signal ->
+            -- Signals have no length; they are drawn by the layout view
+            []
+
+        Turntable { radius } ->
+            -- The ring rail round the pit, and a track across it for each
+            -- pair of exits the bridge lines up with
+            let
+                bridges =
+                    Element.routes element.elementType
+                        |> List.filterMap
+                            (\( from, to ) ->
+                                Maybe.map2 (\c0 c1 -> RenderStraight { start = c0.position, end = c1.position })
+                                    (Array.get from element.connectors)
+                                    (Array.get to element.connectors)
+                            )
+
+                ring =
+                    case Array.get 0 element.connectors of
+                        Just c0 ->
+                            let
+                                center =
+                                    Element.turntableCenter radius c0
+
+                                across =
+                                    Vec2.subtract (Vec2.scale 2 center) c0.position
+                            in
+                            [ RenderArc { start = c0.position, end = across, radius = radius, sweepFlag = 0 }
+                            , RenderArc { start = across, end = c0.position, radius = radius, sweepFlag = 0 }
+                            ]
+
+                        Nothing ->
+                            []
+            in
+            ring ++ bridges
+
+        Crossing _ ->
+            diamondToRenderSegments element []
+
+        SingleSlip spec ->
+            diamondToRenderSegments element [ ( 0, 3, (Element.slipCurve spec).sweep ) ]
+
+        DoubleSlip spec ->
+            diamondToRenderSegments element
+                [ ( 0, 3, (Element.slipCurve spec).sweep )
+                , ( 2, 1, -(Element.slipCurve spec).sweep )
+                ]
+
+        Easement spec ->
+            case Array.get 0 element.connectors of
+                Just c0 ->
+                    [ easementToRender c0 spec ]
+
+                Nothing ->
+                    []
+
+
+{-| Render segments for the two tracks of a crossing and the slip roads
+between them, each given by the connectors it joins and its sweep.
+-}
+diamondToRenderSegments : PlacedElement -> List ( Int, Int, Float ) -> List RenderSegment
+diamondToRenderSegments element slipRoads =
+    let
+        connector index =
+            Array.get index element.connectors
+
+        track from to =
+            Maybe.map2 (\start end -> RenderStraight { start = start.position, end = end.position })
+                (connector from)
+                (connector to)
+
+        slipRoad ( from, to, sweep ) =
+            Maybe.map2 (\start end -> curvedSegmentToRender start end sweep)
+                (connector from)
+                (connector to)
+    in
+    List.filterMap identity
+        (track 0 1 :: track 2 3 :: List.map slipRoad slipRoads)
+
 
 {-| Create a render segment for a curve.
 -}
@@ -129,6 +209,22 @@ curvedSegmentToRender start end sweep =
         }
 
 
+{-| Create a render segment for an easement: points every 2m or so along
+it, close enough that the chords between them look smooth.
+-}
+easementToRender : Connector -> Element.EasementSpec -> RenderSegment
+easementToRender c0 spec =
+    let
+        chords =
+            max 2 (ceiling (spec.length / 2))
+    in
+    RenderPath
+        { points =
+            List.range 0 chords
+                |> List.map (\i -> (Element.easementPoint c0 spec (spec.length * toFloat i / toFloat chords)).position)
+        }
+
+
 {-| Compute radius from two connectors and sweep angle.
 This is needed because we store connectors, not the original radius.
 For better accuracy, we could store the radius in the element.
@@ -198,6 +294,19 @@ renderSegmentToPath segment =
                 ++ " "
                 ++ String.fromFloat end.y
 
+        RenderPath { points } ->
+            pointsToPath points
+
+
+{-| An SVG path through points, with straight lines between them.
+-}
+pointsToPath : List Vec2 -> String
+pointsToPath points =
+    points
+        |> List.map (\point -> String.fromFloat point.x ++ " " ++ String.fromFloat point.y)
+        |> String.join " L "
+        |> (++) "M "
+
 
 
 -- SVG RENDERING
@@ -228,6 +337,9 @@ renderRails segment =
         RenderArc arc ->
             renderArcRails arc
 
+        RenderPath { points } ->
+            renderPathRails points
+
 
 {-| Render rails for a straight segment.
 -}
@@ -436,3 +548,37 @@ renderArcRails arc =
             ]
             []
         ]
+
+
+{-| Render rails for a path: each rail runs through the points moved aside
+by half the gauge, square to the track there.
+-}
+renderPathRails : List Vec2 -> Svg msg
+renderPathRails points =
+    let
+        -- The track's direction at each point, from the points either side
+        before =
+            List.take 1 points ++ points
+
+        after =
+            List.drop 1 points ++ List.drop (List.length points - 1) points
+
+        offsets =
+            List.map2
+                (\previous next -> Vec2.scale halfGauge (Vec2.normalize (Vec2.perpendicular (Vec2.subtract next previous))))
+                before
+                after
+
+        rail offsetPoint =
+            Svg.path
+                [ SvgA.d (pointsToPath (List.map2 offsetPoint points offsets))
+                , SvgA.stroke "#555"
+                , SvgA.strokeWidth "0.125"
+                , SvgA.fill "none"
+                ]
+                []
+    in
+    Svg.g []
+        [ rail Vec2.subtract
+        , rail Vec2.add
+        ]
@@ -1,6 +1,7 @@
 module Track.Validation exposing
     ( ValidationError(..)
     , ValidationResult
+    , describeError
     , orientationTolerance
     , positionTolerance
     , validateConnection
@@ -13,9 +14,13 @@ Validates that connected connectors match within tolerance:
 - Position: 1 cm
 - Orientation: 1 degree (connected ends face opposite directions)
 
+Also checks what only shows once elements are joined up, as the turnouts of
+a wye are: that no connector is joined to more than one other, and that
+every turntable exit has one across the pit for the bridge to lead to.
+
 -}
 
-import Track.Element as Element exposing (Connector, ConnectorIndex, ElementId)
+import Track.Element as Element exposing (Connector, ConnectorIndex, ElementId(..), PlacedElement, TrackElementType(..))
 import Track.Layout as Layout exposing (Connection, Layout)
 import Util.Vec2 as Vec2
 
@@ -49,6 +54,14 @@ type ValidationError
         { connection : Connection
         , missing : ( ElementId, ConnectorIndex )
         }
+    | SharedConnector
+        { connector : ( ElementId, ConnectorIndex )
+        , connections : List Connection -- every connection joining it
+        }
+    | UnpairedExits
+        { elementId : ElementId
+        , exits : Int
+        }
 
 
 {-| Result of validating a layout.
@@ -65,8 +78,9 @@ validateLayout : Layout -> ValidationResult
 validateLayout layout =
     let
         errors =
-            layout.connections
-                |> List.filterMap (validateConnection layout)
+            List.filterMap (validateConnection layout) layout.connections
+                ++ sharedConnectors layout
+                ++ List.filterMap validateTurntable layout.elements
     in
     { valid = List.isEmpty errors
     , errors = errors
@@ -131,3 +145,103 @@ validateConnectorPair connection fromConnector toConnector =
 
     else
         Nothing
+
+
+{-| Connectors joined to more than one other. A train leaving through one
+could only take one of the connections.
+-}
+sharedConnectors : Layout -> List ValidationError
+sharedConnectors layout =
+    let
+        ends =
+            List.concatMap (\connection -> [ connection.from, connection.to ]) layout.connections
+
+        joining end =
+            List.filter (\connection -> connection.from == end || connection.to == end) layout.connections
+    in
+    ends
+        |> List.foldl
+            (\end seen ->
+                if List.member end seen then
+                    seen
+
+                else
+                    seen ++ [ end ]
+            )
+            []
+        |> List.filterMap
+            (\end ->
+                case joining end of
+                    (_ :: _ :: _) as connections ->
+                        Just (SharedConnector { connector = end, connections = connections })
+
+                    _ ->
+                        Nothing
+            )
+
+
+{-| A turntable's exits must come in pairs across the pit, at least one.
+-}
+validateTurntable : PlacedElement -> Maybe ValidationError
+validateTurntable element =
+    case element.elementType of
+        Turntable { exits } ->
+            if exits < 2 || modBy 2 exits /= 0 then
+                Just (UnpairedExits { elementId = element.id, exits = exits })
+
+            else
+                Nothing
+
+        _ ->
+            Nothing
+
+
+{-| A validation error in words, for the player.
+-}
+describeError : ValidationError -> String
+describeError error =
+    case error of
+        PositionMismatch { connection, distance } ->
+            describeConnection connection
+                ++ " are "
+                ++ String.fromFloat (toFloat (round (distance * 100)) / 100)
+                ++ "m apart"
+
+        OrientationMismatch { connection, angleDiff } ->
+            describeConnection connection
+                ++ " are "
+                ++ String.fromInt (round (angleDiff * 180 / pi))
+                ++ "° out of line"
+
+        DanglingConnection { connection, missing } ->
+            describeConnection connection
+                ++ ": "
+                ++ describeConnector missing
+                ++ " doesn't exist"
+
+        SharedConnector { connector, connections } ->
+            String.fromInt (List.length connections)
+                ++ " joints at "
+                ++ describeConnector connector
+
+        UnpairedExits { elementId, exits } ->
+            "The turntable, "
+                ++ describeElement elementId
+                ++ ", has "
+                ++ String.fromInt exits
+                ++ " exits, not pairs across the pit"
+
+
+describeConnection : Connection -> String
+describeConnection connection =
+    "The joint of " ++ describeConnector connection.from ++ " and " ++ describeConnector connection.to
+
+
+describeConnector : ( ElementId, ConnectorIndex ) -> String
+describeConnector ( elementId, idx ) =
+    describeElement elementId ++ " end " ++ String.fromInt idx
+
+
+describeElement : ElementId -> String
+describeElement (ElementId id) =
+    "element " ++ String.fromInt id
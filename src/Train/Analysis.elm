@@ -0,0 +1,195 @@
+module Train.Analysis exposing (analyze)
+
+{-| Checking a program before the train runs it.
+
+The analyzer follows the train through its program the way the preview
+does (see `Train.Pathfinding.preview`): from its spawn point with the
+turnouts as they are, throwing the turnouts and setting the reverser as the
+orders say, and moving all the way to each spot. On the way it finds the
+orders that would stop the train or run it where it can't go:
+
+  - Moves to a spot that isn't on the train's route
+  - Moves with the reverser set away from the spot
+  - Moves that run the train past the end of the track at a buffer stop
+  - Moves without a locomotive in the train
+  - SpotCar and Uncouple with a car the train doesn't have
+
+Automatically routed moves are checked by the moves planned for them; the
+preview already shows when there is no plan. Standing cars, signals and
+other trains are not taken into account, and a Couple leaves the number of
+cars unknown, so car counts and Uncouple aren't checked after one. If
+blocks are followed as if their condition held, and Repeat isn't followed
+back.
+
+-}
+
+import Planning.Types exposing (SpawnPointId, StockItem)
+import Programmer.Types exposing (Order(..), Program, ReverserPosition(..), SpotId, SpotTarget(..), spotName)
+import Sawmill.Layout exposing (SwitchStates)
+import Train.Coupling as Coupling
+import Train.Execution as Execution
+import Train.Pathfinding as Pathfinding exposing (Sketch)
+import Train.Route as Route
+import Train.Stock exposing (carCenterOffset, consistLength, isPowered)
+import Train.Types exposing (Railway)
+
+
+{-| The train as the analyzer follows it. The cars are known until a Couple
+picks up cars standing on the track.
+-}
+type alias Walk =
+    { train : Sketch
+    , carsKnown : Bool
+    }
+
+
+{-| The problems with each order of the program, for a train about to leave
+the spawn point with the turnouts as they are. An empty list for the orders
+that are fine.
+-}
+analyze : Railway -> SwitchStates -> SpawnPointId -> List StockItem -> Program -> List (List String)
+analyze railway switchStates spawnPoint consist program =
+    let
+        step order ( walk, found ) =
+            ( next railway order walk, check railway order walk :: found )
+    in
+    List.foldl step ( { train = Pathfinding.sketch railway switchStates spawnPoint consist, carsKnown = True }, [] ) program
+        |> Tuple.second
+        |> List.reverse
+
+
+
+-- INTERNAL HELPERS
+
+
+{-| Where an order leaves the train.
+-}
+next : Railway -> Order -> Walk -> Walk
+next railway order walk =
+    case order of
+        AutoMoveTo spot target ->
+            case Pathfinding.plan railway walk.train spot target of
+                Ok moves ->
+                    List.foldl (next railway) walk moves
+
+                Err _ ->
+                    walk
+
+        Couple ->
+            { walk | carsKnown = False }
+
+        _ ->
+            { walk | train = Pathfinding.follow railway order walk.train }
+
+
+check : Railway -> Order -> Walk -> List String
+check railway order walk =
+    case order of
+        MoveTo spot target ->
+            checkMove railway spot target walk
+
+        AutoMoveTo spot target ->
+            case Pathfinding.plan railway walk.train spot target of
+                Ok moves ->
+                    List.foldl
+                        (\move ( movedWalk, found ) ->
+                            ( next railway move movedWalk
+                            , found ++ List.filter (\problem -> not (List.member problem found)) (check railway move movedWalk)
+                            )
+                        )
+                        ( walk, [] )
+                        moves
+                        |> Tuple.second
+
+                Err _ ->
+                    []
+
+        Uncouple keep ->
+            checkUncouple keep walk
+
+        _ ->
+            []
+
+
+checkMove : Railway -> SpotId -> SpotTarget -> Walk -> List String
+checkMove railway spot target walk =
+    let
+        train =
+            walk.train
+    in
+    case Route.spotPosition railway spot train.route of
+        Nothing ->
+            [ "Cannot reach " ++ spotName spot ]
+
+        Just spotDistance ->
+            let
+                destination =
+                    case target of
+                        TrainHead ->
+                            spotDistance
+
+                        SpotCar carIndex ->
+                            spotDistance + Maybe.withDefault 0 (carCenterOffset carIndex train.consist)
+
+                awayFromSpot =
+                    case train.reverser of
+                        Forward ->
+                            destination < train.position - Execution.arrivalThreshold
+
+                        Reverse ->
+                            destination > train.position + Execution.arrivalThreshold
+
+                pastEnd =
+                    (destination > train.route.totalLength && Route.endSpawnPoint railway train.route == Nothing)
+                        || (destination - consistLength train.consist < 0 && Route.startSpawnPoint railway train.route == Nothing)
+            in
+            List.concat
+                [ if List.any (.stockType >> isPowered) train.consist || not walk.carsKnown then
+                    []
+
+                  else
+                    [ "No locomotive to move the train" ]
+                , checkCar target walk
+                , if awayFromSpot then
+                    [ "The reverser is set away from " ++ spotName spot ]
+
+                  else
+                    []
+                , if pastEnd then
+                    [ "Runs into the buffer stop" ]
+
+                  else
+                    []
+                ]
+
+
+checkCar : SpotTarget -> Walk -> List String
+checkCar target walk =
+    let
+        carCount =
+            List.length walk.train.consist
+    in
+    case target of
+        SpotCar carIndex ->
+            if walk.carsKnown && (carIndex < 0 || carIndex >= carCount) then
+                [ "No car " ++ String.fromInt (carIndex + 1) ++ " in a train of " ++ String.fromInt carCount ]
+
+            else
+                []
+
+        TrainHead ->
+            []
+
+
+{-| The problems `Train.Coupling.uncouple` would stop the train with, while
+the cars are known.
+-}
+checkUncouple : Int -> Walk -> List String
+checkUncouple keep walk =
+    if walk.carsKnown then
+        Coupling.uncoupleProblem keep walk.train.consist
+            |> Maybe.map List.singleton
+            |> Maybe.withDefault []
+
+    else
+        []
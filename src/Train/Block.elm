@@ -0,0 +1,319 @@
+module Train.Block exposing
+    ( Acquisition
+    , Section
+    , acquire
+    , blockOf
+    , blocks
+    , guardedBlock
+    , occupiedBlocks
+    , sections
+    , signalStandoff
+    , update
+    )
+
+{-| Block signalling: reserving the track between signals.
+
+Signals split the track into blocks, and a train may only enter a block it
+holds. A train holds the blocks it occupies. On its way to a spot it claims
+the blocks between it and the spot in the order it will reach them, up to
+the first one another train holds, and waits at that block's signal until
+the block is released.
+
+A block is released as soon as its train neither occupies nor claims it,
+i.e. when the train has left it or no longer needs it. Existing
+reservations win over new claims.
+
+Blocks are numbered by the lowest element id in them, on the layout being
+played.
+
+-}
+
+import Array
+import Dict exposing (Dict)
+import Programmer.Types exposing (ReverserPosition(..))
+import Track.Element exposing (ElementId(..), TrackElementType(..))
+import Track.Layout as Layout exposing (Layout)
+import Train.Stock exposing (consistLength)
+import Train.Types exposing (ActiveTrain, Reservations, Route)
+
+
+{-| A stretch of a route within one block.
+-}
+type alias Section =
+    { block : Int
+    , start : Float -- Route distance where the section begins
+    , end : Float -- Route distance where the section ends
+    }
+
+
+{-| The blocks a train claims on its way to a target, and where it has to
+wait if another train holds one of them.
+-}
+type alias Acquisition =
+    { claims : List Int
+    , holdAt : Maybe Float -- Head position short of the signal of a held block
+    }
+
+
+{-| How far short of a signal a train waits for its block (meters).
+-}
+signalStandoff : Float
+signalStandoff =
+    1.0
+
+
+
+-- BLOCKS
+
+
+{-| Map each element of a layout (by id) to its block. Signals belong to
+no block.
+-}
+blocks : Layout -> Dict Int Int
+blocks layout =
+    List.foldl
+        (\element acc ->
+            let
+                (ElementId id) =
+                    element.id
+            in
+            if element.elementType == Signal || Dict.member id acc then
+                acc
+
+            else
+                fill layout id [ element.id ] acc
+        )
+        Dict.empty
+        layout.elements
+
+
+{-| Assign the block to everything reachable from the frontier without
+passing a signal.
+-}
+fill : Layout -> Int -> List ElementId -> Dict Int Int -> Dict Int Int
+fill layout block frontier acc =
+    case frontier of
+        [] ->
+            acc
+
+        ((ElementId id) as elementId) :: rest ->
+            if Dict.member id acc then
+                fill layout block rest acc
+
+            else
+                fill layout block (rest ++ neighbours layout elementId) (Dict.insert id block acc)
+
+
+neighbours : Layout -> ElementId -> List ElementId
+neighbours layout elementId =
+    case Layout.findElement elementId layout of
+        Just element ->
+            List.range 0 (Array.length element.connectors - 1)
+                |> List.filterMap (\connIdx -> Layout.findConnected elementId connIdx layout)
+                |> List.map Tuple.first
+                |> List.filter
+                    (\id ->
+                        Layout.findElement id layout
+                            |> Maybe.map (\other -> other.elementType /= Signal)
+                            |> Maybe.withDefault False
+                    )
+
+        Nothing ->
+            []
+
+
+{-| The block a track element belongs to, Nothing for signals.
+-}
+blockOf : Layout -> ElementId -> Maybe Int
+blockOf layout (ElementId id) =
+    Dict.get id (blocks layout)
+
+
+{-| The block a signal guards: the one beyond its connector 1.
+-}
+guardedBlock : Layout -> ElementId -> Maybe Int
+guardedBlock layout signalId =
+    Layout.findConnected signalId 1 layout
+        |> Maybe.andThen (Tuple.first >> blockOf layout)
+
+
+
+-- ROUTES
+
+
+{-| Split a route into its blocks, in route order.
+-}
+sections : Layout -> Route -> List Section
+sections layout route =
+    let
+        layoutBlocks =
+            blocks layout
+
+        blockAt (ElementId id) =
+            Dict.get id layoutBlocks
+    in
+    List.foldr
+        (\segment acc ->
+            let
+                section block =
+                    { block = block
+                    , start = segment.startDistance
+                    , end = segment.startDistance + segment.length
+                    }
+            in
+            case ( blockAt segment.elementId, acc ) of
+                ( Just block, (Just next) :: rest ) ->
+                    if next.block == block then
+                        Just { next | start = segment.startDistance } :: rest
+
+                    else
+                        Just (section block) :: acc
+
+                ( Just block, _ ) ->
+                    Just (section block) :: acc
+
+                ( Nothing, _ ) ->
+                    -- A signal between two blocks
+                    Nothing :: acc
+        )
+        []
+        route.segments
+        |> List.filterMap identity
+
+
+{-| The blocks under a train, from its front to the rear of its last car.
+-}
+occupiedBlocks : Layout -> ActiveTrain -> List Int
+occupiedBlocks layout train =
+    let
+        rear =
+            train.position - consistLength train.consist
+    in
+    sections layout train.route
+        |> List.filter (\section -> section.start < train.position && section.end > rear)
+        |> List.map .block
+
+
+
+-- RESERVATION
+
+
+{-| Claim the blocks a train needs to get its head to `target`.
+
+Blocks are claimed in the order the leading end reaches them, up to the
+first one another train holds. The train then has to wait short of that
+block's signal.
+
+-}
+acquire : Layout -> Reservations -> Float -> ActiveTrain -> Acquisition
+acquire layout reservations target train =
+    let
+        length =
+            consistLength train.consist
+
+        -- Direction of travel, and how far the head is ahead of the leading end
+        ( directionSign, leadOffset ) =
+            case train.reverser of
+                Forward ->
+                    ( 1.0, 0 )
+
+                Reverse ->
+                    ( -1.0, length )
+
+        lead =
+            train.position - leadOffset
+
+        leadTarget =
+            target - leadOffset
+
+        occupied =
+            occupiedBlocks layout train
+
+        -- Blocks ahead with the route distance where the leading end enters
+        -- them, nearest first
+        ahead =
+            sections layout train.route
+                |> List.map
+                    (\section ->
+                        if directionSign > 0 then
+                            ( section.block, section.start )
+
+                        else
+                            ( section.block, section.end )
+                    )
+                |> List.filter
+                    (\( block, entry ) ->
+                        ((entry - lead) * directionSign >= 0)
+                            && ((leadTarget - entry) * directionSign > 0)
+                            && not (List.member block occupied)
+                    )
+                |> List.sortBy (\( _, entry ) -> (entry - lead) * directionSign)
+
+        isFree block =
+            case Dict.get block reservations of
+                Just holder ->
+                    holder == train.id
+
+                Nothing ->
+                    True
+
+        ( claims, held ) =
+            claimUntilHeld isFree ahead
+    in
+    { claims = claims
+    , holdAt = Maybe.map (\entry -> entry - directionSign * signalStandoff + leadOffset) held
+    }
+
+
+claimUntilHeld : (Int -> Bool) -> List ( Int, Float ) -> ( List Int, Maybe Float )
+claimUntilHeld isFree ahead =
+    case ahead of
+        [] ->
+            ( [], Nothing )
+
+        ( block, entry ) :: rest ->
+            if isFree block then
+                let
+                    ( claims, held ) =
+                        claimUntilHeld isFree rest
+                in
+                ( block :: claims, held )
+
+            else
+                ( [], Just entry )
+
+
+{-| The reservations after a tick, given where the trains are and what
+they claimed (by train id).
+
+Each train keeps the blocks it still occupies or claims, and gets the ones
+nobody holds. New claims are granted in train order.
+
+-}
+update : Layout -> List ActiveTrain -> List ( Int, List Int ) -> Reservations -> Reservations
+update layout trains claims reservations =
+    let
+        wanted =
+            List.map
+                (\train ->
+                    ( train.id
+                    , occupiedBlocks layout train
+                        ++ List.concatMap Tuple.second (List.filter (\( id, _ ) -> id == train.id) claims)
+                    )
+                )
+                trains
+
+        stillWanted block holder =
+            List.any (\( id, wantedBlocks ) -> id == holder && List.member block wantedBlocks) wanted
+
+        grant trainId block acc =
+            if Dict.member block acc then
+                acc
+
+            else
+                Dict.insert block trainId acc
+    in
+    List.foldl
+        (\( trainId, wantedBlocks ) acc -> List.foldl (grant trainId) acc wantedBlocks)
+        (Dict.filter stillWanted reservations)
+        wanted
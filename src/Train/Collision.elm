@@ -0,0 +1,271 @@
+module Train.Collision exposing
+    ( Obstacle
+    , clearToRun
+    , emergencyBrake
+    , nearestObstacle
+    , protect
+    , protectionMargin
+    )
+
+{-| Collision detection between trains, and between trains and standing
+cars.
+
+Each moving train looks ahead in its direction of travel. Everything else
+on the track occupies the stretch between its front and its rear
+(`consistLength` behind the front), projected onto the train's own route by
+world position as for coupling, so trains on different routes still see
+each other where the routes share track.
+
+A train that would come within emergency stopping distance of something
+ahead in its next step is stopped, and brakes to a stand at the emergency
+rate short of it. A train under manual control isn't stopped: its driver
+keeps it, with the emergency brake on. If there is contact anyway, e.g. a
+train spawning into an occupied tunnel mouth, both trains stop dead in a
+collision.
+
+A timetable train stopped short of something goes on once the line ahead
+is clear again (see `clearToRun`).
+
+-}
+
+import Programmer.Types exposing (ReverserPosition(..))
+import Train.Coupling as Coupling
+import Train.Stock exposing (consistEmergencyBraking, consistLength, trainSpeed)
+import Train.Types exposing (ActiveTrain, StandingConsist, TrainState(..))
+
+
+{-| The nearest thing ahead of a train.
+-}
+type alias Obstacle =
+    { trainId : Maybe Int -- Nothing for standing cars
+    , clearance : Float -- From the train's leading end; negative when they overlap
+    }
+
+
+{-| Extra room train protection keeps on top of the emergency stopping
+distance (meters). Less than the coupler gap, so a train buffering up to
+cars to couple isn't stopped.
+-}
+protectionMargin : Float
+protectionMargin =
+    0.5
+
+
+{-| The nearest train or standing cars ahead of a train in its direction
+of travel, including anything overlapping it.
+-}
+nearestObstacle : List ActiveTrain -> List StandingConsist -> ActiveTrain -> Maybe Obstacle
+nearestObstacle trains standingConsists train =
+    let
+        front =
+            train.position
+
+        rear =
+            train.position - consistLength train.consist
+
+        -- Clearance to a (low, high) span, if it isn't behind the train
+        clearanceTo ( low, high ) =
+            case train.reverser of
+                Forward ->
+                    if high > rear then
+                        Just (low - front)
+
+                    else
+                        Nothing
+
+                Reverse ->
+                    if low < front then
+                        Just (rear - high)
+
+                    else
+                        Nothing
+
+        obstacle trainId thing =
+            Coupling.spanOnRoute train.route thing
+                |> Maybe.andThen clearanceTo
+                |> Maybe.map (\clearance -> { trainId = trainId, clearance = clearance })
+
+        trainObstacles =
+            trains
+                |> List.filter (\other -> other.id /= train.id)
+                |> List.filterMap (\other -> obstacle (Just other.id) other)
+
+        carObstacles =
+            List.filterMap (obstacle Nothing) standingConsists
+    in
+    (trainObstacles ++ carObstacles)
+        |> List.sortBy .clearance
+        |> List.head
+
+
+{-| Stop moving trains that are about to run into something, and trains
+that ran into each other, after the trains moved for `deltaSeconds`.
+
+A train is stopped while it can still brake to a stand `protectionMargin`
+short of what is ahead, even after running on for another step before the
+brake bites. It keeps its speed and brakes in the steps that follow (see
+`emergencyBrake`). Trains already stopped keep their reason.
+
+-}
+protect : Float -> List StandingConsist -> List ActiveTrain -> List ActiveTrain
+protect deltaSeconds standingConsists trains =
+    let
+        checked =
+            List.map
+                (\train ->
+                    if train.speed > 0 then
+                        ( train, nearestObstacle trains standingConsists train )
+
+                    else
+                        ( train, Nothing )
+                )
+                trains
+
+        -- (train hit, train that hit it)
+        hits =
+            List.filterMap
+                (\( train, maybeObstacle ) ->
+                    maybeObstacle
+                        |> Maybe.andThen
+                            (\obstacle ->
+                                if obstacle.clearance <= 0 then
+                                    Maybe.map (\hitId -> ( hitId, train.id )) obstacle.trainId
+
+                                else
+                                    Nothing
+                            )
+                )
+                checked
+    in
+    List.map
+        (\( train, maybeObstacle ) ->
+            case maybeObstacle of
+                Just obstacle ->
+                    if obstacle.clearance <= 0 then
+                        stop ("Collision with " ++ obstacleName obstacle) train
+
+                    else if obstacle.clearance - train.speed * deltaSeconds < stoppingDistance train + protectionMargin then
+                        brakeFor (emergencyStop ++ obstacleName obstacle ++ " ahead") train
+
+                    else
+                        train
+
+                Nothing ->
+                    case List.filter (\( hitId, _ ) -> hitId == train.id) hits of
+                        ( _, otherId ) :: _ ->
+                            stop ("Collision with train " ++ String.fromInt otherId) train
+
+                        [] ->
+                            train
+        )
+        checked
+
+
+{-| Move a stopped train on for `deltaSeconds` under the emergency brake,
+until it stands.
+-}
+emergencyBrake : Float -> ActiveTrain -> ActiveTrain
+emergencyBrake deltaSeconds train =
+    if train.speed <= 0 then
+        { train | speed = 0 }
+
+    else
+        let
+            newSpeed =
+                max 0 (train.speed - consistEmergencyBraking train.consist * deltaSeconds)
+
+            -- Standing before the step is over, it goes its stopping distance
+            travelled =
+                if newSpeed > 0 then
+                    (train.speed + newSpeed) / 2 * deltaSeconds
+
+                else
+                    stoppingDistance train
+
+            directionSign =
+                case train.reverser of
+                    Forward ->
+                        1.0
+
+                    Reverse ->
+                        -1.0
+        in
+        { train | speed = newSpeed, position = train.position + travelled * directionSign }
+
+
+{-| Stop dead, as in a collision.
+-}
+stop : String -> ActiveTrain -> ActiveTrain
+stop reason train =
+    case train.trainState of
+        Stopped _ ->
+            { train | speed = 0 }
+
+        _ ->
+            { train | speed = 0, trainState = Stopped reason }
+
+
+{-| Stop, braking to a stand from the next step. A manually driven train
+stays in its driver's hands: the emergency brake goes on instead, the moves
+asked for are dropped, and the driver is told why.
+-}
+brakeFor : String -> ActiveTrain -> ActiveTrain
+brakeFor reason train =
+    case train.trainState of
+        Stopped _ ->
+            train
+
+        Manual controls ->
+            { train | trainState = Manual { controls | emergency = True, moves = [], message = Just reason } }
+
+        _ ->
+            { train | trainState = Stopped reason }
+
+
+{-| How the reason for a stop by train protection starts.
+-}
+emergencyStop : String
+emergencyStop =
+    "Emergency stop: "
+
+
+{-| Let a train stopped by train protection run again once it stands and
+nothing is within its emergency stopping distance from line speed, margin
+included. Trains stopped for any other reason stay stopped.
+-}
+clearToRun : List ActiveTrain -> List StandingConsist -> ActiveTrain -> ActiveTrain
+clearToRun trains standingConsists train =
+    let
+        lineClear =
+            case nearestObstacle trains standingConsists train of
+                Just obstacle ->
+                    obstacle.clearance > stoppingDistance { train | speed = trainSpeed } + protectionMargin
+
+                Nothing ->
+                    True
+    in
+    case train.trainState of
+        Stopped reason ->
+            if train.speed <= 0 && String.startsWith emergencyStop reason && lineClear then
+                { train | trainState = Executing }
+
+            else
+                train
+
+        _ ->
+            train
+
+
+stoppingDistance : ActiveTrain -> Float
+stoppingDistance train =
+    (train.speed * train.speed) / (2 * consistEmergencyBraking train.consist)
+
+
+obstacleName : Obstacle -> String
+obstacleName obstacle =
+    case obstacle.trainId of
+        Just trainId ->
+            "train " ++ String.fromInt trainId
+
+        Nothing ->
+            "standing cars"
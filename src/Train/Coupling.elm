@@ -0,0 +1,334 @@
+module Train.Coupling exposing
+    ( couple
+    , couplerReach
+    , obstacleLimit
+    , spanOnRoute
+    , uncouple
+    , uncoupleProblem
+    )
+
+{-| Coupling and uncoupling of cars, and the standing consists this leaves
+on the track.
+
+Standing consists are found by world position rather than by route
+distance: a cut left behind on one route is projected onto the route of the
+train looking at it. That way a train running over the same track on a
+rebuilt route (e.g. after a turnout change) still sees the cars.
+
+-}
+
+import Planning.Types exposing (StockItem)
+import Programmer.Types exposing (ReverserPosition(..))
+import Track.Layout exposing (Layout)
+import Train.Route as Route
+import Train.Stock exposing (carSpans, consistLength, couplerGap, isPowered)
+import Train.Types exposing (ActiveTrain, Route, StandingConsist)
+import Util.Vec2 as Vec2 exposing (Vec2)
+
+
+{-| Maximum distance between two coupler faces for them to couple (meters).
+-}
+couplerReach : Float
+couplerReach =
+    2.0
+
+
+
+-- UNCOUPLE
+
+
+{-| Detach all but the `keep` cars nearest the locomotive.
+
+Cars are counted from the locomotive end of the consist, so a pushing
+locomotive at the rear keeps the rear cars. The detached cars stay where
+they are as a standing consist, at the point of the track of the layout
+their front is at.
+
+Returns the driver's message if the cut cannot be made.
+
+-}
+uncouple : Layout -> Int -> ActiveTrain -> Result String ( ActiveTrain, StandingConsist )
+uncouple layout keep train =
+    let
+        locoAtRear =
+            isLocoAtRear train.consist
+
+        ( kept, detached ) =
+            splitKeeping keep train.consist
+
+        -- Front of the detached cars, and the train's new head position
+        ( detachedPosition, newPosition ) =
+            if locoAtRear then
+                ( train.position
+                , train.position - frontOfCar (List.length detached) train.consist
+                )
+
+            else
+                ( train.position - frontOfCar (List.length kept) train.consist
+                , train.position
+                )
+    in
+    if train.speed > 0 then
+        Err "Cannot uncouple while moving"
+
+    else
+        case ( uncoupleProblem keep train.consist, Route.trackPosition layout detachedPosition train.route ) of
+            ( Just problem, _ ) ->
+                Err problem
+
+            ( Nothing, Nothing ) ->
+                Err "Cannot uncouple off the track"
+
+            ( Nothing, Just place ) ->
+                Ok
+                    ( { train | consist = kept, position = newPosition }
+                    , { id = standingId detached
+                      , consist = detached
+                      , trackPosition = place
+                      , position = detachedPosition
+                      , route = train.route
+                      }
+                    )
+
+
+{-| Why all but the `keep` cars nearest the locomotive can't be cut off a
+consist, whether or not it is moving.
+-}
+uncoupleProblem : Int -> List StockItem -> Maybe String
+uncoupleProblem keep consist =
+    if keep < 1 then
+        Just "Cannot detach locomotive"
+
+    else if keep >= List.length consist then
+        Just "Nothing to uncouple"
+
+    else if not (List.any isLocomotive (Tuple.first (splitKeeping keep consist))) then
+        Just "Cannot detach locomotive"
+
+    else
+        Nothing
+
+
+{-| The `keep` cars nearest the locomotive and the rest.
+-}
+splitKeeping : Int -> List StockItem -> ( List StockItem, List StockItem )
+splitKeeping keep consist =
+    let
+        carCount =
+            List.length consist
+    in
+    if isLocoAtRear consist then
+        ( List.drop (carCount - keep) consist
+        , List.take (carCount - keep) consist
+        )
+
+    else
+        ( List.take keep consist
+        , List.drop keep consist
+        )
+
+
+{-| Distance from the head of a consist to the front of the car at an index.
+-}
+frontOfCar : Int -> List StockItem -> Float
+frontOfCar index consist =
+    carSpans consist
+        |> List.drop index
+        |> List.head
+        |> Maybe.map Tuple.first
+        |> Maybe.withDefault (consistLength consist + couplerGap)
+
+
+{-| A locomotive pushing from the rear: the consist doesn't start with a
+locomotive but ends with one.
+-}
+isLocoAtRear : List StockItem -> Bool
+isLocoAtRear consist =
+    case ( List.head consist, List.head (List.reverse consist) ) of
+        ( Just first, Just last ) ->
+            not (isLocomotive first) && isLocomotive last
+
+        _ ->
+            False
+
+
+isLocomotive : StockItem -> Bool
+isLocomotive item =
+    isPowered item.stockType
+
+
+standingId : List StockItem -> Int
+standingId consist =
+    List.head consist
+        |> Maybe.map .id
+        |> Maybe.withDefault 0
+
+
+
+-- COUPLE
+
+
+{-| Which end of a standing consist a coupler face belongs to.
+-}
+type CutEnd
+    = CutFront
+    | CutRear
+
+
+{-| Couple to the nearest standing consist within coupler reach of the end
+of the train facing the direction of travel.
+
+Returns the lengthened train and the standing consist it absorbed, or
+Nothing if no cut is close enough.
+
+-}
+couple : List StandingConsist -> ActiveTrain -> Maybe ( ActiveTrain, StandingConsist )
+couple standingConsists train =
+    let
+        isForward =
+            train.reverser == Forward
+
+        couplingDistance =
+            if isForward then
+                train.position
+
+            else
+                train.position - consistLength train.consist
+
+        nearest =
+            Route.positionOnRoute couplingDistance train.route
+                |> Maybe.andThen (\end -> nearestCutEnd end.position standingConsists)
+    in
+    case nearest of
+        Nothing ->
+            Nothing
+
+        Just ( cut, touchingEnd ) ->
+            let
+                -- Cut cars in the train's front-to-rear order
+                cutCars =
+                    case ( isForward, touchingEnd ) of
+                        ( True, CutRear ) ->
+                            cut.consist
+
+                        ( False, CutFront ) ->
+                            cut.consist
+
+                        _ ->
+                            turnAround cut.consist
+
+                coupled =
+                    if isForward then
+                        { train
+                            | consist = cutCars ++ train.consist
+                            , position = train.position + frontOfCar (List.length cutCars) (cutCars ++ train.consist)
+                        }
+
+                    else
+                        { train | consist = train.consist ++ cutCars }
+            in
+            Just ( coupled, cut )
+
+
+{-| Find the standing consist end closest to a coupler position, if any is
+within coupler reach.
+-}
+nearestCutEnd : Vec2 -> List StandingConsist -> Maybe ( StandingConsist, CutEnd )
+nearestCutEnd couplerPosition standingConsists =
+    standingConsists
+        |> List.concatMap
+            (\cut ->
+                [ ( cut, CutFront, cutEndPosition CutFront cut )
+                , ( cut, CutRear, cutEndPosition CutRear cut )
+                ]
+            )
+        |> List.filterMap
+            (\( cut, end, maybePosition ) ->
+                maybePosition
+                    |> Maybe.map (\pos -> ( cut, end, Vec2.distance pos couplerPosition ))
+            )
+        |> List.filter (\( _, _, dist ) -> dist <= couplerReach)
+        |> List.sortBy (\( _, _, dist ) -> dist)
+        |> List.head
+        |> Maybe.map (\( cut, end, _ ) -> ( cut, end ))
+
+
+cutEndPosition : CutEnd -> { a | position : Float, consist : List StockItem, route : Route } -> Maybe Vec2
+cutEndPosition end cut =
+    let
+        distance =
+            case end of
+                CutFront ->
+                    cut.position
+
+                CutRear ->
+                    cut.position - consistLength cut.consist
+    in
+    Route.positionOnRoute distance cut.route
+        |> Maybe.map .position
+
+
+{-| Reverse a cut's car order, flipping each car so it keeps its physical
+orientation on the track.
+-}
+turnAround : List StockItem -> List StockItem
+turnAround consist =
+    consist
+        |> List.reverse
+        |> List.map (\item -> { item | reversed = not item.reversed })
+
+
+
+-- OBSTACLES
+
+
+{-| The furthest head position a train can reach in its direction of travel
+before buffering up to a standing consist, if a cut is in the way.
+
+The train stops one coupler gap short of the cut, within coupler reach.
+
+-}
+obstacleLimit : List StandingConsist -> ActiveTrain -> Maybe Float
+obstacleLimit standingConsists train =
+    let
+        trainLength =
+            consistLength train.consist
+
+        spans =
+            List.filterMap (spanOnRoute train.route) standingConsists
+    in
+    case train.reverser of
+        Forward ->
+            spans
+                |> List.filter (\( low, _ ) -> low >= train.position - couplerReach)
+                |> List.map (\( low, _ ) -> low - couplerGap)
+                |> List.minimum
+
+        Reverse ->
+            let
+                rear =
+                    train.position - trainLength
+            in
+            spans
+                |> List.filter (\( _, high ) -> high <= rear + couplerReach)
+                |> List.map (\( _, high ) -> high + couplerGap + trainLength)
+                |> List.maximum
+
+
+{-| The (low, high) distances a standing consist, or a train, occupies on
+a route, if either of its ends lies on that route.
+-}
+spanOnRoute : Route -> { a | position : Float, consist : List StockItem, route : Route } -> Maybe ( Float, Float )
+spanOnRoute route cut =
+    let
+        distances =
+            [ CutFront, CutRear ]
+                |> List.filterMap (\end -> cutEndPosition end cut)
+                |> List.filterMap (\pos -> Route.distanceAlongRoute pos route)
+    in
+    case ( List.minimum distances, List.maximum distances ) of
+        ( Just low, Just high ) ->
+            Just ( low, high )
+
+        _ ->
+            Nothing
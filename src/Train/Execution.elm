@@ -1,42 +1,47 @@
-module Train.Execution exposing (stepProgram)
+module Train.Execution exposing (arrivalThreshold, stepProgram)
 
 {-| Program execution engine for active trains.
 
 Each tick, trains with a program advance through their orders:
 
   - MoveTo: Accelerate toward target, decelerate to stop at destination
+  - AutoMoveTo: Plans the orders that take the train to the spot (see
+    `Train.Pathfinding`) and runs them in its place, advances when they
+    are done
   - SetReverser: Instant, advances immediately
-  - SetSwitch: Returns effect for Main to apply, advances immediately
+  - SetSwitch: Returns effect for Main to apply, advances immediately;
+    stops the train if the turnout is locked (see `Train.Interlocking`)
   - WaitSeconds: Counts down timer, advances when done
-  - Couple/Uncouple: Stops with error (not yet implemented)
+  - Couple: Joins a standing consist within coupler reach, advances immediately
+  - Uncouple: Leaves the tail cars standing on the track, advances immediately
+  - Rotate: Turns the turntable the whole train stands on, advances
+    immediately
+  - WaitUntil: Counts down to the next time the clock shows the time of
+    day, advances when done
+  - WaitForTrain: Holds until the other train stands at the spot
+  - If: Advances if the condition holds, otherwise skips past its EndIf
+  - EndIf: Advances immediately
+  - Repeat: Starts the program over from its first order
+
+MoveTo stops short of standing cars in the way, ready to couple, and
+waits at the signal of a block another train holds (see `Train.Block`).
+
+A manually controlled train runs the moves the driver asked for the same
+way, then follows its throttle and brake (see `Train.Manual`).
 
 -}
 
-import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), spotName)
+import Dict
+import Planning.Types exposing (Load(..))
+import Programmer.Types exposing (Condition(..), Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), spotName)
+import Train.Block as Block
+import Train.Collision as Collision
+import Train.Coupling as Coupling
+import Train.Pathfinding as Pathfinding
 import Train.Route as Route
-import Train.Stock exposing (carCenterOffset, consistLength)
-import Train.Types exposing (ActiveTrain, Effect(..), Route, TrainState(..))
-
-
-{-| Acceleration rate in m/s^2 (simple linear acceleration).
--}
-acceleration : Float
-acceleration =
-    2.0
-
-
-{-| Braking deceleration rate in m/s^2.
--}
-braking : Float
-braking =
-    3.0
-
-
-{-| Emergency braking deceleration rate in m/s^2.
--}
-emergencyBraking : Float
-emergencyBraking =
-    5.0
+import Train.Stock exposing (carCenterOffset, consistAcceleration, consistBraking, consistEmergencyBraking, consistLength)
+import Train.Types exposing (ActiveTrain, Effect(..), ManualControls, Railway, Route, TrainState(..), WorldView)
+import Util.GameTime exposing (GameTime)
 
 
 {-| Distance threshold for considering a train "at" its target (meters).
@@ -58,25 +63,34 @@ maxSpeed =
 Returns the updated train and any side effects.
 
 -}
-stepProgram : Float -> ActiveTrain -> ( ActiveTrain, List Effect )
-stepProgram deltaSeconds train =
+stepProgram : Float -> WorldView -> ActiveTrain -> ( ActiveTrain, List Effect )
+stepProgram deltaSeconds world train =
     case train.trainState of
         Executing ->
-            executeCurrentOrder deltaSeconds train
+            executeCurrentOrder deltaSeconds world train
 
         WaitingForOrders ->
             -- No program or program complete, coast to stop
             ( coastToStop deltaSeconds train, [] )
 
         Stopped _ ->
-            -- Train is stopped with an error
-            ( { train | speed = 0 }, [] )
+            -- Train is stopped with an error. One stopped by train
+            -- protection may still be braking to a stand.
+            ( Collision.emergencyBrake deltaSeconds train, [] )
+
+        Manual controls ->
+            case controls.moves of
+                [] ->
+                    ( drive deltaSeconds controls train, [] )
+
+                _ ->
+                    executeMoves deltaSeconds world controls train
 
 
 {-| Execute the current order based on programCounter.
 -}
-executeCurrentOrder : Float -> ActiveTrain -> ( ActiveTrain, List Effect )
-executeCurrentOrder deltaSeconds train =
+executeCurrentOrder : Float -> WorldView -> ActiveTrain -> ( ActiveTrain, List Effect )
+executeCurrentOrder deltaSeconds world train =
     case getOrder train.programCounter train.program of
         Nothing ->
             -- Program complete
@@ -85,45 +99,131 @@ executeCurrentOrder deltaSeconds train =
         Just order ->
             case order of
                 MoveTo spotId spotTarget ->
-                    executeMoveTo deltaSeconds spotId spotTarget train
+                    executeMoveTo deltaSeconds world spotId spotTarget train
+
+                AutoMoveTo spotId spotTarget ->
+                    case train.autoMoves of
+                        [] ->
+                            case Pathfinding.plan world.railway train spotId spotTarget of
+                                Ok [] ->
+                                    ( advanceProgram train, [] )
+
+                                Ok moves ->
+                                    executeAutoMoves deltaSeconds world { train | autoMoves = moves }
+
+                                Err reason ->
+                                    ( { train
+                                        | speed = 0
+                                        , trainState = Stopped ("AutoMoveTo: " ++ reason)
+                                      }
+                                    , []
+                                    )
+
+                        _ ->
+                            executeAutoMoves deltaSeconds world train
 
                 SetReverser pos ->
                     -- Instant: set reverser and advance
                     ( advanceProgram { train | reverser = pos }, [] )
 
                 SetSwitch switchId pos ->
-                    -- Instant: emit effect and advance
-                    ( advanceProgram train, [ SetSwitchEffect switchId pos ] )
+                    case Dict.get switchId world.lockedTurnouts of
+                        Nothing ->
+                            -- Instant: emit effect and advance
+                            ( advanceProgram train, [ SetSwitchEffect switchId pos ] )
+
+                        Just lockedPos ->
+                            if lockedPos == pos then
+                                -- Already set this way, nothing to throw
+                                ( advanceProgram train, [] )
+
+                            else
+                                ( { train
+                                    | speed = 0
+                                    , trainState = Stopped "SetSwitch: turnout is locked, track occupied"
+                                  }
+                                , []
+                                )
 
                 WaitSeconds seconds ->
-                    executeWait deltaSeconds seconds train
+                    executeWait deltaSeconds (toFloat seconds) train
 
                 Couple ->
-                    -- Coupling requires standing consists on the map.
-                    -- Until standing consist tracking is implemented, stop with error.
-                    ( { train
-                        | speed = 0
-                        , trainState = Stopped "Couple: no adjacent cars found"
-                      }
-                    , []
-                    )
-
-                Uncouple _ ->
-                    -- Uncoupling requires standing consist tracking.
-                    -- Until implemented, stop with error.
-                    ( { train
-                        | speed = 0
-                        , trainState = Stopped "Uncouple: not yet supported"
-                      }
-                    , []
-                    )
+                    case Coupling.couple world.standingConsists train of
+                        Just ( coupledTrain, cut ) ->
+                            ( advanceProgram { coupledTrain | speed = 0 }, [ CoupleEffect cut.id ] )
+
+                        Nothing ->
+                            ( { train
+                                | speed = 0
+                                , trainState = Stopped "Couple: no adjacent cars found"
+                              }
+                            , []
+                            )
+
+                Uncouple keep ->
+                    case Coupling.uncouple world.railway.layout keep train of
+                        Ok ( uncoupledTrain, cut ) ->
+                            ( advanceProgram uncoupledTrain, [ UncoupleEffect cut ] )
+
+                        Err reason ->
+                            ( { train
+                                | speed = 0
+                                , trainState = Stopped reason
+                              }
+                            , []
+                            )
+
+                Rotate exit ->
+                    case Route.turnTable world.railway.layout exit (train.position - consistLength train.consist) train.position train.route of
+                        Ok ( route, shift ) ->
+                            ( advanceProgram { train | route = route, position = train.position + shift, speed = 0 }, [] )
+
+                        Err reason ->
+                            ( { train
+                                | speed = 0
+                                , trainState = Stopped ("Rotate: " ++ reason)
+                              }
+                            , []
+                            )
+
+                WaitUntil timeOfDay ->
+                    executeWait deltaSeconds (secondsUntil timeOfDay world.gameTime) train
+
+                WaitForTrain otherId spot ->
+                    if List.any (\other -> other.id == otherId && standsAt world.railway spot other) world.trains then
+                        ( advanceProgram { train | speed = 0 }, [] )
+
+                    else
+                        ( { train | speed = 0 }, [] )
+
+                If condition ->
+                    if conditionHolds condition train then
+                        ( advanceProgram train, [] )
+
+                    else
+                        ( skipBlock train, [] )
+
+                EndIf ->
+                    ( advanceProgram train, [] )
+
+                Repeat ->
+                    ( { train | programCounter = 0, autoMoves = [], laps = train.laps + 1 }, [] )
 
 
 {-| Execute a MoveTo order: accelerate toward target, brake to stop.
+
+If standing cars are in the way, the train stops short of them instead and
+the order counts as done, so a following Couple finds them in reach.
+
+The train claims the blocks between it and its target. If another train
+holds one of them, it waits short of that block's signal without finishing
+the order, and carries on once the block is released.
+
 -}
-executeMoveTo : Float -> SpotId -> SpotTarget -> ActiveTrain -> ( ActiveTrain, List Effect )
-executeMoveTo deltaSeconds spotId spotTarget train =
-    case Route.spotPosition spotId train.route of
+executeMoveTo : Float -> WorldView -> SpotId -> SpotTarget -> ActiveTrain -> ( ActiveTrain, List Effect )
+executeMoveTo deltaSeconds world spotId spotTarget train =
+    case Route.spotPosition world.railway spotId train.route of
         Nothing ->
             -- Spot not reachable on this route
             ( { train
@@ -137,7 +237,7 @@ executeMoveTo deltaSeconds spotId spotTarget train =
             let
                 -- Compute offset for car-specific spotting
                 -- The train head needs to be ahead of the car center by the offset
-                targetDistance =
+                spotTargetDistance =
                     case spotTarget of
                         TrainHead ->
                             spotDistance
@@ -160,6 +260,33 @@ executeMoveTo deltaSeconds spotId spotTarget train =
                         Reverse ->
                             -1.0
 
+                -- Stop short of standing cars between the train and the spot
+                reachableDistance =
+                    case Coupling.obstacleLimit world.standingConsists train of
+                        Just limit ->
+                            if (limit - spotTargetDistance) * directionSign < 0 then
+                                limit
+
+                            else
+                                spotTargetDistance
+
+                        Nothing ->
+                            spotTargetDistance
+
+                -- Claim the blocks on the way, wait at the signal of a held one
+                acquisition =
+                    Block.acquire world.railway.layout world.reservations reachableDistance train
+
+                targetDistance =
+                    Maybe.withDefault reachableDistance acquisition.holdAt
+
+                effects =
+                    if List.isEmpty acquisition.claims then
+                        []
+
+                    else
+                        [ ReserveEffect acquisition.claims ]
+
                 -- Signed distance to target (positive = target is ahead in travel direction)
                 distanceToTarget =
                     (targetDistance - train.position) * directionSign
@@ -173,6 +300,9 @@ executeMoveTo deltaSeconds spotId spotTarget train =
                     else if distanceToTarget > 0 then
                         -- Target is ahead: accelerate or brake as needed
                         let
+                            braking =
+                                consistBraking train.consist
+
                             brakingDistance =
                                 (train.speed * train.speed) / (2 * braking)
 
@@ -184,7 +314,7 @@ executeMoveTo deltaSeconds spotId spotTarget train =
                                     max 0 (train.speed - braking * deltaSeconds)
 
                                 else
-                                    min maxSpeed (train.speed + acceleration * deltaSeconds)
+                                    min maxSpeed (train.speed + consistAcceleration train.consist * deltaSeconds)
 
                             avgSpeed =
                                 (train.speed + newSpeed) / 2
@@ -203,22 +333,29 @@ executeMoveTo deltaSeconds spotId spotTarget train =
                     applyBufferStopBrake train desiredSpeed newPosition deltaSeconds
             in
             if abs distanceToTarget < arrivalThreshold || (desiredSpeed == 0 && abs distanceToTarget < arrivalThreshold * 2) then
-                -- Arrived: advance to next order
-                ( advanceProgram { train | position = targetDistance, speed = 0 }, [] )
+                case acquisition.holdAt of
+                    Just _ ->
+                        -- Waiting at a signal: the order isn't done yet
+                        ( { train | position = targetDistance, speed = 0 }, effects )
+
+                    Nothing ->
+                        -- Arrived: advance to next order
+                        ( advanceProgram { train | position = targetDistance, speed = 0 }, effects )
 
             else
-                ( { train | position = finalPosition, speed = finalSpeed }, [] )
+                ( { train | position = finalPosition, speed = finalSpeed }, effects )
 
 
-{-| Execute a WaitSeconds order.
+{-| Execute a WaitSeconds or WaitUntil order: wait this many seconds from
+the order's first tick.
 -}
-executeWait : Float -> Int -> ActiveTrain -> ( ActiveTrain, List Effect )
+executeWait : Float -> Float -> ActiveTrain -> ( ActiveTrain, List Effect )
 executeWait deltaSeconds seconds train =
     let
         timer =
             if train.waitTimer <= 0 then
                 -- First tick of wait: initialize timer
-                toFloat seconds
+                seconds
 
             else
                 train.waitTimer
@@ -234,6 +371,201 @@ executeWait deltaSeconds seconds train =
         ( { train | waitTimer = newTimer, speed = 0 }, [] )
 
 
+{-| Seconds from `now` to the next time the clock shows the time of day.
+-}
+secondsUntil : GameTime -> GameTime -> Float
+secondsUntil timeOfDay now =
+    let
+        today =
+            toFloat (floor (now / secondsPerDay)) * secondsPerDay
+
+        wait =
+            today + timeOfDay - now
+    in
+    if wait < 0 then
+        wait + secondsPerDay
+
+    else
+        wait
+
+
+secondsPerDay : Float
+secondsPerDay =
+    24 * 60 * 60
+
+
+{-| Whether a train stands still with part of it at the spot.
+-}
+standsAt : Railway -> SpotId -> ActiveTrain -> Bool
+standsAt railway spot train =
+    case Route.spotPosition railway spot train.route of
+        Just spotDistance ->
+            train.speed
+                == 0
+                && (spotDistance <= train.position + arrivalThreshold)
+                && (spotDistance >= train.position - consistLength train.consist - arrivalThreshold)
+
+        Nothing ->
+            False
+
+
+{-| Whether an If order's condition holds for the train.
+-}
+conditionHolds : Condition -> ActiveTrain -> Bool
+conditionHolds condition train =
+    let
+        isLoaded carIndex =
+            case List.drop carIndex train.consist |> List.head |> Maybe.map .load of
+                Just (Cargo tonnes) ->
+                    tonnes > 0
+
+                Just (Passengers count) ->
+                    count > 0
+
+                _ ->
+                    False
+
+        hasCar carIndex =
+            carIndex >= 0 && carIndex < List.length train.consist
+    in
+    case condition of
+        CarLoaded carIndex ->
+            isLoaded carIndex
+
+        CarEmpty carIndex ->
+            hasCar carIndex && not (isLoaded carIndex)
+
+
+{-| Skip an If whose condition doesn't hold, with the orders up to and
+including its EndIf. Ifs in between nest. Without an EndIf the rest of the
+program is skipped.
+-}
+skipBlock : ActiveTrain -> ActiveTrain
+skipBlock train =
+    let
+        findEnd index depth orders =
+            case orders of
+                [] ->
+                    index
+
+                (If _) :: rest ->
+                    findEnd (index + 1) (depth + 1) rest
+
+                EndIf :: rest ->
+                    if depth == 0 then
+                        index
+
+                    else
+                        findEnd (index + 1) (depth - 1) rest
+
+                _ :: rest ->
+                    findEnd (index + 1) depth rest
+
+        endIf =
+            findEnd (train.programCounter + 1) 0 (List.drop (train.programCounter + 1) train.program)
+    in
+    advanceProgram { train | programCounter = endIf }
+
+
+{-| Run the orders an AutoMoveTo planned as if they were the train's program,
+leaving the program itself as it was. The AutoMoveTo is done once they all
+are; a planned order that fails stops the train and drops the rest.
+-}
+executeAutoMoves : Float -> WorldView -> ActiveTrain -> ( ActiveTrain, List Effect )
+executeAutoMoves deltaSeconds world train =
+    let
+        ( moved, effects ) =
+            executeCurrentOrder deltaSeconds
+                world
+                { train | program = train.autoMoves, programCounter = 0, trainState = Executing }
+
+        restored =
+            { moved | program = train.program, programCounter = train.programCounter }
+    in
+    case ( moved.trainState, List.drop moved.programCounter moved.program ) of
+        ( Stopped _, _ ) ->
+            ( { restored | autoMoves = [] }, effects )
+
+        ( _, [] ) ->
+            ( advanceProgram { restored | trainState = Executing }, effects )
+
+        ( _, remaining ) ->
+            ( { restored | trainState = Executing, autoMoves = remaining }, effects )
+
+
+{-| Run the moves a driver asked for as if they were the train's program,
+leaving the program itself as it was. A move that fails drops the rest and
+leaves the driver the reason.
+-}
+executeMoves : Float -> WorldView -> ManualControls -> ActiveTrain -> ( ActiveTrain, List Effect )
+executeMoves deltaSeconds world controls train =
+    let
+        ( moved, effects ) =
+            executeCurrentOrder deltaSeconds
+                world
+                { train | program = controls.moves, programCounter = 0, trainState = Executing }
+
+        controlsAfter =
+            case moved.trainState of
+                Stopped reason ->
+                    { controls | moves = [], message = Just reason }
+
+                _ ->
+                    { controls | moves = List.drop moved.programCounter moved.program }
+    in
+    ( { moved
+        | program = train.program
+        , programCounter = train.programCounter
+        , trainState = Manual controlsAfter
+      }
+    , effects
+    )
+
+
+{-| Drive a manually controlled train by its throttle and brake.
+
+The emergency brake overrides both and is released once the train stands.
+The buffer stop safety brake still applies.
+
+-}
+drive : Float -> ManualControls -> ActiveTrain -> ActiveTrain
+drive deltaSeconds controls train =
+    let
+        acceleration =
+            if controls.emergency then
+                -(consistEmergencyBraking train.consist)
+
+            else
+                controls.throttle
+                    * consistAcceleration train.consist
+                    - controls.brake
+                    * consistBraking train.consist
+
+        newSpeed =
+            clamp 0 maxSpeed (train.speed + acceleration * deltaSeconds)
+
+        directionSign =
+            case train.reverser of
+                Forward ->
+                    1.0
+
+                Reverse ->
+                    -1.0
+
+        newPosition =
+            train.position + (train.speed + newSpeed) / 2 * directionSign * deltaSeconds
+
+        ( finalSpeed, finalPosition ) =
+            applyBufferStopBrake train newSpeed newPosition deltaSeconds
+    in
+    { train
+        | speed = finalSpeed
+        , position = clampPosition train.route finalPosition
+        , trainState =
+            Manual { controls | emergency = controls.emergency && finalSpeed > 0 }
+    }
+
+
 {-| Coast to a stop (decelerate without a target).
 -}
 coastToStop : Float -> ActiveTrain -> ActiveTrain
@@ -254,7 +586,7 @@ coastToStop deltaSeconds train =
             -- Normal coasting deceleration
             let
                 newSpeed =
-                    max 0 (train.speed - braking * deltaSeconds)
+                    max 0 (train.speed - consistBraking train.consist * deltaSeconds)
 
                 avgSpeed =
                     (train.speed + newSpeed) / 2
@@ -280,7 +612,8 @@ clampPosition route pos =
     max 0 (min pos route.totalLength)
 
 
-{-| Advance program counter to the next order.
+{-| Advance program counter to the next order, dropping any moves planned
+for the one before.
 -}
 advanceProgram : ActiveTrain -> ActiveTrain
 advanceProgram train =
@@ -289,10 +622,10 @@ advanceProgram train =
             train.programCounter + 1
     in
     if nextCounter >= List.length train.program then
-        { train | programCounter = nextCounter, trainState = WaitingForOrders }
+        { train | programCounter = nextCounter, trainState = WaitingForOrders, autoMoves = [] }
 
     else
-        { train | programCounter = nextCounter }
+        { train | programCounter = nextCounter, autoMoves = [] }
 
 
 {-| Get order at index.
@@ -321,6 +654,9 @@ applyBufferStopBrake train speed position deltaSeconds =
                 Reverse ->
                     False
 
+        emergencyBraking =
+            consistEmergencyBraking train.consist
+
         emergencyBrakeDist =
             (speed * speed) / (2 * emergencyBraking) + consistLength train.consist
 
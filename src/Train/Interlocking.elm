@@ -0,0 +1,49 @@
+module Train.Interlocking exposing (lockedTurnouts, onTurnout, turnoutLocked)
+
+{-| Turnout interlocking: a turnout can't be thrown while a train or
+standing cars are on it.
+
+Throwing the points under a consist would derail it, so both the player's
+clicks and SetSwitch orders are refused while anything overlaps the turnout
+element.
+
+-}
+
+import Planning.Types exposing (StockItem)
+import Track.Element exposing (ElementId)
+import Train.Stock exposing (consistLength)
+import Train.Types exposing (ActiveTrain, Railway, Route, StandingConsist)
+
+
+{-| Whether any train or standing cars overlap a turnout.
+-}
+turnoutLocked : ElementId -> List ActiveTrain -> List StandingConsist -> Bool
+turnoutLocked turnoutId trains standingConsists =
+    List.any (onTurnout turnoutId) trains || List.any (onTurnout turnoutId) standingConsists
+
+
+{-| The turnouts of the railway that trains or standing cars overlap.
+-}
+lockedTurnouts : Railway -> List ActiveTrain -> List StandingConsist -> List ElementId
+lockedTurnouts railway trains standingConsists =
+    railway.turnouts
+        |> List.map Tuple.second
+        |> List.filter (\turnoutId -> turnoutLocked turnoutId trains standingConsists)
+
+
+{-| Whether a consist overlaps a turnout element of its route, from its
+front back to the rear of its last car.
+-}
+onTurnout : ElementId -> { a | route : Route, position : Float, consist : List StockItem } -> Bool
+onTurnout turnoutId { route, position, consist } =
+    let
+        rear =
+            position - consistLength consist
+    in
+    List.any
+        (\segment ->
+            (segment.elementId == turnoutId)
+                && (segment.startDistance < position)
+                && (segment.startDistance + segment.length > rear)
+        )
+        route.segments
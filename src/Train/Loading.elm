@@ -0,0 +1,256 @@
+module Train.Loading exposing (describeLoad, fillFraction, loadingTime, shiftEnd, update)
+
+{-| Loading and unloading cars at the sawmill's spots.
+
+Loads only change here:
+
+  - A freight car left standing at the team track is loaded with lumber,
+    a full load taking `loadingTime`. Cars still coupled to a train are
+    not loaded.
+  - A coach standing still at the platform lets its passengers off to work
+    at the mill until `shiftEnd`. From then on the mill's workers board,
+    as many as the coach seats.
+
+A car counts as at a spot when it covers the spot, as for the goals.
+
+-}
+
+import Planning.Types exposing (Load(..), StockItem)
+import Programmer.Types exposing (SpotId(..))
+import Train.Route as Route
+import Train.Stock exposing (freightCapacity, seats)
+import Train.Types exposing (ActiveTrain, Railway, Route, StandingConsist)
+import Util.GameTime as GameTime exposing (GameTime)
+
+
+{-| Seconds of game time to load an empty freight car: four hours.
+-}
+loadingTime : Float
+loadingTime =
+    4 * 60 * 60
+
+
+{-| Time of day the mill's shift ends and the workers go home: 16:00.
+-}
+shiftEnd : Float
+shiftEnd =
+    16 * 60 * 60
+
+
+{-| Load and unload the cars standing at spots for `deltaSeconds` of game
+time, ending at `gameTime`. Mill workers are the passengers that got off
+and haven't boarded again yet.
+-}
+update :
+    Railway
+    -> Float
+    -> GameTime
+    -> Int
+    -> List ActiveTrain
+    -> List StandingConsist
+    ->
+        { activeTrains : List ActiveTrain
+        , standingConsists : List StandingConsist
+        , millWorkers : Int
+        }
+update railway deltaSeconds gameTime millWorkers trains standingConsists =
+    let
+        ( today, _, _ ) =
+            GameTime.toDayHourMinute gameTime
+
+        timeOfDay =
+            gameTime - GameTime.fromDayHourMinute today 0 0
+
+        ( newTrains, workersAfterTrains ) =
+            mapAccum
+                (\train workers ->
+                    if train.speed == 0 then
+                        let
+                            ( consist, remaining ) =
+                                visitCars railway (carActivity deltaSeconds timeOfDay False) train workers
+                        in
+                        ( { train | consist = consist }, remaining )
+
+                    else
+                        ( train, workers )
+                )
+                millWorkers
+                trains
+
+        ( newStandingConsists, finalWorkers ) =
+            mapAccum
+                (\cut workers ->
+                    let
+                        ( consist, remaining ) =
+                            visitCars railway (carActivity deltaSeconds timeOfDay True) cut workers
+                    in
+                    ( { cut | consist = consist }, remaining )
+                )
+                workersAfterTrains
+                standingConsists
+    in
+    { activeTrains = newTrains
+    , standingConsists = newStandingConsists
+    , millWorkers = finalWorkers
+    }
+
+
+{-| What a car carries, for display. Nothing for cars that carry no load,
+such as locomotives.
+-}
+describeLoad : StockItem -> Maybe String
+describeLoad item =
+    if seats item.stockType > 0 then
+        case item.load of
+            Passengers count ->
+                Just (String.fromInt count ++ " passengers")
+
+            _ ->
+                Just "Empty"
+
+    else if freightCapacity item.stockType > 0 then
+        case item.load of
+            Cargo _ ->
+                if fillFraction item >= 1 then
+                    Just "Loaded"
+
+                else
+                    Just ("Loading " ++ String.fromInt (floor (fillFraction item * 100)) ++ "%")
+
+            _ ->
+                Just "Empty"
+
+    else
+        Nothing
+
+
+{-| How full a car is, from 0 to 1.
+-}
+fillFraction : StockItem -> Float
+fillFraction item =
+    case item.load of
+        Empty ->
+            0
+
+        Cargo tonnes ->
+            ratio tonnes (freightCapacity item.stockType)
+
+        Passengers count ->
+            ratio (toFloat count) (toFloat (seats item.stockType))
+
+
+
+-- INTERNAL HELPERS
+
+
+ratio : Float -> Float -> Float
+ratio amount capacity =
+    if capacity > 0 then
+        min 1 (amount / capacity)
+
+    else
+        0
+
+
+{-| What happens to a car at a spot, given the mill workers waiting.
+-}
+carActivity : Float -> Float -> Bool -> SpotId -> StockItem -> Int -> ( StockItem, Int )
+carActivity deltaSeconds timeOfDay standing spot item workers =
+    case spot of
+        TeamTrackSpot ->
+            if standing then
+                ( loadFreight deltaSeconds item, workers )
+
+            else
+                ( item, workers )
+
+        PlatformSpot ->
+            exchangePassengers timeOfDay item workers
+
+        _ ->
+            ( item, workers )
+
+
+loadFreight : Float -> StockItem -> StockItem
+loadFreight deltaSeconds item =
+    let
+        capacity =
+            freightCapacity item.stockType
+
+        current =
+            case item.load of
+                Cargo tonnes ->
+                    tonnes
+
+                _ ->
+                    0
+    in
+    if capacity > 0 && current < capacity then
+        { item | load = Cargo (min capacity (current + capacity * deltaSeconds / loadingTime)) }
+
+    else
+        item
+
+
+exchangePassengers : Float -> StockItem -> Int -> ( StockItem, Int )
+exchangePassengers timeOfDay item workers =
+    let
+        aboard =
+            case item.load of
+                Passengers count ->
+                    count
+
+                _ ->
+                    0
+
+        boarding =
+            min workers (seats item.stockType - aboard)
+    in
+    if seats item.stockType == 0 then
+        ( item, workers )
+
+    else if timeOfDay < shiftEnd then
+        if aboard > 0 then
+            ( { item | load = Empty }, workers + aboard )
+
+        else
+            ( item, workers )
+
+    else if boarding > 0 then
+        ( { item | load = Passengers (aboard + boarding) }, workers - boarding )
+
+    else
+        ( item, workers )
+
+
+{-| Let an activity work on each car of a consist at one of the spots, front
+to back, threading the mill workers through.
+-}
+visitCars :
+    Railway
+    -> (SpotId -> StockItem -> Int -> ( StockItem, Int ))
+    -> { a | route : Route, position : Float, consist : List StockItem }
+    -> Int
+    -> ( List StockItem, Int )
+visitCars railway activity { route, position, consist } workers =
+    Route.spotsUnderCars railway [ TeamTrackSpot, PlatformSpot ] route position consist
+        |> mapAccum
+            (\( item, spots ) waiting ->
+                List.foldl (\spot ( car, w ) -> activity spot car w) ( item, waiting ) spots
+            )
+            workers
+
+
+mapAccum : (a -> acc -> ( b, acc )) -> acc -> List a -> ( List b, acc )
+mapAccum f initial items =
+    List.foldl
+        (\item ( acc, state ) ->
+            let
+                ( newItem, newState ) =
+                    f item state
+            in
+            ( newItem :: acc, newState )
+        )
+        ( [], initial )
+        items
+        |> Tuple.mapFirst List.reverse
@@ -0,0 +1,205 @@
+module Train.Manual exposing
+    ( couple
+    , emergencyStop
+    , isManual
+    , moveTo
+    , reachableSpots
+    , resumeProgram
+    , setBrake
+    , setReverser
+    , setThrottle
+    , takeControl
+    , uncouple
+    )
+
+{-| Manual control of a train.
+
+A driver takes over a train that is waiting for orders or was stopped, or
+stops a running one with the emergency brake, which leaves it under manual
+control too. From there the driver works the throttle, brake and reverser,
+or asks for something done for them:
+
+  - Move to a spot the train can reach, planned as for AutoMoveTo (see
+    `Train.Pathfinding`)
+  - Couple to the cars in reach, or uncouple all but some cars
+  - Resume the program from one of its steps, which hands the train back
+
+What the driver asks for runs as orders on the next ticks (see
+`Train.Execution`). The reverser, the moves and the couplings need the
+train standing; when they can't be done the controls keep the reason for
+the driver.
+
+-}
+
+import Programmer.Types exposing (Order(..), ReverserPosition, SpotId, SpotTarget(..))
+import Train.Pathfinding as Pathfinding
+import Train.Types exposing (ActiveTrain, ManualControls, Railway, TrainState(..))
+
+
+{-| Controls as a driver finds them on taking over: brakes on, throttle
+closed.
+-}
+initControls : ManualControls
+initControls =
+    { throttle = 0
+    , brake = 1
+    , emergency = False
+    , moves = []
+    , message = Nothing
+    }
+
+
+{-| Whether a driver has the train.
+-}
+isManual : ActiveTrain -> Bool
+isManual train =
+    case train.trainState of
+        Manual _ ->
+            True
+
+        _ ->
+            False
+
+
+{-| Take over a train. One already under manual control is left as it is.
+-}
+takeControl : ActiveTrain -> ActiveTrain
+takeControl train =
+    if isManual train then
+        train
+
+    else
+        { train | trainState = Manual initControls }
+
+
+{-| Throw the emergency brake and take over. Moves the driver asked for are
+dropped.
+-}
+emergencyStop : ActiveTrain -> ActiveTrain
+emergencyStop train =
+    { train | trainState = Manual { initControls | emergency = True } }
+
+
+{-| Open the throttle this far, from 0 (closed) to 1 (full).
+-}
+setThrottle : Float -> ActiveTrain -> ActiveTrain
+setThrottle throttle =
+    updateControls (\controls -> { controls | throttle = clamp 0 1 throttle, message = Nothing })
+
+
+{-| Apply the brake this far, from 0 (released) to 1 (full service
+braking).
+-}
+setBrake : Float -> ActiveTrain -> ActiveTrain
+setBrake brake =
+    updateControls (\controls -> { controls | brake = clamp 0 1 brake, message = Nothing })
+
+
+{-| Set the reverser. The train must be standing.
+-}
+setReverser : ReverserPosition -> ActiveTrain -> ActiveTrain
+setReverser position train =
+    whenStanding (\standingTrain controls -> { standingTrain | trainState = Manual controls, reverser = position }) train
+
+
+{-| Couple to the cars in coupler reach.
+-}
+couple : ActiveTrain -> ActiveTrain
+couple =
+    ask [ Couple ]
+
+
+{-| Uncouple all but the `keep` cars nearest the locomotive.
+-}
+uncouple : Int -> ActiveTrain -> ActiveTrain
+uncouple keep =
+    ask [ Uncouple keep ]
+
+
+{-| Move the train's head to a spot it can reach, setting the turnouts and
+the reverser on the way.
+-}
+moveTo : Railway -> SpotId -> ActiveTrain -> ActiveTrain
+moveTo railway spot train =
+    case Pathfinding.plan railway train spot TrainHead of
+        Ok moves ->
+            ask moves train
+
+        Err reason ->
+            updateControls (\controls -> { controls | message = Just ("Move: " ++ reason) }) train
+
+
+{-| The railway's spots the train could be moved to from where it stands.
+-}
+reachableSpots : Railway -> ActiveTrain -> List SpotId
+reachableSpots railway train =
+    List.map .spot railway.spots
+        |> List.filter
+            (\spot ->
+                case Pathfinding.plan railway train spot TrainHead of
+                    Ok _ ->
+                        True
+
+                    Err _ ->
+                        False
+            )
+
+
+{-| Hand the train back to its program, carrying on from the order at this
+0-based index. The train must be standing.
+-}
+resumeProgram : Int -> ActiveTrain -> ActiveTrain
+resumeProgram step train =
+    if step < 0 || step >= List.length train.program then
+        updateControls (\controls -> { controls | message = Just ("The program has no step " ++ String.fromInt (step + 1)) }) train
+
+    else
+        whenStanding
+            (\standingTrain _ ->
+                { standingTrain | trainState = Executing, programCounter = step, waitTimer = 0, autoMoves = [] }
+            )
+            train
+
+
+
+-- INTERNAL HELPERS
+
+
+updateControls : (ManualControls -> ManualControls) -> ActiveTrain -> ActiveTrain
+updateControls change train =
+    case train.trainState of
+        Manual controls ->
+            { train | trainState = Manual (change controls) }
+
+        _ ->
+            train
+
+
+{-| Do something that needs the train standing and done with its moves,
+or tell the driver why not.
+-}
+whenStanding : (ActiveTrain -> ManualControls -> ActiveTrain) -> ActiveTrain -> ActiveTrain
+whenStanding action train =
+    case train.trainState of
+        Manual controls ->
+            if train.speed > 0 then
+                { train | trainState = Manual { controls | message = Just "Stop the train first" } }
+
+            else if not (List.isEmpty controls.moves) then
+                { train | trainState = Manual { controls | message = Just "Wait for the train to finish its move" } }
+
+            else
+                action train { controls | message = Nothing }
+
+        _ ->
+            train
+
+
+{-| Have the train carry out these orders, throttle closed.
+-}
+ask : List Order -> ActiveTrain -> ActiveTrain
+ask moves =
+    whenStanding
+        (\standingTrain controls ->
+            { standingTrain | trainState = Manual { controls | throttle = 0, moves = moves } }
+        )
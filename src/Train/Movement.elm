@@ -1,12 +1,13 @@
 module Train.Movement exposing
-    ( updateTrain
+    ( runThrough
     , shouldDespawn
+    , updateTrain
     )
 
 {-| Train movement and despawn logic.
 -}
 
-import Train.Stock exposing (consistLength)
+import Train.Stock exposing (consistAcceleration, consistBraking, consistLength, trainSpeed)
 import Train.Types exposing (ActiveTrain)
 
 
@@ -21,6 +22,46 @@ updateTrain deltaSeconds train =
     { train | position = newPosition }
 
 
+{-| Run a timetable train on at line speed for `deltaSeconds`, braking to
+stand at `holdAt` while it has to wait there for a block, and picking up
+speed again once it may go on.
+-}
+runThrough : Float -> Maybe Float -> ActiveTrain -> ActiveTrain
+runThrough deltaSeconds holdAt train =
+    let
+        braking =
+            consistBraking train.consist
+
+        mustBrake =
+            case holdAt of
+                Just hold ->
+                    (train.speed * train.speed) / (2 * braking) >= hold - train.position
+
+                Nothing ->
+                    False
+
+        newSpeed =
+            if mustBrake then
+                max 0 (train.speed - braking * deltaSeconds)
+
+            else
+                min trainSpeed (train.speed + consistAcceleration train.consist * deltaSeconds)
+
+        newPosition =
+            train.position + (train.speed + newSpeed) / 2 * deltaSeconds
+    in
+    case holdAt of
+        Just hold ->
+            if newPosition >= hold then
+                { train | position = max train.position hold, speed = 0 }
+
+            else
+                { train | position = newPosition, speed = newSpeed }
+
+        Nothing ->
+            { train | position = newPosition, speed = newSpeed }
+
+
 {-| Check if a train should be despawned (fully exited the route).
 Train is despawned when its last car has exited the route.
 -}
@@ -0,0 +1,460 @@
+module Train.Pathfinding exposing (Sketch, follow, plan, preview, sketch)
+
+{-| Automatic routing for AutoMoveTo orders.
+
+A train runs along its route, which follows the turnouts beyond both of its
+ends (see `Train.Route.reroute`). When the spot is on that route, the train
+only needs its reverser set towards the spot. Otherwise the planner searches
+the railway's track breadth first, from both ends of the train, over the
+connectors it leaves each element by. A way takes either leg of a turnout it
+meets facing and may reverse at another spot on the way, as at a tunnel. Each
+stretch of the way found, up to a reversal or the spot, becomes:
+
+1.  Throw the turnouts on the stretch
+2.  Set the reverser towards the spot it ends at and move there
+
+Turnouts the train stands on can't be thrown and are left as they are; a way
+that needs one of them thrown is passed over for the next one found.
+
+-}
+
+import Dict
+import Planning.Types exposing (SpawnPointId, StockItem)
+import Programmer.Types exposing (Order(..), Program, ReverserPosition(..), SpotId(..), SpotTarget(..), spotName)
+import Sawmill.Layout exposing (SwitchState, SwitchStates, setSwitchState)
+import Set exposing (Set)
+import Track.Element exposing (ElementId(..))
+import Track.Layout as Layout exposing (Layout)
+import Train.Route as Route
+import Train.Stock exposing (carCenterOffset, consistLength)
+import Train.Types exposing (Railway, Route)
+
+
+{-| The part of a train the planner looks at.
+-}
+type alias Plannable a =
+    { a
+        | consist : List StockItem
+        , position : Float
+        , route : Route
+        , reverser : ReverserPosition
+    }
+
+
+{-| A train as the preview follows it through its program.
+-}
+type alias Sketch =
+    Plannable { switchStates : SwitchStates }
+
+
+{-| The orders that take a train to the spot, or why there is no way there.
+-}
+plan : Railway -> Plannable a -> SpotId -> SpotTarget -> Result String (List Order)
+plan railway train spot target =
+    case Route.spotPosition railway spot train.route of
+        Just spotDistance ->
+            Ok (approach train spotDistance spot target)
+
+        Nothing ->
+            waysTo railway train spot
+                |> List.filterMap (wayOrders railway train target)
+                |> List.head
+                |> Result.fromMaybe ("no route to " ++ spotName spot)
+
+
+{-| What an AutoMoveTo order of the program would turn into, order by order,
+for a train about to leave the spawn point with the turnouts as they are.
+Nothing for the other orders.
+-}
+preview : Railway -> SwitchStates -> SpawnPointId -> List StockItem -> Program -> List (Maybe (Result String (List Order)))
+preview railway switchStates spawnPoint consist program =
+    let
+        step order ( train, planned ) =
+            case order of
+                AutoMoveTo spot target ->
+                    let
+                        result =
+                            plan railway train spot target
+                    in
+                    ( List.foldl (follow railway) train (Result.withDefault [] result)
+                    , Just result :: planned
+                    )
+
+                _ ->
+                    ( follow railway order train, Nothing :: planned )
+    in
+    List.foldl step ( sketch railway switchStates spawnPoint consist, [] ) program
+        |> Tuple.second
+        |> List.reverse
+
+
+{-| A train about to leave the spawn point with the turnouts as they are.
+-}
+sketch : Railway -> SwitchStates -> SpawnPointId -> List StockItem -> Sketch
+sketch railway switchStates spawnPoint consist =
+    { consist = consist
+    , position = -(consistLength consist)
+    , route = Route.rebuildRoute railway spawnPoint switchStates
+    , reverser = Forward
+    , switchStates = switchStates
+    }
+
+
+{-| Where an order leaves a train in the preview, thrown turnouts included.
+-}
+follow : Railway -> Order -> Sketch -> Sketch
+follow railway order train =
+    case order of
+        SetSwitch name position ->
+            case turnoutNamed railway name of
+                Just turnoutId ->
+                    let
+                        switchStates =
+                            setSwitchState turnoutId
+                                (case position of
+                                    Programmer.Types.Normal ->
+                                        Sawmill.Layout.Normal
+
+                                    Programmer.Types.Diverging ->
+                                        Sawmill.Layout.Reverse
+                                )
+                                train.switchStates
+                    in
+                    rerouted railway.layout switchStates { train | switchStates = switchStates }
+
+                Nothing ->
+                    train
+
+        _ ->
+            followMove railway order train
+
+
+
+-- INTERNAL HELPERS
+
+
+{-| A stretch of a way to a spot, between reversals: how the turnouts it
+runs through facing are to be set, and the spot it ends at.
+-}
+type alias Leg =
+    { throws : List ( ElementId, SwitchState )
+    , stop : SpotId
+    }
+
+
+{-| One way the search is following: the connector it leaves an element by
+next, the turnouts set since the last reversal and the stretches before it,
+latest first.
+-}
+type alias Searching =
+    { leaving : ( ElementId, Int )
+    , throws : List ( ElementId, SwitchState )
+    , legs : List Leg
+    }
+
+
+{-| How many times a way may reverse before the spot.
+-}
+maxReversals : Int
+maxReversals =
+    2
+
+
+{-| How many ways to the spot the search finds before it stops.
+-}
+maxWays : Int
+maxWays =
+    8
+
+
+{-| Ways over the track from both ends of the train to the spot, the ones
+through the fewest elements first.
+-}
+waysTo : Railway -> Plannable a -> SpotId -> List (List Leg)
+waysTo railway train spot =
+    let
+        front =
+            Route.trackPosition railway.layout train.position train.route
+                |> Maybe.map (\place -> ( place.elementId, place.toConnector ))
+
+        back =
+            Route.trackPosition railway.layout (train.position - consistLength train.consist) train.route
+                |> Maybe.map (\place -> ( place.elementId, place.fromConnector ))
+    in
+    explore railway
+        spot
+        (List.filterMap (Maybe.map (\leaving -> { leaving = leaving, throws = [], legs = [] })) [ front, back ])
+        Set.empty
+        []
+
+
+{-| Breadth first search over the connectors the ways leave elements by.
+-}
+explore : Railway -> SpotId -> List Searching -> Set ( Int, Int, Int ) -> List (List Leg) -> List (List Leg)
+explore railway spot queue visited found =
+    case queue of
+        [] ->
+            List.reverse found
+
+        current :: rest ->
+            let
+                key =
+                    case current.leaving of
+                        ( ElementId id, connector ) ->
+                            ( id, connector, List.length current.legs )
+            in
+            if List.length found >= maxWays then
+                List.reverse found
+
+            else if Set.member key visited then
+                explore railway spot rest visited found
+
+            else
+                let
+                    ( arrived, onward ) =
+                        spreadFrom railway spot current
+                in
+                explore railway spot (rest ++ onward) (Set.insert key visited) (arrived ++ found)
+
+
+{-| Follow a way into the next element: it reaches the spot there, or
+reverses at another spot there, or goes on through the element by each
+connector it can leave it by.
+-}
+spreadFrom : Railway -> SpotId -> Searching -> ( List (List Leg), List Searching )
+spreadFrom railway spot current =
+    let
+        ( elementId, connector ) =
+            current.leaving
+    in
+    case Layout.findConnected elementId connector railway.layout of
+        Nothing ->
+            ( [], [] )
+
+        Just ( next, entry ) ->
+            let
+                spotsHere =
+                    railway.spots
+                        |> List.filter (\place -> place.elementId == next)
+                        |> List.map .spot
+
+                legTo stop =
+                    { throws = List.reverse current.throws, stop = stop }
+
+                arrived =
+                    if List.member spot spotsHere then
+                        [ List.reverse (legTo spot :: current.legs) ]
+
+                    else
+                        []
+
+                reversals =
+                    if List.length current.legs < maxReversals then
+                        spotsHere
+                            |> List.filter (\stop -> stop /= spot)
+                            |> List.map (\stop -> { leaving = ( next, entry ), throws = [], legs = legTo stop :: current.legs })
+
+                    else
+                        []
+
+                onward =
+                    Layout.findElement next railway.layout
+                        |> Maybe.map (\element -> Route.exitsFrom element.elementType entry)
+                        |> Maybe.withDefault []
+                        |> List.map
+                            (\( exit, state ) ->
+                                { current
+                                    | leaving = ( next, exit )
+                                    , throws =
+                                        case state of
+                                            Just switchState ->
+                                                ( next, switchState ) :: current.throws
+
+                                            Nothing ->
+                                                current.throws
+                                }
+                            )
+            in
+            ( arrived, reversals ++ onward )
+
+
+{-| The orders for a way, each stretch planned from where the one before
+leaves the train. Nothing if the train can't take the way after all, as when
+it stands on a turnout the way needs thrown.
+-}
+wayOrders : Railway -> Plannable a -> SpotTarget -> List Leg -> Maybe (List Order)
+wayOrders railway train target legs =
+    case legs of
+        [] ->
+            Just []
+
+        leg :: rest ->
+            let
+                moved =
+                    rerouted railway.layout (settings leg.throws) train
+
+                stopTarget =
+                    if List.isEmpty rest then
+                        target
+
+                    else
+                        TrainHead
+            in
+            Route.spotPosition railway leg.stop moved.route
+                |> Maybe.andThen
+                    (\spotDistance ->
+                        let
+                            moves =
+                                approach moved spotDistance leg.stop stopTarget
+                        in
+                        Maybe.map2 (\throws later -> throws ++ moves ++ later)
+                            (switchOrders railway (standingOn moved) leg.throws)
+                            (wayOrders railway (List.foldl (followMove railway) moved moves) target rest)
+                    )
+
+
+settings : List ( ElementId, SwitchState ) -> SwitchStates
+settings way =
+    List.foldl (\( turnoutId, state ) states -> setSwitchState turnoutId state states) Dict.empty way
+
+
+{-| A train with its route walked again for the turnout states.
+-}
+rerouted : Layout -> SwitchStates -> Plannable a -> Plannable a
+rerouted layout switchStates train =
+    let
+        ( route, shift ) =
+            Route.reroute layout switchStates (train.position - consistLength train.consist) train.position train.route
+    in
+    { train | route = route, position = train.position + shift }
+
+
+{-| The elements of a train's route that it stands on.
+-}
+standingOn : Plannable a -> List ElementId
+standingOn train =
+    let
+        rear =
+            train.position - consistLength train.consist
+    in
+    train.route.segments
+        |> List.filter
+            (\segment ->
+                (segment.startDistance < train.position)
+                    && (segment.startDistance + segment.length > rear)
+            )
+        |> List.map .elementId
+
+
+{-| SetSwitch orders, by the names the railway gives them, for the turnouts
+of a stretch that the train doesn't stand on. Nothing if one of them has no
+name to throw it by.
+-}
+switchOrders : Railway -> List ElementId -> List ( ElementId, SwitchState ) -> Maybe (List Order)
+switchOrders railway standing way =
+    List.foldr
+        (\( turnoutId, state ) orders ->
+            if List.member turnoutId standing then
+                orders
+
+            else
+                Maybe.map2
+                    (\name rest ->
+                        SetSwitch name
+                            (case state of
+                                Sawmill.Layout.Normal ->
+                                    Programmer.Types.Normal
+
+                                Sawmill.Layout.Reverse ->
+                                    Programmer.Types.Diverging
+                            )
+                            :: rest
+                    )
+                    (turnoutName railway turnoutId)
+                    orders
+        )
+        (Just [])
+        way
+
+
+turnoutName : Railway -> ElementId -> Maybe String
+turnoutName railway turnoutId =
+    railway.turnouts
+        |> List.filter (\( _, id ) -> id == turnoutId)
+        |> List.head
+        |> Maybe.map Tuple.first
+
+
+turnoutNamed : Railway -> String -> Maybe ElementId
+turnoutNamed railway name =
+    railway.turnouts
+        |> List.filter (\( named, _ ) -> named == name)
+        |> List.head
+        |> Maybe.map Tuple.second
+
+
+{-| Set the reverser towards the spot and move there.
+-}
+approach : Plannable a -> Float -> SpotId -> SpotTarget -> List Order
+approach train spotDistance spot target =
+    let
+        destination =
+            targetDistance train spotDistance target
+
+        towards =
+            if destination > train.position then
+                Forward
+
+            else if destination < train.position then
+                Reverse
+
+            else
+                train.reverser
+    in
+    reverserOrder train.reverser towards ++ [ MoveTo spot target ]
+
+
+{-| Where the head of the train is to stop for a spot.
+-}
+targetDistance : Plannable a -> Float -> SpotTarget -> Float
+targetDistance train spotDistance target =
+    case target of
+        TrainHead ->
+            spotDistance
+
+        SpotCar carIndex ->
+            spotDistance + Maybe.withDefault 0 (carCenterOffset carIndex train.consist)
+
+
+reverserOrder : ReverserPosition -> ReverserPosition -> List Order
+reverserOrder current wanted =
+    if current == wanted then
+        []
+
+    else
+        [ SetReverser wanted ]
+
+
+{-| Where a move or reversal leaves a train, as far as the planner is
+concerned. Moves go all the way to their spot; standing cars and signals are
+not taken into account.
+-}
+followMove : Railway -> Order -> Plannable a -> Plannable a
+followMove railway order train =
+    case order of
+        MoveTo spot target ->
+            case Route.spotPosition railway spot train.route of
+                Just spotDistance ->
+                    { train | position = targetDistance train spotDistance target }
+
+                Nothing ->
+                    train
+
+        SetReverser reverser ->
+            { train | reverser = reverser }
+
+        Uncouple keep ->
+            { train | consist = List.take keep train.consist }
+
+        _ ->
+            train
@@ -1,11 +1,19 @@
 module Train.Route exposing
     ( buildRoute
-    , eastToWestRoute
+    , distanceAlongRoute
+    , endSpawnPoint
+    , exitsFrom
+    , laidForwardAt
     , positionOnRoute
     , rebuildRoute
+    , reroute
+    , routeAt
     , spotPosition
-    , turnoutStartDistance
-    , westToEastRoute
+    , spotTolerance
+    , spotsUnderCars
+    , startSpawnPoint
+    , trackPosition
+    , turnTable
     )
 
 {-| Route building and position lookup for trains.
@@ -13,12 +21,30 @@ module Train.Route exposing
 Routes are built dynamically by walking the track layout graph,
 respecting turnout state to choose between through and diverging paths.
 
+Where a train is on the track doesn't depend on any route: its track
+position is the element, the way it is passed and the offset along it. A
+route is walked from there when needed, and the train's position is a
+distance along that route, which runs through the train from one end of the
+track to the other. A new train gets the route from its spawn point's
+portal, the track end of the railway its trains come in by, and `routeAt`
+walks one through the track position of a train or cut put back from a
+save. After that, `reroute` keeps the stretch the train stands on and walks
+the track beyond both of its ends again from there, so the train follows the
+turnouts wherever it is, including after reversing past a turnout onto
+another leg. `trackPosition` gives the track position of a distance along a
+route.
+
+All walks are over the layout passed in, the one being played.
+
+A route onto a turntable runs straight across it: the bridge swings round to
+meet the train. `turnTable` turns it again with the train on it.
+
 -}
 
 import Array
-import Planning.Types exposing (SpawnPointId(..))
-import Programmer.Types exposing (SpotId(..))
-import Sawmill.Layout exposing (SwitchState(..), trackLayout)
+import Planning.Types exposing (SpawnPointId, StockItem)
+import Programmer.Types exposing (SpotId)
+import Sawmill.Layout exposing (SwitchState(..), SwitchStates, switchStateOf)
 import Track.Element as Element
     exposing
         ( Connector
@@ -28,57 +54,46 @@ import Track.Element as Element
         , TrackElementType(..)
         )
 import Track.Layout as Layout exposing (Layout)
-import Train.Types exposing (Route, RouteSegment, SegmentGeometry(..))
+import Train.Stock exposing (carSpans)
+import Train.Types exposing (Railway, Route, RouteSegment, SegmentGeometry(..), SpotPlace, TrackPosition)
 import Util.Vec2 as Vec2 exposing (Vec2, vec2)
 
 
-{-| Build the East-to-West route respecting turnout state.
-
-Starts from element 0 (east tunnel portal) connector 0,
-walks through the layout following connections.
-
--}
-eastToWestRoute : SwitchState -> Route
-eastToWestRoute switchState =
-    buildRoute (ElementId 0) 0 switchState trackLayout
-
-
-{-| Build the West-to-East route respecting turnout state.
+{-| The route from a spawn point's portal with the given turnout states.
+Empty if the railway has no portal for the spawn point.
 -}
-westToEastRoute : SwitchState -> Route
-westToEastRoute switchState =
-    buildRoute (ElementId 7) 0 switchState trackLayout
+rebuildRoute : Railway -> SpawnPointId -> SwitchStates -> Route
+rebuildRoute railway spawnPoint switchStates =
+    case startConnector railway spawnPoint of
+        Just ( startId, startConnIdx ) ->
+            buildRoute startId startConnIdx switchStates railway.layout
 
+        Nothing ->
+            { segments = [], totalLength = 0 }
 
-{-| Rebuild a route for a spawn point with a new switch state.
-
-The train's position (distance along route) remains valid because
-route segments before the turnout divergence are identical regardless
-of switch state. After the turnout, the route takes the new path.
 
+{-| The portal connector the routes of a spawn point start from.
 -}
-rebuildRoute : SpawnPointId -> SwitchState -> Route
-rebuildRoute spawnPoint switchState =
-    case spawnPoint of
-        EastStation ->
-            eastToWestRoute switchState
-
-        WestStation ->
-            westToEastRoute switchState
+startConnector : Railway -> SpawnPointId -> Maybe ( ElementId, Int )
+startConnector railway spawnPoint =
+    railway.portals
+        |> List.filter (\( portalSpawnPoint, _ ) -> portalSpawnPoint == spawnPoint)
+        |> List.head
+        |> Maybe.map (\( _, elementId ) -> ( elementId, 0 ))
 
 
 {-| Build a route by walking the track layout graph from a starting connector.
 
 Starting from the given element's connector, we:
 1. Follow the connection to enter the first track element
-2. Determine the exit connector for that element (based on turnout state)
+2. Determine the exit connector for that element (based on its turnout state)
 3. Build a route segment for the traversal
 4. Follow the connection from the exit connector to the next element
 5. Repeat until we reach a TrackEnd or dead end
 
 -}
-buildRoute : ElementId -> Int -> SwitchState -> Layout -> Route
-buildRoute startElementId startConnIdx switchState layout =
+buildRoute : ElementId -> Int -> SwitchStates -> Layout -> Route
+buildRoute startElementId startConnIdx switchStates layout =
     case Layout.findConnected startElementId startConnIdx layout of
         Nothing ->
             -- Start point has no connection, empty route
@@ -87,7 +102,7 @@ buildRoute startElementId startConnIdx switchState layout =
         Just ( firstElementId, entryConnIdx ) ->
             let
                 segments =
-                    walkGraph firstElementId entryConnIdx switchState layout [] 0.0 20
+                    walkGraph firstElementId entryConnIdx switchStates layout [] 0.0 20
             in
             { segments = segments
             , totalLength = List.foldl (\s acc -> acc + s.length) 0 segments
@@ -102,13 +117,13 @@ The maxSteps parameter prevents infinite loops in case of circular tracks.
 walkGraph :
     ElementId
     -> Int
-    -> SwitchState
+    -> SwitchStates
     -> Layout
     -> List RouteSegment
     -> Float
     -> Int
     -> List RouteSegment
-walkGraph elementId entryConnIdx switchState layout accSegments accDistance maxSteps =
+walkGraph elementId entryConnIdx switchStates layout accSegments accDistance maxSteps =
     if maxSteps <= 0 then
         accSegments
 
@@ -127,7 +142,7 @@ walkGraph elementId entryConnIdx switchState layout accSegments accDistance maxS
                         -- Determine exit connector
                         let
                             exitConnIdx =
-                                exitConnectorForElement element.elementType entryConnIdx switchState
+                                exitConnectorForElement element.elementType entryConnIdx (switchStateOf elementId switchStates)
                         in
                         case ( Array.get entryConnIdx element.connectors, Array.get exitConnIdx element.connectors ) of
                             ( Just entryConn, Just exitConn ) ->
@@ -145,7 +160,7 @@ walkGraph elementId entryConnIdx switchState layout accSegments accDistance maxS
                                         walkGraph
                                             nextElementId
                                             nextEntryConnIdx
-                                            switchState
+                                            switchStates
                                             layout
                                             (accSegments ++ [ segment ])
                                             (accDistance + segment.length)
@@ -155,6 +170,31 @@ walkGraph elementId entryConnIdx switchState layout accSegments accDistance maxS
                                 accSegments
 
 
+{-| The connectors a train entering an element by a connector can leave it
+by, with the state the element has to be set to for each. Nothing where the
+way on doesn't depend on it. A track end has none.
+-}
+exitsFrom : TrackElementType -> Int -> List ( Int, Maybe SwitchState )
+exitsFrom elementType entryConnIdx =
+    let
+        throughExit =
+            exitConnectorForElement elementType entryConnIdx Normal
+
+        divergingExit =
+            exitConnectorForElement elementType entryConnIdx Reverse
+    in
+    case elementType of
+        TrackEnd ->
+            []
+
+        _ ->
+            if throughExit == divergingExit then
+                [ ( throughExit, Nothing ) ]
+
+            else
+                [ ( throughExit, Just Normal ), ( divergingExit, Just Reverse ) ]
+
+
 {-| Determine which connector to exit through, given the entry connector and turnout state.
 -}
 exitConnectorForElement : TrackElementType -> Int -> SwitchState -> Int
@@ -191,6 +231,84 @@ exitConnectorForElement elementType entryConnIdx switchState =
         TrackEnd ->
             0
 
+        Signal ->
+            if entryConnIdx == 0 then
+                1
+
+            else
+                0
+
+        Turntable { exits } ->
+            -- The bridge swings round to meet a train coming onto the table
+            Element.oppositeExit exits entryConnIdx
+
+        Crossing _ ->
+            crossingExit entryConnIdx
+
+        SingleSlip _ ->
+            -- Only the start of the first track and the end of the second
+            -- have a slip road to take
+            case ( switchState, entryConnIdx ) of
+                ( Reverse, 0 ) ->
+                    3
+
+                ( Reverse, 3 ) ->
+                    0
+
+                _ ->
+                    crossingExit entryConnIdx
+
+        DoubleSlip _ ->
+            case switchState of
+                Normal ->
+                    crossingExit entryConnIdx
+
+                Reverse ->
+                    slipExit entryConnIdx
+
+        Easement _ ->
+            if entryConnIdx == 0 then
+                1
+
+            else
+                0
+
+
+{-| The other end of the track of a crossing a connector is on.
+-}
+crossingExit : Int -> Int
+crossingExit entryConnIdx =
+    case entryConnIdx of
+        0 ->
+            1
+
+        1 ->
+            0
+
+        2 ->
+            3
+
+        _ ->
+            2
+
+
+{-| The other end of the slip road of a double slip a connector is on.
+-}
+slipExit : Int -> Int
+slipExit entryConnIdx =
+    case entryConnIdx of
+        0 ->
+            3
+
+        3 ->
+            0
+
+        1 ->
+            2
+
+        _ ->
+            1
+
 
 {-| Build a RouteSegment for traversing an element from entry to exit connector.
 -}
@@ -224,6 +342,40 @@ segmentLength elementType entryConnIdx exitConnIdx =
         TrackEnd ->
             0
 
+        Signal ->
+            0
+
+        Turntable { radius } ->
+            2 * radius
+
+        Crossing spec ->
+            spec.length
+
+        SingleSlip spec ->
+            diamondLength spec entryConnIdx exitConnIdx
+
+        DoubleSlip spec ->
+            diamondLength spec entryConnIdx exitConnIdx
+
+        Easement spec ->
+            spec.length
+
+
+{-| The length of a road through a slip: a track of the diamond, or a slip
+road.
+-}
+diamondLength : Element.DiamondSpec -> Int -> Int -> Float
+diamondLength spec entryConnIdx exitConnIdx =
+    if Element.isSlipRoute entryConnIdx exitConnIdx then
+        let
+            curve =
+                Element.slipCurve spec
+        in
+        curve.radius * abs curve.sweep
+
+    else
+        spec.length
+
 
 {-| Build segment geometry for the traversal direction.
 -}
@@ -272,6 +424,75 @@ buildSegmentGeometry element entryConnIdx exitConnIdx entryConn exitConn =
                 , orientation = 0
                 }
 
+        Signal ->
+            StraightGeometry
+                { start = entryConn.position
+                , end = exitConn.position
+                , orientation = Element.flipOrientation entryConn.orientation
+                }
+
+        Turntable _ ->
+            StraightGeometry
+                { start = entryConn.position
+                , end = exitConn.position
+                , orientation = Element.flipOrientation entryConn.orientation
+                }
+
+        Crossing _ ->
+            StraightGeometry
+                { start = entryConn.position
+                , end = exitConn.position
+                , orientation = Element.flipOrientation entryConn.orientation
+                }
+
+        SingleSlip spec ->
+            diamondGeometry spec entryConnIdx exitConnIdx entryConn exitConn
+
+        DoubleSlip spec ->
+            diamondGeometry spec entryConnIdx exitConnIdx entryConn exitConn
+
+        Easement spec ->
+            EasementGeometry
+                { connector0 =
+                    if entryConnIdx == 0 then
+                        entryConn
+
+                    else
+                        exitConn
+                , spec = spec
+                , forward = entryConnIdx == 0
+                }
+
+
+{-| Build geometry for a road through a slip. Slip roads are curved and
+start at connector 0 or 2, turning the other way from connector 2.
+-}
+diamondGeometry : Element.DiamondSpec -> Int -> Int -> Connector -> Connector -> SegmentGeometry
+diamondGeometry spec entryConnIdx exitConnIdx entryConn exitConn =
+    if Element.isSlipRoute entryConnIdx exitConnIdx then
+        let
+            curve =
+                Element.slipCurve spec
+
+            fromFirstTrack =
+                entryConnIdx == 0 || exitConnIdx == 0
+
+            sweep =
+                if fromFirstTrack then
+                    curve.sweep
+
+                else
+                    -curve.sweep
+        in
+        buildArcGeometry entryConn exitConn curve.radius sweep (entryConnIdx == 0 || entryConnIdx == 2)
+
+    else
+        StraightGeometry
+            { start = entryConn.position
+            , end = exitConn.position
+            , orientation = Element.flipOrientation entryConn.orientation
+            }
+
 
 {-| Build arc geometry from entry/exit connectors.
 
@@ -361,29 +582,277 @@ normalizeSweep rawSweep expectedSweep =
 
 
 
--- TURNOUT DISTANCE
+-- REROUTING
+
 
+{-| Walk a route again from the stretch of it between a rear and a front
+distance, such as a train's: the stretch stays as it is, and the track
+beyond both of its ends follows the turnouts as they are set now.
+
+Returns the new route and how far distances on the old route moved on the
+new one. Routes that can't be matched to the layout are kept as they are.
 
-{-| Find the cumulative distance where the turnout element (ElementId 2)
-begins in a route. Returns Nothing if the turnout is not on the route.
 -}
-turnoutStartDistance : Route -> Maybe Float
-turnoutStartDistance route =
-    findTurnoutStart route.segments
+reroute : Layout -> SwitchStates -> Float -> Float -> Route -> ( Route, Float )
+reroute layout switchStates rear front route =
+    let
+        rearOnRoute =
+            clamp 0 route.totalLength rear
+
+        frontOnRoute =
+            clamp 0 route.totalLength front
+
+        occupied =
+            case List.filter (\segment -> segment.startDistance + segment.length > rearOnRoute && segment.startDistance < frontOnRoute) route.segments of
+                [] ->
+                    -- Nothing of the stretch on the route: keep the segment
+                    -- it is nearest to
+                    route.segments
+                        |> List.filter (\segment -> segment.startDistance + segment.length >= frontOnRoute)
+                        |> List.take 1
+
+                segments ->
+                    segments
+    in
+    case ( List.head occupied, lastElement occupied ) of
+        ( Just first, Just last ) ->
+            case ( trackPositionIn layout first 0, trackPositionIn layout last last.length ) of
+                ( Just rearEnd, Just frontEnd ) ->
+                    let
+                        behind =
+                            (buildRoute rearEnd.elementId rearEnd.fromConnector switchStates layout).segments
+                                |> List.reverse
+                                |> List.map (\segment -> { segment | geometry = reverseGeometry segment.geometry })
+
+                        ahead =
+                            (buildRoute frontEnd.elementId frontEnd.toConnector switchStates layout).segments
+
+                        behindLength =
+                            List.foldl (\segment acc -> acc + segment.length) 0 behind
+
+                        ( segments, totalLength ) =
+                            List.foldl
+                                (\segment ( acc, distance ) -> ( { segment | startDistance = distance } :: acc, distance + segment.length ))
+                                ( [], 0 )
+                                (behind ++ occupied ++ ahead)
+                                |> Tuple.mapFirst List.reverse
+                    in
+                    ( { segments = segments, totalLength = totalLength }
+                    , behindLength - first.startDistance
+                    )
 
+                _ ->
+                    ( route, 0 )
 
-findTurnoutStart : List RouteSegment -> Maybe Float
-findTurnoutStart segments =
-    case segments of
-        [] ->
-            Nothing
+        _ ->
+            ( route, 0 )
 
-        segment :: rest ->
-            if segment.elementId == ElementId 2 then
-                Just segment.startDistance
+
+{-| Where a distance along a route is on the track. Before the start of the
+route it is measured back from its first element, beyond the end on from its
+last. Nothing for a route that isn't on the layout.
+-}
+trackPosition : Layout -> Float -> Route -> Maybe TrackPosition
+trackPosition layout distance route =
+    let
+        segment =
+            if distance < 0 then
+                List.head route.segments
 
             else
-                findTurnoutStart rest
+                case List.filter (\s -> distance <= s.startDistance + s.length) route.segments of
+                    s :: _ ->
+                        Just s
+
+                    [] ->
+                        lastElement route.segments
+    in
+    segment
+        |> Maybe.andThen (\s -> trackPositionIn layout s (distance - s.startDistance))
+
+
+{-| The route through a point on the track, following the turnouts beyond
+the element it is on, and the distance of the point along the route.
+-}
+routeAt : Layout -> SwitchStates -> TrackPosition -> Maybe ( Route, Float )
+routeAt layout switchStates place =
+    Maybe.map3
+        (\element fromConn toConn ->
+            let
+                behind =
+                    (buildRoute place.elementId place.fromConnector switchStates layout).segments
+                        |> List.reverse
+                        |> List.map (\segment -> { segment | geometry = reverseGeometry segment.geometry })
+
+                behindLength =
+                    List.foldl (\segment acc -> acc + segment.length) 0 behind
+
+                here =
+                    buildSegment element place.fromConnector place.toConnector fromConn toConn 0
+
+                ahead =
+                    (buildRoute place.elementId place.toConnector switchStates layout).segments
+
+                ( segments, totalLength ) =
+                    List.foldl
+                        (\segment ( acc, distance ) -> ( { segment | startDistance = distance } :: acc, distance + segment.length ))
+                        ( [], 0 )
+                        (behind ++ here :: ahead)
+                        |> Tuple.mapFirst List.reverse
+            in
+            ( { segments = segments, totalLength = totalLength }, behindLength + place.offset )
+        )
+        (Layout.findElement place.elementId layout)
+        (Layout.getConnector place.elementId place.fromConnector layout)
+        (Layout.getConnector place.elementId place.toConnector layout)
+
+
+trackPositionIn : Layout -> RouteSegment -> Float -> Maybe TrackPosition
+trackPositionIn layout segment offset =
+    segmentConnectors layout segment
+        |> Maybe.map
+            (\( fromConnector, toConnector ) ->
+                { elementId = segment.elementId
+                , fromConnector = fromConnector
+                , toConnector = toConnector
+                , offset = offset
+                }
+            )
+
+
+{-| The connectors of its element a segment runs from and to, found by where
+its geometry starts and ends. Straight segments also match the direction,
+which tells the two ends of a signal apart.
+-}
+segmentConnectors : Layout -> RouteSegment -> Maybe ( Int, Int )
+segmentConnectors layout segment =
+    let
+        near position connector =
+            Vec2.distance position connector.position < 1.0
+
+        facing connector =
+            case segment.geometry of
+                StraightGeometry { orientation } ->
+                    abs (Element.normalizeAngle (Element.flipOrientation connector.orientation - orientation)) < 0.01
+
+                ArcGeometry _ ->
+                    True
+
+                EasementGeometry _ ->
+                    True
+
+        find matches connectors =
+            connectors
+                |> List.filter (\( _, connector ) -> matches connector)
+                |> List.head
+                |> Maybe.map Tuple.first
+    in
+    Layout.findElement segment.elementId layout
+        |> Maybe.andThen
+            (\element ->
+                let
+                    connectors =
+                        Array.toIndexedList element.connectors
+                in
+                find (\connector -> near (geometryStartPosition segment.geometry) connector && facing connector) connectors
+                    |> Maybe.andThen
+                        (\fromConnector ->
+                            find (near (geometryEndPosition segment.geometry)) (List.filter (\( index, _ ) -> index /= fromConnector) connectors)
+                                |> Maybe.map (Tuple.pair fromConnector)
+                        )
+            )
+
+
+{-| Whether a route runs the track of a layout the way it was laid at a
+distance along it (see `Track.Element.laidForward`). Elements without length
+are passed over. Nothing off the route.
+-}
+laidForwardAt : Layout -> Float -> Route -> Maybe Bool
+laidForwardAt layout distance route =
+    route.segments
+        |> List.filter (\segment -> segment.length > 0 && distance >= segment.startDistance && distance <= segment.startDistance + segment.length)
+        |> List.head
+        |> Maybe.andThen
+            (\segment ->
+                Maybe.map2 (\element ( fromConnector, _ ) -> Element.laidForward element.elementType fromConnector)
+                    (Layout.findElement segment.elementId layout)
+                    (segmentConnectors layout segment)
+            )
+
+
+{-| Turn the turntable under the stretch of a route between a rear and a
+front distance, such as a train's, until the front faces the given exit.
+
+Returns the route across the bridge as it lies now, to be walked on from by
+`reroute`, and how far distances on the old route moved on it. Fails unless
+the whole stretch is on the bridge.
+
+-}
+turnTable : Layout -> Int -> Float -> Float -> Route -> Result String ( Route, Float )
+turnTable layout exit rear front route =
+    let
+        onBridge =
+            route.segments
+                |> List.filter (\segment -> segment.startDistance <= rear && segment.startDistance + segment.length >= front)
+                |> List.head
+
+        bridgeTo segment element =
+            case element.elementType of
+                Turntable { exits } ->
+                    let
+                        entryConnIdx =
+                            Element.oppositeExit exits exit
+                    in
+                    case ( Array.get entryConnIdx element.connectors, Array.get exit element.connectors ) of
+                        ( Just entryConn, Just exitConn ) ->
+                            let
+                                bridge =
+                                    buildSegment element entryConnIdx exit entryConn exitConn 0
+                            in
+                            Ok ( { segments = [ bridge ], totalLength = bridge.length }, -segment.startDistance )
+
+                        _ ->
+                            Err ("no exit " ++ String.fromInt (exit + 1))
+
+                _ ->
+                    Err "not on a turntable"
+    in
+    onBridge
+        |> Maybe.andThen (\segment -> Maybe.map (Tuple.pair segment) (Layout.findElement segment.elementId layout))
+        |> Maybe.map (\( segment, element ) -> bridgeTo segment element)
+        |> Maybe.withDefault (Err "not on a turntable")
+
+
+{-| The spawn point whose portal a route runs into at its end, if any.
+-}
+endSpawnPoint : Railway -> Route -> Maybe SpawnPointId
+endSpawnPoint railway route =
+    lastElement route.segments
+        |> Maybe.andThen (\segment -> trackPositionIn railway.layout segment segment.length)
+        |> Maybe.andThen (\end -> spawnPointAt railway end.elementId end.toConnector)
+
+
+{-| The spawn point whose portal a route comes out of at its start, if any.
+-}
+startSpawnPoint : Railway -> Route -> Maybe SpawnPointId
+startSpawnPoint railway route =
+    List.head route.segments
+        |> Maybe.andThen (\segment -> trackPositionIn railway.layout segment 0)
+        |> Maybe.andThen (\start -> spawnPointAt railway start.elementId start.fromConnector)
+
+
+{-| The spawn point whose portal a connector leads into.
+-}
+spawnPointAt : Railway -> ElementId -> Int -> Maybe SpawnPointId
+spawnPointAt railway elementId connectorIdx =
+    Layout.findConnected elementId connectorIdx railway.layout
+        |> Maybe.andThen
+            (\beyond ->
+                railway.portals
+                    |> List.filter (\( _, portal ) -> ( portal, 0 ) == beyond)
+                    |> List.head
+                    |> Maybe.map Tuple.first
+            )
 
 
 
@@ -436,6 +905,9 @@ reverseGeometry geom =
                 , sweep = -sweep
                 }
 
+        EasementGeometry easement ->
+            EasementGeometry { easement | forward = not easement.forward }
+
 
 
 -- POSITION LOOKUP
@@ -522,130 +994,242 @@ interpolateGeometry t geom =
             , orientation = Element.normalizeAngle orientation
             }
 
+        EasementGeometry { connector0, spec, forward } ->
+            -- Easements are measured from connector 0, so a segment
+            -- travelled the other way is read back to front
+            if forward then
+                Element.easementPoint connector0 spec (t * spec.length)
 
-
--- SPOT POSITION MAPPING
+            else
+                let
+                    point =
+                        Element.easementPoint connector0 spec ((1 - t) * spec.length)
+                in
+                { point | orientation = Element.flipOrientation point.orientation }
 
 
-{-| A spot's physical location on the track: which element and how far
-along that element from connector 0 (the element's native start).
--}
-type alias SpotLocation =
-    { elementId : ElementId
-    , localDistance : Float -- meters from connector 0
-    , elementLength : Float -- total length of the element
-    }
 
+-- POINT PROJECTION
 
-{-| Get the physical location of a spot on the track layout.
 
-Distances are measured from the element's connector 0 along its travel direction:
+{-| How far a world point may lie from the track centerline and still be
+considered on the route (meters).
+-}
+projectionTolerance : Float
+projectionTolerance =
+    0.5
 
-  - PlatformSpot: 60m along siding straight (element 5, 150m total)
-  - TeamTrackSpot: 120m along siding straight (element 5, 150m total)
-  - EastTunnelSpot: at east tunnel portal (element 0, TrackEnd)
-  - WestTunnelSpot: at west tunnel portal (element 7, TrackEnd)
 
--}
-spotLocation : SpotId -> SpotLocation
-spotLocation spotId =
-    case spotId of
-        PlatformSpot ->
-            { elementId = ElementId 5
-            , localDistance = 60.0
-            , elementLength = 150.0
-            }
+{-| Find the route distance of a world point that lies on the route.
 
-        TeamTrackSpot ->
-            { elementId = ElementId 5
-            , localDistance = 120.0
-            , elementLength = 150.0
-            }
+Used to map things placed relative to one route (e.g. standing cars left
+by another train) onto a different route over the same track.
+Returns Nothing if the point is not on any segment of the route.
 
-        EastTunnelSpot ->
-            { elementId = ElementId 0
-            , localDistance = 0.0
-            , elementLength = 0.0
-            }
+-}
+distanceAlongRoute : Vec2 -> Route -> Maybe Float
+distanceAlongRoute point route =
+    route.segments
+        |> List.filterMap (projectOntoSegment point)
+        |> List.head
 
-        WestTunnelSpot ->
-            { elementId = ElementId 7
-            , localDistance = 0.0
-            , elementLength = 0.0
-            }
 
+projectOntoSegment : Vec2 -> RouteSegment -> Maybe Float
+projectOntoSegment point segment =
+    let
+        epsilon =
+            1.0e-6
+    in
+    case segment.geometry of
+        StraightGeometry { start, end } ->
+            let
+                along =
+                    Vec2.subtract end start
 
-{-| Get the route distance for a spot on the given route.
+                lengthSquared =
+                    Vec2.lengthSquared along
 
-Returns Nothing if the spot's element is not part of the route
-(e.g., PlatformSpot is not reachable on the mainline-through route).
+                t =
+                    if lengthSquared > 0 then
+                        Vec2.dot (Vec2.subtract point start) along / lengthSquared
 
--}
-spotPosition : SpotId -> Route -> Maybe Float
-spotPosition spotId route =
-    case spotId of
-        EastTunnelSpot ->
-            if routeStartsFromEast route then
-                Just 0.0
+                    else
+                        0
 
-            else if routeEndsAtEast route then
-                Just route.totalLength
+                closest =
+                    Vec2.lerp t start end
+            in
+            if t >= -epsilon && t <= 1 + epsilon && Vec2.distance point closest <= projectionTolerance then
+                Just (segment.startDistance + clamp 0 1 t * segment.length)
 
             else
                 Nothing
 
-        WestTunnelSpot ->
-            if routeStartsFromWest route then
-                Just 0.0
+        ArcGeometry { center, radius, startAngle, sweep } ->
+            let
+                twoPi =
+                    2 * pi
+
+                pointAngle =
+                    atan2 (point.y - center.y) (point.x - center.x)
+
+                -- Angle travelled from the segment start, in [0, 2pi)
+                rawDelta =
+                    pointAngle - startAngle
 
-            else if routeEndsAtWest route then
-                Just route.totalLength
+                wrapped =
+                    rawDelta - twoPi * toFloat (floor (rawDelta / twoPi))
+
+                -- Measure in the sweep direction
+                delta =
+                    if sweep >= 0 || wrapped == 0 then
+                        wrapped
+
+                    else
+                        wrapped - twoPi
+
+                t =
+                    if sweep /= 0 then
+                        delta / sweep
+
+                    else
+                        -1
+
+                radialError =
+                    abs (Vec2.distance point center - radius)
+            in
+            if t >= 0 && t <= 1 + epsilon && radialError <= projectionTolerance then
+                Just (segment.startDistance + clamp 0 1 t * segment.length)
 
             else
                 Nothing
 
-        _ ->
-            findSpotOnRoute (spotLocation spotId) route
+        EasementGeometry _ ->
+            -- Project onto the chords between points a meter or so apart
+            -- along the easement, the first one close enough wins
+            let
+                chords =
+                    max 1 (ceiling segment.length)
 
+                pointAt i =
+                    (interpolateGeometry (toFloat i / toFloat chords) segment.geometry).position
 
-routeStartsFromEast : Route -> Bool
-routeStartsFromEast route =
-    case List.head route.segments of
-        Just segment ->
-            segment.elementId == ElementId 1
+                projectOntoChord i =
+                    let
+                        start =
+                            pointAt i
 
-        Nothing ->
-            False
+                        end =
+                            pointAt (i + 1)
 
+                        along =
+                            Vec2.subtract end start
 
-routeEndsAtEast : Route -> Bool
-routeEndsAtEast route =
-    case lastElement route.segments of
-        Just segment ->
-            segment.elementId == ElementId 1
+                        lengthSquared =
+                            Vec2.lengthSquared along
 
-        Nothing ->
-            False
+                        chordT =
+                            if lengthSquared > 0 then
+                                clamp 0 1 (Vec2.dot (Vec2.subtract point start) along / lengthSquared)
+
+                            else
+                                0
+                    in
+                    if Vec2.distance point (Vec2.lerp chordT start end) <= projectionTolerance then
+                        Just (segment.startDistance + (toFloat i + chordT) / toFloat chords * segment.length)
 
+                    else
+                        Nothing
+            in
+            List.range 0 (chords - 1)
+                |> List.filterMap projectOntoChord
+                |> List.head
 
-routeStartsFromWest : Route -> Bool
-routeStartsFromWest route =
-    case List.head route.segments of
-        Just segment ->
-            segment.elementId == ElementId 3
 
-        Nothing ->
-            False
 
+-- SPOT POSITION MAPPING
 
-routeEndsAtWest : Route -> Bool
-routeEndsAtWest route =
-    case lastElement route.segments of
-        Just segment ->
-            segment.elementId == ElementId 3
 
-        Nothing ->
-            False
+{-| Get the route distance for a spot on the given route.
+
+A spot on a track end is where the route comes out of or runs into that end.
+Returns Nothing if the railway has no such spot or the route doesn't pass it
+(e.g., PlatformSpot is not reachable on the mainline-through route).
+
+-}
+spotPosition : Railway -> SpotId -> Route -> Maybe Float
+spotPosition railway spotId route =
+    railway.spots
+        |> List.filter (\place -> place.spot == spotId)
+        |> List.head
+        |> Maybe.andThen
+            (\place ->
+                case Layout.findElement place.elementId railway.layout of
+                    Just { elementType } ->
+                        if elementType == TrackEnd then
+                            trackEndPosition railway.layout place.elementId route
+
+                        else
+                            findSpotOnRoute railway.layout place route.segments
+
+                    Nothing ->
+                        Nothing
+            )
+
+
+{-| A car is at a spot when it covers the spot, give or take this much
+(meters).
+-}
+spotTolerance : Float
+spotTolerance =
+    1.0
+
+
+{-| Each car of a consist whose front is at `position` on the route, front
+to back, with those of the spots it covers. The goals and the loading at
+spots both go by this.
+-}
+spotsUnderCars : Railway -> List SpotId -> Route -> Float -> List StockItem -> List ( StockItem, List SpotId )
+spotsUnderCars railway spots route position consist =
+    let
+        spotDistances =
+            List.filterMap
+                (\spot -> Maybe.map (Tuple.pair spot) (spotPosition railway spot route))
+                spots
+    in
+    List.map2
+        (\item ( frontOffset, rearOffset ) ->
+            ( item
+            , spotDistances
+                |> List.filter
+                    (\( _, spotDistance ) ->
+                        (spotDistance <= position - frontOffset + spotTolerance)
+                            && (spotDistance >= position - rearOffset - spotTolerance)
+                    )
+                |> List.map Tuple.first
+            )
+        )
+        consist
+        (carSpans consist)
+
+
+trackEndPosition : Layout -> ElementId -> Route -> Maybe Float
+trackEndPosition layout trackEnd route =
+    let
+        leadsInto end segment =
+            segmentConnectors layout segment
+                |> Maybe.andThen (\connectors -> Layout.findConnected segment.elementId (end connectors) layout)
+                |> Maybe.map Tuple.first
+                |> (==) (Just trackEnd)
+    in
+    if Maybe.map (leadsInto Tuple.first) (List.head route.segments) == Just True then
+        Just 0.0
+
+    else if Maybe.map (leadsInto Tuple.second) (lastElement route.segments) == Just True then
+        Just route.totalLength
+
+    else
+        Nothing
 
 
 lastElement : List a -> Maybe a
@@ -661,44 +1245,36 @@ lastElement list =
             lastElement rest
 
 
-findSpotOnRoute : SpotLocation -> Route -> Maybe Float
-findSpotOnRoute location route =
-    findSpotOnRouteHelper location route.segments
-
-
-findSpotOnRouteHelper : SpotLocation -> List RouteSegment -> Maybe Float
-findSpotOnRouteHelper location segments =
+findSpotOnRoute : Layout -> SpotPlace -> List RouteSegment -> Maybe Float
+findSpotOnRoute layout place segments =
     case segments of
         [] ->
             Nothing
 
         segment :: rest ->
-            if segment.elementId == location.elementId then
+            if segment.elementId == place.elementId then
                 let
-                    isReversed =
-                        isSegmentReversed segment
-
                     adjustedLocal =
-                        if isReversed then
-                            location.elementLength - location.localDistance
+                        if isSegmentReversed layout segment then
+                            segment.length - place.distance
 
                         else
-                            location.localDistance
+                            place.distance
                 in
                 Just (segment.startDistance + adjustedLocal)
 
             else
-                findSpotOnRouteHelper location rest
+                findSpotOnRoute layout place rest
 
 
-isSegmentReversed : RouteSegment -> Bool
-isSegmentReversed segment =
+isSegmentReversed : Layout -> RouteSegment -> Bool
+isSegmentReversed layout segment =
     let
         segmentStart =
             geometryStartPosition segment.geometry
 
         maybeConn0 =
-            Layout.getConnector segment.elementId 0 trackLayout
+            Layout.getConnector segment.elementId 0 layout
     in
     case maybeConn0 of
         Just conn0 ->
@@ -718,3 +1294,21 @@ geometryStartPosition geom =
             vec2
                 (center.x + radius * cos startAngle)
                 (center.y + radius * sin startAngle)
+
+        EasementGeometry _ ->
+            (interpolateGeometry 0 geom).position
+
+
+geometryEndPosition : SegmentGeometry -> Vec2
+geometryEndPosition geom =
+    case geom of
+        StraightGeometry { end } ->
+            end
+
+        ArcGeometry { center, radius, startAngle, sweep } ->
+            vec2
+                (center.x + radius * cos (startAngle + sweep))
+                (center.y + radius * sin (startAngle + sweep))
+
+        EasementGeometry _ ->
+            (interpolateGeometry 1 geom).position
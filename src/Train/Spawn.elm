@@ -3,29 +3,31 @@ module Train.Spawn exposing (checkSpawns)
 {-| Train spawning logic.
 -}
 
-import Planning.Types exposing (ScheduledTrain, SpawnPointId(..))
+import Planning.Types exposing (ScheduledTrain)
 import Programmer.Types exposing (ReverserPosition(..))
-import Sawmill.Layout exposing (SwitchState)
+import Sawmill.Layout exposing (SwitchStates)
 import Set exposing (Set)
 import Train.Route as Route
 import Train.Stock exposing (consistLength, trainSpeed)
-import Train.Types exposing (ActiveTrain, Route, TrainState(..))
+import Train.Types exposing (ActiveTrain, Railway, TrainState(..))
 import Util.GameTime exposing (GameTime)
 
 
 {-| Check for trains that should spawn at the current elapsed time.
-Returns list of newly spawned ActiveTrains.
+Returns list of newly spawned ActiveTrains. A train whose station has no
+way onto the track of the railway doesn't come.
 -}
 checkSpawns :
-    GameTime
+    Railway
+    -> GameTime
     -> List ScheduledTrain
     -> Set Int
-    -> SwitchState
+    -> SwitchStates
     -> List ActiveTrain
-checkSpawns currentTime scheduledTrains spawnedIds switchState =
+checkSpawns railway currentTime scheduledTrains spawnedIds switchStates =
     scheduledTrains
         |> List.filter (\train -> shouldSpawn train currentTime spawnedIds)
-        |> List.map (createActiveTrain switchState)
+        |> List.filterMap (createActiveTrain railway switchStates)
 
 
 {-| Check if a scheduled train should spawn.
@@ -36,18 +38,14 @@ shouldSpawn train currentTime spawnedIds =
         && currentTime >= train.departureTime
 
 
-{-| Create an ActiveTrain from a ScheduledTrain.
+{-| Create an ActiveTrain from a ScheduledTrain, in the tunnel of its
+station's portal.
 -}
-createActiveTrain : SwitchState -> ScheduledTrain -> ActiveTrain
-createActiveTrain switchState scheduled =
+createActiveTrain : Railway -> SwitchStates -> ScheduledTrain -> Maybe ActiveTrain
+createActiveTrain railway switchStates scheduled =
     let
         route =
-            case scheduled.spawnPoint of
-                EastStation ->
-                    Route.eastToWestRoute switchState
-
-                WestStation ->
-                    Route.westToEastRoute switchState
+            Route.rebuildRoute railway scheduled.spawnPoint switchStates
 
         -- Start position: negative so train is "inside" the tunnel
         -- Lead car front at 0 means the car just emerged
@@ -55,20 +53,27 @@ createActiveTrain switchState scheduled =
         startPosition =
             -(consistLength scheduled.consist)
     in
-    { id = scheduled.id
-    , consist = scheduled.consist
-    , position = startPosition
-    , speed = trainSpeed
-    , route = route
-    , spawnPoint = scheduled.spawnPoint
-    , program = scheduled.program
-    , programCounter = 0
-    , trainState =
-        if List.isEmpty scheduled.program then
-            WaitingForOrders
+    Route.trackPosition railway.layout startPosition route
+        |> Maybe.map
+            (\place ->
+                { id = scheduled.id
+                , consist = scheduled.consist
+                , trackPosition = place
+                , position = startPosition
+                , speed = trainSpeed
+                , route = route
+                , spawnPoint = scheduled.spawnPoint
+                , program = scheduled.program
+                , programCounter = 0
+                , trainState =
+                    if List.isEmpty scheduled.program then
+                        WaitingForOrders
 
-        else
-            Executing
-    , reverser = Forward
-    , waitTimer = 0
-    }
+                    else
+                        Executing
+                , reverser = Forward
+                , waitTimer = 0
+                , autoMoves = []
+                , laps = 0
+                }
+            )
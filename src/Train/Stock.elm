@@ -1,18 +1,33 @@
 module Train.Stock exposing
     ( stockLength
     , couplerGap
+    , couplerSpacing
+    , carSpans
     , consistLength
     , carCenterOffset
     , trainSpeed
+    , StockProperties
+    , stockProperties
+    , consistMass
+    , consistAcceleration
+    , consistBraking
+    , consistEmergencyBraking
+    , capabilities
+    , isPowered
+    , passengerMass
+    , seats
+    , freightCapacity
+    , itemMass
     )
 
 {-| Physical dimensions and properties for rolling stock.
 -}
 
-import Planning.Types exposing (StockItem, StockType(..))
+import Planning.Types exposing (Capability(..), Load(..), StockItem, StockType(..))
 
 
-{-| Length of a stock item in meters.
+{-| Length of a stock item in meters, without couplers sticking out beyond
+it: catalog stock gives its length over couplers.
 V60 switcher locomotive: 10.45m
 Donnerbüchse passenger car: 13.92m
 -}
@@ -31,6 +46,9 @@ stockLength stockType =
         Boxcar ->
             12.0
 
+        CatalogStock definition ->
+            definition.length - definition.frontCouplerOffset - definition.rearCouplerOffset
+
 
 {-| Gap between coupled cars in meters.
 -}
@@ -39,48 +57,84 @@ couplerGap =
     1.0
 
 
-{-| Total length of a consist (all cars + gaps between them).
+{-| How far a car's couplers stick out at the end facing the train head and
+at the end facing its rear. Built-in stock has half a coupler gap at each
+end; a reversed car has its rear coupler in front.
 -}
-consistLength : List StockItem -> Float
-consistLength items =
+couplerOffsets : StockItem -> ( Float, Float )
+couplerOffsets item =
+    let
+        ( front, rear ) =
+            case item.stockType of
+                CatalogStock definition ->
+                    ( definition.frontCouplerOffset, definition.rearCouplerOffset )
+
+                _ ->
+                    ( couplerGap / 2, couplerGap / 2 )
+    in
+    if item.reversed then
+        ( rear, front )
+
+    else
+        ( front, rear )
+
+
+{-| Gap in meters between a car and the one coupled behind it: how far their
+couplers stick out towards each other.
+-}
+couplerSpacing : StockItem -> StockItem -> Float
+couplerSpacing ahead behind =
+    Tuple.second (couplerOffsets ahead) + Tuple.first (couplerOffsets behind)
+
+
+{-| Distances from the train head (lead car front) to the front and the rear
+of each car, lead car first.
+-}
+carSpans : List StockItem -> List ( Float, Float )
+carSpans items =
     let
-        carLengths =
-            List.sum (List.map (\item -> stockLength item.stockType) items)
+        place item ( ahead, spans ) =
+            let
+                front =
+                    case ( ahead, spans ) of
+                        ( Just aheadItem, ( _, aheadRear ) :: _ ) ->
+                            aheadRear + couplerSpacing aheadItem item
 
-        gaps =
-            couplerGap * toFloat (max 0 (List.length items - 1))
+                        _ ->
+                            0
+            in
+            ( Just item, ( front, front + stockLength item.stockType ) :: spans )
     in
-    carLengths + gaps
+    List.foldl place ( Nothing, [] ) items
+        |> Tuple.second
+        |> List.reverse
+
 
+{-| Total length of a consist (all cars + gaps between them).
+-}
+consistLength : List StockItem -> Float
+consistLength items =
+    carSpans items
+        |> List.map Tuple.second
+        |> List.maximum
+        |> Maybe.withDefault 0
 
-{-| Distance from the train head (lead car front coupler) to a specific car's center.
 
-For car index N, this is:
-  sum of (stockLength of cars 0..N-1) + N coupler gaps + half of car N's stockLength
+{-| Distance from the train head (lead car front) to a specific car's center.
 
 Returns Nothing if the car index is out of range.
 
 -}
 carCenterOffset : Int -> List StockItem -> Maybe Float
 carCenterOffset targetIndex items =
-    let
-        helper index remaining accDist =
-            case remaining of
-                [] ->
-                    Nothing
-
-                item :: rest ->
-                    let
-                        carLen =
-                            stockLength item.stockType
-                    in
-                    if index == targetIndex then
-                        Just (accDist + carLen / 2)
-
-                    else
-                        helper (index + 1) rest (accDist + carLen + couplerGap)
-    in
-    helper 0 items 0
+    if targetIndex < 0 then
+        Nothing
+
+    else
+        carSpans items
+            |> List.drop targetIndex
+            |> List.head
+            |> Maybe.map (\( front, rear ) -> (front + rear) / 2)
 
 
 {-| Default train speed in m/s (40 km/h).
@@ -88,3 +142,180 @@ carCenterOffset targetIndex items =
 trainSpeed : Float
 trainSpeed =
     40.0 * 1000.0 / 3600.0
+
+
+{-| Physical properties of a stock type.
+
+Masses are in tonnes, forces in kilonewtons, so force / mass gives m/s^2.
+Only locomotives have tractive effort; every vehicle has its own brakes.
+
+-}
+type alias StockProperties =
+    { emptyMass : Float
+    , loadedMass : Float
+    , tractiveEffort : Float
+    , brakeForce : Float -- Full (emergency) brake force
+    }
+
+
+{-| Physical properties of a stock type.
+V60 switcher locomotive: 48t, 96kN tractive effort
+Loaded masses include cargo or a full complement of passengers.
+-}
+stockProperties : StockType -> StockProperties
+stockProperties stockType =
+    case stockType of
+        Locomotive ->
+            { emptyMass = 48, loadedMass = 48, tractiveEffort = 96, brakeForce = 240 }
+
+        PassengerCar ->
+            { emptyMass = 17, loadedMass = 21, tractiveEffort = 0, brakeForce = 85 }
+
+        Flatbed ->
+            { emptyMass = 11, loadedMass = 36, tractiveEffort = 0, brakeForce = 55 }
+
+        Boxcar ->
+            { emptyMass = 12, loadedMass = 27, tractiveEffort = 0, brakeForce = 60 }
+
+        CatalogStock definition ->
+            { emptyMass = definition.emptyMass
+            , loadedMass = definition.loadedMass
+            , tractiveEffort = definition.tractiveEffort
+            , brakeForce = definition.brakeForce
+            }
+
+
+{-| What a stock type can do.
+-}
+capabilities : StockType -> List Capability
+capabilities stockType =
+    case stockType of
+        Locomotive ->
+            [ Powered ]
+
+        PassengerCar ->
+            [ CarriesPassengers ]
+
+        Flatbed ->
+            [ CarriesFreight ]
+
+        Boxcar ->
+            [ CarriesFreight ]
+
+        CatalogStock definition ->
+            definition.capabilities
+
+
+{-| Whether a stock type can move a train, i.e. is a locomotive.
+-}
+isPowered : StockType -> Bool
+isPowered stockType =
+    List.member Powered (capabilities stockType)
+
+
+{-| Share of the full brake force used for normal (service) braking.
+-}
+serviceBrakeShare : Float
+serviceBrakeShare =
+    0.6
+
+
+{-| Total mass of a consist in tonnes, loads included.
+-}
+consistMass : List StockItem -> Float
+consistMass items =
+    List.sum (List.map itemMass items)
+
+
+{-| Mass of a stock item and its load in tonnes.
+-}
+itemMass : StockItem -> Float
+itemMass item =
+    let
+        emptyMass =
+            (stockProperties item.stockType).emptyMass
+    in
+    case item.load of
+        Empty ->
+            emptyMass
+
+        Cargo tonnes ->
+            emptyMass + tonnes
+
+        Passengers count ->
+            emptyMass + toFloat count * passengerMass
+
+
+{-| Mass of a passenger with luggage in tonnes.
+-}
+passengerMass : Float
+passengerMass =
+    0.075
+
+
+{-| How many passengers a stock type seats: as many as make up the
+difference between its loaded and empty mass.
+-}
+seats : StockType -> Int
+seats stockType =
+    if List.member CarriesPassengers (capabilities stockType) then
+        round (payload stockType / passengerMass)
+
+    else
+        0
+
+
+{-| How many tonnes of freight a stock type carries.
+-}
+freightCapacity : StockType -> Float
+freightCapacity stockType =
+    if List.member CarriesFreight (capabilities stockType) then
+        payload stockType
+
+    else
+        0
+
+
+payload : StockType -> Float
+payload stockType =
+    let
+        properties =
+            stockProperties stockType
+    in
+    properties.loadedMass - properties.emptyMass
+
+
+{-| Acceleration of a consist in m/s^2: tractive effort over total mass.
+A lone locomotive accelerates at 2.0 m/s^2, every car slows it down.
+-}
+consistAcceleration : List StockItem -> Float
+consistAcceleration items =
+    perMass (List.sum (List.map (\item -> (stockProperties item.stockType).tractiveEffort) items)) items
+
+
+{-| Normal braking deceleration of a consist in m/s^2.
+-}
+consistBraking : List StockItem -> Float
+consistBraking items =
+    serviceBrakeShare * consistEmergencyBraking items
+
+
+{-| Emergency braking deceleration of a consist in m/s^2: full brake force
+over total mass.
+-}
+consistEmergencyBraking : List StockItem -> Float
+consistEmergencyBraking items =
+    perMass (List.sum (List.map (\item -> (stockProperties item.stockType).brakeForce) items)) items
+
+
+perMass : Float -> List StockItem -> Float
+perMass force items =
+    let
+        mass =
+            consistMass items
+    in
+    if mass > 0 then
+        force / mass
+
+    else
+        0
@@ -0,0 +1,65 @@
+module Train.Turning exposing (turnStock)
+
+{-| Turning stock round on wyes and turntables.
+
+A car's `reversed` flag says which way it faces. Trains run the track the
+way it was laid from one element to the next, except through a joint where
+two elements were laid towards each other, as where the legs of a wye meet,
+and on a turntable turned round with the train on it (see
+`Track.Element.laidForward`). A car that comes out the other way round has
+been turned, and its flag flips.
+
+-}
+
+import Planning.Types exposing (StockItem)
+import Track.Layout exposing (Layout)
+import Train.Route as Route
+import Train.Stock exposing (carCenterOffset)
+import Train.Types exposing (Route)
+
+
+{-| The consist of a train after a tick, with the cars that were turned
+since the tick before flipped. Cars are matched by id, so cars coupled or
+cut off in between are left alone.
+-}
+turnStock :
+    Layout
+    -> { a | route : Route, position : Float, consist : List StockItem }
+    -> { b | route : Route, position : Float, consist : List StockItem }
+    -> List StockItem
+turnStock layout before after =
+    let
+        wasLaidForward item =
+            before.consist
+                |> List.indexedMap Tuple.pair
+                |> List.filter (\( _, car ) -> car.id == item.id)
+                |> List.head
+                |> Maybe.andThen (\( index, _ ) -> laidForward layout index before)
+    in
+    List.indexedMap
+        (\index item ->
+            case ( wasLaidForward item, laidForward layout index after ) of
+                ( Just previously, Just now ) ->
+                    if previously /= now then
+                        { item | reversed = not item.reversed }
+
+                    else
+                        item
+
+                _ ->
+                    item
+        )
+        after.consist
+
+
+
+-- INTERNAL HELPERS
+
+
+{-| Whether a train runs the track the way it was laid where the center of
+one of its cars is.
+-}
+laidForward : Layout -> Int -> { a | route : Route, position : Float, consist : List StockItem } -> Maybe Bool
+laidForward layout index train =
+    carCenterOffset index train.consist
+        |> Maybe.andThen (\offset -> Route.laidForwardAt layout (train.position - offset) train.route)
@@ -1,41 +1,89 @@
 module Train.Types exposing
     ( ActiveTrain
     , Effect(..)
+    , ManualControls
+    , Railway
+    , Reservations
     , Route
     , RouteSegment
     , SegmentGeometry(..)
+    , SpotPlace
+    , StandingConsist
+    , TrackPosition
     , TrainState(..)
+    , WorldView
     )
 
 {-| Types for active trains in the simulation.
 -}
 
+import Dict exposing (Dict)
 import Planning.Types exposing (SpawnPointId, StockItem)
-import Programmer.Types exposing (Order, ReverserPosition(..), SwitchPosition)
-import Track.Element exposing (ElementId)
+import Programmer.Types exposing (Order, ReverserPosition(..), SpotId, SwitchPosition)
+import Track.Element exposing (Connector, EasementSpec, ElementId)
+import Track.Layout exposing (Layout)
+import Util.GameTime exposing (GameTime)
 import Util.Vec2 exposing (Vec2)
 
 
 {-| Train execution state.
+
+A train under manual control is driven from its controls instead of its
+program, which stays where it was left (see `Train.Manual`).
+
 -}
 type TrainState
     = Executing
     | WaitingForOrders
     | Stopped String
+    | Manual ManualControls
+
+
+{-| The driver's controls of a manually controlled train.
+
+Moves are orders the driver asked for that run before the controls take
+over again: the way to a spot, a Couple or an Uncouple.
+
+-}
+type alias ManualControls =
+    { throttle : Float -- 0 to 1, share of the consist's tractive effort
+    , brake : Float -- 0 to 1, share of the consist's service braking
+    , emergency : Bool -- Emergency brake applied until the train stands
+    , moves : List Order
+    , message : Maybe String -- Why the last thing the driver asked for didn't happen
+    }
 
 
 {-| Side effects produced by program execution that affect world state.
 -}
 type Effect
     = SetSwitchEffect String SwitchPosition
+    | UncoupleEffect StandingConsist -- Cars left behind on the track
+    | CoupleEffect Int -- Standing consist (by id) absorbed into the train
+    | ReserveEffect (List Int) -- Blocks (by id) the train claims ahead of it
 
 
 {-| An active train currently on the track.
+
+A train's place is its `trackPosition`: the point of the track its lead car
+front is at. Its route is walked through the layout from there when the
+train comes onto the track or is put back from a save, and walked on again
+beyond both ends of the train as turnouts change (see `Train.Route`). The
+train moves along its route, `position` being the distance of its track
+position along it, and its track position moves with it (see `Simulation`).
+
+The orders an AutoMoveTo planned are kept apart from the program in
+`autoMoves` while they run. They aren't saved: a restored train plans its
+AutoMoveTo again from where it stands. Nor is `laps`, the times the train has
+gone round its program by a Repeat since it came onto the track or was put
+back from a save.
+
 -}
 type alias ActiveTrain =
     { id : Int
     , consist : List StockItem
-    , position : Float -- Distance of lead car front along route (meters)
+    , trackPosition : TrackPosition -- Where the lead car front is on the track
+    , position : Float -- Distance of the track position along route (meters)
     , speed : Float -- m/s (positive = forward along route)
     , route : Route
     , spawnPoint : SpawnPointId -- Which direction this train travels
@@ -44,6 +92,74 @@ type alias ActiveTrain =
     , trainState : TrainState
     , reverser : ReverserPosition
     , waitTimer : Float -- Seconds remaining for WaitSeconds
+    , autoMoves : List Order -- Planned orders left for the current AutoMoveTo
+    , laps : Int -- Times the program was started over by a Repeat
+    }
+
+
+{-| Cars standing on the track without a locomotive.
+
+Created by Uncouple and removed again by Couple. Like a train's, the cut's
+place is its `trackPosition`, the point of the track its front is at. It
+keeps the route of the train it was detached from, or one walked from its
+track position when put back from a save, so its position means the same
+thing as an ActiveTrain position: the front of consist item 0, with the
+remaining cars trailing toward lower route distances.
+
+The id is the id of the first stock item, which is unique because a stock
+item can only be part of one cut or train at a time.
+
+-}
+type alias StandingConsist =
+    { id : Int
+    , consist : List StockItem
+    , trackPosition : TrackPosition -- Where the cut's front is on the track
+    , position : Float -- Distance of the track position along route (meters)
+    , route : Route
+    }
+
+
+{-| Which train holds each block of track: block id to train id.
+
+A block is the stretch of track between signals, see `Train.Block`.
+
+-}
+type alias Reservations =
+    Dict Int Int
+
+
+{-| The railway being played: its track, where its spots are on it, the
+track end each station's trains come in by and the names SetSwitch orders
+give its turnouts.
+-}
+type alias Railway =
+    { layout : Layout
+    , spots : List SpotPlace
+    , portals : List ( SpawnPointId, ElementId )
+    , turnouts : List ( String, ElementId )
+    }
+
+
+{-| Where a spot is on the track: an element and the distance along it from
+its connector 0. A spot on a track end, as the tunnel spots are, is where the
+track runs into that end.
+-}
+type alias SpotPlace =
+    { spot : SpotId
+    , elementId : ElementId
+    , distance : Float
+    }
+
+
+{-| What a train can see of the world around it while executing its program.
+-}
+type alias WorldView =
+    { railway : Railway
+    , standingConsists : List StandingConsist
+    , reservations : Reservations
+    , lockedTurnouts : Dict String SwitchPosition -- How the turnouts (by name) something stands on are set
+    , gameTime : GameTime
+    , trains : List ActiveTrain -- All the trains on the track, as they were before the tick
     }
 
 
@@ -55,6 +171,22 @@ type alias Route =
     }
 
 
+{-| A point on the track independent of any route: the element, the
+connectors it is passed from and to, and how far along from the first.
+Routes are walked on from such points through the layout's connections.
+
+Past the end of the track, as for a train still in its tunnel, the offset
+runs on beyond the element: below 0 or beyond its length.
+
+-}
+type alias TrackPosition =
+    { elementId : ElementId
+    , fromConnector : Int
+    , toConnector : Int
+    , offset : Float -- meters from the from connector
+    }
+
+
 {-| A segment of a route with computed geometry.
 -}
 type alias RouteSegment =
@@ -79,3 +211,8 @@ type SegmentGeometry
         , startAngle : Float -- radians, angle at segment start
         , sweep : Float -- radians, positive = CCW
         }
+    | EasementGeometry
+        { connector0 : Connector -- the easement's connector 0
+        , spec : EasementSpec
+        , forward : Bool -- True when travelled from connector 0 to connector 1
+        }
@@ -1,17 +1,18 @@
-module Train.View exposing (viewTrains)
+module Train.View exposing (viewStandingConsists, viewTrains)
 
 {-| Train rendering as top-down SVG.
 -}
 
 import Json.Decode as Decode
-import Planning.Types exposing (StockItem, StockType(..))
+import Planning.Types exposing (Load(..), StockDefinition, StockItem, StockType(..))
 import Svg exposing (Svg)
 import Svg.Attributes as SvgA
 import Svg.Events as SvgE
 import Html.Attributes
+import Train.Loading as Loading
 import Train.Route as Route
-import Train.Stock exposing (couplerGap, stockLength)
-import Train.Types exposing (ActiveTrain)
+import Train.Stock exposing (carSpans, stockLength)
+import Train.Types exposing (ActiveTrain, Route, StandingConsist)
 import Util.Vec2 exposing (Vec2)
 
 
@@ -38,7 +39,7 @@ viewTrain onTrainClick train =
                     car.worldPosition
                         |> Maybe.map
                             (\pos ->
-                                viewTrainCar onTrainClick train.id pos.position pos.orientation car.stockType
+                                viewTrainCar onTrainClick train.id pos.position pos.orientation car
                             )
 
                 else
@@ -48,48 +49,63 @@ viewTrain onTrainClick train =
         )
 
 
+{-| Render cars left standing on the track by Uncouple.
+-}
+viewStandingConsists : List StandingConsist -> Svg msg
+viewStandingConsists standingConsists =
+    Svg.g [] (List.map viewStandingConsist standingConsists)
+
+
+viewStandingConsist : StandingConsist -> Svg msg
+viewStandingConsist cut =
+    Svg.g []
+        (List.filterMap
+            (\car ->
+                car.worldPosition
+                    |> Maybe.map
+                        (\pos ->
+                            viewCar
+                                [ Html.Attributes.attribute "data-testid" ("standing-car-" ++ stockTypeTestId car.stockType) ]
+                                pos.position
+                                pos.orientation
+                                car
+                        )
+            )
+            (positionCars cut)
+        )
+
+
 {-| Position data for a car.
 -}
 type alias CarPosition =
     { stockType : StockType
+    , load : Load
+    , fill : Float
     , centerDistance : Float
     , worldPosition : Maybe { position : Vec2, orientation : Float }
     }
 
 
-{-| Calculate positions for all cars in a consist.
+{-| Calculate positions for all cars in a consist, given the front of the
+lead car along a route.
 -}
-positionCars : ActiveTrain -> List CarPosition
+positionCars : { a | consist : List StockItem, position : Float, route : Route } -> List CarPosition
 positionCars train =
-    let
-        -- Build list of car positions, starting from lead car
-        positionCar : StockItem -> ( Float, List CarPosition ) -> ( Float, List CarPosition )
-        positionCar item ( frontCouplerDist, accCars ) =
+    List.map2
+        (\item ( front, rear ) ->
             let
-                carLen =
-                    stockLength item.stockType
-
                 centerDist =
-                    frontCouplerDist - carLen / 2
-
-                rearCouplerDist =
-                    frontCouplerDist - carLen - couplerGap
-
-                worldPos =
-                    Route.positionOnRoute centerDist train.route
-
-                carPos =
-                    { stockType = item.stockType
-                    , centerDistance = centerDist
-                    , worldPosition = worldPos
-                    }
+                    train.position - (front + rear) / 2
             in
-            ( rearCouplerDist, carPos :: accCars )
-
-        ( _, reversedCars ) =
-            List.foldl positionCar ( train.position, [] ) train.consist
-    in
-    List.reverse reversedCars
+            { stockType = item.stockType
+            , load = item.load
+            , fill = Loading.fillFraction item
+            , centerDistance = centerDist
+            , worldPosition = Route.positionOnRoute centerDist train.route
+            }
+        )
+        train.consist
+        (carSpans train.consist)
 
 
 stockTypeTestId : StockType -> String
@@ -107,11 +123,30 @@ stockTypeTestId stockType =
         Boxcar ->
             "boxcar"
 
+        CatalogStock definition ->
+            definition.id
+
 
 {-| Render a single car at its position on the track.
 -}
-viewTrainCar : (Int -> msg) -> Int -> Vec2 -> Float -> StockType -> Svg msg
-viewTrainCar onTrainClick trainId position orientation stockType =
+viewTrainCar : (Int -> msg) -> Int -> Vec2 -> Float -> CarPosition -> Svg msg
+viewTrainCar onTrainClick trainId position orientation car =
+    viewCar
+        [ Html.Attributes.attribute "data-testid" ("train-car-" ++ stockTypeTestId car.stockType)
+        , SvgE.onClick (onTrainClick trainId)
+        , SvgA.style "cursor: pointer"
+        , SvgE.stopPropagationOn "mousedown" (Decode.succeed ( onTrainClick trainId, True ))
+        ]
+        position
+        orientation
+        car
+
+
+{-| Render a car and its load at a world position, with extra attributes on
+its group.
+-}
+viewCar : List (Svg.Attribute msg) -> Vec2 -> Float -> CarPosition -> Svg msg
+viewCar attributes position orientation car =
     let
         -- Convert from custom system (0° = North, CW) to SVG (0° = East, CCW)
         -- Formula: svgAngle = 90° - customAngle (in radians: pi/2 - orientation)
@@ -130,21 +165,59 @@ viewTrainCar onTrainClick trainId position orientation stockType =
                 ++ ")"
     in
     Svg.g
-        [ SvgA.transform transform
-        , Html.Attributes.attribute "data-testid" ("train-car-" ++ stockTypeTestId stockType)
-        , SvgE.onClick (onTrainClick trainId)
-        , SvgA.style "cursor: pointer"
-        , SvgE.stopPropagationOn "mousedown" (Decode.succeed ( onTrainClick trainId, True ))
-        ]
-        (case stockType of
+        (SvgA.transform transform :: attributes)
+        ((case car.stockType of
             Flatbed ->
                 viewFlatbed
 
-            _ ->
+            CatalogStock definition ->
+                viewCatalogCar definition
+
+            stockType ->
                 viewSimpleCar stockType
+         )
+            ++ viewLoad car
         )
 
 
+{-| Render what a car carries: lumber stacked along the deck as it is
+loaded, or a lit roof strip as full as the coach.
+-}
+viewLoad : CarPosition -> List (Svg msg)
+viewLoad car =
+    let
+        loadLength =
+            (stockLength car.stockType - 2) * car.fill
+
+        loadWidth =
+            1.8
+
+        color =
+            case car.load of
+                Passengers _ ->
+                    "#e8d8a0"
+
+                _ ->
+                    "#c8a165"
+    in
+    if car.fill > 0 then
+        [ Svg.rect
+            [ Html.Attributes.attribute "data-testid" "car-load"
+            , SvgA.x (String.fromFloat (-loadLength / 2))
+            , SvgA.y (String.fromFloat (-loadWidth / 2))
+            , SvgA.width (String.fromFloat loadLength)
+            , SvgA.height (String.fromFloat loadWidth)
+            , SvgA.fill color
+            , SvgA.stroke "#5a4a3a"
+            , SvgA.strokeWidth "0.15"
+            ]
+            []
+        ]
+
+    else
+        []
+
+
 {-| Render a simple rectangular car (locomotive, passenger, boxcar).
 -}
 viewSimpleCar : StockType -> List (Svg msg)
@@ -167,6 +240,10 @@ viewSimpleCar stockType =
                 Flatbed ->
                     -- Should not happen, handled separately
                     ( 13.96, 3.0, "#6a5a4a" )
+
+                CatalogStock definition ->
+                    -- Should not happen, handled separately
+                    ( definition.length, definition.width, definition.color )
     in
     [ Svg.rect
         [ SvgA.x (String.fromFloat (-length / 2))
@@ -182,6 +259,28 @@ viewSimpleCar stockType =
     ]
 
 
+{-| Render a car from the stock catalog: its body between the couplers.
+-}
+viewCatalogCar : StockDefinition -> List (Svg msg)
+viewCatalogCar definition =
+    let
+        bodyLength =
+            stockLength (CatalogStock definition)
+    in
+    [ Svg.rect
+        [ SvgA.x (String.fromFloat (-bodyLength / 2))
+        , SvgA.y (String.fromFloat (-definition.width / 2))
+        , SvgA.width (String.fromFloat bodyLength)
+        , SvgA.height (String.fromFloat definition.width)
+        , SvgA.fill definition.color
+        , SvgA.stroke "#333"
+        , SvgA.strokeWidth "0.3"
+        , SvgA.rx "1"
+        ]
+        []
+    ]
+
+
 {-| Render a wood transport flatbed car with Rungen (stakes).
 Dimensions: 13.96m long, ~3m wide (2.768m load + sides), 12.5m load length, 8m axle spacing
 -}
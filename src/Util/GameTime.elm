@@ -5,6 +5,7 @@ module Util.GameTime exposing
     , toDayHourMinute
     , formatTime
     , formatDayTime
+    , dayName
     )
 
 {-| Game time representation.
@@ -82,6 +83,8 @@ formatDayTime time =
     dayName day ++ " " ++ formatTime time
 
 
+{-| Short weekday name for a day (0–4).
+-}
 dayName : Int -> String
 dayName day =
     case day of
@@ -1,15 +1,59 @@
 import { Elm } from "./Main.elm";
+import stockCatalog from "./stock-catalog.json";
 
 const KEY = "rr-state";
+const FAILED_KEY = "rr-state-failed";
 
 const app = Elm.Main.init({
   node: document.getElementById("app"),
-  flags: localStorage.getItem(KEY)  // Pass raw JSON string or null
+  flags: {
+    savedState: localStorage.getItem(KEY),  // Pass raw JSON string or null
+    stockCatalog
+  }
 });
 
 // Save state to localStorage
 app.ports.saveToStorage.subscribe(s => localStorage.setItem(KEY, s));
 
+// Keep a save the game could not load instead of overwriting it
+app.ports.backupFailedSave.subscribe(s => localStorage.setItem(FAILED_KEY, s));
+
+// Offer a JSON string as a file download
+const download = (json, filename) => {
+  const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Download the current plan as a solution file
+app.ports.exportSolution.subscribe(json => download(json, "rr-solution.json"));
+
+// Download the layout being edited as a layout file
+app.ports.exportLayout.subscribe(json => download(json, "rr-layout.json"));
+
+// Pick a JSON file and hand its contents to a port
+const pickFile = port => {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.addEventListener("change", () => {
+    const file = input.files[0];
+    if (file) {
+      file.text().then(text => port.send(text));
+    }
+  });
+  input.click();
+};
+
+// Pick a solution file and hand its contents back to Elm
+app.ports.importSolution.subscribe(() => pickFile(app.ports.solutionLoaded));
+
+// Pick a layout file to edit
+app.ports.importLayout.subscribe(() => pickFile(app.ports.layoutLoaded));
+
 // Clear saved state and reload
 app.ports.clearStorage.subscribe(() => {
   localStorage.removeItem(KEY);
@@ -0,0 +1,142 @@
+module AnalysisTest exposing (..)
+
+{-| Tests for checking programs before the train runs them.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (Order(..), Program, SpotId(..), SpotTarget(..), SwitchPosition(..))
+import Scenario
+import Test exposing (..)
+import Train.Analysis as Analysis
+import Train.Types exposing (Railway)
+
+
+suite : Test
+suite =
+    describe "Analysis"
+        [ moveTests
+        , carTests
+        , automaticMoveTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+loco : StockItem
+loco =
+    { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+
+
+boxcar : Int -> StockItem
+boxcar id =
+    { id = id, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+
+
+{-| A locomotive and four boxcars, long enough to reach from the team track
+past the end of the siding when the last car is spotted there.
+-}
+longTrain : List StockItem
+longTrain =
+    loco :: List.map boxcar (List.range 2 5)
+
+
+{-| The problems with a program for a train from the east station with the
+turnouts as the layout starts.
+-}
+fromEast : List StockItem -> Program -> List (List String)
+fromEast =
+    Analysis.analyze railway Dict.empty EastStation
+
+
+
+-- TESTS
+
+
+moveTests : Test
+moveTests =
+    describe "moves"
+        [ test "a sound program has no problems" <|
+            \_ ->
+                fromEast [ loco ] [ SetSwitch "main" Diverging, MoveTo PlatformSpot TrainHead, WaitSeconds 30 ]
+                    |> Expect.equal [ [], [], [] ]
+        , test "a spot off the route can't be reached" <|
+            \_ ->
+                fromEast [ loco ] [ MoveTo PlatformSpot TrainHead ]
+                    |> Expect.equal [ [ "Cannot reach Platform" ] ]
+        , test "the turnouts thrown on the way count" <|
+            \_ ->
+                fromEast [ loco ] [ SetSwitch "main" Diverging, SetSwitch "main" Normal, MoveTo PlatformSpot TrainHead ]
+                    |> Expect.equal [ [], [], [ "Cannot reach Platform" ] ]
+        , test "a move needs the reverser set towards the spot" <|
+            \_ ->
+                fromEast [ loco ] [ SetSwitch "main" Diverging, MoveTo TeamTrackSpot TrainHead, MoveTo PlatformSpot TrainHead ]
+                    |> Expect.equal [ [], [], [ "The reverser is set away from Platform" ] ]
+        , test "the reverser set on the way counts" <|
+            \_ ->
+                fromEast [ loco ]
+                    [ SetSwitch "main" Diverging
+                    , MoveTo TeamTrackSpot TrainHead
+                    , SetReverser Programmer.Types.Reverse
+                    , MoveTo PlatformSpot TrainHead
+                    ]
+                    |> Expect.equal [ [], [], [], [] ]
+        , test "a move past the end of the siding runs into the buffer stop" <|
+            \_ ->
+                fromEast longTrain [ SetSwitch "main" Diverging, MoveTo TeamTrackSpot (SpotCar 4) ]
+                    |> Expect.equal [ [], [ "Runs into the buffer stop" ] ]
+        , test "a train without a locomotive can't move" <|
+            \_ ->
+                fromEast [ boxcar 2 ] [ SetSwitch "main" Diverging, MoveTo PlatformSpot TrainHead ]
+                    |> Expect.equal [ [], [ "No locomotive to move the train" ] ]
+        ]
+
+
+carTests : Test
+carTests =
+    describe "cars"
+        [ test "SpotCar needs the car in the train" <|
+            \_ ->
+                fromEast [ loco, boxcar 2 ] [ SetSwitch "main" Diverging, MoveTo PlatformSpot (SpotCar 2) ]
+                    |> Expect.equal [ [], [ "No car 3 in a train of 2" ] ]
+        , test "Uncouple needs cars to leave behind" <|
+            \_ ->
+                fromEast [ loco, boxcar 2 ] [ Uncouple 2 ]
+                    |> Expect.equal [ [ "Nothing to uncouple" ] ]
+        , test "Uncouple keeps the locomotive" <|
+            \_ ->
+                fromEast [ loco, boxcar 2 ] [ Uncouple 0 ]
+                    |> Expect.equal [ [ "Cannot detach locomotive" ] ]
+        , test "cars left behind are gone from the train" <|
+            \_ ->
+                fromEast [ loco, boxcar 2, boxcar 3 ] [ Uncouple 2, Uncouple 2 ]
+                    |> Expect.equal [ [], [ "Nothing to uncouple" ] ]
+        , test "after a Couple the cars aren't counted" <|
+            \_ ->
+                fromEast [ loco, boxcar 2 ] [ Couple, Uncouple 3 ]
+                    |> Expect.equal [ [], [] ]
+        ]
+
+
+automaticMoveTests : Test
+automaticMoveTests =
+    describe "automatic moves"
+        [ test "are checked by the moves planned for them" <|
+            \_ ->
+                fromEast longTrain [ AutoMoveTo TeamTrackSpot (SpotCar 4) ]
+                    |> Expect.equal [ [ "Runs into the buffer stop" ] ]
+        , test "leave the train where the planned moves do" <|
+            \_ ->
+                fromEast [ loco ] [ AutoMoveTo TeamTrackSpot TrainHead, MoveTo PlatformSpot TrainHead ]
+                    |> Expect.equal [ [], [ "The reverser is set away from Platform" ] ]
+        ]
@@ -0,0 +1,262 @@
+module BlockTest exposing (..)
+
+{-| Tests for signals, blocks and track reservation.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockType(..))
+import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..))
+import Sawmill.Layout
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Block as Block
+import Train.Execution as Execution
+import Train.Movement as Movement
+import Train.Route as Route
+import Train.Stock exposing (stockLength, trainSpeed)
+import Train.Types exposing (ActiveTrain, Effect(..), Railway, Reservations, Route, TrackPosition, TrainState(..))
+
+
+suite : Test
+suite =
+    describe "Block"
+        [ blockTests
+        , acquireTests
+        , executionTests
+        , timetableTests
+        , updateTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+{-| A locomotive on the mainline from the east tunnel to the west tunnel:
+mainline east up to 250m, the turnout up to 300m, mainline west beyond.
+-}
+locoAt : Int -> Float -> ReverserPosition -> ActiveTrain
+locoAt id position reverser =
+    { id = id
+    , consist = [ { id = id, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+    , position = position
+    , trackPosition = placeOn (routeFrom EastStation Sawmill.Layout.Normal) position
+    , speed = 0
+    , route = routeFrom EastStation Sawmill.Layout.Normal
+    , spawnPoint = EastStation
+    , program = []
+    , programCounter = 0
+    , trainState = Executing
+    , reverser = reverser
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+{-| Train 1 heading for the west tunnel.
+-}
+westbound : Float -> ActiveTrain
+westbound position =
+    let
+        loco =
+            locoAt 1 position Forward
+    in
+    { loco | program = [ MoveTo WestTunnelSpot TrainHead ] }
+
+
+turnoutHeldBy : Int -> Reservations
+turnoutHeldBy trainId =
+    Dict.fromList [ ( 2, trainId ) ]
+
+
+world : Reservations -> Train.Types.WorldView
+world reservations =
+    { railway = railway, standingConsists = [], reservations = reservations, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] }
+
+
+runFor : Int -> Reservations -> ActiveTrain -> ActiveTrain
+runFor ticks reservations train =
+    if ticks <= 0 then
+        train
+
+    else
+        runFor (ticks - 1) reservations (Tuple.first (Execution.stepProgram 0.1 (world reservations) train))
+
+
+{-| A timetable train running through for some ticks, claiming the blocks
+ahead as far as the reservations let it.
+-}
+runThroughFor : Int -> Reservations -> ActiveTrain -> ActiveTrain
+runThroughFor ticks reservations train =
+    if ticks <= 0 then
+        train
+
+    else
+        runThroughFor (ticks - 1)
+            reservations
+            (Movement.runThrough 0.1 (Block.acquire railway.layout reservations 1000 train).holdAt train)
+
+
+{-| Train 2, running through on the timetable at line speed.
+-}
+timetableTrain : Float -> ActiveTrain
+timetableTrain position =
+    let
+        loco =
+            locoAt 2 position Forward
+    in
+    { loco | speed = trainSpeed, trainState = WaitingForOrders }
+
+
+
+-- TESTS
+
+
+blockTests : Test
+blockTests =
+    describe "blocks"
+        [ test "the signals split the sawmill track into four blocks" <|
+            \_ ->
+                List.map (Block.blockOf railway.layout) [ ElementId 1, ElementId 2, ElementId 3, ElementId 4, ElementId 5 ]
+                    |> Expect.equal [ Just 0, Just 2, Just 3, Just 4, Just 4 ]
+        , test "signals belong to no block" <|
+            \_ ->
+                List.map (Block.blockOf railway.layout) [ ElementId 8, ElementId 9, ElementId 10 ]
+                    |> Expect.equal [ Nothing, Nothing, Nothing ]
+        , test "all three signals guard the turnout" <|
+            \_ ->
+                List.map (Block.guardedBlock railway.layout) [ ElementId 8, ElementId 9, ElementId 10 ]
+                    |> Expect.equal [ Just 2, Just 2, Just 2 ]
+        , test "the mainline route passes three blocks" <|
+            \_ ->
+                Block.sections railway.layout (routeFrom EastStation Sawmill.Layout.Normal)
+                    |> List.map (\section -> ( section.block, section.start ))
+                    |> Expect.equal [ ( 0, 0 ), ( 2, 250 ), ( 3, 300 ) ]
+        , test "a train over the turnout toe occupies both blocks" <|
+            \_ ->
+                Block.occupiedBlocks railway.layout (locoAt 1 255 Forward)
+                    |> Expect.equal [ 0, 2 ]
+        ]
+
+
+acquireTests : Test
+acquireTests =
+    describe "acquire"
+        [ test "free blocks up to the target are claimed in order" <|
+            \_ ->
+                Block.acquire railway.layout Dict.empty 400 (locoAt 1 100 Forward)
+                    |> Expect.equal { claims = [ 2, 3 ], holdAt = Nothing }
+        , test "blocks beyond the target are not claimed" <|
+            \_ ->
+                (Block.acquire railway.layout Dict.empty 200 (locoAt 1 100 Forward)).claims
+                    |> Expect.equal []
+        , test "a held block stops the claims at its signal" <|
+            \_ ->
+                Block.acquire railway.layout (turnoutHeldBy 9) 400 (locoAt 1 100 Forward)
+                    |> Expect.equal { claims = [], holdAt = Just (250 - Block.signalStandoff) }
+        , test "blocks the train holds itself are in the clear" <|
+            \_ ->
+                (Block.acquire railway.layout (turnoutHeldBy 1) 400 (locoAt 1 100 Forward)).holdAt
+                    |> Expect.equal Nothing
+        , test "a reversing train waits with its rear short of the signal" <|
+            \_ ->
+                (Block.acquire railway.layout (turnoutHeldBy 9) 0 (locoAt 1 400 Reverse)).holdAt
+                    |> Maybe.withDefault 0
+                    |> Expect.within (Expect.Absolute 0.01) (300 + Block.signalStandoff + stockLength Locomotive)
+        ]
+
+
+executionTests : Test
+executionTests =
+    describe "MoveTo"
+        [ test "claims the blocks on the way" <|
+            \_ ->
+                Execution.stepProgram 0.1 (world Dict.empty) (westbound 100)
+                    |> Tuple.second
+                    |> Expect.equal [ ReserveEffect [ 2, 3 ] ]
+        , test "waits at the signal of a block another train holds" <|
+            \_ ->
+                runFor 300 (turnoutHeldBy 9) (westbound 200)
+                    |> Expect.all
+                        [ \train -> train.position |> Expect.within (Expect.Absolute 0.01) (250 - Block.signalStandoff)
+                        , \train -> train.speed |> Expect.equal 0
+                        , \train -> train.programCounter |> Expect.equal 0
+                        , \train -> train.trainState |> Expect.equal Executing
+                        ]
+        , test "carries on once the block is released" <|
+            \_ ->
+                runFor 300 (turnoutHeldBy 9) (westbound 200)
+                    |> runFor 1 Dict.empty
+                    |> .speed
+                    |> Expect.greaterThan 0
+        ]
+
+
+timetableTests : Test
+timetableTests =
+    describe "timetable trains"
+        [ test "run through at line speed while the blocks are free" <|
+            \_ ->
+                runThroughFor 10 Dict.empty (timetableTrain 100)
+                    |> .position
+                    |> Expect.within (Expect.Absolute 0.01) (100 + trainSpeed)
+        , test "hold at the signal of a block another train holds" <|
+            \_ ->
+                runThroughFor 600 (turnoutHeldBy 9) (timetableTrain 100)
+                    |> Expect.all
+                        [ \train -> train.position |> Expect.within (Expect.Absolute 0.01) (250 - Block.signalStandoff)
+                        , \train -> train.speed |> Expect.equal 0
+                        ]
+        , test "go on once the block is released" <|
+            \_ ->
+                runThroughFor 600 (turnoutHeldBy 9) (timetableTrain 100)
+                    |> runThroughFor 100 Dict.empty
+                    |> .position
+                    |> Expect.greaterThan 250
+        ]
+
+
+updateTests : Test
+updateTests =
+    describe "update"
+        [ test "a block is released once its train has left it" <|
+            \_ ->
+                Block.update railway.layout [ locoAt 1 420 Forward ] [] (turnoutHeldBy 1)
+                    |> Expect.equal (Dict.fromList [ ( 3, 1 ) ])
+        , test "a train keeps its block against later claims" <|
+            \_ ->
+                Block.update railway.layout [ locoAt 2 100 Forward, locoAt 1 200 Forward ] [ ( 2, [ 2 ] ), ( 1, [ 2 ] ) ] (turnoutHeldBy 1)
+                    |> Dict.get 2
+                    |> Expect.equal (Just 1)
+        , test "the first claim for a free block wins" <|
+            \_ ->
+                Block.update railway.layout [ locoAt 1 100 Forward, locoAt 2 200 Forward ] [ ( 1, [ 2 ] ), ( 2, [ 2 ] ) ] Dict.empty
+                    |> Dict.get 2
+                    |> Expect.equal (Just 1)
+        ]
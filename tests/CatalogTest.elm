@@ -0,0 +1,173 @@
+module CatalogTest exposing (..)
+
+{-| Tests for the rolling stock catalog.
+-}
+
+import Expect
+import Json.Decode as Decode
+import Planning.Catalog as Catalog exposing (Catalog)
+import Planning.Types exposing (Capability(..), Load(..), ProfileShape(..), SpawnPointId(..), StockDefinition, StockType(..))
+import Test exposing (..)
+import Train.Stock exposing (carSpans, consistAcceleration, consistLength, isPowered, stockLength)
+
+
+suite : Test
+suite =
+    describe "Catalog"
+        [ decoderTests
+        , inventoryTests
+        , stockTests
+        ]
+
+
+
+-- HELPERS
+
+
+tankCarJson : String
+tankCarJson =
+    """
+    { "stock":
+        [ { "id": "TankCar"
+          , "name": "Tank Car"
+          , "length": 10.6
+          , "width": 2.9
+          , "couplerOffsets": { "front": 0.6, "rear": 0.6 }
+          , "mass": { "empty": 13, "loaded": 38 }
+          , "brakeForce": 65
+          , "capabilities": [ "freight" ]
+          , "color": "#5a5a5a"
+          , "profile":
+                [ { "type": "rect", "x": 2, "y": 6, "width": 56, "height": 14, "fill": "#5a5a5a" }
+                , { "type": "circle", "cx": 12, "cy": 26, "r": 4, "fill": "#333" }
+                ]
+          , "available": { "WestStation": 2 }
+          }
+        ]
+    }
+    """
+
+
+decodeCatalog : String -> Result Decode.Error Catalog
+decodeCatalog =
+    Decode.decodeString Catalog.decoder
+
+
+{-| A small diesel with nothing but the required fields and its traction.
+-}
+shunter : StockDefinition
+shunter =
+    { id = "Shunter"
+    , name = "Shunter"
+    , length = 8
+    , width = 3.0
+    , frontCouplerOffset = 0
+    , rearCouplerOffset = 0
+    , emptyMass = 20
+    , loadedMass = 20
+    , tractiveEffort = 60
+    , brakeForce = 100
+    , capabilities = [ Powered ]
+    , color = "#6a6a6a"
+    , profile = []
+    }
+
+
+
+-- TESTS
+
+
+decoderTests : Test
+decoderTests =
+    describe "decoder"
+        [ test "decodes a full entry" <|
+            \_ ->
+                decodeCatalog tankCarJson
+                    |> Result.map (List.map (\entry -> ( entry.definition.name, entry.definition.loadedMass, entry.available )))
+                    |> Expect.equal (Ok [ ( "Tank Car", 38, [ ( WestStation, 2 ) ] ) ])
+        , test "decodes the profile drawing" <|
+            \_ ->
+                decodeCatalog tankCarJson
+                    |> Result.map (List.concatMap (.definition >> .profile))
+                    |> Expect.equal
+                        (Ok
+                            [ ProfileRect { x = 2, y = 6, width = 56, height = 14, fill = "#5a5a5a" }
+                            , ProfileCircle { cx = 12, cy = 26, r = 4, fill = "#333" }
+                            ]
+                        )
+        , test "fills in what an entry leaves out" <|
+            \_ ->
+                decodeCatalog """{ "stock": [ { "id": "Shunter", "name": "Shunter", "length": 8, "mass": { "empty": 20 }, "tractiveEffort": 60, "brakeForce": 100, "capabilities": [ "powered" ] } ] }"""
+                    |> Result.map (List.map .definition)
+                    |> Expect.equal (Ok [ shunter ])
+        , test "an unknown capability is an error" <|
+            \_ ->
+                decodeCatalog """{ "stock": [ { "id": "X", "name": "X", "length": 8, "mass": { "empty": 20 }, "brakeForce": 100, "capabilities": [ "flying" ] } ] }"""
+                    |> Result.toMaybe
+                    |> Expect.equal Nothing
+        , test "definitions round-trip through their encoding" <|
+            \_ ->
+                Catalog.encodeDefinition shunter
+                    |> Decode.decodeValue Catalog.definitionDecoder
+                    |> Expect.equal (Ok shunter)
+        ]
+
+
+inventoryTests : Test
+inventoryTests =
+    describe "withCatalogStock"
+        [ test "adds the available cars to their station" <|
+            \_ ->
+                let
+                    inventories =
+                        [ { spawnPointId = EastStation, availableStock = [] }
+                        , { spawnPointId = WestStation, availableStock = [] }
+                        ]
+                in
+                decodeCatalog tankCarJson
+                    |> Result.map
+                        (\catalog ->
+                            Catalog.withCatalogStock catalog inventories
+                                |> List.map (\inventory -> List.map .id inventory.availableStock)
+                        )
+                    |> Expect.equal (Ok [ [], [ 1000, 1001 ] ])
+        , test "an empty catalog leaves the inventories alone" <|
+            \_ ->
+                Catalog.withCatalogStock Catalog.empty [ { spawnPointId = EastStation, availableStock = [] } ]
+                    |> Expect.equal [ { spawnPointId = EastStation, availableStock = [] } ]
+        ]
+
+
+stockTests : Test
+stockTests =
+    describe "catalog stock"
+        [ test "has the length of its definition" <|
+            \_ ->
+                stockLength (CatalogStock shunter)
+                    |> Expect.within (Expect.Absolute 0.01) 8
+        , test "a powered type is a locomotive" <|
+            \_ ->
+                ( isPowered (CatalogStock shunter), isPowered (CatalogStock { shunter | capabilities = [ CarriesFreight ] }) )
+                    |> Expect.equal ( True, False )
+        , test "pulls with its own tractive effort" <|
+            \_ ->
+                consistAcceleration [ { id = 1, stockType = CatalogStock shunter, reversed = False, provisional = False, load = Empty } ]
+                    |> Expect.within (Expect.Absolute 0.01) 3.0
+        , test "is coupled as far from its neighbours as its couplers stick out" <|
+            \_ ->
+                let
+                    coupled =
+                        CatalogStock { shunter | frontCouplerOffset = 0.5, rearCouplerOffset = 1.5 }
+
+                    consist reversed =
+                        [ { id = 1, stockType = coupled, reversed = reversed, provisional = False, load = Empty }
+                        , { id = 2, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                        ]
+                in
+                Expect.all
+                    [ \_ -> carSpans (consist False) |> List.map Tuple.first |> Expect.equal [ 0, 8 ]
+                    , \_ -> consistLength (consist False) |> Expect.within (Expect.Absolute 0.01) 18.45
+                    , \_ -> consistLength (consist True) |> Expect.within (Expect.Absolute 0.01) 17.45
+                    ]
+                    ()
+        ]
@@ -0,0 +1,279 @@
+module CollisionTest exposing (..)
+
+{-| Tests for train protection and collisions between trains and standing
+cars.
+-}
+
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (ReverserPosition(..))
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Collision as Collision
+import Train.Stock exposing (consistLength, couplerGap)
+import Train.Types exposing (ActiveTrain, Route, SegmentGeometry(..), StandingConsist, TrainState(..))
+import Util.Vec2 exposing (vec2)
+
+
+suite : Test
+suite =
+    describe "Collision"
+        [ obstacleTests
+        , protectionTests
+        , clearToRunTests
+        ]
+
+
+
+-- HELPERS
+
+
+straightRoute : Route
+straightRoute =
+    { segments =
+        [ { elementId = ElementId 1
+          , length = 300
+          , startDistance = 0
+          , geometry =
+                StraightGeometry
+                    { start = vec2 0 0
+                    , end = vec2 300 0
+                    , orientation = pi / 2
+                    }
+          }
+        ]
+    , totalLength = 300
+    }
+
+
+stock : Int -> StockType -> StockItem
+stock id stockType =
+    { id = id, stockType = stockType, reversed = False, provisional = False, load = Empty }
+
+
+{-| A locomotive and a boxcar heading towards higher route distances.
+-}
+trainAt : Int -> Float -> Float -> ActiveTrain
+trainAt id position speed =
+    { id = id
+    , consist = [ stock (id * 10) Locomotive, stock (id * 10 + 1) Boxcar ]
+    , position = position
+    , trackPosition = { elementId = ElementId 1, fromConnector = 0, toConnector = 1, offset = position }
+    , speed = speed
+    , route = straightRoute
+    , spawnPoint = EastStation
+    , program = []
+    , programCounter = 0
+    , trainState = WaitingForOrders
+    , reverser = Forward
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+trainLength : Float
+trainLength =
+    consistLength (trainAt 1 0 0).consist
+
+
+boxcarsAt : Float -> StandingConsist
+boxcarsAt position =
+    { id = 5
+    , consist = [ stock 5 Boxcar, stock 6 Boxcar ]
+    , trackPosition = { elementId = ElementId 1, fromConnector = 0, toConnector = 1, offset = position }
+    , position = position
+    , route = straightRoute
+    }
+
+
+stateOf : Int -> List ActiveTrain -> Maybe TrainState
+stateOf id trains =
+    trains
+        |> List.filter (\train -> train.id == id)
+        |> List.head
+        |> Maybe.map .trainState
+
+
+
+-- TESTS
+
+
+obstacleTests : Test
+obstacleTests =
+    describe "nearestObstacle"
+        [ test "measures from the front to the rear of the train ahead" <|
+            \_ ->
+                let
+                    ahead =
+                        trainAt 2 (150 + trainLength) 0
+                in
+                Collision.nearestObstacle [ ahead ] [] (trainAt 1 100 5)
+                    |> Maybe.map .clearance
+                    |> Maybe.withDefault -1
+                    |> Expect.within (Expect.Absolute 0.01) 50
+        , test "a train reversing measures from its rear" <|
+            \_ ->
+                let
+                    reversing =
+                        trainAt 1 150 5
+                in
+                Collision.nearestObstacle [] [ boxcarsAt 100 ] { reversing | reverser = Reverse }
+                    |> Maybe.map .clearance
+                    |> Maybe.withDefault -1
+                    |> Expect.within (Expect.Absolute 0.01) (50 - trainLength)
+        , test "things behind the train are not in the way" <|
+            \_ ->
+                Collision.nearestObstacle [ trainAt 2 50 0 ] [] (trainAt 1 100 5)
+                    |> Expect.equal Nothing
+        , test "the nearest of several obstacles is reported" <|
+            \_ ->
+                Collision.nearestObstacle [ trainAt 2 250 0 ] [ boxcarsAt 200 ] (trainAt 1 100 5)
+                    |> Maybe.map .trainId
+                    |> Expect.equal (Just Nothing)
+        ]
+
+
+protectionTests : Test
+protectionTests =
+    describe "protect"
+        [ test "a train with room to stop keeps going" <|
+            \_ ->
+                Collision.protect 0.1 [] [ trainAt 1 100 10, trainAt 2 250 0 ]
+                    |> stateOf 1
+                    |> Expect.equal (Just WaitingForOrders)
+        , test "a train within stopping distance of another stops before contact" <|
+            \_ ->
+                let
+                    ahead =
+                        trainAt 2 (105 + trainLength) 0
+                in
+                Collision.protect 0.1 [] [ trainAt 1 100 10, ahead ]
+                    |> stateOf 1
+                    |> Expect.equal (Just (Stopped "Emergency stop: train 2 ahead"))
+        , test "a train within stopping distance of standing cars brakes instead of stopping dead" <|
+            \_ ->
+                Collision.protect 0.1 [ boxcarsAt 130 ] [ trainAt 1 100 10 ]
+                    |> List.map (\train -> ( train.trainState, train.speed ))
+                    |> Expect.equal [ ( Stopped "Emergency stop: standing cars ahead", 10 ) ]
+        , test "a train braking for standing cars stands short of them" <|
+            \_ ->
+                let
+                    cars =
+                        boxcarsAt (130 + consistLength (boxcarsAt 0).consist)
+
+                    step _ train =
+                        let
+                            moved =
+                                case train.trainState of
+                                    Stopped _ ->
+                                        Collision.emergencyBrake 0.1 train
+
+                                    _ ->
+                                        { train | position = train.position + train.speed * 0.1 }
+                        in
+                        Collision.protect 0.1 [ cars ] [ moved ]
+                            |> List.head
+                            |> Maybe.withDefault moved
+
+                    stood =
+                        List.foldl step (trainAt 1 100 10) (List.range 1 100)
+                in
+                stood
+                    |> Expect.all
+                        [ .speed >> Expect.within (Expect.Absolute 0.0001) 0
+                        , .trainState >> Expect.equal (Stopped "Emergency stop: standing cars ahead")
+                        , Collision.nearestObstacle [] [ cars ]
+                            >> Maybe.map .clearance
+                            >> Maybe.withDefault -1
+                            >> Expect.atLeast Collision.protectionMargin
+                        ]
+        , test "the emergency brake slows a train to a stand" <|
+            \_ ->
+                [ Collision.emergencyBrake 1 (trainAt 1 100 10), Collision.emergencyBrake 3 (trainAt 1 100 10) ]
+                    |> List.map (\train -> ( train.speed, train.position ))
+                    |> Expect.equal [ ( 5, 107.5 ), ( 0, 110 ) ]
+        , test "overlapping trains both stop in a collision" <|
+            \_ ->
+                let
+                    result =
+                        Collision.protect 0.1 [] [ trainAt 1 100 10, trainAt 2 (99 + trainLength) 0 ]
+                in
+                ( stateOf 1 result, stateOf 2 result )
+                    |> Expect.equal
+                        ( Just (Stopped "Collision with train 2")
+                        , Just (Stopped "Collision with train 1")
+                        )
+        , test "running into standing cars is a collision" <|
+            \_ ->
+                Collision.protect 0.1 [ boxcarsAt 102 ] [ trainAt 1 100 10 ]
+                    |> stateOf 1
+                    |> Expect.equal (Just (Stopped "Collision with standing cars"))
+        , test "buffering up to cars at coupler distance is not a stop" <|
+            \_ ->
+                let
+                    cars =
+                        boxcarsAt 200
+
+                    rearOfCars =
+                        200 - consistLength cars.consist
+                in
+                Collision.protect 0.1 [ cars ] [ trainAt 1 (rearOfCars - couplerGap) 0.5 ]
+                    |> stateOf 1
+                    |> Expect.equal (Just WaitingForOrders)
+        , test "a train already stopped keeps its reason" <|
+            \_ ->
+                let
+                    stopped =
+                        trainAt 2 (99 + trainLength) 0
+                in
+                Collision.protect 0.1 [] [ trainAt 1 100 10, { stopped | trainState = Stopped "Nothing to uncouple" } ]
+                    |> stateOf 2
+                    |> Expect.equal (Just (Stopped "Nothing to uncouple"))
+        , test "a manually driven train stays with its driver, emergency brake on" <|
+            \_ ->
+                let
+                    driven =
+                        trainAt 1 100 10
+
+                    controls =
+                        { throttle = 1, brake = 0, emergency = False, moves = [], message = Nothing }
+                in
+                Collision.protect 0.1 [] [ { driven | trainState = Manual controls }, trainAt 2 (105 + trainLength) 0 ]
+                    |> stateOf 1
+                    |> Expect.equal (Just (Manual { controls | emergency = True, message = Just "Emergency stop: train 2 ahead" }))
+        ]
+
+
+clearToRunTests : Test
+clearToRunTests =
+    let
+        stoppedShort =
+            let
+                standing =
+                    trainAt 1 100 0
+            in
+            { standing | trainState = Stopped "Emergency stop: train 2 ahead" }
+    in
+    describe "clearToRun"
+        [ test "a train stopped short runs again once the line is clear" <|
+            \_ ->
+                Collision.clearToRun [ trainAt 2 300 0 ] [] stoppedShort
+                    |> .trainState
+                    |> Expect.equal Executing
+        , test "a train stopped short waits while something is close ahead" <|
+            \_ ->
+                Collision.clearToRun [ trainAt 2 (105 + trainLength) 0 ] [] stoppedShort
+                    |> .trainState
+                    |> Expect.equal (Stopped "Emergency stop: train 2 ahead")
+        , test "a train still braking doesn't run yet" <|
+            \_ ->
+                Collision.clearToRun [] [] { stoppedShort | speed = 2 }
+                    |> .trainState
+                    |> Expect.equal (Stopped "Emergency stop: train 2 ahead")
+        , test "a collision isn't cleared" <|
+            \_ ->
+                Collision.clearToRun [] [] { stoppedShort | trainState = Stopped "Collision with train 2" }
+                    |> .trainState
+                    |> Expect.equal (Stopped "Collision with train 2")
+        ]
@@ -50,8 +50,8 @@ suite =
                         inventories =
                             [ { spawnPointId = EastStation
                               , availableStock =
-                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
+                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
                                     ]
                               }
                             ]
@@ -60,12 +60,12 @@ suite =
                             takeStockFromInventory EastStation Locomotive inventories
                     in
                     Expect.all
-                        [ \_ -> taken |> Expect.equal (Just { id = 1, stockType = Locomotive, reversed = False, provisional = False })
+                        [ \_ -> taken |> Expect.equal (Just { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty })
                         , \_ ->
                             newInventories
                                 |> List.head
                                 |> Maybe.map .availableStock
-                                |> Expect.equal (Just [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False } ])
+                                |> Expect.equal (Just [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty } ])
                         ]
                         ()
             , test "takes first matching item when multiple of same type exist" <|
@@ -74,8 +74,8 @@ suite =
                         inventories =
                             [ { spawnPointId = WestStation
                               , availableStock =
-                                    [ { id = 5, stockType = Boxcar, reversed = False, provisional = False }
-                                    , { id = 6, stockType = Boxcar, reversed = False, provisional = False }
+                                    [ { id = 5, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+                                    , { id = 6, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
                                     ]
                               }
                             ]
@@ -84,13 +84,13 @@ suite =
                             takeStockFromInventory WestStation Boxcar inventories
                     in
                     taken
-                        |> Expect.equal (Just { id = 5, stockType = Boxcar, reversed = False, provisional = False })
+                        |> Expect.equal (Just { id = 5, stockType = Boxcar, reversed = False, provisional = False, load = Empty })
             , test "returns Nothing when stock type not available" <|
                 \_ ->
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
@@ -104,7 +104,7 @@ suite =
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
@@ -118,10 +118,10 @@ suite =
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             , { spawnPointId = WestStation
-                              , availableStock = [ { id = 2, stockType = Boxcar, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 2, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
@@ -132,13 +132,13 @@ suite =
                         |> List.filter (\inv -> inv.spawnPointId == WestStation)
                         |> List.head
                         |> Maybe.map .availableStock
-                        |> Expect.equal (Just [ { id = 2, stockType = Boxcar, reversed = False, provisional = False } ])
+                        |> Expect.equal (Just [ { id = 2, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ])
             , test "handles taking last item from inventory" <|
                 \_ ->
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
@@ -146,7 +146,7 @@ suite =
                             takeStockFromInventory EastStation Locomotive inventories
                     in
                     Expect.all
-                        [ \_ -> taken |> Expect.equal (Just { id = 1, stockType = Locomotive, reversed = False, provisional = False })
+                        [ \_ -> taken |> Expect.equal (Just { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty })
                         , \_ ->
                             newInventories
                                 |> List.head
@@ -158,20 +158,20 @@ suite =
         , describe "returnStockToInventory"
             [ test "returns empty list when inventories list is empty" <|
                 \_ ->
-                    returnStockToInventory EastStation [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ] []
+                    returnStockToInventory EastStation [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ] []
                         |> Expect.equal []
             , test "adds stock items to correct spawn point inventory" <|
                 \_ ->
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
                         itemsToReturn =
-                            [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-                            , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
+                            [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+                            , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
                             ]
 
                         newInventories =
@@ -187,12 +187,12 @@ suite =
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
                         itemsToReturn =
-                            [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False } ]
+                            [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty } ]
 
                         newInventories =
                             returnStockToInventory EastStation itemsToReturn inventories
@@ -202,8 +202,8 @@ suite =
                         |> Maybe.map .availableStock
                         |> Expect.equal
                             (Just
-                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
+                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
                                 ]
                             )
             , test "does not modify other spawn point inventories" <|
@@ -211,15 +211,15 @@ suite =
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             , { spawnPointId = WestStation
-                              , availableStock = [ { id = 4, stockType = Boxcar, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 4, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
                         itemsToReturn =
-                            [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False } ]
+                            [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty } ]
 
                         newInventories =
                             returnStockToInventory EastStation itemsToReturn inventories
@@ -228,13 +228,13 @@ suite =
                         |> List.filter (\inv -> inv.spawnPointId == WestStation)
                         |> List.head
                         |> Maybe.map .availableStock
-                        |> Expect.equal (Just [ { id = 4, stockType = Boxcar, reversed = False, provisional = False } ])
+                        |> Expect.equal (Just [ { id = 4, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ])
             , test "handles returning empty list" <|
                 \_ ->
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
@@ -244,7 +244,7 @@ suite =
                     newInventories
                         |> List.head
                         |> Maybe.map .availableStock
-                        |> Expect.equal (Just [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ])
+                        |> Expect.equal (Just [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ])
             , test "handles returning to empty inventory" <|
                 \_ ->
                     let
@@ -255,7 +255,7 @@ suite =
                             ]
 
                         itemsToReturn =
-                            [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
 
                         newInventories =
                             returnStockToInventory EastStation itemsToReturn inventories
@@ -263,7 +263,7 @@ suite =
                     newInventories
                         |> List.head
                         |> Maybe.map .availableStock
-                        |> Expect.equal (Just [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ])
+                        |> Expect.equal (Just [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ])
             ]
         , describe "Integration scenarios"
             [ test "take and return cycle preserves inventory" <|
@@ -272,8 +272,8 @@ suite =
                         initialInventories =
                             [ { spawnPointId = EastStation
                               , availableStock =
-                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
+                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
                                     ]
                               }
                             ]
@@ -300,9 +300,9 @@ suite =
                         inventories =
                             [ { spawnPointId = EastStation
                               , availableStock =
-                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-                                    , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
+                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+                                    , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
                                     ]
                               }
                             ]
@@ -323,7 +323,7 @@ suite =
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
@@ -0,0 +1,472 @@
+module CouplingTest exposing (..)
+
+{-| Tests for Couple/Uncouple and the standing consists they leave on the
+track.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (Order(..), SpotId(..), SpotTarget(..))
+import Sawmill.Layout exposing (SwitchState(..))
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Coupling as Coupling
+import Train.Execution as Execution
+import Train.Route as Route
+import Train.Stock exposing (consistLength, couplerGap, stockLength)
+import Train.Types exposing (ActiveTrain, Effect(..), Railway, Route, SegmentGeometry(..), StandingConsist, TrackPosition, TrainState(..))
+import Util.Vec2 exposing (vec2)
+
+
+suite : Test
+suite =
+    describe "Coupling"
+        [ uncoupleTests
+        , coupleTests
+        , obstacleTests
+        , executionTests
+        , distanceAlongRouteTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+straightRoute : Route
+straightRoute =
+    { segments =
+        [ { elementId = ElementId 1
+          , length = 300
+          , startDistance = 0
+          , geometry =
+                StraightGeometry
+                    { start = vec2 0 0
+                    , end = vec2 300 0
+                    , orientation = pi / 2
+                    }
+          }
+        ]
+    , totalLength = 300
+    }
+
+
+loco : Int -> StockItem
+loco id =
+    { id = id, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+
+
+boxcar : Int -> StockItem
+boxcar id =
+    { id = id, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+
+
+{-| Loco at the front, two boxcars behind, head at 100m, standing.
+-}
+train : ActiveTrain
+train =
+    { id = 1
+    , consist = [ loco 1, boxcar 2, boxcar 3 ]
+    , position = 100
+    , trackPosition = { elementId = ElementId 1, fromConnector = 0, toConnector = 1, offset = 100 }
+    , speed = 0
+    , route = straightRoute
+    , spawnPoint = EastStation
+    , program = []
+    , programCounter = 0
+    , trainState = Executing
+    , reverser = Programmer.Types.Forward
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+{-| The same train on the sawmill mainline, where the cars it leaves have a
+place on the track.
+-}
+onMainline : ActiveTrain
+onMainline =
+    let
+        mainline =
+            routeFrom EastStation Normal
+    in
+    { train | route = mainline, trackPosition = placeOn mainline 100 }
+
+
+standing : List StockItem -> Float -> StandingConsist
+standing consist position =
+    { id = List.head consist |> Maybe.map .id |> Maybe.withDefault 0
+    , consist = consist
+    , trackPosition = { elementId = ElementId 1, fromConnector = 0, toConnector = 1, offset = position }
+    , position = position
+    , route = straightRoute
+    }
+
+
+ids : List StockItem -> List Int
+ids =
+    List.map .id
+
+
+
+-- UNCOUPLE
+
+
+uncoupleTests : Test
+uncoupleTests =
+    describe "Coupling.uncouple"
+        [ test "keeps the cars nearest the locomotive" <|
+            \_ ->
+                case Coupling.uncouple railway.layout 2 onMainline of
+                    Ok ( kept, cut ) ->
+                        Expect.all
+                            [ \_ -> ids kept.consist |> Expect.equal [ 1, 2 ]
+                            , \_ -> ids cut.consist |> Expect.equal [ 3 ]
+                            , \_ -> cut.id |> Expect.equal 3
+                            ]
+                            ()
+
+                    Err reason ->
+                        Expect.fail reason
+        , test "detached cars stay where they were" <|
+            \_ ->
+                case Coupling.uncouple railway.layout 1 onMainline of
+                    Ok ( kept, cut ) ->
+                        Expect.all
+                            [ \_ -> kept.position |> Expect.within (Expect.Absolute 0.001) 100
+                            , \_ ->
+                                cut.position
+                                    |> Expect.within (Expect.Absolute 0.001)
+                                        (100 - stockLength Locomotive - couplerGap)
+                            , \_ ->
+                                cut.trackPosition
+                                    |> Expect.equal (placeOn onMainline.route (100 - stockLength Locomotive - couplerGap))
+                            ]
+                            ()
+
+                    Err reason ->
+                        Expect.fail reason
+        , test "pushing locomotive at the rear keeps the rear cars" <|
+            \_ ->
+                let
+                    pushing =
+                        { onMainline | consist = [ boxcar 2, boxcar 3, loco 1 ] }
+                in
+                case Coupling.uncouple railway.layout 1 pushing of
+                    Ok ( kept, cut ) ->
+                        Expect.all
+                            [ \_ -> ids kept.consist |> Expect.equal [ 1 ]
+                            , \_ -> ids cut.consist |> Expect.equal [ 2, 3 ]
+                            , \_ -> cut.position |> Expect.within (Expect.Absolute 0.001) 100
+                            , \_ ->
+                                kept.position
+                                    |> Expect.within (Expect.Absolute 0.001)
+                                        (100 - consistLength [ boxcar 2, boxcar 3 ] - couplerGap)
+                            ]
+                            ()
+
+                    Err reason ->
+                        Expect.fail reason
+        , test "refuses while moving" <|
+            \_ ->
+                Coupling.uncouple railway.layout 1 { onMainline | speed = 1 }
+                    |> Result.map (\_ -> ())
+                    |> Expect.equal (Err "Cannot uncouple while moving")
+        , test "refuses to keep nothing" <|
+            \_ ->
+                Coupling.uncouple railway.layout 0 onMainline
+                    |> Result.map (\_ -> ())
+                    |> Expect.equal (Err "Cannot detach locomotive")
+        , test "refuses where the route isn't on the layout" <|
+            \_ ->
+                Coupling.uncouple railway.layout 1 train
+                    |> Result.map (\_ -> ())
+                    |> Expect.equal (Err "Cannot uncouple off the track")
+        , test "refuses when there is nothing to cut" <|
+            \_ ->
+                Coupling.uncouple railway.layout 3 onMainline
+                    |> Result.map (\_ -> ())
+                    |> Expect.equal (Err "Nothing to uncouple")
+        ]
+
+
+
+-- COUPLE
+
+
+coupleTests : Test
+coupleTests =
+    describe "Coupling.couple"
+        [ test "forward couples cars ahead in front of the train" <|
+            \_ ->
+                let
+                    -- Rear of the cut one coupler gap ahead of the head
+                    cut =
+                        standing [ boxcar 4 ] (100 + couplerGap + stockLength Boxcar)
+                in
+                case Coupling.couple [ cut ] train of
+                    Just ( coupled, absorbed ) ->
+                        Expect.all
+                            [ \_ -> ids coupled.consist |> Expect.equal [ 4, 1, 2, 3 ]
+                            , \_ -> absorbed.id |> Expect.equal 4
+                            , \_ -> coupled.position |> Expect.within (Expect.Absolute 0.001) cut.position
+                            ]
+                            ()
+
+                    Nothing ->
+                        Expect.fail "Expected to couple"
+        , test "reverse couples cars behind at the rear of the train" <|
+            \_ ->
+                let
+                    rear =
+                        100 - consistLength train.consist
+
+                    cut =
+                        standing [ boxcar 4, boxcar 5 ] (rear - couplerGap)
+                in
+                case Coupling.couple [ cut ] { train | reverser = Programmer.Types.Reverse } of
+                    Just ( coupled, _ ) ->
+                        Expect.all
+                            [ \_ -> ids coupled.consist |> Expect.equal [ 1, 2, 3, 4, 5 ]
+                            , \_ -> coupled.position |> Expect.within (Expect.Absolute 0.001) 100
+                            ]
+                            ()
+
+                    Nothing ->
+                        Expect.fail "Expected to couple"
+        , test "cars facing the other way are turned around" <|
+            \_ ->
+                let
+                    -- Cut stored on a route running the other way: its
+                    -- front is the end nearest the train's head
+                    reversedRoute =
+                        { straightRoute
+                            | segments =
+                                [ { elementId = ElementId 1
+                                  , length = 300
+                                  , startDistance = 0
+                                  , geometry =
+                                        StraightGeometry
+                                            { start = vec2 300 0
+                                            , end = vec2 0 0
+                                            , orientation = -pi / 2
+                                            }
+                                  }
+                                ]
+                        }
+
+                    cut =
+                        { id = 4
+                        , consist = [ boxcar 4, boxcar 5 ]
+                        , trackPosition = { elementId = ElementId 1, fromConnector = 1, toConnector = 0, offset = 300 - (100 + couplerGap) }
+                        , position = 300 - (100 + couplerGap)
+                        , route = reversedRoute
+                        }
+                in
+                case Coupling.couple [ cut ] train of
+                    Just ( coupled, _ ) ->
+                        Expect.all
+                            [ \_ -> ids coupled.consist |> Expect.equal [ 5, 4, 1, 2, 3 ]
+                            , \_ ->
+                                List.take 2 coupled.consist
+                                    |> List.map .reversed
+                                    |> Expect.equal [ True, True ]
+                            ]
+                            ()
+
+                    Nothing ->
+                        Expect.fail "Expected to couple"
+        , test "cars out of reach are not coupled" <|
+            \_ ->
+                Coupling.couple [ standing [ boxcar 4 ] 130 ] train
+                    |> Expect.equal Nothing
+        ]
+
+
+
+-- OBSTACLES
+
+
+obstacleTests : Test
+obstacleTests =
+    describe "Coupling.obstacleLimit"
+        [ test "forward stops one coupler gap short of cars ahead" <|
+            \_ ->
+                Coupling.obstacleLimit [ standing [ boxcar 4 ] 170 ] train
+                    |> Maybe.map (Expect.within (Expect.Absolute 0.001) (170 - stockLength Boxcar - couplerGap))
+                    |> Maybe.withDefault (Expect.fail "Expected a limit")
+        , test "cars behind do not limit forward movement" <|
+            \_ ->
+                Coupling.obstacleLimit [ standing [ boxcar 4 ] 20 ] train
+                    |> Expect.equal Nothing
+        , test "reverse stops with the rear one coupler gap short of cars behind" <|
+            \_ ->
+                Coupling.obstacleLimit [ standing [ boxcar 4 ] 20 ] { train | reverser = Programmer.Types.Reverse }
+                    |> Maybe.map (\limit -> limit - consistLength train.consist)
+                    |> Maybe.map (Expect.within (Expect.Absolute 0.001) (20 + couplerGap))
+                    |> Maybe.withDefault (Expect.fail "Expected a limit")
+        ]
+
+
+
+-- EXECUTION
+
+
+executionTests : Test
+executionTests =
+    describe "Execution"
+        [ test "Uncouple emits the cut and advances" <|
+            \_ ->
+                let
+                    ( result, effects ) =
+                        Execution.stepProgram 0.1
+                            { railway = railway, standingConsists = [], reservations = Dict.empty, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] }
+                            { onMainline | program = [ Uncouple 1 ] }
+                in
+                Expect.all
+                    [ \r -> ids r.consist |> Expect.equal [ 1 ]
+                    , \r -> r.programCounter |> Expect.equal 1
+                    , \_ ->
+                        List.map
+                            (\effect ->
+                                case effect of
+                                    UncoupleEffect cut ->
+                                        ids cut.consist
+
+                                    _ ->
+                                        []
+                            )
+                            effects
+                            |> Expect.equal [ [ 2, 3 ] ]
+                    ]
+                    result
+        , test "Uncouple refusal stops the train" <|
+            \_ ->
+                let
+                    ( result, effects ) =
+                        Execution.stepProgram 0.1
+                            { railway = railway, standingConsists = [], reservations = Dict.empty, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] }
+                            { train | program = [ Uncouple 3 ] }
+                in
+                Expect.all
+                    [ \r -> r.trainState |> Expect.equal (Stopped "Nothing to uncouple")
+                    , \_ -> effects |> Expect.equal []
+                    ]
+                    result
+        , test "Couple absorbs adjacent cars and advances" <|
+            \_ ->
+                let
+                    cut =
+                        standing [ boxcar 4 ] (100 + couplerGap + stockLength Boxcar)
+
+                    ( result, effects ) =
+                        Execution.stepProgram 0.1
+                            { railway = railway, standingConsists = [ cut ], reservations = Dict.empty, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] }
+                            { train | program = [ Couple ] }
+                in
+                Expect.all
+                    [ \r -> ids r.consist |> Expect.equal [ 4, 1, 2, 3 ]
+                    , \r -> r.programCounter |> Expect.equal 1
+                    , \_ -> effects |> Expect.equal [ CoupleEffect 4 ]
+                    ]
+                    result
+        , test "MoveTo stops short of standing cars in the way" <|
+            \_ ->
+                let
+                    route =
+                        routeFrom EastStation Reverse
+
+                    teamTrack =
+                        Route.spotPosition railway TeamTrackSpot route
+                            |> Maybe.withDefault 0
+
+                    -- Cars standing on the siding short of the team track
+                    cut =
+                        { id = 4, consist = [ boxcar 4 ], trackPosition = placeOn route (teamTrack - 20), position = teamTrack - 20, route = route }
+
+                    moving =
+                        { train
+                            | consist = [ loco 1 ]
+                            , position = teamTrack - 100
+                            , route = route
+                            , program = [ MoveTo TeamTrackSpot TrainHead ]
+                        }
+
+                    run n t =
+                        if n <= 0 then
+                            t
+
+                        else
+                            run (n - 1) (Tuple.first (Execution.stepProgram 0.5 { railway = railway, standingConsists = [ cut ], reservations = Dict.empty, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] } t))
+
+                    result =
+                        run 200 moving
+                in
+                Expect.all
+                    [ \r -> r.programCounter |> Expect.equal 1
+                    , \r ->
+                        r.position
+                            |> Expect.within (Expect.Absolute 0.01) (cut.position - stockLength Boxcar - couplerGap)
+                    ]
+                    result
+        ]
+
+
+
+-- ROUTE PROJECTION
+
+
+distanceAlongRouteTests : Test
+distanceAlongRouteTests =
+    describe "Route.distanceAlongRoute"
+        [ test "point on a straight segment" <|
+            \_ ->
+                Route.distanceAlongRoute (vec2 42 0) straightRoute
+                    |> Maybe.map (Expect.within (Expect.Absolute 0.001) 42)
+                    |> Maybe.withDefault (Expect.fail "Expected a distance")
+        , test "point off the track" <|
+            \_ ->
+                Route.distanceAlongRoute (vec2 42 10) straightRoute
+                    |> Expect.equal Nothing
+        , test "points on the route round-trip through positionOnRoute" <|
+            \_ ->
+                let
+                    route =
+                        routeFrom EastStation Reverse
+                in
+                [ 100, 270, 330 ]
+                    |> List.map
+                        (\d ->
+                            Route.positionOnRoute d route
+                                |> Maybe.andThen (\p -> Route.distanceAlongRoute p.position route)
+                                |> Maybe.withDefault -1
+                        )
+                    |> List.map2 (\expected actual -> abs (expected - actual) < 0.01) [ 100, 270, 330 ]
+                    |> Expect.equal [ True, True, True ]
+        ]
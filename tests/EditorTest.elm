@@ -0,0 +1,296 @@
+module EditorTest exposing (..)
+
+{-| Tests for the track layout editor.
+-}
+
+import Editor.Types exposing (EditorState, Tool(..), initEditorState)
+import Editor.Update as Editor
+import Expect
+import Planning.Types exposing (SpawnPointId(..))
+import Programmer.Types exposing (SpotId(..))
+import Test exposing (..)
+import Track.Element exposing (ElementId(..), Hand(..), TrackElementType(..))
+import Track.Layout as Layout exposing (Layout)
+import Track.Validation as Validation
+import Util.Vec2 exposing (vec2)
+
+
+suite : Test
+suite =
+    describe "Editor"
+        [ placeTests
+        , connectTests
+        , selectionTests
+        , spotTests
+        , loadTests
+        , playTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| Two track ends 150m apart facing each other, with a 100m straight laid
+on from the first (0) towards the second (1).
+-}
+gap : Layout
+gap =
+    Layout.placeElement TrackEnd { position = vec2 0 0, orientation = -(pi / 2) } Layout.emptyLayout
+        |> Tuple.first
+        |> Layout.placeElement TrackEnd { position = vec2 -150 0, orientation = pi / 2 }
+        |> Tuple.first
+        |> Layout.placeElementAt (StraightTrack 100) ( ElementId 0, 0 )
+        |> Tuple.first
+
+
+editing : Tool -> EditorState
+editing tool =
+    Editor.pickTool tool (initEditorState { layout = gap, turnouts = [], spots = [], portals = [], furniture = Nothing })
+
+
+straight : Float -> Tool
+straight length =
+    Place { name = "Straight", elementType = StraightTrack length }
+
+
+{-| The gap closed with a 50m straight, and a portal at its first track end.
+-}
+closedWithPortal : EditorState
+closedWithPortal =
+    let
+        closed =
+            editing (straight 50)
+                |> Editor.clickConnector ( ElementId 2, 1 )
+
+        document =
+            closed.document
+    in
+    { closed | document = { document | portals = [ { name = "East", spawnPoint = EastStation, elementId = ElementId 0 } ] } }
+
+
+layoutOf : EditorState -> Layout
+layoutOf editor =
+    editor.document.layout
+
+
+
+-- TESTS
+
+
+placeTests : Test
+placeTests =
+    describe "placing pieces"
+        [ test "a piece laid on from an open connector is joined to it" <|
+            \_ ->
+                editing (straight 20)
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> layoutOf
+                    |> Layout.findConnected (ElementId 3) 0
+                    |> Expect.equal (Just ( ElementId 2, 1 ))
+        , test "its other ends snap to open connectors they meet" <|
+            \_ ->
+                editing (straight 50)
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> layoutOf
+                    |> Layout.findConnected (ElementId 3) 1
+                    |> Expect.equal (Just ( ElementId 1, 0 ))
+        , test "a gap closed that way validates" <|
+            \_ ->
+                editing (straight 50)
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> layoutOf
+                    |> Validation.validateLayout
+                    |> .valid
+                    |> Expect.equal True
+        , test "nothing is laid on from a connector already joined" <|
+            \_ ->
+                let
+                    editor =
+                        editing (straight 50)
+                            |> Editor.clickConnector ( ElementId 0, 0 )
+                in
+                ( List.length (layoutOf editor).elements, editor.message )
+                    |> Expect.equal ( 3, Just "That end is already joined" )
+        , test "a double-click lays the piece on its own where it was" <|
+            \_ ->
+                editing (straight 50)
+                    |> Editor.placeAt (vec2 0 100)
+                    |> layoutOf
+                    |> Layout.getConnector (ElementId 3) 0
+                    |> Maybe.map .position
+                    |> Expect.equal (Just (vec2 0 100))
+        , test "turnouts are named after their element id" <|
+            \_ ->
+                editing (Place { name = "Turnout left", elementType = Turnout { throughLength = 50, radius = 170, sweep = pi / 12, hand = LeftHand } })
+                    |> Editor.placeAt (vec2 0 100)
+                    |> .document
+                    |> .turnouts
+                    |> Expect.equal [ ( "t3", ElementId 3 ) ]
+        , test "other pieces aren't named" <|
+            \_ ->
+                editing (straight 50)
+                    |> Editor.placeAt (vec2 0 100)
+                    |> .document
+                    |> .turnouts
+                    |> Expect.equal []
+        ]
+
+
+connectTests : Test
+connectTests =
+    describe "Connect"
+        [ test "joins the two connectors clicked" <|
+            \_ ->
+                editing Connect
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> Editor.clickConnector ( ElementId 1, 0 )
+                    |> layoutOf
+                    |> Layout.findConnected (ElementId 2) 1
+                    |> Expect.equal (Just ( ElementId 1, 0 ))
+        , test "a joint between ends that don't meet shows up in validation" <|
+            \_ ->
+                editing Connect
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> Editor.clickConnector ( ElementId 1, 0 )
+                    |> layoutOf
+                    |> Validation.validateLayout
+                    |> .errors
+                    |> List.map Validation.describeError
+                    |> Expect.equal [ "The joint of element 2 end 1 and element 1 end 0 are 50m apart" ]
+        , test "clicking the same connector twice joins nothing" <|
+            \_ ->
+                editing Connect
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> layoutOf
+                    |> .connections
+                    |> Expect.equal gap.connections
+        ]
+
+
+selectionTests : Test
+selectionTests =
+    describe "selected element"
+        [ test "rotating it breaks its joints" <|
+            \_ ->
+                editing Select
+                    |> Editor.clickElement (ElementId 2)
+                    |> Editor.rotateSelected
+                    |> layoutOf
+                    |> Validation.validateLayout
+                    |> .valid
+                    |> Expect.equal False
+        , test "deleting it leaves its neighbours' ends open" <|
+            \_ ->
+                editing Select
+                    |> Editor.clickElement (ElementId 2)
+                    |> Editor.deleteSelected
+                    |> layoutOf
+                    |> Layout.openConnectors
+                    |> Expect.equal [ ( ElementId 0, 0 ), ( ElementId 1, 0 ) ]
+        ]
+
+
+spotTests : Test
+spotTests =
+    describe "spots"
+        [ test "go halfway along the straight clicked" <|
+            \_ ->
+                editing PlaceSpot
+                    |> Editor.setSpotName "Yard"
+                    |> Editor.clickElement (ElementId 2)
+                    |> .document
+                    |> .spots
+                    |> Expect.equal [ { name = "Yard", id = Nothing, elementId = ElementId 2, distance = 50 } ]
+        , test "named after a spot of the game are that spot" <|
+            \_ ->
+                editing PlaceSpot
+                    |> Editor.setSpotName "Team Track"
+                    |> Editor.clickElement (ElementId 2)
+                    |> .document
+                    |> .spots
+                    |> List.map .id
+                    |> Expect.equal [ Just TeamTrackSpot ]
+        , test "are numbered when not named" <|
+            \_ ->
+                editing PlaceSpot
+                    |> Editor.clickElement (ElementId 2)
+                    |> Editor.clickElement (ElementId 2)
+                    |> .document
+                    |> .spots
+                    |> List.map .name
+                    |> Expect.equal [ "Spot 1", "Spot 2" ]
+        , test "only go on straight track" <|
+            \_ ->
+                editing PlaceSpot
+                    |> Editor.clickElement (ElementId 0)
+                    |> .message
+                    |> Expect.equal (Just "Spots go on straight track")
+        , test "go with the element they are on" <|
+            \_ ->
+                editing PlaceSpot
+                    |> Editor.clickElement (ElementId 2)
+                    |> Editor.pickTool Select
+                    |> Editor.clickElement (ElementId 2)
+                    |> Editor.deleteSelected
+                    |> .document
+                    |> .spots
+                    |> Expect.equal []
+        ]
+
+
+loadTests : Test
+loadTests =
+    describe "loading a layout file"
+        [ test "a layout that loaded replaces the one being edited" <|
+            \_ ->
+                editing Select
+                    |> Editor.loadDocument (Ok { layout = Layout.emptyLayout, turnouts = [], spots = [], portals = [], furniture = Nothing })
+                    |> layoutOf
+                    |> .elements
+                    |> Expect.equal []
+        , test "a layout that didn't keeps the one being edited and lists why" <|
+            \_ ->
+                let
+                    editor =
+                        editing Select
+                            |> Editor.loadDocument (Err [ "Not a valid layout file" ])
+                in
+                ( List.length (layoutOf editor).elements, editor.loadErrors )
+                    |> Expect.equal ( 3, [ "Not a valid layout file" ] )
+        ]
+
+
+playTests : Test
+playTests =
+    describe "playing the layout"
+        [ test "a layout with a portal that passes the checks can be played" <|
+            \_ ->
+                Editor.playableDocument closedWithPortal
+                    |> Result.map .portals
+                    |> Expect.equal (Ok closedWithPortal.document.portals)
+        , test "a layout without a portal can't" <|
+            \_ ->
+                editing (straight 50)
+                    |> Editor.clickConnector ( ElementId 2, 1 )
+                    |> Editor.playableDocument
+                    |> Expect.equal (Err [ "There is no portal for trains to come in by" ])
+        , test "nor can one that fails the checks" <|
+            \_ ->
+                let
+                    document =
+                        closedWithPortal.document
+                in
+                { closedWithPortal | document = { document | turnouts = [ ( "main", ElementId 2 ) ] } }
+                    |> Editor.playableDocument
+                    |> Expect.equal (Err [ "The turnout \"main\" is element 2, which can't be switched" ])
+        , test "why it couldn't be played is listed until another tool is picked" <|
+            \_ ->
+                let
+                    editor =
+                        Editor.cannotPlay [ "There is no portal for trains to come in by" ] (editing Select)
+                in
+                ( editor.playErrors, (Editor.pickTool Connect editor).playErrors )
+                    |> Expect.equal ( [ "There is no portal for trains to come in by" ], [] )
+        ]
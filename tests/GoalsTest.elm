@@ -0,0 +1,357 @@
+module GoalsTest exposing (..)
+
+{-| Tests for goal tracking and the end-of-week summary.
+-}
+
+import Dict
+import Expect
+import Goals exposing (Goal, GoalLog, Observation, Outcome(..), Task(..))
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (SpotId(..))
+import Sawmill.Layout exposing (SwitchState(..))
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Route as Route
+import Train.Types exposing (ActiveTrain, Railway, Route, StandingConsist, TrackPosition, TrainState(..))
+import Util.GameTime as GameTime exposing (GameTime)
+
+
+suite : Test
+suite =
+    describe "Goals"
+        [ standAtTests
+        , leaveAndReturnTests
+        , dayTests
+        , incidentTests
+        , summaryTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+sidingRoute : Route
+sidingRoute =
+    routeFrom EastStation Reverse
+
+
+platform : Float
+platform =
+    Route.spotPosition railway PlatformSpot sidingRoute |> Maybe.withDefault 0
+
+
+teamTrack : Float
+teamTrack =
+    Route.spotPosition railway TeamTrackSpot sidingRoute |> Maybe.withDefault 0
+
+
+stock : Int -> StockType -> StockItem
+stock id stockType =
+    { id = id, stockType = stockType, reversed = False, provisional = False, load = Empty }
+
+
+{-| Coach leading a pushing locomotive, head at the given position.
+-}
+trainAt : Float -> Float -> ActiveTrain
+trainAt position speed =
+    { id = 1
+    , consist = [ stock 2 PassengerCar, stock 1 Locomotive ]
+    , position = position
+    , trackPosition = placeOn sidingRoute position
+    , speed = speed
+    , route = sidingRoute
+    , spawnPoint = EastStation
+    , program = []
+    , programCounter = 0
+    , trainState = Executing
+    , reverser = Programmer.Types.Reverse
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+coachAtPlatform : Goal
+coachAtPlatform =
+    { task = StandAt PassengerCar PlatformSpot
+    , from = GameTime.fromHourMinute 7 0
+    , until = GameTime.fromHourMinute 7 15
+    }
+
+
+flatbedAtTeamTrack : Goal
+flatbedAtTeamTrack =
+    { task = LeaveAt Flatbed TeamTrackSpot
+    , from = GameTime.fromHourMinute 6 0
+    , until = GameTime.fromHourMinute 8 0
+    }
+
+
+flatbedHome : Goal
+flatbedHome =
+    { task = ReturnTo Flatbed EastStation
+    , from = GameTime.fromHourMinute 17 0
+    , until = GameTime.fromHourMinute 18 0
+    }
+
+
+loadedFlatbedHome : Goal
+loadedFlatbedHome =
+    { flatbedHome | task = ReturnLoaded Flatbed EastStation }
+
+
+{-| A flatbed with the given tonnes of lumber on it.
+-}
+flatbedWith : Float -> StockItem
+flatbedWith tonnes =
+    let
+        flatbed =
+            stock 3 Flatbed
+    in
+    { flatbed | load = Cargo tonnes }
+
+
+nothingSeen : GameTime -> Observation
+nothingSeen time =
+    { railway = railway
+    , gameTime = time
+    , activeTrains = []
+    , standingConsists = []
+    , departures = []
+    }
+
+
+withTrains : List ActiveTrain -> Observation -> Observation
+withTrains trains observation =
+    { observation | activeTrains = trains }
+
+
+withCuts : List StandingConsist -> Observation -> Observation
+withCuts cuts observation =
+    { observation | standingConsists = cuts }
+
+
+withDepartures : List ( SpawnPointId, List StockItem ) -> Observation -> Observation
+withDepartures departures observation =
+    { observation | departures = departures }
+
+
+{-| Track a single observation, starting from an empty log a second
+earlier.
+-}
+trackOnce : List Goal -> Observation -> GoalLog
+trackOnce goals observation =
+    Goals.track goals (observation.gameTime - 1) observation Goals.emptyLog
+
+
+
+-- TESTS
+
+
+standAtTests : Test
+standAtTests =
+    describe "StandAt"
+        [ test "coach standing at the platform within the window is on time" <|
+            \_ ->
+                trackOnce [ coachAtPlatform ]
+                    (nothingSeen (GameTime.fromDayHourMinute 0 7 5) |> withTrains [ trainAt (platform + 5) 0 ])
+                    |> Goals.outcomeFor 0 0
+                    |> Expect.equal (Just OnTime)
+        , test "a moving coach doesn't count" <|
+            \_ ->
+                trackOnce [ coachAtPlatform ]
+                    (nothingSeen (GameTime.fromDayHourMinute 0 7 5) |> withTrains [ trainAt (platform + 5) 2 ])
+                    |> Goals.outcomeFor 0 0
+                    |> Expect.equal Nothing
+        , test "a coach away from the platform doesn't count" <|
+            \_ ->
+                trackOnce [ coachAtPlatform ]
+                    (nothingSeen (GameTime.fromDayHourMinute 0 7 5) |> withTrains [ trainAt (platform + 40) 0 ])
+                    |> Goals.outcomeFor 0 0
+                    |> Expect.equal Nothing
+        , test "standing there before the window opens doesn't count yet" <|
+            \_ ->
+                trackOnce [ coachAtPlatform ]
+                    (nothingSeen (GameTime.fromDayHourMinute 0 6 50) |> withTrains [ trainAt (platform + 5) 0 ])
+                    |> Goals.outcomeFor 0 0
+                    |> Expect.equal Nothing
+        , test "arriving after the window records the delay" <|
+            \_ ->
+                trackOnce [ coachAtPlatform ]
+                    (nothingSeen (GameTime.fromDayHourMinute 2 7 25) |> withTrains [ trainAt (platform + 5) 0 ])
+                    |> Goals.outcomeFor 2 0
+                    |> Expect.equal (Just (Late 600))
+        ]
+
+
+leaveAndReturnTests : Test
+leaveAndReturnTests =
+    describe "LeaveAt and ReturnTo"
+        [ test "flatbed left standing at the team track" <|
+            \_ ->
+                trackOnce [ flatbedAtTeamTrack ]
+                    (nothingSeen (GameTime.fromDayHourMinute 0 6 50)
+                        |> withCuts
+                            [ { id = 3
+                              , consist = [ stock 3 Flatbed ]
+                              , trackPosition = placeOn sidingRoute (teamTrack + 7)
+                              , position = teamTrack + 7
+                              , route = sidingRoute
+                              }
+                            ]
+                    )
+                    |> Goals.outcomeFor 0 0
+                    |> Expect.equal (Just OnTime)
+        , test "flatbed still coupled to the train isn't left" <|
+            \_ ->
+                let
+                    pushing =
+                        trainAt (teamTrack + 7) 0
+                in
+                trackOnce [ flatbedAtTeamTrack ]
+                    (nothingSeen (GameTime.fromDayHourMinute 0 6 50) |> withTrains [ { pushing | consist = stock 3 Flatbed :: pushing.consist } ])
+                    |> Goals.outcomeFor 0 0
+                    |> Expect.equal Nothing
+        , test "flatbed leaving the map at the right station" <|
+            \_ ->
+                trackOnce [ flatbedHome ]
+                    (nothingSeen (GameTime.fromDayHourMinute 1 17 40) |> withDepartures [ ( EastStation, [ stock 1 Locomotive, stock 3 Flatbed ] ) ])
+                    |> Goals.outcomeFor 1 0
+                    |> Expect.equal (Just OnTime)
+        , test "flatbed leaving at the wrong station doesn't count" <|
+            \_ ->
+                trackOnce [ flatbedHome ]
+                    (nothingSeen (GameTime.fromDayHourMinute 1 17 40) |> withDepartures [ ( WestStation, [ stock 1 Locomotive, stock 3 Flatbed ] ) ])
+                    |> Goals.outcomeFor 1 0
+                    |> Expect.equal Nothing
+        , test "a loaded flatbed back home counts as loaded" <|
+            \_ ->
+                trackOnce [ loadedFlatbedHome ]
+                    (nothingSeen (GameTime.fromDayHourMinute 1 17 40) |> withDepartures [ ( EastStation, [ stock 1 Locomotive, flatbedWith 25 ] ) ])
+                    |> Goals.outcomeFor 1 0
+                    |> Expect.equal (Just OnTime)
+        , test "a half loaded flatbed doesn't count as loaded" <|
+            \_ ->
+                trackOnce [ loadedFlatbedHome ]
+                    (nothingSeen (GameTime.fromDayHourMinute 1 17 40) |> withDepartures [ ( EastStation, [ stock 1 Locomotive, flatbedWith 12 ] ) ])
+                    |> Goals.outcomeFor 1 0
+                    |> Expect.equal Nothing
+        ]
+
+
+dayTests : Test
+dayTests =
+    describe "days"
+        [ test "open goals are missed when the day ends" <|
+            \_ ->
+                Goals.track [ coachAtPlatform ]
+                    (GameTime.fromDayHourMinute 0 23 59)
+                    (nothingSeen (GameTime.fromDayHourMinute 1 0 1))
+                    Goals.emptyLog
+                    |> Goals.outcomeFor 0 0
+                    |> Expect.equal (Just Missed)
+        , test "a settled goal is not settled again the same day" <|
+            \_ ->
+                let
+                    atPlatform time =
+                        nothingSeen time |> withTrains [ trainAt (platform + 5) 0 ]
+                in
+                Goals.emptyLog
+                    |> Goals.track [ coachAtPlatform ] (GameTime.fromDayHourMinute 0 7 0) (atPlatform (GameTime.fromDayHourMinute 0 7 1))
+                    |> Goals.track [ coachAtPlatform ] (GameTime.fromDayHourMinute 0 7 1) (atPlatform (GameTime.fromDayHourMinute 0 7 30))
+                    |> .results
+                    |> List.length
+                    |> Expect.equal 1
+        , test "the end of the week closes Friday" <|
+            \_ ->
+                Goals.track [ coachAtPlatform ]
+                    (Goals.endOfWeek - 1)
+                    (nothingSeen Goals.endOfWeek)
+                    Goals.emptyLog
+                    |> Goals.outcomeFor 4 0
+                    |> Expect.equal (Just Missed)
+        , test "the week is over at Friday midnight" <|
+            \_ ->
+                ( Goals.isWeekOver (Goals.endOfWeek - 1), Goals.isWeekOver Goals.endOfWeek )
+                    |> Expect.equal ( False, True )
+        ]
+
+
+incidentTests : Test
+incidentTests =
+    describe "incidents"
+        [ test "a train stopping is recorded once" <|
+            \_ ->
+                let
+                    running =
+                        trainAt 100 5
+
+                    stopped =
+                        { running | speed = 0, trainState = Stopped "Hit buffer stop" }
+                in
+                Goals.emptyLog
+                    |> Goals.recordIncidents 10 [ running ] [ stopped ]
+                    |> Goals.recordIncidents 11 [ stopped ] [ stopped ]
+                    |> .incidents
+                    |> List.map (\incident -> ( incident.trainId, incident.description ))
+                    |> Expect.equal [ ( 1, "Hit buffer stop" ) ]
+        ]
+
+
+summaryTests : Test
+summaryTests =
+    describe "weekly summary"
+        [ test "totals and score" <|
+            \_ ->
+                Goals.summarize
+                    { results =
+                        [ { day = 0, goal = 0, outcome = OnTime }
+                        , { day = 1, goal = 0, outcome = OnTime }
+                        , { day = 2, goal = 0, outcome = Late 300 }
+                        , { day = 3, goal = 0, outcome = Late 120 }
+                        , { day = 4, goal = 0, outcome = Missed }
+                        ]
+                    , incidents = [ { time = 0, trainId = 1, description = "Hit buffer stop" } ]
+                    }
+                    |> Expect.equal
+                        { onTime = 2
+                        , late = 2
+                        , missed = 1
+                        , totalDelay = 420
+                        , incidents = 1
+                        , score = 20
+                        }
+        , test "the score doesn't go below zero" <|
+            \_ ->
+                Goals.summarize
+                    { results = []
+                    , incidents = [ { time = 0, trainId = 1, description = "Hit buffer stop" } ]
+                    }
+                    |> .score
+                    |> Expect.equal 0
+        ]
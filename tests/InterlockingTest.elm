@@ -0,0 +1,139 @@
+module InterlockingTest exposing (..)
+
+{-| Tests for locking the turnout while something stands on it.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (ReverserPosition(..))
+import Sawmill.Layout
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Interlocking as Interlocking
+import Train.Route as Route
+import Train.Stock exposing (stockLength)
+import Train.Types exposing (ActiveTrain, Railway, Route, StandingConsist, TrackPosition, TrainState(..))
+
+
+suite : Test
+suite =
+    describe "Interlocking"
+        [ occupancyTests
+        , lockTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its turnouts.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+stock : Int -> StockType -> StockItem
+stock id stockType =
+    { id = id, stockType = stockType, reversed = False, provisional = False, load = Empty }
+
+
+{-| A locomotive on the mainline from the east tunnel to the west tunnel,
+where the main turnout spans 250m to 300m.
+-}
+locoAt : Float -> ActiveTrain
+locoAt position =
+    { id = 1
+    , consist = [ stock 1 Locomotive ]
+    , position = position
+    , trackPosition = placeOn (routeFrom EastStation Sawmill.Layout.Normal) position
+    , speed = 0
+    , route = routeFrom EastStation Sawmill.Layout.Normal
+    , spawnPoint = EastStation
+    , program = []
+    , programCounter = 0
+    , trainState = WaitingForOrders
+    , reverser = Forward
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+boxcarsAt : Float -> StandingConsist
+boxcarsAt position =
+    { id = 5
+    , consist = [ stock 5 Boxcar, stock 6 Boxcar ]
+    , trackPosition = placeOn (routeFrom EastStation Sawmill.Layout.Normal) position
+    , position = position
+    , route = routeFrom EastStation Sawmill.Layout.Normal
+    }
+
+
+
+-- TESTS
+
+
+occupancyTests : Test
+occupancyTests =
+    describe "onTurnout"
+        [ test "a train on the turnout is on it" <|
+            \_ ->
+                Interlocking.onTurnout Sawmill.Layout.mainTurnoutId (locoAt 280)
+                    |> Expect.equal True
+        , test "a train short of the turnout is not" <|
+            \_ ->
+                Interlocking.onTurnout Sawmill.Layout.mainTurnoutId (locoAt 240)
+                    |> Expect.equal False
+        , test "a train whose rear is still on the turnout is on it" <|
+            \_ ->
+                Interlocking.onTurnout Sawmill.Layout.mainTurnoutId (locoAt (300 + stockLength Locomotive - 1))
+                    |> Expect.equal True
+        , test "a train clear beyond the turnout is not" <|
+            \_ ->
+                Interlocking.onTurnout Sawmill.Layout.mainTurnoutId (locoAt (300 + stockLength Locomotive + 1))
+                    |> Expect.equal False
+        ]
+
+
+lockTests : Test
+lockTests =
+    describe "locking"
+        [ test "the turnout is free with nothing on it" <|
+            \_ ->
+                Interlocking.turnoutLocked Sawmill.Layout.mainTurnoutId [ locoAt 100 ] [ boxcarsAt 400 ]
+                    |> Expect.equal False
+        , test "a train locks the turnout" <|
+            \_ ->
+                Interlocking.turnoutLocked Sawmill.Layout.mainTurnoutId [ locoAt 100, locoAt 260 ] []
+                    |> Expect.equal True
+        , test "standing cars lock the turnout" <|
+            \_ ->
+                Interlocking.turnoutLocked Sawmill.Layout.mainTurnoutId [] [ boxcarsAt 255 ]
+                    |> Expect.equal True
+        , test "only the turnouts something stands on are locked" <|
+            \_ ->
+                ( Interlocking.lockedTurnouts railway [ locoAt 100 ] []
+                , Interlocking.lockedTurnouts railway [ locoAt 260 ] []
+                )
+                    |> Expect.equal ( [], [ Sawmill.Layout.mainTurnoutId ] )
+        ]
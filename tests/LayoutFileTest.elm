@@ -0,0 +1,300 @@
+module LayoutFileTest exposing (..)
+
+{-| Tests for layout files.
+-}
+
+import Expect
+import Json.Decode as Decode
+import Json.Encode as Encode
+import LayoutFile exposing (LayoutDocument)
+import Planning.Types exposing (SpawnPointId(..))
+import Programmer.Types exposing (SpotId(..))
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (Ease(..), ElementId(..), Hand(..), TrackElementType(..))
+import Track.Layout as Layout
+import Util.Vec2 exposing (vec2)
+
+
+suite : Test
+suite =
+    describe "LayoutFile"
+        [ encoderTests
+        , decoderTests
+        , checkTests
+        , scenarioTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| A track end with a straight laid on from it, the platform on the
+straight and a portal at the track end.
+-}
+siding : LayoutDocument
+siding =
+    { layout =
+        Layout.placeElement TrackEnd { position = vec2 0 0, orientation = -(pi / 2) } Layout.emptyLayout
+            |> Tuple.first
+            |> Layout.placeElementAt (StraightTrack 100) ( ElementId 0, 0 )
+            |> Tuple.first
+    , turnouts = []
+    , spots = [ { name = "Platform", id = Just PlatformSpot, elementId = ElementId 1, distance = 50 } ]
+    , portals = [ { name = "East Station", spawnPoint = EastStation, elementId = ElementId 0 } ]
+    , furniture = Nothing
+    }
+
+
+{-| The siding with a turnout on the end of the straight, element 2.
+-}
+junction : LayoutDocument
+junction =
+    { siding
+        | layout =
+            Layout.placeElementAt (Turnout { throughLength = 50, radius = 170, sweep = pi / 12, hand = RightHand }) ( ElementId 1, 1 ) siding.layout
+                |> Tuple.first
+    }
+
+
+encoded : Decode.Decoder a -> Result Decode.Error a
+encoded decoder =
+    Decode.decodeValue decoder (LayoutFile.encodeLayoutDocument siding)
+
+
+saved : LayoutDocument -> String
+saved document =
+    Encode.encode 0 (LayoutFile.encodeLayoutDocument document)
+
+
+problems : LayoutDocument -> List String
+problems document =
+    case LayoutFile.checkLayoutDocument document of
+        Ok _ ->
+            []
+
+        Err found ->
+            found
+
+
+
+-- TESTS
+
+
+encoderTests : Test
+encoderTests =
+    describe "encodeLayoutDocument"
+        [ test "marks the document as a layout" <|
+            \_ ->
+                encoded (Decode.field "format" Decode.string)
+                    |> Expect.equal (Ok "rr-layout")
+        , test "stores each element's type and where its connector 0 is" <|
+            \_ ->
+                encoded
+                    (Decode.field "elements"
+                        (Decode.list
+                            (Decode.map2 Tuple.pair
+                                (Decode.at [ "type", "type" ] Decode.string)
+                                (Decode.at [ "at", "x" ] Decode.float)
+                            )
+                        )
+                    )
+                    |> Expect.equal (Ok [ ( "TrackEnd", 0 ), ( "Straight", 0 ) ])
+        , test "stores connections by element and connector" <|
+            \_ ->
+                encoded
+                    (Decode.field "connections"
+                        (Decode.list
+                            (Decode.map2 Tuple.pair
+                                (Decode.at [ "from", "element" ] Decode.int)
+                                (Decode.at [ "to", "connector" ] Decode.int)
+                            )
+                        )
+                    )
+                    |> Expect.equal (Ok [ ( 0, 0 ) ])
+        , test "stores the spots" <|
+            \_ ->
+                encoded (Decode.field "spots" (Decode.list (Decode.field "name" Decode.string)))
+                    |> Expect.equal (Ok [ "Platform" ])
+        , test "stores the spot of the game a spot is" <|
+            \_ ->
+                encoded (Decode.field "spots" (Decode.list (Decode.field "id" Decode.string)))
+                    |> Expect.equal (Ok [ "PlatformSpot" ])
+        , test "stores the turnouts by name" <|
+            \_ ->
+                Decode.decodeValue
+                    (Decode.field "turnouts"
+                        (Decode.list
+                            (Decode.map2 Tuple.pair
+                                (Decode.field "name" Decode.string)
+                                (Decode.field "element" Decode.int)
+                            )
+                        )
+                    )
+                    (LayoutFile.encodeLayoutDocument { junction | turnouts = [ ( "yard", ElementId 2 ) ] })
+                    |> Expect.equal (Ok [ ( "yard", 2 ) ])
+        , test "stores the portals by spawn point" <|
+            \_ ->
+                encoded (Decode.field "portals" (Decode.list (Decode.field "spawnPoint" Decode.string)))
+                    |> Expect.equal (Ok [ "EastStation" ])
+        ]
+
+
+decoderTests : Test
+decoderTests =
+    describe "loadLayout"
+        [ test "loads what was saved" <|
+            \_ ->
+                LayoutFile.loadLayout (saved siding)
+                    |> Expect.equal (Ok siding)
+        , test "loads easements" <|
+            \_ ->
+                let
+                    eased =
+                        { siding
+                            | layout =
+                                Layout.placeElementAt (Easement { length = 40, radius = 150, hand = LeftHand, ease = EaseIn }) ( ElementId 1, 1 ) siding.layout
+                                    |> Tuple.first
+                        }
+                in
+                LayoutFile.loadLayout (saved eased)
+                    |> Expect.equal (Ok eased)
+        , test "numbers new elements after the ones loaded" <|
+            \_ ->
+                LayoutFile.loadLayout (saved siding)
+                    |> Result.map (.layout >> .nextId)
+                    |> Expect.equal (Ok 2)
+        , test "loads a version 1 file, without portals or furniture" <|
+            \_ ->
+                """
+                {"format": "rr-layout", "version": 1,
+                 "elements": [{"id": 0, "type": {"type": "TrackEnd"}, "at": {"x": 0, "y": 0, "orientation": 0}}],
+                 "connections": [], "spots": []}
+                """
+                    |> LayoutFile.loadLayout
+                    |> Result.map (\document -> ( List.length document.layout.elements, document.portals, document.furniture ))
+                    |> Expect.equal (Ok ( 1, [], Nothing ))
+        , test "loads a version 2 file, without named turnouts or marked spots" <|
+            \_ ->
+                """
+                {"format": "rr-layout", "version": 2,
+                 "elements": [{"id": 0, "type": {"type": "Straight", "length": 100}, "at": {"x": 0, "y": 0, "orientation": 0}}],
+                 "connections": [],
+                 "spots": [{"name": "Platform", "element": 0, "distance": 50}],
+                 "portals": [], "furniture": null}
+                """
+                    |> LayoutFile.loadLayout
+                    |> Result.map (\document -> ( document.turnouts, List.map .id document.spots ))
+                    |> Expect.equal (Ok ( [], [ Nothing ] ))
+        , test "turns away other files" <|
+            \_ ->
+                LayoutFile.loadLayout """{"format": "rr-solution", "scheduledTrains": []}"""
+                    |> Result.mapError (List.map (String.startsWith "Not a valid layout file"))
+                    |> Expect.equal (Err [ True ])
+        ]
+
+
+checkTests : Test
+checkTests =
+    describe "checkLayoutDocument"
+        [ test "a sound layout passes" <|
+            \_ ->
+                problems siding
+                    |> Expect.equal []
+        , test "reports broken joints readably" <|
+            \_ ->
+                problems { siding | layout = Layout.rotateElement (ElementId 1) (pi / 2) siding.layout }
+                    |> Expect.equal [ "The joint of element 0 end 0 and element 1 end 0 are 90° out of line" ]
+        , test "spots must be on straight track or at a track end" <|
+            \_ ->
+                problems { junction | spots = [ { name = "Yard", id = Nothing, elementId = ElementId 2, distance = 0 } ] }
+                    |> Expect.equal [ "Spot \"Yard\" is on element 2, which isn't straight track or a track end" ]
+        , test "spots must be on the straight" <|
+            \_ ->
+                problems { siding | spots = [ { name = "Yard", id = Nothing, elementId = ElementId 1, distance = 120 } ] }
+                    |> Expect.equal [ "Spot \"Yard\" is 120m along element 1, which is 100m long" ]
+        , test "a spot at a track end is where the track ends" <|
+            \_ ->
+                ( problems { siding | spots = [ { name = "East Tunnel", id = Just EastTunnelSpot, elementId = ElementId 0, distance = 0 } ] }
+                , problems { siding | spots = [ { name = "Yard", id = Nothing, elementId = ElementId 0, distance = 5 } ] }
+                )
+                    |> Expect.equal ( [], [ "Spot \"Yard\" is on element 0, a track end, so it must be 0m along it" ] )
+        , test "no two spots may be the same spot of the game" <|
+            \_ ->
+                problems { siding | spots = siding.spots ++ [ { name = "Far end", id = Just PlatformSpot, elementId = ElementId 1, distance = 90 } ] }
+                    |> Expect.equal [ "More than one spot is marked as the Platform" ]
+        , test "named turnouts must be elements that can be switched" <|
+            \_ ->
+                ( problems { junction | turnouts = [ ( "main", ElementId 2 ) ] }
+                , problems { junction | turnouts = [ ( "main", ElementId 1 ), ( "yard", ElementId 9 ) ] }
+                )
+                    |> Expect.equal
+                        ( []
+                        , [ "The turnout \"main\" is element 1, which can't be switched"
+                          , "The turnout \"yard\" is element 9, which doesn't exist"
+                          ]
+                        )
+        , test "no two turnouts may have the same name" <|
+            \_ ->
+                problems { junction | turnouts = [ ( "main", ElementId 2 ), ( "main", ElementId 2 ) ] }
+                    |> Expect.equal [ "More than one turnout is named \"main\"" ]
+        , test "portals must be track ends" <|
+            \_ ->
+                problems { siding | portals = [ { name = "West Station", spawnPoint = WestStation, elementId = ElementId 1 } ] }
+                    |> Expect.equal [ "The West Station portal is on element 1, which isn't a track end" ]
+        , test "portals must exist" <|
+            \_ ->
+                problems { siding | portals = [ { name = "West Station", spawnPoint = WestStation, elementId = ElementId 9 } ] }
+                    |> Expect.equal [ "The West Station portal is on element 9, which doesn't exist" ]
+        ]
+
+
+scenarioTests : Test
+scenarioTests =
+    describe "the sawmill layout"
+        [ test "survives a save and load" <|
+            \_ ->
+                let
+                    document =
+                        Scenario.layoutDocument Scenario.default
+                in
+                LayoutFile.loadLayout (saved document)
+                    |> Expect.equal (Ok document)
+        , test "has a portal for each station at its tunnel" <|
+            \_ ->
+                (Scenario.layoutDocument Scenario.default).portals
+                    |> List.map (\portal -> ( portal.spawnPoint, portal.elementId ))
+                    |> Expect.equal [ ( WestStation, ElementId 7 ), ( EastStation, ElementId 0 ) ]
+        , test "has the spots orders send trains to" <|
+            \_ ->
+                (Scenario.layoutDocument Scenario.default).spots
+                    |> List.map (\spot -> ( spot.name, spot.id, spot.elementId ))
+                    |> Expect.equal
+                        [ ( "Platform", Just PlatformSpot, ElementId 5 )
+                        , ( "Team Track", Just TeamTrackSpot, ElementId 5 )
+                        , ( "East Tunnel", Just EastTunnelSpot, ElementId 0 )
+                        , ( "West Tunnel", Just WestTunnelSpot, ElementId 7 )
+                        ]
+        , test "names the main turnout" <|
+            \_ ->
+                (Scenario.layoutDocument Scenario.default).turnouts
+                    |> Expect.equal [ ( "main", ElementId 2 ) ]
+        , test "passes the checks" <|
+            \_ ->
+                problems (Scenario.layoutDocument Scenario.default)
+                    |> Expect.equal []
+        , test "builds each scenario's railway again" <|
+            \_ ->
+                Scenario.all
+                    |> List.map (\scenario -> Scenario.railway (Scenario.withLayoutDocument (Scenario.layoutDocument scenario) scenario))
+                    |> Expect.equal (List.map Scenario.railway Scenario.all)
+        , test "leaves out spots that aren't spots of the game" <|
+            \_ ->
+                Scenario.withLayoutDocument
+                    { siding | spots = siding.spots ++ [ { name = "Yard", id = Nothing, elementId = ElementId 1, distance = 90 } ] }
+                    Scenario.default
+                    |> .spots
+                    |> List.map .name
+                    |> Expect.equal [ "Platform" ]
+        ]
@@ -0,0 +1,230 @@
+module LoadingTest exposing (..)
+
+{-| Tests for loading and unloading cars at spots.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (SpotId(..))
+import Sawmill.Layout exposing (SwitchState(..))
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Loading as Loading
+import Train.Route as Route
+import Train.Stock exposing (consistMass, freightCapacity, seats)
+import Train.Types exposing (ActiveTrain, Railway, Route, StandingConsist, TrackPosition, TrainState(..))
+import Util.GameTime as GameTime exposing (GameTime)
+
+
+suite : Test
+suite =
+    describe "Loading"
+        [ freightTests
+        , passengerTests
+        , describeTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+sidingRoute : Route
+sidingRoute =
+    routeFrom EastStation Reverse
+
+
+platform : Float
+platform =
+    Route.spotPosition railway PlatformSpot sidingRoute |> Maybe.withDefault 0
+
+
+teamTrack : Float
+teamTrack =
+    Route.spotPosition railway TeamTrackSpot sidingRoute |> Maybe.withDefault 0
+
+
+stock : Int -> StockType -> StockItem
+stock id stockType =
+    { id = id, stockType = stockType, reversed = False, provisional = False, load = Empty }
+
+
+flatbedAt : Float -> StandingConsist
+flatbedAt position =
+    { id = 3
+    , consist = [ stock 3 Flatbed ]
+    , trackPosition = placeOn sidingRoute position
+    , position = position
+    , route = sidingRoute
+    }
+
+
+{-| Coach leading a pushing locomotive, head at the given position.
+-}
+coachAt : Float -> Load -> ActiveTrain
+coachAt position load =
+    let
+        coach =
+            stock 2 PassengerCar
+    in
+    { id = 1
+    , consist = [ { coach | load = load }, stock 1 Locomotive ]
+    , position = position
+    , trackPosition = placeOn sidingRoute position
+    , speed = 0
+    , route = sidingRoute
+    , spawnPoint = EastStation
+    , program = []
+    , programCounter = 0
+    , trainState = Executing
+    , reverser = Programmer.Types.Reverse
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+morning : GameTime
+morning =
+    GameTime.fromDayHourMinute 0 7 0
+
+
+evening : GameTime
+evening =
+    GameTime.fromDayHourMinute 0 16 30
+
+
+firstLoad : List { a | consist : List StockItem } -> Load
+firstLoad consists =
+    consists
+        |> List.concatMap .consist
+        |> List.head
+        |> Maybe.map .load
+        |> Maybe.withDefault Empty
+
+
+
+-- TESTS
+
+
+freightTests : Test
+freightTests =
+    describe "freight"
+        [ test "a flatbed left at the team track is loaded bit by bit" <|
+            \_ ->
+                Loading.update railway (Loading.loadingTime / 4) morning 0 [] [ flatbedAt (teamTrack + 7) ]
+                    |> .standingConsists
+                    |> firstLoad
+                    |> Expect.equal (Cargo (freightCapacity Flatbed / 4))
+        , test "a flatbed is never loaded beyond its capacity" <|
+            \_ ->
+                Loading.update railway (Loading.loadingTime * 2) morning 0 [] [ flatbedAt (teamTrack + 7) ]
+                    |> .standingConsists
+                    |> firstLoad
+                    |> Expect.equal (Cargo (freightCapacity Flatbed))
+        , test "a flatbed away from the team track stays empty" <|
+            \_ ->
+                Loading.update railway Loading.loadingTime morning 0 [] [ flatbedAt (teamTrack - 20) ]
+                    |> .standingConsists
+                    |> firstLoad
+                    |> Expect.equal Empty
+        , test "a loaded flatbed is heavier" <|
+            \_ ->
+                let
+                    flatbed =
+                        stock 3 Flatbed
+                in
+                consistMass [ { flatbed | load = Cargo (freightCapacity Flatbed) } ]
+                    - consistMass [ flatbed ]
+                    |> Expect.within (Expect.Absolute 0.01) 25
+        ]
+
+
+passengerTests : Test
+passengerTests =
+    describe "passengers"
+        [ test "passengers get off at the platform in the morning" <|
+            \_ ->
+                Loading.update railway 1 morning 0 [ coachAt (platform + 5) (Passengers 24) ] []
+                    |> (\result -> ( firstLoad result.activeTrains, result.millWorkers ))
+                    |> Expect.equal ( Empty, 24 )
+        , test "nobody gets off a moving coach" <|
+            \_ ->
+                let
+                    moving =
+                        coachAt (platform + 5) (Passengers 24)
+                in
+                Loading.update railway 1 morning 0 [ { moving | speed = 5 } ] []
+                    |> (\result -> ( firstLoad result.activeTrains, result.millWorkers ))
+                    |> Expect.equal ( Passengers 24, 0 )
+        , test "the workers board after the shift" <|
+            \_ ->
+                Loading.update railway 1 evening 24 [ coachAt (platform + 5) Empty ] []
+                    |> (\result -> ( firstLoad result.activeTrains, result.millWorkers ))
+                    |> Expect.equal ( Passengers 24, 0 )
+        , test "no more board than the coach seats" <|
+            \_ ->
+                Loading.update railway 1 evening 80 [ coachAt (platform + 5) Empty ] []
+                    |> (\result -> ( firstLoad result.activeTrains, result.millWorkers ))
+                    |> Expect.equal ( Passengers (seats PassengerCar), 80 - seats PassengerCar )
+        , test "nobody boards at the team track" <|
+            \_ ->
+                Loading.update railway 1 evening 24 [ coachAt (teamTrack + 5) Empty ] []
+                    |> .millWorkers
+                    |> Expect.equal 24
+        ]
+
+
+describeTests : Test
+describeTests =
+    describe "describeLoad"
+        [ test "shows how far a flatbed is loaded" <|
+            \_ ->
+                let
+                    flatbed =
+                        stock 3 Flatbed
+                in
+                List.map Loading.describeLoad
+                    [ flatbed
+                    , { flatbed | load = Cargo (freightCapacity Flatbed / 2) }
+                    , { flatbed | load = Cargo (freightCapacity Flatbed) }
+                    ]
+                    |> Expect.equal [ Just "Empty", Just "Loading 50%", Just "Loaded" ]
+        , test "counts the passengers of a coach" <|
+            \_ ->
+                let
+                    coach =
+                        stock 2 PassengerCar
+                in
+                Loading.describeLoad { coach | load = Passengers 24 }
+                    |> Expect.equal (Just "24 passengers")
+        , test "locomotives carry nothing" <|
+            \_ ->
+                Loading.describeLoad (stock 1 Locomotive)
+                    |> Expect.equal Nothing
+        ]
@@ -0,0 +1,316 @@
+module ManualTest exposing (..)
+
+{-| Tests for driving trains by hand.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..))
+import Sawmill.Layout
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Execution as Execution
+import Train.Manual as Manual
+import Train.Route as Route
+import Train.Stock exposing (consistAcceleration, consistEmergencyBraking, couplerGap, stockLength)
+import Train.Types exposing (ActiveTrain, Effect(..), ManualControls, Railway, Route, SegmentGeometry(..), StandingConsist, TrackPosition, TrainState(..), WorldView)
+import Util.Vec2 exposing (vec2)
+
+
+suite : Test
+suite =
+    describe "Manual"
+        [ takeOverTests
+        , drivingTests
+        , askingTests
+        , resumeTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+loco : Int -> StockItem
+loco id =
+    { id = id, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+
+
+boxcar : Int -> StockItem
+boxcar id =
+    { id = id, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+
+
+{-| A locomotive and a boxcar from the east tunnel on the way to the
+siding, standing 100m in and done with its program.
+-}
+train : ActiveTrain
+train =
+    { id = 1
+    , consist = [ loco 1, boxcar 2 ]
+    , position = 100
+    , trackPosition = placeOn (routeFrom EastStation Sawmill.Layout.Reverse) 100
+    , speed = 0
+    , route = routeFrom EastStation Sawmill.Layout.Reverse
+    , spawnPoint = EastStation
+    , program = [ WaitSeconds 10, MoveTo PlatformSpot TrainHead ]
+    , programCounter = 2
+    , trainState = WaitingForOrders
+    , reverser = Forward
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+{-| A straight of track that isn't part of the layout.
+-}
+offLayout : Route
+offLayout =
+    { segments =
+        [ { elementId = ElementId 99
+          , length = 300
+          , startDistance = 0
+          , geometry = StraightGeometry { start = vec2 0 0, end = vec2 300 0, orientation = 0 }
+          }
+        ]
+    , totalLength = 300
+    }
+
+
+world : WorldView
+world =
+    { railway = railway
+    , standingConsists = []
+    , reservations = Dict.empty
+    , lockedTurnouts = Dict.empty
+    , gameTime = 0
+    , trains = []
+    }
+
+
+driven : ActiveTrain
+driven =
+    Manual.takeControl train
+
+
+controlsOf : ActiveTrain -> Maybe ManualControls
+controlsOf someTrain =
+    case someTrain.trainState of
+        Manual controls ->
+            Just controls
+
+        _ ->
+            Nothing
+
+
+messageOf : ActiveTrain -> Maybe String
+messageOf =
+    controlsOf >> Maybe.andThen .message
+
+
+step : Float -> ActiveTrain -> ActiveTrain
+step deltaSeconds =
+    Execution.stepProgram deltaSeconds world >> Tuple.first
+
+
+{-| Tick along in tenths of a second.
+-}
+run : Int -> ActiveTrain -> ActiveTrain
+run ticks start =
+    List.foldl (\_ current -> step 0.1 current) start (List.range 1 ticks)
+
+
+
+-- TESTS
+
+
+takeOverTests : Test
+takeOverTests =
+    describe "taking over"
+        [ test "a driver finds the brakes on and the throttle closed" <|
+            \_ ->
+                controlsOf driven
+                    |> Maybe.map (\controls -> ( controls.throttle, controls.brake, controls.emergency ))
+                    |> Expect.equal (Just ( 0, 1, False ))
+        , test "a stopped train can be taken over" <|
+            \_ ->
+                Manual.takeControl { train | trainState = Stopped "Collision with standing cars" }
+                    |> Manual.isManual
+                    |> Expect.equal True
+        , test "the emergency stop brakes a running train as hard as it can" <|
+            \_ ->
+                { train | trainState = Executing, speed = 5 }
+                    |> Manual.emergencyStop
+                    |> step 0.5
+                    |> .speed
+                    |> Expect.within (Expect.Absolute 0.001) (5 - 0.5 * consistEmergencyBraking train.consist)
+        , test "the emergency brake comes off once the train stands" <|
+            \_ ->
+                { train | trainState = Executing, speed = 1 }
+                    |> Manual.emergencyStop
+                    |> run 50
+                    |> controlsOf
+                    |> Maybe.map (\controls -> ( controls.emergency, controls.brake ))
+                    |> Expect.equal (Just ( False, 1 ))
+        ]
+
+
+drivingTests : Test
+drivingTests =
+    describe "driving"
+        [ test "an open throttle with the brakes off accelerates the train" <|
+            \_ ->
+                driven
+                    |> Manual.setBrake 0
+                    |> Manual.setThrottle 1
+                    |> step 1
+                    |> .speed
+                    |> Expect.within (Expect.Absolute 0.001) (consistAcceleration train.consist)
+        , test "it moves the way the reverser is set" <|
+            \_ ->
+                driven
+                    |> Manual.setReverser Reverse
+                    |> Manual.setBrake 0
+                    |> Manual.setThrottle 1
+                    |> run 10
+                    |> .position
+                    |> Expect.lessThan 100
+        , test "with the throttle closed the brake holds it" <|
+            \_ ->
+                driven
+                    |> run 10
+                    |> (\stood -> ( stood.speed, stood.position ))
+                    |> Expect.equal ( 0, 100 )
+        , test "the reverser can't be moved while the train moves" <|
+            \_ ->
+                { driven | speed = 3 }
+                    |> Manual.setReverser Reverse
+                    |> (\refused -> ( refused.reverser, messageOf refused ))
+                    |> Expect.equal ( Forward, Just "Stop the train first" )
+        , test "the controls do nothing to a train the driver hasn't got" <|
+            \_ ->
+                Manual.setThrottle 1 train
+                    |> Expect.equal train
+        ]
+
+
+askingTests : Test
+askingTests =
+    describe "asking for moves and couplings"
+        [ test "a move to a spot runs there and hands back the controls" <|
+            \_ ->
+                let
+                    platform =
+                        Route.spotPosition railway PlatformSpot train.route |> Maybe.withDefault 0
+
+                    arrived =
+                        driven
+                            |> Manual.moveTo railway PlatformSpot
+                            |> run 1200
+                in
+                ( arrived.position, Maybe.map .moves (controlsOf arrived) )
+                    |> Expect.equal ( platform, Just [] )
+        , test "it leaves the program where it was" <|
+            \_ ->
+                driven
+                    |> Manual.moveTo railway PlatformSpot
+                    |> run 10
+                    |> (\moving -> ( moving.program, moving.programCounter ))
+                    |> Expect.equal ( train.program, train.programCounter )
+        , test "a train off the layout can't be sent anywhere" <|
+            \_ ->
+                Manual.reachableSpots railway { driven | route = offLayout }
+                    |> Expect.equal []
+        , test "asking anyway tells the driver why not" <|
+            \_ ->
+                Manual.moveTo railway PlatformSpot { driven | route = offLayout }
+                    |> messageOf
+                    |> Expect.equal (Just "Move: no route to Platform")
+        , test "uncoupling leaves the cars standing on the next tick" <|
+            \_ ->
+                driven
+                    |> Manual.uncouple 1
+                    |> Execution.stepProgram 0.1 world
+                    |> Tuple.second
+                    |> List.map
+                        (\effect ->
+                            case effect of
+                                UncoupleEffect cut ->
+                                    List.map .id cut.consist
+
+                                _ ->
+                                    []
+                        )
+                    |> Expect.equal [ [ 2 ] ]
+        , test "coupling picks up cars in reach" <|
+            \_ ->
+                let
+                    cut : StandingConsist
+                    cut =
+                        { id = 3
+                        , consist = [ boxcar 3 ]
+                        , trackPosition = placeOn train.route (100 + couplerGap + stockLength Boxcar)
+                        , position = 100 + couplerGap + stockLength Boxcar
+                        , route = train.route
+                        }
+                in
+                driven
+                    |> Manual.couple
+                    |> Execution.stepProgram 0.1 { world | standingConsists = [ cut ] }
+                    |> Tuple.second
+                    |> Expect.equal [ CoupleEffect 3 ]
+        , test "a coupling that fails tells the driver why" <|
+            \_ ->
+                driven
+                    |> Manual.couple
+                    |> step 0.1
+                    |> (\failed -> ( Manual.isManual failed, messageOf failed ))
+                    |> Expect.equal ( True, Just "Couple: no adjacent cars found" )
+        ]
+
+
+resumeTests : Test
+resumeTests =
+    describe "resuming the program"
+        [ test "picks up the program at the step chosen" <|
+            \_ ->
+                Manual.resumeProgram 1 driven
+                    |> (\resumed -> ( resumed.trainState, resumed.programCounter ))
+                    |> Expect.equal ( Executing, 1 )
+        , test "only from a step the program has" <|
+            \_ ->
+                Manual.resumeProgram 2 driven
+                    |> messageOf
+                    |> Expect.equal (Just "The program has no step 3")
+        , test "only with the train standing" <|
+            \_ ->
+                Manual.resumeProgram 0 { driven | speed = 2 }
+                    |> (\refused -> ( Manual.isManual refused, messageOf refused ))
+                    |> Expect.equal ( True, Just "Stop the train first" )
+        ]
@@ -0,0 +1,206 @@
+module PathfindingTest exposing (..)
+
+{-| Tests for planning automatically routed moves.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), SwitchPosition(..))
+import Sawmill.Layout
+import Scenario
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Pathfinding as Pathfinding
+import Train.Route as Route
+import Train.Types exposing (Railway, Route, SegmentGeometry(..))
+import Util.Vec2 exposing (vec2)
+
+
+suite : Test
+suite =
+    describe "Pathfinding"
+        [ planTests
+        , previewTests
+        , turnoutNameTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+loco : StockItem
+loco =
+    { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+
+
+type alias Train =
+    { consist : List StockItem
+    , position : Float
+    , route : Route
+    , spawnPoint : SpawnPointId
+    , reverser : ReverserPosition
+    }
+
+
+{-| A locomotive from the east tunnel, where the main turnout spans 250m to
+300m.
+-}
+eastLocoAt : Float -> Route -> Train
+eastLocoAt position route =
+    { consist = [ loco ]
+    , position = position
+    , route = route
+    , spawnPoint = EastStation
+    , reverser = Forward
+    }
+
+
+mainline : Route
+mainline =
+    routeFrom EastStation Sawmill.Layout.Normal
+
+
+siding : Route
+siding =
+    routeFrom EastStation Sawmill.Layout.Reverse
+
+
+{-| A straight of track that isn't part of the layout.
+-}
+testRoute : Float -> Route
+testRoute length =
+    { segments =
+        [ { elementId = ElementId 99
+          , length = length
+          , startDistance = 0
+          , geometry = StraightGeometry { start = vec2 0 0, end = vec2 length 0, orientation = 0 }
+          }
+        ]
+    , totalLength = length
+    }
+
+
+
+-- TESTS
+
+
+planTests : Test
+planTests =
+    describe "plan"
+        [ test "a spot ahead on the route is just a move" <|
+            \_ ->
+                Pathfinding.plan railway (eastLocoAt 0 siding) PlatformSpot TrainHead
+                    |> Expect.equal (Ok [ MoveTo PlatformSpot TrainHead ])
+        , test "a spot behind the train sets the reverser first" <|
+            \_ ->
+                let
+                    teamTrack =
+                        Route.spotPosition railway TeamTrackSpot siding |> Maybe.withDefault 0
+                in
+                Pathfinding.plan railway (eastLocoAt (teamTrack + 10) siding) PlatformSpot TrainHead
+                    |> Expect.equal (Ok [ SetReverser Reverse, MoveTo PlatformSpot TrainHead ])
+        , test "a spot off the route throws the turnout on the way" <|
+            \_ ->
+                Pathfinding.plan railway (eastLocoAt 0 mainline) PlatformSpot TrainHead
+                    |> Expect.equal (Ok [ SetSwitch "main" Diverging, MoveTo PlatformSpot TrainHead ])
+        , test "a train past the turnout backs off it before it is thrown" <|
+            \_ ->
+                Pathfinding.plan railway (eastLocoAt 400 mainline) TeamTrackSpot (SpotCar 0)
+                    |> Expect.equal
+                        (Ok
+                            [ SetReverser Reverse
+                            , MoveTo EastTunnelSpot TrainHead
+                            , SetSwitch "main" Diverging
+                            , SetReverser Forward
+                            , MoveTo TeamTrackSpot (SpotCar 0)
+                            ]
+                        )
+        , test "a train from the west runs to the far tunnel and reverses into the siding" <|
+            \_ ->
+                Pathfinding.plan railway
+                    { consist = [ loco ]
+                    , position = 0
+                    , route = routeFrom WestStation Sawmill.Layout.Normal
+                    , spawnPoint = WestStation
+                    , reverser = Forward
+                    }
+                    PlatformSpot
+                    TrainHead
+                    |> Expect.equal
+                        (Ok
+                            [ MoveTo EastTunnelSpot TrainHead
+                            , SetSwitch "main" Diverging
+                            , SetReverser Reverse
+                            , MoveTo PlatformSpot TrainHead
+                            ]
+                        )
+        , test "a spot on no track is out of reach" <|
+            \_ ->
+                Pathfinding.plan railway (eastLocoAt 0 (testRoute 100)) PlatformSpot TrainHead
+                    |> Expect.equal (Err "no route to Platform")
+        ]
+
+
+previewTests : Test
+previewTests =
+    describe "preview"
+        [ test "plans each automatic move from where the one before left the train" <|
+            \_ ->
+                Pathfinding.preview railway
+                    Dict.empty
+                    EastStation
+                    [ loco ]
+                    [ AutoMoveTo PlatformSpot TrainHead
+                    , WaitSeconds 30
+                    , AutoMoveTo EastTunnelSpot TrainHead
+                    ]
+                    |> Expect.equal
+                        [ Just (Ok [ SetSwitch "main" Diverging, MoveTo PlatformSpot TrainHead ])
+                        , Nothing
+                        , Just (Ok [ SetReverser Reverse, MoveTo EastTunnelSpot TrainHead ])
+                        ]
+        , test "follows explicit orders too" <|
+            \_ ->
+                Pathfinding.preview railway
+                    Dict.empty
+                    EastStation
+                    [ loco ]
+                    [ SetSwitch "main" Diverging
+                    , AutoMoveTo TeamTrackSpot TrainHead
+                    ]
+                    |> Expect.equal
+                        [ Nothing
+                        , Just (Ok [ MoveTo TeamTrackSpot TrainHead ])
+                        ]
+        ]
+
+
+turnoutNameTests : Test
+turnoutNameTests =
+    describe "turnout names"
+        [ test "throws turnouts by the names the railway gives them" <|
+            \_ ->
+                Pathfinding.plan { railway | turnouts = [ ( "junction", ElementId 2 ) ] } (eastLocoAt 0 mainline) PlatformSpot TrainHead
+                    |> Expect.equal (Ok [ SetSwitch "junction" Diverging, MoveTo PlatformSpot TrainHead ])
+        , test "a way through a turnout the railway has no name for is no way" <|
+            \_ ->
+                Pathfinding.plan { railway | turnouts = [] } (eastLocoAt 0 mainline) PlatformSpot TrainHead
+                    |> Expect.equal (Err "no route to Platform")
+        ]
@@ -128,7 +128,7 @@ suite =
                 \_ ->
                     let
                         item =
-                            { id = 42, stockType = Locomotive, reversed = False, provisional = False }
+                            { id = 42, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
                     in
                     ( item.id, item.stockType )
                         |> Expect.equal ( 42, Locomotive )
@@ -140,8 +140,8 @@ suite =
                         inventory =
                             { spawnPointId = EastStation
                             , availableStock =
-                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
+                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
                                 ]
                             }
                     in
@@ -156,7 +156,7 @@ suite =
                             { id = 5
                             , spawnPoint = WestStation
                             , departureTime = GameTime.fromDayHourMinute 1 8 30
-                            , consist = [ { id = 10, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 10, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             }
                     in
                     ( train.id, train.spawnPoint, List.length train.consist )
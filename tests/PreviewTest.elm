@@ -0,0 +1,191 @@
+module PreviewTest exposing (..)
+
+{-| Tests for the dry run of a schedule.
+-}
+
+import Dict
+import Expect
+import Goals
+import Planning.Types exposing (Load(..), ScheduledTrain, SpawnPointId(..), StockType(..))
+import Preview exposing (Whereabouts(..))
+import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), SwitchPosition(..))
+import Scenario
+import Set
+import Simulation exposing (SimState)
+import Test exposing (..)
+import Train.Types exposing (Railway)
+import Util.GameTime as GameTime
+
+
+suite : Test
+suite =
+    describe "Preview"
+        [ reportTests
+        , horizonTests
+        , chunkTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| A locomotive leaving the east station at 06:01 with a program.
+-}
+scheduled : Int -> List Order -> ScheduledTrain
+scheduled id program =
+    { id = id
+    , spawnPoint = EastStation
+    , departureTime = GameTime.fromHourMinute 6 1
+    , consist = [ { id = id, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+    , program = program
+    }
+
+
+{-| The world at 06:00 with these trains scheduled and nothing on the map.
+-}
+start : List ScheduledTrain -> SimState
+start scheduledTrains =
+    { railway = railway
+    , timeMultiplier = 1
+    , gameTime = GameTime.fromHourMinute 6 0
+    , activeTrains = []
+    , standingConsists = []
+    , spawnedTrainIds = Set.empty
+    , scheduledTrains = scheduledTrains
+    , timetable = []
+    , inventories = []
+    , switchStates = Dict.empty
+    , reservations = Dict.empty
+    , selectedTrainId = Nothing
+    , goals = []
+    , goalLog = Goals.emptyLog
+    , millWorkers = 0
+    , pendingTime = 0
+    , previousTrains = []
+    }
+
+
+{-| A train without orders leaving at 06:20.
+-}
+scheduledLater : ScheduledTrain
+scheduledLater =
+    let
+        train =
+            scheduled 2 []
+    in
+    { train | departureTime = GameTime.fromHourMinute 6 20 }
+
+
+toPlatform : List Order
+toPlatform =
+    [ SetSwitch "main" Diverging, MoveTo PlatformSpot TrainHead ]
+
+
+{-| Go on with a dry run a chunk at a time until it is over.
+-}
+chunkByChunk : Preview.Progress -> Preview.Report
+chunkByChunk progress =
+    case Preview.result progress of
+        Just report ->
+            report
+
+        Nothing ->
+            chunkByChunk (Preview.continue progress)
+
+
+
+-- TESTS
+
+
+reportTests : Test
+reportTests =
+    describe "the report"
+        [ test "says where a train got to and the orders it ran" <|
+            \_ ->
+                Preview.run (start [ scheduled 1 toPlatform ])
+                    |> .trains
+                    |> Expect.equal
+                        [ { trainId = 1
+                          , whereabouts = AtSpot PlatformSpot
+                          , ordersRun = toPlatform
+                          , stoppedBecause = Nothing
+                          }
+                        ]
+        , test "says why a train stopped" <|
+            \_ ->
+                Preview.run (start [ scheduled 1 [ MoveTo PlatformSpot TrainHead ] ])
+                    |> .trains
+                    |> List.map .stoppedBecause
+                    |> Expect.equal [ Just "Cannot reach Platform" ]
+        , test "follows a train without orders until it leaves the map" <|
+            \_ ->
+                Preview.run (start [ scheduled 1 [] ])
+                    |> .trains
+                    |> List.map .whereabouts
+                    |> Expect.equal [ LeftTheMap ]
+        ]
+
+
+horizonTests : Test
+horizonTests =
+    describe "how far it runs"
+        [ test "ends once the trains have settled" <|
+            \_ ->
+                Preview.run (start [ scheduled 1 toPlatform ])
+                    |> .until
+                    |> Expect.lessThan (GameTime.fromHourMinute 6 31)
+        , test "runs on until the last train has departed" <|
+            \_ ->
+                Preview.run (start [ scheduled 1 toPlatform, { scheduledLater | spawnPoint = WestStation } ])
+                    |> .until
+                    |> Expect.atLeast (GameTime.fromHourMinute 6 20)
+        , test "a train going round its program has settled after the first time" <|
+            \_ ->
+                Preview.run (start [ scheduled 1 (toPlatform ++ [ WaitSeconds 5, Repeat ]) ])
+                    |> Expect.all
+                        [ .until >> Expect.lessThan (GameTime.fromHourMinute 6 31)
+                        , .trains >> List.map .ordersRun >> Expect.equal [ toPlatform ++ [ WaitSeconds 5 ] ]
+                        ]
+        , test "a train going round its program between looks has gone round it" <|
+            \_ ->
+                Preview.run (start [ scheduled 1 [ SetReverser Forward, Repeat ] ])
+                    |> Expect.all
+                        [ .until >> Expect.lessThan (GameTime.fromHourMinute 6 3)
+                        , .trains >> List.map .ordersRun >> Expect.equal [ [ SetReverser Forward ] ]
+                        ]
+        , test "runs nothing when nothing is scheduled" <|
+            \_ ->
+                Preview.run (start [])
+                    |> Expect.equal { until = GameTime.fromHourMinute 6 0, trains = [] }
+        ]
+
+
+chunkTests : Test
+chunkTests =
+    describe "running a chunk at a time"
+        [ test "has nothing done before the first chunk" <|
+            \_ ->
+                Preview.start (start [ scheduled 1 toPlatform ])
+                    |> Expect.all
+                        [ Preview.completed >> Expect.equal 0
+                        , Preview.result >> Expect.equal Nothing
+                        ]
+        , test "comes to the same report as running all at once" <|
+            \_ ->
+                chunkByChunk (Preview.start (start [ scheduled 1 toPlatform ]))
+                    |> Expect.equal (Preview.run (start [ scheduled 1 toPlatform ]))
+        , test "skips ahead to the first departure while nothing is on the map" <|
+            \_ ->
+                Preview.start (start [ { scheduledLater | departureTime = GameTime.fromHourMinute 12 0 } ])
+                    |> Preview.continue
+                    |> Preview.completed
+                    |> Expect.greaterThan 0.8
+        ]
@@ -3,6 +3,7 @@ module ProgrammerTypesTest exposing (..)
 import Expect
 import Programmer.Types exposing (..)
 import Test exposing (..)
+import Util.GameTime as GameTime
 
 
 suite : Test
@@ -57,6 +58,26 @@ suite =
                 \_ ->
                     orderDescription (Uncouple 3)
                         |> Expect.equal "Uncouple (keep 3)"
+            , test "AutoMoveTo shows correct description" <|
+                \_ ->
+                    orderDescription (AutoMoveTo PlatformSpot TrainHead)
+                        |> Expect.equal "Auto Move To Platform"
+            , test "Rotate shows the exit counted from 1" <|
+                \_ ->
+                    orderDescription (Rotate 0)
+                        |> Expect.equal "Rotate to exit 1"
+            , test "WaitUntil shows the time of day" <|
+                \_ ->
+                    orderDescription (WaitUntil (GameTime.fromHourMinute 17 30))
+                        |> Expect.equal "Wait until 17:30"
+            , test "WaitForTrain shows the train and spot" <|
+                \_ ->
+                    orderDescription (WaitForTrain 1001 PlatformSpot)
+                        |> Expect.equal "Wait for train #1001 at Platform"
+            , test "If shows the car counted from 1" <|
+                \_ ->
+                    orderDescription (If (CarLoaded 0))
+                        |> Expect.equal "If car 1 is loaded"
             ]
         , describe "spotName"
             [ test "PlatformSpot returns Platform" <|
@@ -0,0 +1,102 @@
+module ScenarioTest exposing (..)
+
+import Expect
+import Planning.Types exposing (SpawnPointId(..), StockType(..), initPlanningState)
+import Scenario exposing (ScenarioId(..))
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Track.Layout
+import Track.Validation
+import Util.GameTime as GameTime
+
+
+suite : Test
+suite =
+    describe "Scenario"
+        [ idTests
+        , contentTests
+        ]
+
+
+idTests : Test
+idTests =
+    describe "scenario ids"
+        [ test "every scenario id round-trips through its string" <|
+            \_ ->
+                Scenario.all
+                    |> List.map (\scenario -> Scenario.idFromString (Scenario.idToString scenario.id))
+                    |> Expect.equal (List.map (.id >> Just) Scenario.all)
+        , test "unknown scenario names are rejected" <|
+            \_ ->
+                Scenario.idFromString "Nowhere"
+                    |> Expect.equal Nothing
+        , test "byId finds each scenario" <|
+            \_ ->
+                Scenario.all
+                    |> List.map (\scenario -> (Scenario.byId scenario.id).name)
+                    |> Expect.equal (List.map .name Scenario.all)
+        ]
+
+
+contentTests : Test
+contentTests =
+    describe "scenario contents"
+        [ test "the default scenario is the sawmill morning run" <|
+            \_ ->
+                Scenario.default.id
+                    |> Expect.equal SawmillMorning
+        , test "the sawmill morning run has no timetabled trains" <|
+            \_ ->
+                (Scenario.byId SawmillMorning).timetable
+                    |> Expect.equal []
+        , test "the sawmill scenarios start with the usual inventories" <|
+            \_ ->
+                Scenario.all
+                    |> List.map .inventories
+                    |> Expect.equal (List.map (always initPlanningState.inventories) Scenario.all)
+        , test "the passenger train runs twice every weekday" <|
+            \_ ->
+                (Scenario.byId SawmillPassenger).timetable
+                    |> List.map (\train -> ( GameTime.formatDayTime train.departureTime, train.spawnPoint ))
+                    |> List.take 2
+                    |> Expect.equal
+                        [ ( GameTime.formatDayTime (GameTime.fromDayHourMinute 0 7 0), WestStation )
+                        , ( GameTime.formatDayTime (GameTime.fromDayHourMinute 0 9 0), EastStation )
+                        ]
+        , test "the passenger timetable covers the whole week" <|
+            \_ ->
+                (Scenario.byId SawmillPassenger).timetable
+                    |> List.length
+                    |> Expect.equal 10
+        , test "the passenger locomotive leads on the return run" <|
+            \_ ->
+                (Scenario.byId SawmillPassenger).timetable
+                    |> List.filter (\train -> train.spawnPoint == EastStation)
+                    |> List.filterMap (.consist >> List.head)
+                    |> List.all (\item -> item.stockType == Locomotive && item.reversed)
+                    |> Expect.equal True
+        , test "goal windows open before they close" <|
+            \_ ->
+                Scenario.all
+                    |> List.concatMap .goals
+                    |> List.all (\goal -> goal.from < goal.until)
+                    |> Expect.equal True
+        , test "only the turning scenario has a turntable, at the end of the siding" <|
+            \_ ->
+                Scenario.all
+                    |> List.map (\scenario -> ( scenario.id, Track.Layout.turntables scenario.layout ))
+                    |> Expect.equal
+                        [ ( SawmillMorning, [] )
+                        , ( SawmillPassenger, [] )
+                        , ( SawmillTurntable, [ ( ElementId 6, 2 ) ] )
+                        ]
+        , test "the turntable layout validates" <|
+            \_ ->
+                Track.Validation.validateLayout (Scenario.byId SawmillTurntable).layout
+                    |> .errors
+                    |> Expect.equal []
+        , test "station names come from the scenario" <|
+            \_ ->
+                Scenario.spawnPointName Scenario.default WestStation
+                    |> Expect.equal "West Station"
+        ]
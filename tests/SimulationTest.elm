@@ -0,0 +1,303 @@
+module SimulationTest exposing (..)
+
+{-| Tests for running the simulation by frames and ahead without them.
+-}
+
+import Dict
+import Expect
+import Goals
+import Planning.Types exposing (Load(..), ScheduledTrain, SpawnPointId(..), StockType(..))
+import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), SwitchPosition(..))
+import Sawmill.Layout
+import Scenario
+import Set
+import Simulation exposing (SimState)
+import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Route as Route
+import Train.Types exposing (ActiveTrain, Railway, Route, TrackPosition, TrainState(..))
+import Util.GameTime as GameTime exposing (GameTime)
+
+
+suite : Test
+suite =
+    describe "Simulation"
+        [ tickTests
+        , interpolationTests
+        , simulateUntilTests
+        , puzzleTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+{-| A locomotive leaving the east station at 06:01 with a program.
+-}
+scheduled : List Order -> ScheduledTrain
+scheduled program =
+    { id = 1
+    , spawnPoint = EastStation
+    , departureTime = GameTime.fromHourMinute 6 1
+    , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+    , program = program
+    }
+
+
+{-| The world at 06:00 with these trains scheduled and nothing on the map.
+-}
+start : List ScheduledTrain -> SimState
+start scheduledTrains =
+    { railway = railway
+    , timeMultiplier = 1
+    , gameTime = GameTime.fromHourMinute 6 0
+    , activeTrains = []
+    , standingConsists = []
+    , spawnedTrainIds = Set.empty
+    , scheduledTrains = scheduledTrains
+    , timetable = []
+    , inventories = []
+    , switchStates = Dict.empty
+    , reservations = Dict.empty
+    , selectedTrainId = Nothing
+    , goals = []
+    , goalLog = Goals.emptyLog
+    , millWorkers = 0
+    , pendingTime = 0
+    , previousTrains = []
+    }
+
+
+toPlatform : List Order
+toPlatform =
+    [ SetSwitch "main" Diverging, MoveTo PlatformSpot TrainHead ]
+
+
+{-| Run frames of this many milliseconds until the game time reaches `until`.
+-}
+runFrames : Float -> GameTime -> SimState -> SimState
+runFrames frameMs until state =
+    if state.gameTime >= until then
+        state
+
+    else
+        runFrames frameMs until (Simulation.tick frameMs state)
+
+
+{-| A locomotive 100m in from the east tunnel, running towards the siding.
+-}
+running : ActiveTrain
+running =
+    { id = 1
+    , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+    , position = 100
+    , trackPosition = placeOn (routeFrom EastStation Sawmill.Layout.Reverse) 100
+    , speed = 10
+    , route = routeFrom EastStation Sawmill.Layout.Reverse
+    , spawnPoint = EastStation
+    , program = []
+    , programCounter = 0
+    , trainState = WaitingForOrders
+    , reverser = Forward
+    , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
+    }
+
+
+
+-- TESTS
+
+
+tickTests : Test
+tickTests =
+    describe "tick"
+        [ test "keeps a frame too short for a step for the next frame" <|
+            \_ ->
+                start []
+                    |> Simulation.tick 50
+                    |> (\state -> ( state.gameTime, state.pendingTime ))
+                    |> Expect.all
+                        [ Tuple.first >> Expect.equal (GameTime.fromHourMinute 6 0)
+                        , Tuple.second >> Expect.within (Expect.Absolute 0.000001) 0.05
+                        ]
+        , test "runs the step once the frames make one" <|
+            \_ ->
+                start []
+                    |> Simulation.tick 50
+                    |> Simulation.tick 60
+                    |> (\state -> ( state.gameTime, state.pendingTime ))
+                    |> Expect.all
+                        [ Tuple.first >> Expect.within (Expect.Absolute 0.000001) (GameTime.fromHourMinute 6 0 + 0.1)
+                        , Tuple.second >> Expect.within (Expect.Absolute 0.000001) 0.01
+                        ]
+        , test "still caps a long frame" <|
+            \_ ->
+                start []
+                    |> Simulation.tick 5000
+                    |> .gameTime
+                    |> Expect.within (Expect.Absolute 0.000001) (GameTime.fromHourMinute 6 0 + 0.1)
+        , test "comes out the same whatever the frame rate" <|
+            \_ ->
+                let
+                    initial =
+                        start [ scheduled toPlatform ]
+
+                    runTo frameMs =
+                        runFrames frameMs (GameTime.fromHourMinute 6 3) >> .activeTrains
+                in
+                runTo 33 initial
+                    |> Expect.equal (runTo 16 initial)
+        , test "comes out the same sped up" <|
+            \_ ->
+                let
+                    initial =
+                        start [ scheduled toPlatform ]
+
+                    runTo =
+                        runFrames 16 (GameTime.fromHourMinute 6 3) >> .activeTrains
+                in
+                runTo { initial | timeMultiplier = 8 }
+                    |> Expect.equal (runTo initial)
+        , test "notes where a moving train has got to on the track" <|
+            \_ ->
+                let
+                    initial =
+                        start []
+                in
+                { initial | activeTrains = [ running ] }
+                    |> Simulation.tick 100
+                    |> .activeTrains
+                    |> List.map
+                        (\train ->
+                            ( train.position > running.position
+                            , Just train.trackPosition == Route.trackPosition railway.layout train.position train.route
+                            )
+                        )
+                    |> Expect.equal [ ( True, True ) ]
+        ]
+
+
+interpolationTests : Test
+interpolationTests =
+    describe "interpolatedTrains"
+        [ test "draws a train part of the way through the step" <|
+            \_ ->
+                Simulation.interpolatedTrains
+                    { pendingTime = 0.025
+                    , previousTrains = [ running ]
+                    , activeTrains = [ { running | position = 101 } ]
+                    }
+                    |> List.map .position
+                    |> List.head
+                    |> Maybe.withDefault 0
+                    |> Expect.within (Expect.Absolute 0.000001) 100.25
+        , test "draws a train that just arrived where it is" <|
+            \_ ->
+                Simulation.interpolatedTrains
+                    { pendingTime = 0.05
+                    , previousTrains = []
+                    , activeTrains = [ running ]
+                    }
+                    |> Expect.equal [ running ]
+        , test "draws a train moved onto other track where it is" <|
+            \_ ->
+                let
+                    rerouted =
+                        { running | route = routeFrom EastStation Sawmill.Layout.Normal, position = 101 }
+                in
+                Simulation.interpolatedTrains
+                    { pendingTime = 0.05
+                    , previousTrains = [ running ]
+                    , activeTrains = [ rerouted ]
+                    }
+                    |> Expect.equal [ rerouted ]
+        ]
+
+
+simulateUntilTests : Test
+simulateUntilTests =
+    describe "simulateUntil"
+        [ test "runs whole steps up to the time asked for and keeps the rest pending" <|
+            \_ ->
+                start []
+                    |> Simulation.simulateUntil (GameTime.fromHourMinute 6 0 + 12.34)
+                    |> Expect.all
+                        [ \state -> state.gameTime + state.pendingTime |> Expect.within (Expect.Absolute 0.000001) (GameTime.fromHourMinute 6 0 + 12.34)
+                        , \state -> state.pendingTime |> Expect.lessThan 0.1
+                        ]
+        , test "leaves the state as it is for a time already past" <|
+            \_ ->
+                start [ scheduled toPlatform ]
+                    |> Simulation.simulateUntil (GameTime.fromHourMinute 5 0)
+                    |> Expect.equal (start [ scheduled toPlatform ])
+        , test "comes out the same whatever the time multiplier" <|
+            \_ ->
+                let
+                    initial =
+                        start [ scheduled toPlatform ]
+
+                    runTo =
+                        Simulation.simulateUntil (GameTime.fromHourMinute 6 3) >> .activeTrains
+                in
+                runTo { initial | timeMultiplier = 8 }
+                    |> Expect.equal (runTo initial)
+        , test "spawns the trains that depart on the way" <|
+            \_ ->
+                start [ scheduled toPlatform ]
+                    |> Simulation.simulateUntil (GameTime.fromHourMinute 6 2)
+                    |> .spawnedTrainIds
+                    |> Expect.equal (Set.singleton 1)
+        ]
+
+
+puzzleTests : Test
+puzzleTests =
+    describe "whole runs"
+        [ test "a locomotive sent to the platform stands there with its program done" <|
+            \_ ->
+                case (Simulation.simulateUntil (GameTime.fromHourMinute 6 15) (start [ scheduled toPlatform ])).activeTrains of
+                    [ train ] ->
+                        Expect.all
+                            [ \t -> t.trainState |> Expect.equal WaitingForOrders
+                            , \t -> t.speed |> Expect.equal 0
+                            , \t ->
+                                t.position
+                                    |> Expect.within (Expect.Absolute 0.5)
+                                        (Route.spotPosition railway PlatformSpot t.route |> Maybe.withDefault -1)
+                            ]
+                            train
+
+                    trains ->
+                        Expect.fail ("Expected one train, got " ++ String.fromInt (List.length trains))
+        , test "a locomotive sent nowhere it can reach stops" <|
+            \_ ->
+                Simulation.simulateUntil (GameTime.fromHourMinute 6 5) (start [ scheduled [ MoveTo PlatformSpot TrainHead ] ])
+                    |> .activeTrains
+                    |> List.map .trainState
+                    |> Expect.equal [ Stopped "Cannot reach Platform" ]
+        ]
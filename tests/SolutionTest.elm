@@ -0,0 +1,170 @@
+module SolutionTest exposing (..)
+
+import Expect
+import Json.Decode as Decode
+import Json.Encode as Encode
+import Planning.Solution as Solution
+import Planning.Types exposing (Load(..), ScheduledTrain, SpawnPointId(..), StockType(..), initPlanningState)
+import Programmer.Types exposing (Order(..), SpotId(..), SpotTarget(..))
+import Scenario
+import Storage
+import Test exposing (..)
+import Util.GameTime as GameTime
+
+
+suite : Test
+suite =
+    describe "Planning.Solution"
+        [ fileTests
+        , applyTests
+        ]
+
+
+{-| Morning train from East Station using the starting stock.
+-}
+morningTrain : ScheduledTrain
+morningTrain =
+    { id = 1
+    , spawnPoint = EastStation
+    , departureTime = GameTime.fromDayHourMinute 0 6 0
+    , consist =
+        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+        , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
+        ]
+    , program = [ MoveTo TeamTrackSpot TrainHead, Uncouple 1, MoveTo WestTunnelSpot TrainHead ]
+    }
+
+
+apply : List ScheduledTrain -> Result String Planning.Types.PlanningState
+apply trains =
+    Solution.applySolution Scenario.default initPlanningState.inventories trains initPlanningState
+
+
+fileTests : Test
+fileTests =
+    describe "solution files"
+        [ test "scheduled trains round-trip" <|
+            \_ ->
+                Solution.encodeSolution [ morningTrain ]
+                    |> Decode.decodeValue Solution.decodeSolution
+                    |> Expect.equal (Ok [ morningTrain ])
+        , test "other JSON files are rejected" <|
+            \_ ->
+                case Decode.decodeValue Solution.decodeSolution (Encode.object [ ( "format", Encode.string "rr-state" ) ]) of
+                    Err _ ->
+                        Expect.pass
+
+                    Ok _ ->
+                        Expect.fail "Should not decode a non-solution file"
+        , test "files from before solutions had their own version still load" <|
+            \_ ->
+                Encode.object
+                    [ ( "format", Encode.string "rr-solution" )
+                    , ( "version", Encode.int 6 )
+                    , ( "scheduledTrains", Encode.list Storage.encodeScheduledTrain [ morningTrain ] )
+                    ]
+                    |> Decode.decodeValue Solution.decodeSolution
+                    |> Expect.equal (Ok [ morningTrain ])
+        , test "cars in files from before loads are empty" <|
+            \_ ->
+                Decode.decodeString Solution.decodeSolution
+                    """
+                    { "format": "rr-solution", "version": 5
+                    , "scheduledTrains":
+                        [ { "id": 1, "spawnPoint": "EastStation", "departureTime": 0
+                          , "consist": [ { "id": 3, "stockType": "Flatbed", "reversed": false, "provisional": false } ]
+                          , "program": []
+                          }
+                        ]
+                    }
+                    """
+                    |> Result.map (List.concatMap (.consist >> List.map .load))
+                    |> Expect.equal (Ok [ Empty ])
+        , test "files from a newer game are rejected" <|
+            \_ ->
+                case
+                    Encode.object
+                        [ ( "format", Encode.string "rr-solution" )
+                        , ( "solutionVersion", Encode.int 99 )
+                        , ( "scheduledTrains", Encode.list Storage.encodeScheduledTrain [ morningTrain ] )
+                        ]
+                        |> Decode.decodeValue Solution.decodeSolution
+                of
+                    Err _ ->
+                        Expect.pass
+
+                    Ok _ ->
+                        Expect.fail "Should not decode a solution from a newer game"
+        , test "files from a newer game say so" <|
+            \_ ->
+                Encode.object
+                    [ ( "format", Encode.string "rr-solution" )
+                    , ( "solutionVersion", Encode.int 99 )
+                    , ( "scheduledTrains", Encode.list identity [] )
+                    ]
+                    |> Decode.decodeValue Solution.decodeSolution
+                    |> Result.mapError Solution.errorMessage
+                    |> Expect.equal (Err "Solution format version 99 is newer than this game supports (2)")
+        , test "files that aren't JSON say so" <|
+            \_ ->
+                Decode.decodeString Solution.decodeSolution "not json"
+                    |> Result.mapError Solution.errorMessage
+                    |> Expect.equal (Err "Not a valid solution file: it isn't JSON")
+        , test "broken files say where the problem is" <|
+            \_ ->
+                Decode.decodeString Solution.decodeSolution
+                    """
+                    { "format": "rr-solution", "solutionVersion": 2
+                    , "scheduledTrains": [ { "id": "one" } ]
+                    }
+                    """
+                    |> Result.mapError Solution.errorMessage
+                    |> Expect.equal (Err "Not a valid solution file: Expecting an INT at scheduledTrains[0].id")
+        ]
+
+
+applyTests : Test
+applyTests =
+    describe "applySolution"
+        [ test "takes the used stock out of the inventories" <|
+            \_ ->
+                apply [ morningTrain ]
+                    |> Result.map
+                        (.inventories
+                            >> List.map (\inv -> ( inv.spawnPointId, List.map .id inv.availableStock ))
+                        )
+                    |> Expect.equal (Ok [ ( EastStation, [ 2 ] ), ( WestStation, [ 4, 5, 6 ] ) ])
+        , test "continues train numbering after the solution" <|
+            \_ ->
+                apply [ { morningTrain | id = 7 } ]
+                    |> Result.map .nextTrainId
+                    |> Expect.equal (Ok 8)
+        , test "accepts provisional stock" <|
+            \_ ->
+                let
+                    train =
+                        { morningTrain
+                            | consist =
+                                morningTrain.consist
+                                    ++ [ { id = -3, stockType = Boxcar, reversed = False, provisional = True, load = Empty } ]
+                        }
+                in
+                apply [ train ]
+                    |> Result.map .nextProvisionalId
+                    |> Expect.equal (Ok (-4))
+        , test "rejects stock from the other station" <|
+            \_ ->
+                apply [ { morningTrain | spawnPoint = WestStation } ]
+                    |> Result.map (\_ -> ())
+                    |> Expect.equal (Err "Train 1 uses stock item 1 not available at West Station")
+        , test "rejects stock used twice" <|
+            \_ ->
+                apply [ morningTrain, { morningTrain | id = 2 } ]
+                    |> Result.map (\_ -> ())
+                    |> Expect.equal (Err "Solution uses the same stock item in more than one train")
+        , test "rejects trains without a locomotive" <|
+            \_ ->
+                apply [ { morningTrain | consist = List.drop 1 morningTrain.consist } ]
+                    |> Result.map (\_ -> ())
+                    |> Expect.equal (Err "Train 1 has no locomotive")
+        ]
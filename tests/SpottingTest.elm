@@ -11,13 +11,16 @@ will fail until the implementation lands.
 
 -}
 
+import Dict
 import Expect
-import Planning.Types exposing (StockItem, StockType(..))
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
 import Programmer.Types exposing (Order(..), SpotId(..))
 import Sawmill.Layout exposing (SwitchState(..))
+import Scenario
 import Test exposing (..)
 import Train.Route as Route
 import Train.Stock exposing (consistLength, couplerGap, stockLength)
+import Train.Types exposing (Railway, Route)
 
 
 suite : Test
@@ -29,6 +32,21 @@ suite =
         ]
 
 
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
 {-| Helper: compute the offset from the train head to center of car at index.
 
 Given a consist [car0, car1, car2, ...], the offset for car N is:
@@ -67,9 +85,9 @@ expectedCarOffset consist carIndex =
 -}
 threeCarConsist : List StockItem
 threeCarConsist =
-    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-    , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
+    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+    , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+    , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
     ]
 
 
@@ -86,10 +104,10 @@ backwardCompatTests =
                 -- (position field) at the target distance. This is existing behavior.
                 let
                     route =
-                        Route.eastToWestRoute Reverse
+                        routeFrom EastStation Reverse
 
                     platformDist =
-                        Route.spotPosition PlatformSpot route
+                        Route.spotPosition railway PlatformSpot route
                             |> Maybe.withDefault 300
                 in
                 -- The platform spot should be reachable on the siding route
@@ -172,10 +190,10 @@ threeCarConsistTests =
             \_ ->
                 let
                     route =
-                        Route.eastToWestRoute Reverse
+                        routeFrom EastStation Reverse
 
                     teamTrackDist =
-                        Route.spotPosition TeamTrackSpot route
+                        Route.spotPosition railway TeamTrackSpot route
                 in
                 case teamTrackDist of
                     Just dist ->
@@ -190,10 +208,10 @@ threeCarConsistTests =
                 -- so that car 2's center aligns with the spot.
                 let
                     route =
-                        Route.eastToWestRoute Reverse
+                        routeFrom EastStation Reverse
 
                     teamTrackDist =
-                        Route.spotPosition TeamTrackSpot route
+                        Route.spotPosition railway TeamTrackSpot route
                             |> Maybe.withDefault 0
 
                     car2Offset =
@@ -1,19 +1,24 @@
 module StorageTest exposing (..)
 
 import Expect
+import Goals exposing (Outcome(..))
 import Json.Decode as Decode
 import Json.Encode as Encode
-import Planning.Types exposing (SpawnPointId(..), StockType(..))
+import Planning.Types exposing (Capability(..), Load(..), ProfileShape(..), SpawnPointId(..), StockType(..))
 import Util.GameTime as GameTime
-import Programmer.Types exposing (Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), SwitchPosition(..))
+import Programmer.Types exposing (Condition(..), Order(..), ReverserPosition(..), SpotId(..), SpotTarget(..), SwitchPosition(..))
 import Storage exposing (SavedState, SavedTrain, decodeSavedState, encodeSavedState)
 import Test exposing (..)
+import Track.Element exposing (ElementId(..))
+import Train.Types exposing (TrackPosition, TrainState(..))
 
 
 suite : Test
 suite =
     describe "Storage"
         [ roundTripTests
+        , executionStateTests
+        , versionTests
         , edgeCaseTests
         ]
 
@@ -31,10 +36,13 @@ roundTrip state =
 -}
 minimalState : SavedState
 minimalState =
-    { gameTime = 0
+    { scenario = "SawmillMorning"
+    , layoutFile = Nothing
+    , gameTime = 0
     , mode = "Planning"
-    , turnoutState = "Normal"
+    , turnouts = []
     , activeTrains = []
+    , standingConsists = []
     , spawnedTrainIds = []
     , scheduledTrains = []
     , inventories = []
@@ -43,9 +51,19 @@ minimalState =
     , cameraY = 0
     , cameraZoom = 1
     , timeMultiplier = 1
+    , goalLog = Goals.emptyLog
+    , millWorkers = 0
     }
 
 
+{-| A place on the sawmill's mainline, the given distance in from the east
+tunnel.
+-}
+onMainline : Float -> TrackPosition
+onMainline offset =
+    { elementId = ElementId 1, fromConnector = 0, toConnector = 1, offset = offset }
+
+
 roundTripTests : Test
 roundTripTests =
     describe "encode/decode round-trip"
@@ -56,7 +74,7 @@ roundTripTests =
                         Expect.all
                             [ \_ -> decoded.gameTime |> Expect.within (Expect.Absolute 0.01) 0
                             , \_ -> decoded.mode |> Expect.equal "Planning"
-                            , \_ -> decoded.turnoutState |> Expect.equal "Normal"
+                            , \_ -> decoded.turnouts |> Expect.equal []
                             , \_ -> decoded.activeTrains |> Expect.equal []
                             , \_ -> decoded.spawnedTrainIds |> Expect.equal []
                             , \_ -> decoded.scheduledTrains |> Expect.equal []
@@ -79,12 +97,17 @@ roundTripTests =
                             | activeTrains =
                                 [ { id = 1
                                   , consist =
-                                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                        , { id = 2, stockType = Flatbed, reversed = False, provisional = False }
+                                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                        , { id = 2, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
                                         ]
-                                  , position = 123.45
+                                  , trackPosition = onMainline 123.45
                                   , speed = 11.11
                                   , spawnPoint = EastStation
+                                  , program = []
+                                  , programCounter = 0
+                                  , trainState = WaitingForOrders
+                                  , reverser = Forward
+                                  , waitTimer = 0
                                   }
                                 ]
                         }
@@ -96,7 +119,7 @@ roundTripTests =
                                 Expect.all
                                     [ \_ -> train.id |> Expect.equal 1
                                     , \_ -> List.length train.consist |> Expect.equal 2
-                                    , \_ -> train.position |> Expect.within (Expect.Absolute 0.01) 123.45
+                                    , \_ -> train.trackPosition |> Expect.equal (onMainline 123.45)
                                     , \_ -> train.speed |> Expect.within (Expect.Absolute 0.01) 11.11
                                     , \_ -> train.spawnPoint |> Expect.equal EastStation
                                     ]
@@ -116,7 +139,7 @@ roundTripTests =
                                 [ { id = 1
                                   , spawnPoint = WestStation
                                   , departureTime = GameTime.fromDayHourMinute 2 14 30
-                                  , consist = [ { id = 4, stockType = Boxcar, reversed = False, provisional = False } ]
+                                  , consist = [ { id = 4, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ]
                                   , program =
                                         [ SetReverser Forward
                                         , MoveTo PlatformSpot TrainHead
@@ -152,15 +175,15 @@ roundTripTests =
                             | inventories =
                                 [ { spawnPointId = EastStation
                                   , availableStock =
-                                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                        , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-                                        , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
+                                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                        , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+                                        , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
                                         ]
                                   }
                                 , { spawnPointId = WestStation
                                   , availableStock =
-                                        [ { id = 4, stockType = Locomotive, reversed = False, provisional = False }
-                                        , { id = 5, stockType = Boxcar, reversed = False, provisional = False }
+                                        [ { id = 4, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                        , { id = 5, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
                                         ]
                                   }
                                 ]
@@ -195,10 +218,10 @@ roundTripTests =
                             | inventories =
                                 [ { spawnPointId = EastStation
                                   , availableStock =
-                                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                        , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-                                        , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
-                                        , { id = 4, stockType = Boxcar, reversed = False, provisional = False }
+                                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                        , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+                                        , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
+                                        , { id = 4, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
                                         ]
                                   }
                                 ]
@@ -213,6 +236,50 @@ roundTripTests =
 
                     Err err ->
                         Expect.fail ("Decode failed: " ++ Decode.errorToString err)
+        , test "loads round-trip" <|
+            \_ ->
+                let
+                    stock =
+                        [ { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Passengers 24 }
+                        , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Cargo 12.5 }
+                        , { id = 4, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+                        ]
+                in
+                roundTrip { minimalState | inventories = [ { spawnPointId = EastStation, availableStock = stock } ], millWorkers = 17 }
+                    |> Result.map (\decoded -> ( List.concatMap .availableStock decoded.inventories, decoded.millWorkers ))
+                    |> Expect.equal (Ok ( stock, 17 ))
+        , test "catalog stock round-trips with its definition" <|
+            \_ ->
+                let
+                    tankCar =
+                        CatalogStock
+                            { id = "TankCar"
+                            , name = "Tank Car"
+                            , length = 10.6
+                            , width = 2.9
+                            , frontCouplerOffset = 0.6
+                            , rearCouplerOffset = 0.6
+                            , emptyMass = 13
+                            , loadedMass = 38
+                            , tractiveEffort = 0
+                            , brakeForce = 65
+                            , capabilities = [ CarriesFreight ]
+                            , color = "#5a5a5a"
+                            , profile = [ ProfileCircle { cx = 12, cy = 26, r = 4, fill = "#333" } ]
+                            }
+
+                    state =
+                        { minimalState
+                            | inventories =
+                                [ { spawnPointId = WestStation
+                                  , availableStock = [ { id = 1000, stockType = tankCar, reversed = False, provisional = False, load = Empty } ]
+                                  }
+                                ]
+                        }
+                in
+                roundTrip state
+                    |> Result.map (.inventories >> List.concatMap .availableStock >> List.map .stockType)
+                    |> Expect.equal (Ok [ tankCar ])
         , test "all order types round-trip" <|
             \_ ->
                 let
@@ -221,6 +288,7 @@ roundTripTests =
                         , MoveTo TeamTrackSpot TrainHead
                         , MoveTo EastTunnelSpot TrainHead
                         , MoveTo WestTunnelSpot TrainHead
+                        , AutoMoveTo TeamTrackSpot (SpotCar 1)
                         , SetReverser Forward
                         , SetReverser Reverse
                         , SetSwitch "main" Normal
@@ -229,6 +297,14 @@ roundTripTests =
                         , Couple
                         , Uncouple 1
                         , Uncouple 3
+                        , Rotate 2
+                        , WaitUntil (GameTime.fromHourMinute 17 30)
+                        , WaitForTrain 1001 PlatformSpot
+                        , If (CarLoaded 0)
+                        , If (CarEmpty 2)
+                        , EndIf
+                        , EndIf
+                        , Repeat
                         ]
 
                     state =
@@ -237,7 +313,7 @@ roundTripTests =
                                 [ { id = 1
                                   , spawnPoint = EastStation
                                   , departureTime = GameTime.fromDayHourMinute 0 0 0
-                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                   , program = allOrders
                                   }
                                 ]
@@ -312,16 +388,26 @@ roundTripTests =
                         { minimalState
                             | activeTrains =
                                 [ { id = 1
-                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
-                                  , position = 50
+                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                                  , trackPosition = onMainline 50
                                   , speed = 10
                                   , spawnPoint = EastStation
+                                  , program = []
+                                  , programCounter = 0
+                                  , trainState = WaitingForOrders
+                                  , reverser = Forward
+                                  , waitTimer = 0
                                   }
                                 , { id = 2
-                                  , consist = [ { id = 2, stockType = Locomotive, reversed = False, provisional = False } ]
-                                  , position = 100
+                                  , consist = [ { id = 2, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                                  , trackPosition = onMainline 100
                                   , speed = 10
                                   , spawnPoint = WestStation
+                                  , program = []
+                                  , programCounter = 0
+                                  , trainState = WaitingForOrders
+                                  , reverser = Forward
+                                  , waitTimer = 0
                                   }
                                 ]
                         }
@@ -332,11 +418,471 @@ roundTripTests =
                             |> List.map .spawnPoint
                             |> Expect.equal [ EastStation, WestStation ]
 
+                    Err err ->
+                        Expect.fail ("Decode failed: " ++ Decode.errorToString err)
+        , test "track positions round-trip" <|
+            \_ ->
+                let
+                    place =
+                        { elementId = ElementId 5, fromConnector = 1, toConnector = 0, offset = -2.75 }
+
+                    state =
+                        { minimalState
+                            | activeTrains =
+                                [ { id = 1
+                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                                  , trackPosition = place
+                                  , speed = 0
+                                  , spawnPoint = EastStation
+                                  , program = []
+                                  , programCounter = 0
+                                  , trainState = WaitingForOrders
+                                  , reverser = Forward
+                                  , waitTimer = 0
+                                  }
+                                ]
+                        }
+                in
+                roundTrip state
+                    |> Result.map (.activeTrains >> List.map .trackPosition)
+                    |> Expect.equal (Ok [ place ])
+        ]
+
+
+executionStateTests : Test
+executionStateTests =
+    describe "execution state"
+        [ test "train mid-program round-trips exactly" <|
+            \_ ->
+                let
+                    train =
+                        { id = 1
+                        , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                        , trackPosition = { elementId = ElementId 5, fromConnector = 0, toConnector = 1, offset = 30.5 }
+                        , speed = 3.25
+                        , spawnPoint = EastStation
+                        , program = [ SetReverser Reverse, WaitSeconds 30, MoveTo PlatformSpot (SpotCar 1) ]
+                        , programCounter = 1
+                        , trainState = Executing
+                        , reverser = Reverse
+                        , waitTimer = 12.5
+                        }
+
+                    state =
+                        { minimalState | activeTrains = [ train ] }
+                in
+                roundTrip state
+                    |> Result.map .activeTrains
+                    |> Expect.equal (Ok [ train ])
+        , test "stopped train keeps the driver's message" <|
+            \_ ->
+                let
+                    train =
+                        { id = 2
+                        , consist = [ { id = 4, stockType = Locomotive, reversed = True, provisional = False, load = Empty } ]
+                        , trackPosition = { elementId = ElementId 3, fromConnector = 1, toConnector = 0, offset = 0 }
+                        , speed = 0
+                        , spawnPoint = WestStation
+                        , program = [ MoveTo PlatformSpot TrainHead ]
+                        , programCounter = 0
+                        , trainState = Stopped "Cannot reach Platform"
+                        , reverser = Forward
+                        , waitTimer = 0
+                        }
+                in
+                roundTrip { minimalState | activeTrains = [ train ] }
+                    |> Result.map (.activeTrains >> List.map .trainState)
+                    |> Expect.equal (Ok [ Stopped "Cannot reach Platform" ])
+        , test "manually controlled train keeps its controls and moves" <|
+            \_ ->
+                let
+                    manual =
+                        Manual
+                            { throttle = 0.5
+                            , brake = 0
+                            , emergency = False
+                            , moves = [ SetReverser Reverse, MoveTo TeamTrackSpot TrainHead ]
+                            , message = Just "Stop the train first"
+                            }
+
+                    train =
+                        { id = 3
+                        , consist = [ { id = 5, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                        , trackPosition = onMainline 80
+                        , speed = 4
+                        , spawnPoint = EastStation
+                        , program = []
+                        , programCounter = 0
+                        , trainState = manual
+                        , reverser = Forward
+                        , waitTimer = 0
+                        }
+                in
+                roundTrip { minimalState | activeTrains = [ train ] }
+                    |> Result.map (.activeTrains >> List.map .trainState)
+                    |> Expect.equal (Ok [ manual ])
+        , test "standing consists round-trip" <|
+            \_ ->
+                let
+                    cut =
+                        { id = 5
+                        , consist = [ { id = 5, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ]
+                        , trackPosition = { elementId = ElementId 5, fromConnector = 0, toConnector = 1, offset = 40 }
+                        }
+                in
+                roundTrip { minimalState | standingConsists = [ cut ] }
+                    |> Result.map .standingConsists
+                    |> Expect.equal (Ok [ cut ])
+        , test "saves without execution state still decode" <|
+            \_ ->
+                let
+                    oldSave =
+                        """
+                        { "gameTime": 100, "mode": "Paused", "turnoutState": "Normal",
+                          "activeTrains": [ { "id": 1, "position": 50, "speed": 10, "spawnPoint": "EastStation",
+                                              "consist": [ { "id": 1, "stockType": "Locomotive" } ] } ],
+                          "spawnedTrainIds": [ 1 ], "scheduledTrains": [], "inventories": [],
+                          "nextTrainId": 2, "cameraX": 0, "cameraY": 0, "cameraZoom": 2, "timeMultiplier": 1 }
+                        """
+                in
+                case Decode.decodeString decodeSavedState oldSave of
+                    Ok decoded ->
+                        Expect.all
+                            [ \_ -> decoded.standingConsists |> Expect.equal []
+                            , \_ ->
+                                decoded.activeTrains
+                                    |> List.map (\t -> ( t.trackPosition, t.program, t.trainState ))
+                                    |> Expect.equal [ ( onMainline 50, [], WaitingForOrders ) ]
+                            , \_ ->
+                                decoded.activeTrains
+                                    |> List.map (\t -> ( t.programCounter, t.reverser, t.waitTimer ))
+                                    |> Expect.equal [ ( 0, Forward, 0 ) ]
+                            ]
+                            ()
+
                     Err err ->
                         Expect.fail ("Decode failed: " ++ Decode.errorToString err)
         ]
 
 
+versionTests : Test
+versionTests =
+    describe "save format versions"
+        [ test "saves are written with the current version" <|
+            \_ ->
+                encodeSavedState minimalState
+                    |> Decode.decodeValue (Decode.field "version" Decode.int)
+                    |> Expect.equal (Ok Storage.currentVersion)
+        , test "unversioned saves are migrated" <|
+            \_ ->
+                let
+                    v1Save =
+                        Encode.object
+                            [ ( "gameTime", Encode.float 0 )
+                            , ( "mode", Encode.string "Planning" )
+                            , ( "turnoutState", Encode.string "Reverse" )
+                            , ( "activeTrains", Encode.list identity [] )
+                            , ( "spawnedTrainIds", Encode.list Encode.int [] )
+                            , ( "scheduledTrains", Encode.list identity [] )
+                            , ( "inventories", Encode.list identity [] )
+                            , ( "nextTrainId", Encode.int 7 )
+                            , ( "cameraX", Encode.float 0 )
+                            , ( "cameraY", Encode.float 0 )
+                            , ( "cameraZoom", Encode.float 2 )
+                            , ( "timeMultiplier", Encode.float 1 )
+                            ]
+                in
+                Decode.decodeValue decodeSavedState v1Save
+                    |> Result.map (\decoded -> ( decoded.turnouts, decoded.nextTrainId ))
+                    |> Expect.equal (Ok ( [ ( 2, "Reverse" ) ], 7 ))
+        , test "version 2 saves are migrated to the sawmill scenario" <|
+            \_ ->
+                let
+                    v2Save =
+                        Encode.object
+                            [ ( "version", Encode.int 2 )
+                            , ( "gameTime", Encode.float 0 )
+                            , ( "mode", Encode.string "Planning" )
+                            , ( "turnoutState", Encode.string "Normal" )
+                            , ( "activeTrains", Encode.list identity [] )
+                            , ( "standingConsists", Encode.list identity [] )
+                            , ( "spawnedTrainIds", Encode.list Encode.int [] )
+                            , ( "scheduledTrains", Encode.list identity [] )
+                            , ( "inventories", Encode.list identity [] )
+                            , ( "nextTrainId", Encode.int 1 )
+                            , ( "cameraX", Encode.float 0 )
+                            , ( "cameraY", Encode.float 0 )
+                            , ( "cameraZoom", Encode.float 1 )
+                            , ( "timeMultiplier", Encode.float 1 )
+                            ]
+                in
+                Decode.decodeValue decodeSavedState v2Save
+                    |> Result.map .scenario
+                    |> Expect.equal (Ok "SawmillMorning")
+        , test "version 3 saves start the week's goals afresh" <|
+            \_ ->
+                let
+                    v3Save =
+                        case encodeSavedState minimalState |> Decode.decodeValue (Decode.keyValuePairs Decode.value) of
+                            Ok fields ->
+                                fields
+                                    |> List.filter (\( key, _ ) -> key /= "goalLog")
+                                    |> List.map
+                                        (\( key, value ) ->
+                                            if key == "version" then
+                                                ( key, Encode.int 3 )
+
+                                            else if key == "turnouts" then
+                                                ( "turnoutState", Encode.string "Normal" )
+
+                                            else
+                                                ( key, value )
+                                        )
+                                    |> Encode.object
+
+                            Err _ ->
+                                Encode.null
+                in
+                Decode.decodeValue decodeSavedState v3Save
+                    |> Result.map .goalLog
+                    |> Expect.equal (Ok Goals.emptyLog)
+        , test "version 4 saves keep their turnout state for the main turnout" <|
+            \_ ->
+                let
+                    v4Save =
+                        case encodeSavedState minimalState |> Decode.decodeValue (Decode.keyValuePairs Decode.value) of
+                            Ok fields ->
+                                fields
+                                    |> List.map
+                                        (\( key, value ) ->
+                                            if key == "version" then
+                                                ( key, Encode.int 4 )
+
+                                            else if key == "turnouts" then
+                                                ( "turnoutState", Encode.string "Reverse" )
+
+                                            else
+                                                ( key, value )
+                                        )
+                                    |> Encode.object
+
+                            Err _ ->
+                                Encode.null
+                in
+                Decode.decodeValue decodeSavedState v4Save
+                    |> Result.map .turnouts
+                    |> Expect.equal (Ok [ ( 2, "Reverse" ) ])
+        , test "version 5 saves have empty cars and nobody at the mill" <|
+            \_ ->
+                let
+                    v5Save =
+                        """
+                        { "version": 5, "scenario": "SawmillMorning", "gameTime": 0, "mode": "Planning"
+                        , "turnouts": [], "activeTrains": [], "standingConsists": [], "spawnedTrainIds": []
+                        , "scheduledTrains": []
+                        , "inventories": [ { "spawnPointId": "EastStation", "availableStock": [ { "id": 3, "stockType": "Flatbed", "reversed": false, "provisional": false } ] } ]
+                        , "nextTrainId": 1, "cameraX": 0, "cameraY": 0, "cameraZoom": 1, "timeMultiplier": 1
+                        , "goalLog": { "results": [], "incidents": [] }
+                        }
+                        """
+                in
+                Decode.decodeString decodeSavedState v5Save
+                    |> Result.map (\decoded -> ( List.concatMap (.availableStock >> List.map .load) decoded.inventories, decoded.millWorkers ))
+                    |> Expect.equal (Ok ( [ Empty ], 0 ))
+        , test "cars without a load are rejected in current saves" <|
+            \_ ->
+                let
+                    save =
+                        """
+                        { "version": 7, "scenario": "SawmillMorning", "gameTime": 0, "mode": "Planning"
+                        , "turnouts": [], "activeTrains": [], "standingConsists": [], "spawnedTrainIds": []
+                        , "scheduledTrains": []
+                        , "inventories": [ { "spawnPointId": "EastStation", "availableStock": [ { "id": 3, "stockType": "Flatbed", "reversed": false, "provisional": false } ] } ]
+                        , "nextTrainId": 1, "cameraX": 0, "cameraY": 0, "cameraZoom": 1, "timeMultiplier": 1
+                        , "goalLog": { "results": [], "incidents": [] }, "millWorkers": 0
+                        }
+                        """
+                in
+                case Decode.decodeString decodeSavedState save of
+                    Err _ ->
+                        Expect.pass
+
+                    Ok _ ->
+                        Expect.fail "Should not decode a car without a load"
+        , test "version 6 trains are put on the track from their station's tunnel" <|
+            \_ ->
+                let
+                    v6Save =
+                        """
+                        { "version": 6, "scenario": "SawmillMorning", "gameTime": 0, "mode": "Running", "turnouts": []
+                        , "activeTrains":
+                            [ { "id": 1, "consist": [], "position": 12, "speed": 0, "spawnPoint": "EastStation", "route": null
+                              , "program": [], "programCounter": 0, "trainState": { "type": "WaitingForOrders" }, "reverser": "Forward", "waitTimer": 0
+                              }
+                            ]
+                        , "standingConsists": [], "spawnedTrainIds": [ 1 ], "scheduledTrains": [], "inventories": []
+                        , "nextTrainId": 2, "cameraX": 0, "cameraY": 0, "cameraZoom": 1, "timeMultiplier": 1
+                        , "goalLog": { "results": [], "incidents": [] }, "millWorkers": 0
+                        }
+                        """
+                in
+                Decode.decodeString decodeSavedState v6Save
+                    |> Result.map (.activeTrains >> List.map .trackPosition)
+                    |> Expect.equal (Ok [ onMainline 12 ])
+        , test "version 8 saves are played on the scenario's own layout" <|
+            \_ ->
+                let
+                    v8Save =
+                        case encodeSavedState minimalState |> Decode.decodeValue (Decode.keyValuePairs Decode.value) of
+                            Ok fields ->
+                                fields
+                                    |> List.filter (\( key, _ ) -> key /= "layoutFile")
+                                    |> List.map
+                                        (\( key, value ) ->
+                                            if key == "version" then
+                                                ( key, Encode.int 8 )
+
+                                            else
+                                                ( key, value )
+                                        )
+                                    |> Encode.object
+
+                            Err _ ->
+                                Encode.null
+                in
+                Decode.decodeValue decodeSavedState v8Save
+                    |> Result.map .layoutFile
+                    |> Expect.equal (Ok Nothing)
+        , test "version 7 trains and cuts keep only where they are on the track" <|
+            \_ ->
+                let
+                    mainline =
+                        """
+                        { "segments":
+                            [ { "elementId": 1, "length": 250, "startDistance": 0
+                              , "geometry": { "type": "Straight", "start": { "x": -250, "y": 0 }, "end": { "x": 0, "y": 0 }, "orientation": 1.5707963267948966 }
+                              }
+                            ]
+                        , "totalLength": 250 }
+                        """
+
+                    offTheTrack =
+                        """
+                        { "segments":
+                            [ { "elementId": 1, "length": 250, "startDistance": 0
+                              , "geometry": { "type": "Straight", "start": { "x": 500, "y": 500 }, "end": { "x": 750, "y": 500 }, "orientation": 1.5707963267948966 }
+                              }
+                            ]
+                        , "totalLength": 250 }
+                        """
+
+                    v7Save =
+                        """
+                        { "version": 7, "scenario": "SawmillMorning", "gameTime": 0, "mode": "Running", "turnouts": []
+                        , "activeTrains":
+                            [ { "id": 1, "consist": [], "position": 80, "speed": 0, "spawnPoint": "EastStation", "route": """
+                            ++ mainline
+                            ++ """
+                              , "trackPosition": { "elementId": 1, "fromConnector": 0, "toConnector": 1, "offset": 75 }
+                              , "program": [], "programCounter": 0, "trainState": { "type": "WaitingForOrders" }, "reverser": "Forward", "waitTimer": 0
+                              }
+                            ]
+                        , "standingConsists":
+                            [ { "id": 2, "consist": [], "position": 30, "route": """
+                            ++ mainline
+                            ++ """ }
+                            , { "id": 3, "consist": [], "position": 30, "route": """
+                            ++ offTheTrack
+                            ++ """ }
+                            ]
+                        , "spawnedTrainIds": [ 1 ], "scheduledTrains": [], "inventories": []
+                        , "nextTrainId": 2, "cameraX": 0, "cameraY": 0, "cameraZoom": 1, "timeMultiplier": 1
+                        , "goalLog": { "results": [], "incidents": [] }, "millWorkers": 0
+                        }
+                        """
+                in
+                case Decode.decodeString decodeSavedState v7Save of
+                    Ok decoded ->
+                        Expect.all
+                            [ \_ ->
+                                decoded.activeTrains
+                                    |> List.map .trackPosition
+                                    |> Expect.equal [ onMainline 75 ]
+                            , \_ ->
+                                decoded.standingConsists
+                                    |> List.map (\cut -> ( cut.id, cut.trackPosition ))
+                                    |> Expect.equal [ ( 2, onMainline 30 ) ]
+                            ]
+                            ()
+
+                    Err err ->
+                        Expect.fail ("Decode failed: " ++ Decode.errorToString err)
+        , test "goal results and incidents are preserved" <|
+            \_ ->
+                let
+                    goalLog =
+                        { results =
+                            [ { day = 0, goal = 0, outcome = OnTime }
+                            , { day = 0, goal = 1, outcome = Late 90 }
+                            , { day = 1, goal = 0, outcome = Missed }
+                            ]
+                        , incidents = [ { time = 30000, trainId = 2, description = "Hit buffer stop" } ]
+                        }
+                in
+                roundTrip { minimalState | goalLog = goalLog }
+                    |> Result.map .goalLog
+                    |> Expect.equal (Ok goalLog)
+        , test "scenario is preserved" <|
+            \_ ->
+                roundTrip { minimalState | scenario = "SawmillPassenger" }
+                    |> Result.map .scenario
+                    |> Expect.equal (Ok "SawmillPassenger")
+        , test "the layout file played on is preserved" <|
+            \_ ->
+                roundTrip { minimalState | layoutFile = Just "{\"format\": \"rr-layout\"}" }
+                    |> Result.map .layoutFile
+                    |> Expect.equal (Ok (Just "{\"format\": \"rr-layout\"}"))
+        , test "saves from a newer version are rejected" <|
+            \_ ->
+                let
+                    futureSave =
+                        case encodeSavedState minimalState |> Decode.decodeValue (Decode.keyValuePairs Decode.value) of
+                            Ok fields ->
+                                fields
+                                    |> List.map
+                                        (\( key, value ) ->
+                                            if key == "version" then
+                                                ( key, Encode.int (Storage.currentVersion + 1) )
+
+                                            else
+                                                ( key, value )
+                                        )
+                                    |> Encode.object
+
+                            Err _ ->
+                                Encode.null
+                in
+                case Decode.decodeValue decodeSavedState futureSave of
+                    Err _ ->
+                        Expect.pass
+
+                    Ok _ ->
+                        Expect.fail "Should not decode a save from a newer version"
+        , test "current version saves missing fields are not patched up" <|
+            \_ ->
+                let
+                    incomplete =
+                        "{\"version\": " ++ String.fromInt Storage.currentVersion ++ ", \"gameTime\": 0}"
+                in
+                case Decode.decodeString decodeSavedState incomplete of
+                    Err _ ->
+                        Expect.pass
+
+                    Ok _ ->
+                        Expect.fail "Should have failed to decode incomplete save"
+        ]
+
+
 edgeCaseTests : Test
 edgeCaseTests =
     describe "edge cases"
@@ -352,17 +898,11 @@ edgeCaseTests =
                 states
                     |> List.map (\s -> roundTrip s |> Result.map .mode)
                     |> Expect.equal [ Ok "Running", Ok "Paused", Ok "Planning" ]
-        , test "turnout state values preserved as strings" <|
+        , test "turnout states preserved as strings by element id" <|
             \_ ->
-                let
-                    states =
-                        [ { minimalState | turnoutState = "Normal" }
-                        , { minimalState | turnoutState = "Reverse" }
-                        ]
-                in
-                states
-                    |> List.map (\s -> roundTrip s |> Result.map .turnoutState)
-                    |> Expect.equal [ Ok "Normal", Ok "Reverse" ]
+                roundTrip { minimalState | turnouts = [ ( 2, "Reverse" ), ( 12, "Normal" ) ] }
+                    |> Result.map .turnouts
+                    |> Expect.equal (Ok [ ( 2, "Reverse" ), ( 12, "Normal" ) ])
         , test "empty program round-trips" <|
             \_ ->
                 let
@@ -372,7 +912,7 @@ edgeCaseTests =
                                 [ { id = 1
                                   , spawnPoint = EastStation
                                   , departureTime = GameTime.fromDayHourMinute 0 0 0
-                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                   , program = []
                                   }
                                 ]
@@ -408,7 +948,7 @@ edgeCaseTests =
                                 [ { id = 1
                                   , spawnPoint = EastStation
                                   , departureTime = GameTime.fromDayHourMinute 0 0 0
-                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                   , program = [ Couple ]
                                   }
                                 ]
@@ -432,7 +972,7 @@ edgeCaseTests =
                                 [ { id = 1
                                   , spawnPoint = EastStation
                                   , departureTime = GameTime.fromDayHourMinute 0 0 0
-                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                   , program = [ Uncouple 2 ]
                                   }
                                 ]
@@ -457,7 +997,7 @@ edgeCaseTests =
                                 [ { id = 1
                                   , spawnPoint = EastStation
                                   , departureTime = GameTime.fromDayHourMinute 0 0 0
-                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                  , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                   , program = [ SetReverser Forward, MoveTo PlatformSpot TrainHead ]
                                   }
                                 ]
@@ -6,14 +6,19 @@ import Test exposing (..)
 import Track.Element
     exposing
         ( Connector
+        , Ease(..)
         , ElementId(..)
         , Hand(..)
         , TrackElementType(..)
         , computeConnectors
         , connectorCount
+        , easementPoint
         , flipOrientation
+        , laidForward
         , normalizeAngle
+        , oppositeExit
         , routes
+        , slipCurve
         )
 import Util.Vec2 as Vec2 exposing (vec2)
 
@@ -29,6 +34,10 @@ suite =
         , curvedTrackTests
         , turnoutTests
         , trackEndTests
+        , signalTests
+        , turntableTests
+        , diamondTests
+        , easementTests
         ]
 
 
@@ -117,6 +126,10 @@ connectorCountTests =
             \_ ->
                 connectorCount TrackEnd
                     |> Expect.equal 1
+        , test "signal has 2" <|
+            \_ ->
+                connectorCount Signal
+                    |> Expect.equal 2
         ]
 
 
@@ -139,6 +152,10 @@ routesTests =
             \_ ->
                 routes TrackEnd
                     |> Expect.equal []
+        , test "signal has one route 0->1" <|
+            \_ ->
+                routes Signal
+                    |> Expect.equal [ ( 0, 1 ) ]
         ]
 
 
@@ -447,3 +464,191 @@ trackEndTests =
                     Nothing ->
                         Expect.fail "connector 0 missing"
         ]
+
+
+signalTests : Test
+signalTests =
+    describe "Signal connectors"
+        [ test "both connectors are at the same point, facing apart" <|
+            \_ ->
+                let
+                    c0 =
+                        { position = vec2 42 -17, orientation = 1.5 }
+
+                    connectors =
+                        computeConnectors c0 Signal
+                in
+                case ( Array.get 0 connectors, Array.get 1 connectors ) of
+                    ( Just conn0, Just conn1 ) ->
+                        Expect.all
+                            [ \_ -> conn1.position.x |> Expect.within tol conn0.position.x
+                            , \_ -> conn1.position.y |> Expect.within tol conn0.position.y
+                            , \_ -> conn1.orientation |> Expect.within tol (flipOrientation 1.5)
+                            ]
+                            ()
+
+                    _ ->
+                        Expect.fail "signal connectors missing"
+        ]
+
+
+turntableTests : Test
+turntableTests =
+    let
+        turntable =
+            Turntable { radius = 12, exits = 4 }
+
+        -- A pit centered on the origin, exit 0 on its rim below
+        connectors =
+            computeConnectors { position = vec2 0 -12, orientation = 0 } turntable
+    in
+    describe "Turntable"
+        [ test "has a connector for each exit" <|
+            \_ ->
+                ( connectorCount turntable, Array.length connectors )
+                    |> Expect.equal ( 4, 4 )
+        , test "exits are spaced counter-clockwise round the pit, facing out" <|
+            \_ ->
+                case Array.get 1 connectors of
+                    Just exit1 ->
+                        Expect.all
+                            [ \_ -> exit1.position.x |> Expect.within tol 12
+                            , \_ -> exit1.position.y |> Expect.within tol 0
+                            , \_ -> exit1.orientation |> Expect.within tol (pi / 2)
+                            ]
+                            ()
+
+                    Nothing ->
+                        Expect.fail "exit 1 missing"
+        , test "the opposite exit is across the pit" <|
+            \_ ->
+                case Array.get 2 connectors of
+                    Just exit2 ->
+                        Expect.all
+                            [ \_ -> exit2.position.x |> Expect.within tol 0
+                            , \_ -> exit2.position.y |> Expect.within tol 12
+                            , \_ -> oppositeExit 4 2 |> Expect.equal 0
+                            ]
+                            ()
+
+                    Nothing ->
+                        Expect.fail "exit 2 missing"
+        , test "the bridge lines up with each pair of opposite exits" <|
+            \_ ->
+                routes turntable
+                    |> Expect.equal [ ( 0, 2 ), ( 1, 3 ) ]
+        , test "the bridge runs the way it was laid from the first half of the exits" <|
+            \_ ->
+                List.map (laidForward turntable) [ 0, 1, 2, 3 ]
+                    |> Expect.equal [ True, True, False, False ]
+        ]
+
+
+diamondTests : Test
+diamondTests =
+    let
+        spec =
+            { length = 20, angle = pi / 2, hand = RightHand }
+
+        -- The first track runs from the origin, the second crosses it halfway
+        connectors =
+            computeConnectors { position = vec2 0 0, orientation = pi } (DoubleSlip spec)
+
+        connectorAt index =
+            Array.get index connectors
+                |> Maybe.map (\connector -> ( connector.position.x, connector.position.y, connector.orientation ))
+                |> Maybe.withDefault ( 99, 99, 99 )
+
+        expectConnector ( x, y, orientation ) index =
+            \_ ->
+                let
+                    ( actualX, actualY, actualOrientation ) =
+                        connectorAt index
+                in
+                Expect.all
+                    [ \_ -> actualX |> Expect.within tol x
+                    , \_ -> actualY |> Expect.within tol y
+                    , \_ -> actualOrientation |> Expect.within tol orientation
+                    ]
+                    ()
+    in
+    describe "Crossings and slips"
+        [ test "have four connectors" <|
+            \_ ->
+                List.map connectorCount [ Crossing spec, SingleSlip spec, DoubleSlip spec ]
+                    |> Expect.equal [ 4, 4, 4 ]
+        , test "the first track runs from connector 0 to connector 1" <|
+            expectConnector ( 0, -20, 0 ) 1
+        , test "the second track crosses it halfway at the crossing angle" <|
+            \_ ->
+                Expect.all
+                    [ expectConnector ( -10, -10, -pi / 2 ) 2
+                    , expectConnector ( 10, -10, pi / 2 ) 3
+                    ]
+                    ()
+        , test "a crossing only leads straight over" <|
+            \_ ->
+                routes (Crossing spec)
+                    |> Expect.equal [ ( 0, 1 ), ( 2, 3 ) ]
+        , test "a single slip adds one slip road and a double slip two" <|
+            \_ ->
+                ( routes (SingleSlip spec), routes (DoubleSlip spec) )
+                    |> Expect.equal
+                        ( [ ( 0, 1 ), ( 2, 3 ), ( 0, 3 ) ]
+                        , [ ( 0, 1 ), ( 2, 3 ), ( 0, 3 ), ( 2, 1 ) ]
+                        )
+        , test "the slip road curves from one track onto the other" <|
+            \_ ->
+                (slipCurve spec).radius
+                    |> Expect.within tol 10
+        ]
+
+
+easementTests : Test
+easementTests =
+    let
+        -- 40m easing into a 100m curve, laid from the origin: it turns 0.2 rad
+        spec =
+            { length = 40, radius = 100, hand = RightHand, ease = EaseIn }
+
+        c0 =
+            { position = vec2 0 0, orientation = pi }
+
+        expectConnector ( x, y, orientation ) connector =
+            Expect.all
+                [ \_ -> connector.position.x |> Expect.within tol x
+                , \_ -> connector.position.y |> Expect.within tol y
+                , \_ -> connector.orientation |> Expect.within tol orientation
+                ]
+                ()
+
+        connector1 easement =
+            Array.get 1 (computeConnectors c0 (Easement easement))
+                |> Maybe.withDefault { position = vec2 99 99, orientation = 99 }
+    in
+    describe "Easements"
+        [ test "have two connectors and one route" <|
+            \_ ->
+                ( connectorCount (Easement spec), routes (Easement spec) )
+                    |> Expect.equal ( 2, [ ( 0, 1 ) ] )
+        , test "ease in: connector 1 is where the clothoid ends, turned length / 2 radius" <|
+            \_ ->
+                connector1 spec
+                    |> expectConnector ( 2.659, -39.84, 0.2 )
+        , test "ease out: turns as far, sooner" <|
+            \_ ->
+                connector1 { spec | ease = EaseOut }
+                    |> expectConnector ( 5.309, -39.574, 0.2 )
+        , test "left hand mirrors right hand" <|
+            \_ ->
+                connector1 { spec | hand = LeftHand }
+                    |> expectConnector ( -2.659, -39.84, -0.2 )
+        , test "easing in turns with the square of the distance" <|
+            \_ ->
+                (easementPoint c0 spec 20).orientation
+                    |> Expect.within tol 0.05
+        , test "easing out turns most at the start" <|
+            \_ ->
+                (easementPoint c0 { spec | ease = EaseOut } 20).orientation
+                    |> Expect.within tol 0.15
+        ]
@@ -9,10 +9,15 @@ import Track.Layout
         ( Layout
         , connect
         , emptyLayout
+        , findConnected
         , findElement
         , getConnector
+        , insertElementAt
+        , openConnectors
         , placeElement
         , placeElementAt
+        , removeElement
+        , rotateElement
         )
 import Util.Vec2 exposing (vec2)
 
@@ -23,9 +28,11 @@ suite =
         [ emptyLayoutTests
         , placeElementTests
         , placeElementAtTests
+        , insertElementAtTests
         , connectTests
         , findElementTests
         , getConnectorTests
+        , editingTests
         ]
 
 
@@ -189,6 +196,38 @@ placeElementAtTests =
         ]
 
 
+insertElementAtTests : Test
+insertElementAtTests =
+    let
+        -- Two straights joined end to end, with a signal between them
+        ( twoStraights, _ ) =
+            placeElement (StraightTrack 100) { position = vec2 0 0, orientation = pi } emptyLayout
+                |> Tuple.first
+                |> placeElementAt (StraightTrack 100) ( ElementId 0, 1 )
+
+        ( withSignal, signalId ) =
+            insertElementAt Signal ( ElementId 0, 1 ) twoStraights
+    in
+    describe "insertElementAt"
+        [ test "the new element joins the given connector" <|
+            \_ ->
+                findConnected (ElementId 0) 1 withSignal
+                    |> Expect.equal (Just ( signalId, 0 ))
+        , test "the new element takes over the connection to the other side" <|
+            \_ ->
+                findConnected (ElementId 1) 0 withSignal
+                    |> Expect.equal (Just ( signalId, 1 ))
+        , test "the old connection is gone" <|
+            \_ ->
+                List.length withSignal.connections
+                    |> Expect.equal 2
+        , test "other elements keep their ids" <|
+            \_ ->
+                signalId
+                    |> Expect.equal (ElementId 2)
+        ]
+
+
 connectTests : Test
 connectTests =
     describe "connect"
@@ -298,3 +337,45 @@ getConnectorTests =
                 getConnector (ElementId 0) 5 layout
                     |> Expect.equal Nothing
         ]
+
+
+editingTests : Test
+editingTests =
+    let
+        -- A straight laid east (left on screen) from a track end at the origin
+        ( layout1, _ ) =
+            placeElement TrackEnd { position = vec2 0 0, orientation = -(pi / 2) } emptyLayout
+
+        ( twoPieces, _ ) =
+            placeElementAt (StraightTrack 100) ( ElementId 0, 0 ) layout1
+    in
+    describe "editing"
+        [ test "open connectors are the ones not joined to anything" <|
+            \_ ->
+                openConnectors twoPieces
+                    |> Expect.equal [ ( ElementId 1, 1 ) ]
+        , test "removing an element removes its connections" <|
+            \_ ->
+                let
+                    removed =
+                        removeElement (ElementId 1) twoPieces
+                in
+                ( List.map .id removed.elements, removed.connections, openConnectors removed )
+                    |> Expect.equal ( [ ElementId 0 ], [], [ ( ElementId 0, 0 ) ] )
+        , test "rotating turns an element round its connector 0, clockwise" <|
+            \_ ->
+                case getConnector (ElementId 1) 1 (rotateElement (ElementId 1) (pi / 2) twoPieces) of
+                    Just c1 ->
+                        Expect.all
+                            [ \_ -> c1.position.x |> Expect.within (Expect.Absolute 0.01) 0
+                            , \_ -> c1.position.y |> Expect.within (Expect.Absolute 0.01) -100
+                            ]
+                            ()
+
+                    Nothing ->
+                        Expect.fail "Connector not found"
+        , test "rotating keeps the element's connections" <|
+            \_ ->
+                (rotateElement (ElementId 1) (pi / 2) twoPieces).connections
+                    |> Expect.equal twoPieces.connections
+        ]
@@ -260,4 +260,50 @@ layoutValidationTests =
                 in
                 result.valid
                     |> Expect.equal True
+        , test "tracks laid from the exits of a turntable validate" <|
+            \_ ->
+                let
+                    ( layout1, tableId ) =
+                        Layout.placeElement (Turntable { radius = 12, exits = 4 }) { position = vec2 0 -12, orientation = 0 } Layout.emptyLayout
+
+                    ( layout2, _ ) =
+                        Layout.placeElementAt (StraightTrack 50) ( tableId, 0 ) layout1
+
+                    ( layout3, _ ) =
+                        Layout.placeElementAt (StraightTrack 50) ( tableId, 1 ) layout2
+                in
+                (validateLayout layout3).valid
+                    |> Expect.equal True
+        , test "a turntable needs its exits in pairs" <|
+            \_ ->
+                Layout.placeElement (Turntable { radius = 12, exits = 3 }) { position = vec2 0 -12, orientation = 0 } Layout.emptyLayout
+                    |> Tuple.first
+                    |> validateLayout
+                    |> .errors
+                    |> Expect.equal [ UnpairedExits { elementId = ElementId 0, exits = 3 } ]
+        , test "a connector joined twice is an error" <|
+            \_ ->
+                let
+                    -- A straight laid on from another, then joined to it
+                    -- a second time
+                    ( layout1, _ ) =
+                        Layout.placeElement (StraightTrack 100) { position = vec2 0 0, orientation = -(pi / 2) } Layout.emptyLayout
+
+                    ( layout2, _ ) =
+                        Layout.placeElementAt (StraightTrack 100) ( ElementId 0, 1 ) layout1
+
+                    layout3 =
+                        Layout.connect ( ElementId 0, 1 ) ( ElementId 1, 0 ) layout2
+                in
+                (validateLayout layout3).errors
+                    |> List.map
+                        (\err ->
+                            case err of
+                                SharedConnector { connector } ->
+                                    Just connector
+
+                                _ ->
+                                    Nothing
+                        )
+                    |> Expect.equal [ Just ( ElementId 0, 1 ), Just ( ElementId 1, 0 ) ]
         ]
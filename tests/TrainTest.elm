@@ -1,21 +1,23 @@
 module TrainTest exposing (..)
 
+import Dict
 import Expect
-import Planning.Types exposing (ScheduledTrain, SpawnPointId(..), StockItem, StockType(..))
+import Planning.Types exposing (Load(..), ScheduledTrain, SpawnPointId(..), StockItem, StockType(..))
 import Util.GameTime as GameTime
 import Planning.Helpers exposing (returnStockToInventory)
-import Programmer.Types exposing (Order(..), SpotId(..), SpotTarget(..))
+import Programmer.Types exposing (Condition(..), Order(..), SpotId(..), SpotTarget(..))
 import Train.Execution as Execution
 import Sawmill.Layout exposing (SwitchState(..), trackLayout)
+import Scenario
 import Set
 import Test exposing (..)
-import Track.Element exposing (ElementId(..))
+import Track.Element exposing (Ease(..), ElementId(..), Hand(..), TrackElementType(..))
 import Track.Layout as Layout
 import Train.Movement exposing (shouldDespawn, updateTrain)
 import Train.Route as Route
 import Train.Spawn exposing (checkSpawns)
-import Train.Stock exposing (consistLength, couplerGap, stockLength, trainSpeed)
-import Train.Types exposing (Effect(..), Route, RouteSegment, SegmentGeometry(..), TrainState(..))
+import Train.Stock exposing (consistAcceleration, consistBraking, consistEmergencyBraking, consistLength, consistMass, couplerGap, freightCapacity, seats, stockLength, stockProperties, trainSpeed)
+import Train.Types exposing (Effect(..), Railway, Route, RouteSegment, SegmentGeometry(..), TrackPosition, TrainState(..))
 import Util.Vec2 as Vec2 exposing (vec2)
 
 
@@ -30,7 +32,7 @@ suite =
         , dynamicRoutingTests
         , executionTests
         , arcOrientationTests
-        , turnoutRebuildTests
+        , rerouteTests
         ]
 
 
@@ -68,21 +70,21 @@ stockTests =
                         |> Expect.within (Expect.Absolute 0.01) 0.0
             , test "single locomotive is 10.45m" <|
                 \_ ->
-                    consistLength [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                    consistLength [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                         |> Expect.within (Expect.Absolute 0.01) 10.45
             , test "two locomotives with gap is 21.9m" <|
                 \_ ->
                     consistLength
-                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                        , { id = 2, stockType = Locomotive, reversed = False, provisional = False }
+                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                        , { id = 2, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
                         ]
                         |> Expect.within (Expect.Absolute 0.01) 21.9
             , test "loco + passenger car + flatbed is 10.45 + 13.92 + 13.96 + 2 gaps = 40.33m" <|
                 \_ ->
                     consistLength
-                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                        , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-                        , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
+                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                        , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+                        , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
                         ]
                         |> Expect.within (Expect.Absolute 0.01) 40.33
             ]
@@ -92,6 +94,51 @@ stockTests =
                     trainSpeed
                         |> Expect.within (Expect.Absolute 0.01) (40.0 * 1000.0 / 3600.0)
             ]
+        , describe "consist physics"
+            [ test "a lone locomotive accelerates at 2 m/s^2" <|
+                \_ ->
+                    consistAcceleration [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                        |> Expect.within (Expect.Absolute 0.01) 2.0
+            , test "cars make a train accelerate more slowly" <|
+                \_ ->
+                    consistAcceleration
+                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                        , { id = 2, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+                        , { id = 3, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+                        ]
+                        |> Expect.within (Expect.Absolute 0.01) (96 / 72)
+            , test "cars without a locomotive can't accelerate" <|
+                \_ ->
+                    consistAcceleration [ { id = 1, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ]
+                        |> Expect.within (Expect.Absolute 0.01) 0
+            , test "mass sums the stock" <|
+                \_ ->
+                    consistMass
+                        [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                        , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+                        ]
+                        |> Expect.within (Expect.Absolute 0.01) 65
+            , test "a coach seats as many passengers as its payload allows" <|
+                \_ ->
+                    ( seats PassengerCar, seats Flatbed, freightCapacity PassengerCar )
+                        |> Expect.equal ( 53, 0, 0 )
+            , test "a lone locomotive brakes at 3 m/s^2, 5 m/s^2 in an emergency" <|
+                \_ ->
+                    let
+                        loco =
+                            [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                    in
+                    Expect.all
+                        [ \_ -> consistBraking loco |> Expect.within (Expect.Absolute 0.01) 3.0
+                        , \_ -> consistEmergencyBraking loco |> Expect.within (Expect.Absolute 0.01) 5.0
+                        ]
+                        ()
+            , test "loaded cars weigh more than empty ones" <|
+                \_ ->
+                    List.map (\stockType -> (stockProperties stockType).loadedMass > (stockProperties stockType).emptyMass)
+                        [ PassengerCar, Flatbed, Boxcar ]
+                        |> Expect.equal [ True, True, True ]
+            ]
         ]
 
 
@@ -105,7 +152,7 @@ movementTests =
                         train =
                             testTrain
                                 { id = 1
-                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                 , position = 0.0
                                 , speed = 10.0
                                 , route = testRoute 500.0
@@ -122,7 +169,7 @@ movementTests =
                         train =
                             testTrain
                                 { id = 1
-                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                 , position = 100.0
                                 , speed = 11.11
                                 , route = testRoute 500.0
@@ -141,7 +188,7 @@ movementTests =
                         train =
                             testTrain
                                 { id = 1
-                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                 , position = 100.0
                                 , speed = 10.0
                                 , route = testRoute 500.0
@@ -157,7 +204,7 @@ movementTests =
                         train =
                             testTrain
                                 { id = 1
-                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                 , position = 510.0
                                 , speed = 10.0
                                 , route = testRoute 500.0
@@ -173,7 +220,7 @@ movementTests =
                         train =
                             testTrain
                                 { id = 1
-                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                 , position = 530.0
                                 , speed = 10.0
                                 , route = testRoute 500.0
@@ -190,8 +237,8 @@ movementTests =
                             testTrain
                                 { id = 1
                                 , consist =
-                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                                    , { id = 2, stockType = Locomotive, reversed = False, provisional = False }
+                                    [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                                    , { id = 2, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
                                     ]
                                 , position = 550.0
                                 , speed = 10.0
@@ -213,7 +260,7 @@ spawnTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 10
                               , program = []
@@ -221,7 +268,7 @@ spawnTests =
                             ]
 
                         spawned =
-                            checkSpawns 600.0 scheduled Set.empty Normal
+                            checkSpawns railway 600.0 scheduled Set.empty Dict.empty
                     in
                     List.length spawned
                         |> Expect.equal 1
@@ -230,7 +277,7 @@ spawnTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 10
                               , program = []
@@ -238,7 +285,7 @@ spawnTests =
                             ]
 
                         spawned =
-                            checkSpawns 300.0 scheduled Set.empty Normal
+                            checkSpawns railway 300.0 scheduled Set.empty Dict.empty
                     in
                     List.length spawned
                         |> Expect.equal 0
@@ -247,7 +294,7 @@ spawnTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 10
                               , program = []
@@ -258,7 +305,7 @@ spawnTests =
                             Set.singleton 1
 
                         spawned =
-                            checkSpawns 900.0 scheduled alreadySpawned Normal
+                            checkSpawns railway 900.0 scheduled alreadySpawned Dict.empty
                     in
                     List.length spawned
                         |> Expect.equal 0
@@ -267,13 +314,13 @@ spawnTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 5
                               , program = []
                               }
                             , { id = 2
-                              , consist = [ { id = 2, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 2, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = WestStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 5
                               , program = []
@@ -281,7 +328,7 @@ spawnTests =
                             ]
 
                         spawned =
-                            checkSpawns 300.0 scheduled Set.empty Normal
+                            checkSpawns railway 300.0 scheduled Set.empty Dict.empty
                     in
                     List.length spawned
                         |> Expect.equal 2
@@ -290,7 +337,7 @@ spawnTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 0
                               , program = []
@@ -298,7 +345,7 @@ spawnTests =
                             ]
 
                         spawned =
-                            checkSpawns 0.0 scheduled Set.empty Normal
+                            checkSpawns railway 0.0 scheduled Set.empty Dict.empty
                     in
                     case List.head spawned of
                         Just train ->
@@ -312,7 +359,7 @@ spawnTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 0
                               , program = []
@@ -320,7 +367,7 @@ spawnTests =
                             ]
 
                         spawned =
-                            checkSpawns 0.0 scheduled Set.empty Normal
+                            checkSpawns railway 0.0 scheduled Set.empty Dict.empty
                     in
                     case List.head spawned of
                         Just train ->
@@ -341,7 +388,7 @@ routeTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         result =
                             Route.positionOnRoute 0.0 route
@@ -356,7 +403,7 @@ routeTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         result =
                             Route.positionOnRoute (route.totalLength / 2) route
@@ -371,7 +418,7 @@ routeTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         result =
                             Route.positionOnRoute route.totalLength route
@@ -386,7 +433,7 @@ routeTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         result =
                             Route.positionOnRoute -10.0 route
@@ -397,7 +444,7 @@ routeTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         result =
                             Route.positionOnRoute (route.totalLength + 10.0) route
@@ -405,25 +452,25 @@ routeTests =
                     result
                         |> Expect.equal Nothing
             ]
-        , describe "eastToWestRoute Normal"
+        , describe "route from the east station, turnout Normal"
             [ test "has positive total length" <|
                 \_ ->
-                    (Route.eastToWestRoute Normal).totalLength
+                    (routeFrom EastStation Normal).totalLength
                         |> Expect.greaterThan 0.0
             , test "has non-empty segments" <|
                 \_ ->
-                    List.length (Route.eastToWestRoute Normal).segments
+                    List.length (routeFrom EastStation Normal).segments
                         |> Expect.greaterThan 0
             ]
-        , describe "westToEastRoute Normal"
-            [ test "has same total length as eastToWestRoute Normal" <|
+        , describe "route from the west station, turnout Normal"
+            [ test "has same total length as the route from the east" <|
                 \_ ->
-                    (Route.westToEastRoute Normal).totalLength
-                        |> Expect.within (Expect.Absolute 0.01) (Route.eastToWestRoute Normal).totalLength
+                    (routeFrom WestStation Normal).totalLength
+                        |> Expect.within (Expect.Absolute 0.01) (routeFrom EastStation Normal).totalLength
             , test "has same number of segments" <|
                 \_ ->
-                    List.length (Route.westToEastRoute Normal).segments
-                        |> Expect.equal (List.length (Route.eastToWestRoute Normal).segments)
+                    List.length (routeFrom WestStation Normal).segments
+                        |> Expect.equal (List.length (routeFrom EastStation Normal).segments)
             ]
         ]
 
@@ -432,20 +479,20 @@ dynamicRoutingTests : Test
 dynamicRoutingTests =
     describe "Dynamic turnout-aware routing"
         [ describe "Normal switch state (mainline through)"
-            [ test "eastToWest Normal route traverses elements 1, 2, 3" <|
+            [ test "eastToWest Normal route traverses elements 1, 2, 3 and the signals between" <|
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         elementIds =
                             List.map .elementId route.segments
                     in
                     elementIds
-                        |> Expect.equal [ ElementId 1, ElementId 2, ElementId 3 ]
+                        |> Expect.equal [ ElementId 1, ElementId 8, ElementId 2, ElementId 9, ElementId 3 ]
             , test "eastToWest Normal total length is 500m (250 + 50 + 200)" <|
                 \_ ->
-                    (Route.eastToWestRoute Normal).totalLength
+                    (routeFrom EastStation Normal).totalLength
                         |> Expect.within (Expect.Absolute 0.01) 500.0
             ]
         , describe "Reverse switch state (siding route)"
@@ -453,24 +500,25 @@ dynamicRoutingTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         elementIds =
                             List.map .elementId route.segments
                     in
-                    -- Should go: mainline east (1), turnout diverge (2),
-                    -- continuation curve (4), siding straight (5)
+                    -- Should go: mainline east (1), east signal (8), turnout
+                    -- diverge (2), siding signal (10), continuation curve (4),
+                    -- siding straight (5)
                     elementIds
-                        |> Expect.equal [ ElementId 1, ElementId 2, ElementId 4, ElementId 5 ]
+                        |> Expect.equal [ ElementId 1, ElementId 8, ElementId 2, ElementId 10, ElementId 4, ElementId 5 ]
             , test "eastToWest Reverse route has positive total length" <|
                 \_ ->
-                    (Route.eastToWestRoute Reverse).totalLength
+                    (routeFrom EastStation Reverse).totalLength
                         |> Expect.greaterThan 0.0
             , test "eastToWest Reverse route includes element 5 (siding)" <|
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         hasElement5 =
                             List.any (\s -> s.elementId == ElementId 5) route.segments
@@ -481,7 +529,7 @@ dynamicRoutingTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         hasElement3 =
                             List.any (\s -> s.elementId == ElementId 3) route.segments
@@ -494,7 +542,7 @@ dynamicRoutingTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
                     in
                     case Route.positionOnRoute 0.0 route of
                         Just _ ->
@@ -506,7 +554,7 @@ dynamicRoutingTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
                     in
                     case Route.positionOnRoute route.totalLength route of
                         Just _ ->
@@ -515,48 +563,279 @@ dynamicRoutingTests =
                         Nothing ->
                             Expect.fail "Expected valid position at end"
             ]
+        , describe "Turnouts addressed by element id"
+            [ test "all turnouts Normal take the through road" <|
+                \_ ->
+                    routeThroughTwoTurnouts []
+                        |> Expect.equal [ ElementId 1, ElementId 3 ]
+            , test "the first turnout Reverse leads onto the second" <|
+                \_ ->
+                    routeThroughTwoTurnouts [ ( 1, Reverse ) ]
+                        |> Expect.equal [ ElementId 1, ElementId 2, ElementId 4 ]
+            , test "each turnout follows its own state" <|
+                \_ ->
+                    routeThroughTwoTurnouts [ ( 1, Reverse ), ( 2, Reverse ) ]
+                        |> Expect.equal [ ElementId 1, ElementId 2, ElementId 5 ]
+            , test "a turnout off the route doesn't change it" <|
+                \_ ->
+                    routeThroughTwoTurnouts [ ( 2, Reverse ) ]
+                        |> Expect.equal [ ElementId 1, ElementId 3 ]
+            ]
+        , describe "Crossings and slips"
+            [ test "a crossing always leads straight over" <|
+                \_ ->
+                    ( routeThroughDiamond Crossing Reverse 0, routeThroughDiamond Crossing Reverse 5 )
+                        |> Expect.equal ( [ ElementId 1, ElementId 2 ], [ ElementId 4, ElementId 1, ElementId 3 ] )
+            , test "a double slip set Normal leads straight over" <|
+                \_ ->
+                    ( routeThroughDiamond DoubleSlip Normal 0, routeThroughDiamond DoubleSlip Normal 5 )
+                        |> Expect.equal ( [ ElementId 1, ElementId 2 ], [ ElementId 4, ElementId 1, ElementId 3 ] )
+            , test "a double slip set Reverse takes the slip roads both ways" <|
+                \_ ->
+                    ( routeThroughDiamond DoubleSlip Reverse 0, routeThroughDiamond DoubleSlip Reverse 5 )
+                        |> Expect.equal ( [ ElementId 1, ElementId 3 ], [ ElementId 4, ElementId 1, ElementId 2 ] )
+            , test "a single slip has a slip road from the first track only" <|
+                \_ ->
+                    ( routeThroughDiamond SingleSlip Reverse 0, routeThroughDiamond SingleSlip Reverse 5 )
+                        |> Expect.equal ( [ ElementId 1, ElementId 3 ], [ ElementId 4, ElementId 1, ElementId 3 ] )
+            , test "the slip road ends where the second track does" <|
+                \_ ->
+                    let
+                        route =
+                            diamondRoute DoubleSlip Reverse 0
+
+                        slipRoadEnd =
+                            List.head route.segments
+                                |> Maybe.andThen (\segment -> Route.positionOnRoute segment.length route)
+                                |> Maybe.map .position
+                    in
+                    ( Maybe.map (Vec2.distance (vec2 10 -10)) slipRoadEnd |> Maybe.withDefault 99
+                    , List.map .length route.segments |> List.head |> Maybe.withDefault 0
+                    )
+                        |> Expect.all
+                            [ Tuple.first >> Expect.within (Expect.Absolute 0.01) 0
+                            , Tuple.second >> Expect.within (Expect.Absolute 0.01) (10 * pi / 2)
+                            ]
+            ]
+        , describe "Easements"
+            [ test "the route runs the length of the easements" <|
+                \_ ->
+                    (easedRoute 0).totalLength
+                        |> Expect.within (Expect.Absolute 0.01) 210
+            , test "there is no kink where an easement meets a curve or straight" <|
+                \_ ->
+                    let
+                        route =
+                            easedRoute 0
+
+                        kinkAt distance =
+                            Maybe.map2
+                                (\before after ->
+                                    ( Vec2.distance before.position after.position
+                                    , abs (Track.Element.normalizeAngle (after.orientation - before.orientation))
+                                    )
+                                )
+                                (Route.positionOnRoute (distance - 0.01) route)
+                                (Route.positionOnRoute (distance + 0.01) route)
+                                |> Maybe.withDefault ( 99, 99 )
+                    in
+                    List.map kinkAt [ 50, 90, 120, 160 ]
+                        |> List.all (\( gap, turn ) -> gap < 0.03 && turn < 0.001)
+                        |> Expect.equal True
+            , test "places a car length along the easement a car length away" <|
+                \_ ->
+                    let
+                        route =
+                            easedRoute 0
+                    in
+                    Maybe.map2 (\a b -> Vec2.distance a.position b.position)
+                        (Route.positionOnRoute 55 route)
+                        (Route.positionOnRoute 70 route)
+                        |> Maybe.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.02) 15
+            , test "the way back runs over the same track the other way" <|
+                \_ ->
+                    let
+                        there =
+                            Route.positionOnRoute 70 (easedRoute 0)
+
+                        back =
+                            Route.positionOnRoute 140 (easedRoute 6)
+                    in
+                    Maybe.map2
+                        (\a b ->
+                            ( Vec2.distance a.position b.position
+                            , abs (Track.Element.normalizeAngle (a.orientation - Track.Element.flipOrientation b.orientation))
+                            )
+                        )
+                        there
+                        back
+                        |> Maybe.map (\( gap, turn ) -> gap < 0.01 && turn < 0.001)
+                        |> Expect.equal (Just True)
+            , test "a point on an easement is found on the route" <|
+                \_ ->
+                    let
+                        route =
+                            easedRoute 0
+                    in
+                    Route.positionOnRoute 70 route
+                        |> Maybe.andThen (\point -> Route.distanceAlongRoute point.position route)
+                        |> Maybe.withDefault 0
+                        |> Expect.within (Expect.Absolute 0.05) 70
+            ]
         ]
 
 
+{-| The elements a route from a track end passes, through a turnout (1)
+with a second turnout (2) on its diverging road, each leg ending in a
+straight (3, 4 and 5).
+-}
+routeThroughTwoTurnouts : List ( Int, SwitchState ) -> List ElementId
+routeThroughTwoTurnouts switchStates =
+    let
+        turnout =
+            Turnout { throughLength = 50, radius = 170, sweep = 0.26, hand = RightHand }
+
+        ( layout0, endId ) =
+            Layout.placeElement TrackEnd { position = vec2 0 0, orientation = 0 } Layout.emptyLayout
+
+        place elementType at layout =
+            Tuple.first (Layout.placeElementAt elementType at layout)
+
+        layout =
+            layout0
+                |> place turnout ( endId, 0 )
+                |> place turnout ( ElementId 1, 2 )
+                |> place (StraightTrack 100) ( ElementId 1, 1 )
+                |> place (StraightTrack 100) ( ElementId 2, 1 )
+                |> place (StraightTrack 100) ( ElementId 2, 2 )
+    in
+    (Route.buildRoute endId 0 (Dict.fromList switchStates) layout).segments
+        |> List.map .elementId
+
+
+{-| A route from one of two track ends through a diamond (1) of 20m tracks
+crossing at right angles, set to the given state. Straights lead on from the
+end of its first track (2) and second track (3), and to the start of its
+second track (4) from track end 5. Track end 0 is at the start of the first
+track, at the origin, and the second track runs from (-10, -10) to (10, -10).
+-}
+diamondRoute : (Track.Element.DiamondSpec -> TrackElementType) -> SwitchState -> Int -> Route
+diamondRoute diamond switchState endId =
+    let
+        ( layout0, _ ) =
+            Layout.placeElement TrackEnd { position = vec2 0 0, orientation = pi } Layout.emptyLayout
+
+        place elementType at layout =
+            Tuple.first (Layout.placeElementAt elementType at layout)
+
+        layout =
+            layout0
+                |> place (diamond { length = 20, angle = pi / 2, hand = RightHand }) ( ElementId 0, 0 )
+                |> place (StraightTrack 100) ( ElementId 1, 1 )
+                |> place (StraightTrack 100) ( ElementId 1, 3 )
+                |> place (StraightTrack 100) ( ElementId 1, 2 )
+                |> place TrackEnd ( ElementId 4, 1 )
+    in
+    Route.buildRoute (ElementId endId) 0 (Dict.fromList [ ( 1, switchState ) ]) layout
+
+
+{-| A route from one of two track ends (0 and 6) round a curve eased at both
+ends: a 50m straight (1), a 40m easement into (2) a 30m curve of radius 100m
+(3), a 40m easement out of it (4) and another 50m straight (5).
+-}
+easedRoute : Int -> Route
+easedRoute endId =
+    let
+        ( layout0, _ ) =
+            Layout.placeElement TrackEnd { position = vec2 0 0, orientation = pi } Layout.emptyLayout
+
+        place elementType at layout =
+            Tuple.first (Layout.placeElementAt elementType at layout)
+
+        easement ease =
+            Easement { length = 40, radius = 100, hand = RightHand, ease = ease }
+
+        layout =
+            layout0
+                |> place (StraightTrack 50) ( ElementId 0, 0 )
+                |> place (easement EaseIn) ( ElementId 1, 1 )
+                |> place (CurvedTrack { radius = 100, sweep = 0.3 }) ( ElementId 2, 1 )
+                |> place (easement EaseOut) ( ElementId 3, 1 )
+                |> place (StraightTrack 50) ( ElementId 4, 1 )
+                |> place TrackEnd ( ElementId 5, 1 )
+    in
+    Route.buildRoute (ElementId endId) 0 Dict.empty layout
+
+
+routeThroughDiamond : (Track.Element.DiamondSpec -> TrackElementType) -> SwitchState -> Int -> List ElementId
+routeThroughDiamond diamond switchState endId =
+    (diamondRoute diamond switchState endId).segments
+        |> List.map .elementId
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
 spotPositionTests : Test
 spotPositionTests =
     describe "Train.Route.spotPosition"
         [ describe "tunnel spots on eastToWest route"
             [ test "EastTunnelSpot is at distance 0" <|
                 \_ ->
-                    Route.spotPosition EastTunnelSpot (Route.eastToWestRoute Normal)
+                    Route.spotPosition railway EastTunnelSpot (routeFrom EastStation Normal)
                         |> Expect.equal (Just 0.0)
             , test "WestTunnelSpot is at totalLength" <|
                 \_ ->
-                    Route.spotPosition WestTunnelSpot (Route.eastToWestRoute Normal)
-                        |> Expect.equal (Just (Route.eastToWestRoute Normal).totalLength)
+                    Route.spotPosition railway WestTunnelSpot (routeFrom EastStation Normal)
+                        |> Expect.equal (Just (routeFrom EastStation Normal).totalLength)
             ]
         , describe "tunnel spots on westToEast route"
             [ test "WestTunnelSpot is at distance 0" <|
                 \_ ->
-                    Route.spotPosition WestTunnelSpot (Route.westToEastRoute Normal)
+                    Route.spotPosition railway WestTunnelSpot (routeFrom WestStation Normal)
                         |> Expect.equal (Just 0.0)
             , test "EastTunnelSpot is at totalLength" <|
                 \_ ->
-                    Route.spotPosition EastTunnelSpot (Route.westToEastRoute Normal)
-                        |> Expect.equal (Just (Route.westToEastRoute Normal).totalLength)
+                    Route.spotPosition railway EastTunnelSpot (routeFrom WestStation Normal)
+                        |> Expect.equal (Just (routeFrom WestStation Normal).totalLength)
             ]
         , describe "siding spots on mainline routes"
             [ test "PlatformSpot is not reachable on mainline eastToWest route" <|
                 \_ ->
-                    Route.spotPosition PlatformSpot (Route.eastToWestRoute Normal)
+                    Route.spotPosition railway PlatformSpot (routeFrom EastStation Normal)
                         |> Expect.equal Nothing
             , test "TeamTrackSpot is not reachable on mainline eastToWest route" <|
                 \_ ->
-                    Route.spotPosition TeamTrackSpot (Route.eastToWestRoute Normal)
+                    Route.spotPosition railway TeamTrackSpot (routeFrom EastStation Normal)
                         |> Expect.equal Nothing
             , test "PlatformSpot is not reachable on mainline westToEast route" <|
                 \_ ->
-                    Route.spotPosition PlatformSpot (Route.westToEastRoute Normal)
+                    Route.spotPosition railway PlatformSpot (routeFrom WestStation Normal)
                         |> Expect.equal Nothing
             , test "TeamTrackSpot is not reachable on mainline westToEast route" <|
                 \_ ->
-                    Route.spotPosition TeamTrackSpot (Route.westToEastRoute Normal)
+                    Route.spotPosition railway TeamTrackSpot (routeFrom WestStation Normal)
                         |> Expect.equal Nothing
             ]
         , describe "siding spots on siding route"
@@ -564,9 +843,9 @@ spotPositionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
                     in
-                    case Route.spotPosition PlatformSpot route of
+                    case Route.spotPosition railway PlatformSpot route of
                         Just dist ->
                             dist |> Expect.greaterThan 0.0
 
@@ -576,9 +855,9 @@ spotPositionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
                     in
-                    case Route.spotPosition TeamTrackSpot route of
+                    case Route.spotPosition railway TeamTrackSpot route of
                         Just dist ->
                             dist |> Expect.greaterThan 0.0
 
@@ -588,13 +867,13 @@ spotPositionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         platformDist =
-                            Route.spotPosition PlatformSpot route
+                            Route.spotPosition railway PlatformSpot route
 
                         teamTrackDist =
-                            Route.spotPosition TeamTrackSpot route
+                            Route.spotPosition railway TeamTrackSpot route
                     in
                     case ( platformDist, teamTrackDist ) of
                         ( Just p, Just t ) ->
@@ -603,6 +882,27 @@ spotPositionTests =
                         _ ->
                             Expect.fail "Expected both spots to be reachable"
             ]
+        , describe "spotsUnderCars"
+            [ test "lists the spots each car covers, front to back" <|
+                \_ ->
+                    let
+                        route =
+                            routeFrom EastStation Reverse
+
+                        platform =
+                            Route.spotPosition railway PlatformSpot route |> Maybe.withDefault 0
+
+                        car id stockType =
+                            { id = id, stockType = stockType, reversed = False, provisional = False, load = Empty }
+                    in
+                    Route.spotsUnderCars railway
+                        [ PlatformSpot, TeamTrackSpot ]
+                        route
+                        (platform + stockLength Locomotive + couplerGap + 1)
+                        [ car 1 Locomotive, car 2 Flatbed ]
+                        |> List.map (Tuple.mapFirst .id)
+                        |> Expect.equal [ ( 1, [] ), ( 2, [ PlatformSpot ] ) ]
+            ]
         ]
 
 
@@ -637,6 +937,7 @@ testTrain { id, consist, position, speed, route } =
     { id = id
     , consist = consist
     , position = position
+    , trackPosition = placeOn route position
     , speed = speed
     , route = route
     , spawnPoint = EastStation
@@ -645,6 +946,8 @@ testTrain { id, consist, position, speed, route } =
     , trainState = WaitingForOrders
     , reverser = Programmer.Types.Forward
     , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
     }
 
 
@@ -654,11 +957,12 @@ executingTrain : List Programmer.Types.Order -> Train.Types.ActiveTrain
 executingTrain program =
     let
         route =
-            Route.eastToWestRoute Reverse
+            routeFrom EastStation Reverse
     in
     { id = 1
-    , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+    , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
     , position = 0
+    , trackPosition = placeOn route 0
     , speed = 0
     , route = route
     , spawnPoint = EastStation
@@ -667,9 +971,18 @@ executingTrain program =
     , trainState = Executing
     , reverser = Programmer.Types.Forward
     , waitTimer = 0
+    , autoMoves = []
+    , laps = 0
     }
 
 
+{-| A world with nothing else on the track.
+-}
+emptyWorld : Train.Types.WorldView
+emptyWorld =
+    { railway = railway, standingConsists = [], reservations = Dict.empty, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] }
+
+
 executionTests : Test
 executionTests =
     describe "Train.Execution"
@@ -681,7 +994,7 @@ executionTests =
                             executingTrain [ Programmer.Types.SetReverser Programmer.Types.Forward ]
 
                         ( result, effects ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.reverser |> Expect.equal Programmer.Types.Forward
@@ -697,7 +1010,7 @@ executionTests =
                             executingTrain [ Programmer.Types.SetReverser Programmer.Types.Reverse ]
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     result.reverser |> Expect.equal Programmer.Types.Reverse
             ]
@@ -709,7 +1022,7 @@ executionTests =
                             executingTrain [ Programmer.Types.SetSwitch "turnout1" Programmer.Types.Diverging ]
 
                         ( result, effects ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.programCounter |> Expect.equal 1
@@ -717,6 +1030,96 @@ executionTests =
                         , \_ -> effects |> Expect.equal [ SetSwitchEffect "turnout1" Programmer.Types.Diverging ]
                         ]
                         result
+            , test "SetSwitch on a locked turnout stops the train" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ Programmer.Types.SetSwitch "turnout1" Programmer.Types.Diverging ]
+
+                        ( result, effects ) =
+                            Execution.stepProgram 0.1 { emptyWorld | lockedTurnouts = Dict.fromList [ ( "turnout1", Programmer.Types.Normal ) ] } train
+                    in
+                    Expect.all
+                        [ \r -> r.programCounter |> Expect.equal 0
+                        , \r -> r.trainState |> Expect.equal (Stopped "SetSwitch: turnout is locked, track occupied")
+                        , \_ -> effects |> Expect.equal []
+                        ]
+                        result
+            , test "SetSwitch to the position a locked turnout is in just advances" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ Programmer.Types.SetSwitch "turnout1" Programmer.Types.Diverging ]
+
+                        ( result, effects ) =
+                            Execution.stepProgram 0.1 { emptyWorld | lockedTurnouts = Dict.fromList [ ( "turnout1", Programmer.Types.Diverging ) ] } train
+                    in
+                    Expect.all
+                        [ \r -> r.programCounter |> Expect.equal 1
+                        , \_ -> effects |> Expect.equal []
+                        ]
+                        result
+            ]
+        , describe "AutoMoveTo"
+            [ test "AutoMoveTo runs the planned moves at once and leaves the program as it is" <|
+                \_ ->
+                    let
+                        program =
+                            [ Programmer.Types.AutoMoveTo PlatformSpot TrainHead, Programmer.Types.Couple ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld (executingTrain program)
+                    in
+                    Expect.all
+                        [ \r -> r.program |> Expect.equal program
+                        , \r -> r.autoMoves |> Expect.equal [ MoveTo PlatformSpot TrainHead ]
+                        , \r -> r.programCounter |> Expect.equal 0
+                        , \r -> r.speed |> Expect.greaterThan 0
+                        ]
+                        result
+            , test "AutoMoveTo advances once its planned moves are done" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ Programmer.Types.AutoMoveTo PlatformSpot TrainHead, Programmer.Types.Couple ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld { train | autoMoves = [ SetReverser Programmer.Types.Reverse ] }
+                    in
+                    Expect.all
+                        [ \r -> r.reverser |> Expect.equal Programmer.Types.Reverse
+                        , \r -> r.programCounter |> Expect.equal 1
+                        , \r -> r.autoMoves |> Expect.equal []
+                        , \r -> r.trainState |> Expect.equal Executing
+                        ]
+                        result
+            , test "Repeat drops the moves planned so the AutoMoveTo plans again" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ Programmer.Types.AutoMoveTo PlatformSpot TrainHead, Programmer.Types.Repeat ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld { train | programCounter = 1, autoMoves = [ MoveTo PlatformSpot TrainHead ] }
+                    in
+                    Expect.all
+                        [ \r -> r.programCounter |> Expect.equal 0
+                        , \r -> r.autoMoves |> Expect.equal []
+                        ]
+                        result
+            , test "AutoMoveTo with no way to the spot stops the train" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ Programmer.Types.AutoMoveTo PlatformSpot TrainHead ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1
+                                emptyWorld
+                                { train | spawnPoint = WestStation, route = routeFrom WestStation Normal }
+                    in
+                    result.trainState
+                        |> Expect.equal (Stopped "AutoMoveTo: no route to Platform")
             ]
         , describe "WaitSeconds"
             [ test "WaitSeconds initializes timer and counts down" <|
@@ -726,7 +1129,7 @@ executionTests =
                             executingTrain [ Programmer.Types.WaitSeconds 5 ]
 
                         ( result, _ ) =
-                            Execution.stepProgram 1.0 train
+                            Execution.stepProgram 1.0 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.trainState |> Expect.equal Executing
@@ -742,10 +1145,10 @@ executionTests =
 
                         -- Step through 3 seconds total to ensure it completes
                         ( step1, _ ) =
-                            Execution.stepProgram 1.0 train
+                            Execution.stepProgram 1.0 emptyWorld train
 
                         ( step2, _ ) =
-                            Execution.stepProgram 1.5 step1
+                            Execution.stepProgram 1.5 emptyWorld step1
                     in
                     Expect.all
                         [ \r -> r.programCounter |> Expect.equal 1
@@ -754,15 +1157,192 @@ executionTests =
                         ]
                         step2
             ]
+        , describe "WaitUntil"
+            [ test "WaitUntil waits for the time of day" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ WaitUntil (GameTime.fromHourMinute 17 30) ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 1.0 { emptyWorld | gameTime = GameTime.fromDayHourMinute 2 17 0 } train
+                    in
+                    Expect.all
+                        [ \r -> r.trainState |> Expect.equal Executing
+                        , \r -> r.waitTimer |> Expect.within (Expect.Absolute 0.01) (30 * 60 - 1)
+                        ]
+                        result
+            , test "WaitUntil a time already past today waits for tomorrow" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ WaitUntil (GameTime.fromHourMinute 6 0) ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 1.0 { emptyWorld | gameTime = GameTime.fromHourMinute 7 0 } train
+                    in
+                    result.waitTimer
+                        |> Expect.within (Expect.Absolute 0.01) (23 * 60 * 60 - 1)
+            ]
+        , describe "WaitForTrain"
+            [ test "WaitForTrain holds until the other train stands at the spot" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ WaitForTrain 2 PlatformSpot ]
+
+                        other =
+                            { train | id = 2, position = 0, trainState = WaitingForOrders }
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 { emptyWorld | trains = [ other ] } train
+                    in
+                    Expect.all
+                        [ \r -> r.programCounter |> Expect.equal 0
+                        , \r -> r.trainState |> Expect.equal Executing
+                        ]
+                        result
+            , test "WaitForTrain advances once the other train is there" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ WaitForTrain 2 PlatformSpot ]
+
+                        platform =
+                            Route.spotPosition railway PlatformSpot train.route |> Maybe.withDefault 0
+
+                        other =
+                            { train | id = 2, position = platform, trainState = WaitingForOrders }
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 { emptyWorld | trains = [ other ] } train
+                    in
+                    result.programCounter
+                        |> Expect.equal 1
+            , test "WaitForTrain doesn't count a train running past the spot" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ WaitForTrain 2 PlatformSpot ]
+
+                        platform =
+                            Route.spotPosition railway PlatformSpot train.route |> Maybe.withDefault 0
+
+                        other =
+                            { train | id = 2, position = platform, speed = 5 }
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 { emptyWorld | trains = [ other ] } train
+                    in
+                    result.programCounter
+                        |> Expect.equal 0
+            ]
+        , describe "If"
+            [ test "If with the condition holding goes on into the block" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ If (CarEmpty 0), WaitSeconds 5, EndIf ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld train
+                    in
+                    result.programCounter
+                        |> Expect.equal 1
+            , test "If with the condition failing skips past its EndIf" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ If (CarLoaded 0), WaitSeconds 5, EndIf, Programmer.Types.Couple ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld train
+                    in
+                    result.programCounter
+                        |> Expect.equal 3
+            , test "If skips nested blocks whole" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ If (CarLoaded 0), If (CarEmpty 0), EndIf, WaitSeconds 5, EndIf, Programmer.Types.Couple ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld train
+                    in
+                    result.programCounter
+                        |> Expect.equal 5
+            , test "If without an EndIf skips the rest of the program" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ If (CarLoaded 0), WaitSeconds 5 ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld train
+                    in
+                    result.trainState
+                        |> Expect.equal WaitingForOrders
+            , test "a car with cargo counts as loaded" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ If (CarLoaded 1), WaitSeconds 5, EndIf ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1
+                                emptyWorld
+                                { train | consist = train.consist ++ [ { id = 2, stockType = Boxcar, reversed = False, provisional = False, load = Cargo 12 } ] }
+                    in
+                    result.programCounter
+                        |> Expect.equal 1
+            , test "a car the train doesn't have is neither loaded nor empty" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ If (CarEmpty 3), WaitSeconds 5, EndIf ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld train
+                    in
+                    result.trainState
+                        |> Expect.equal WaitingForOrders
+            ]
+        , describe "Repeat"
+            [ test "Repeat starts the program over" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ WaitSeconds 5, Repeat ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld { train | programCounter = 1 }
+                    in
+                    Expect.all
+                        [ \r -> r.programCounter |> Expect.equal 0
+                        , \r -> r.trainState |> Expect.equal Executing
+                        ]
+                        result
+            , test "Repeat counts the times round the program" <|
+                \_ ->
+                    let
+                        train =
+                            executingTrain [ WaitSeconds 5, Repeat ]
+
+                        ( result, _ ) =
+                            Execution.stepProgram 0.1 emptyWorld { train | programCounter = 1, laps = 2 }
+                    in
+                    result.laps
+                        |> Expect.equal 3
+            ]
         , describe "Couple"
-            [ test "Couple stops train with error" <|
+            [ test "Couple without adjacent cars stops train with error" <|
                 \_ ->
                     let
                         train =
                             executingTrain [ Programmer.Types.Couple ]
 
                         ( result, effects ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.speed |> Expect.equal 0
@@ -778,14 +1358,14 @@ executionTests =
                         result
             ]
         , describe "Uncouple"
-            [ test "Uncouple stops train with error" <|
+            [ test "Uncouple of a lone locomotive stops train with error" <|
                 \_ ->
                     let
                         train =
                             executingTrain [ Programmer.Types.Uncouple 1 ]
 
                         ( result, effects ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.speed |> Expect.equal 0
@@ -808,20 +1388,41 @@ executionTests =
                             executingTrain [ Programmer.Types.MoveTo PlatformSpot TrainHead ]
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
                     in
                     result.speed |> Expect.greaterThan 0
+            , test "MoveTo accelerates a train with cars more slowly" <|
+                \_ ->
+                    let
+                        loco =
+                            executingTrain [ Programmer.Types.MoveTo PlatformSpot TrainHead ]
+
+                        withCars =
+                            { loco
+                                | consist =
+                                    loco.consist
+                                        ++ [ { id = 2, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+                                           , { id = 3, stockType = Boxcar, reversed = False, provisional = False, load = Empty }
+                                           ]
+                                , position = consistLength loco.consist + 26
+                            }
+
+                        speedAfter train =
+                            (Tuple.first (Execution.stepProgram 0.5 emptyWorld train)).speed
+                    in
+                    speedAfter withCars |> Expect.lessThan (speedAfter loco)
             , test "MoveTo unreachable spot stops train with error" <|
                 \_ ->
                     let
                         -- Use mainline route where PlatformSpot is unreachable
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 0
+                            , trackPosition = placeOn route 0
                             , speed = 0
                             , route = route
                             , spawnPoint = EastStation
@@ -830,10 +1431,12 @@ executionTests =
                             , trainState = Executing
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     case result.trainState of
                         Stopped _ ->
@@ -847,12 +1450,13 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 10
+                            , trackPosition = placeOn route 10
                             , speed = 5.0
                             , route = route
                             , spawnPoint = EastStation
@@ -861,10 +1465,12 @@ executionTests =
                             , trainState = WaitingForOrders
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, effects ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.speed |> Expect.lessThan 5.0
@@ -877,12 +1483,13 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 10
+                            , trackPosition = placeOn route 10
                             , speed = 5.0
                             , route = route
                             , spawnPoint = EastStation
@@ -891,10 +1498,12 @@ executionTests =
                             , trainState = Stopped "test error"
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, effects ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 1.0 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.speed |> Expect.equal 0
@@ -902,6 +1511,30 @@ executionTests =
                         , \_ -> effects |> Expect.equal []
                         ]
                         result
+            , test "stopped train still moving brakes at the emergency rate" <|
+                \_ ->
+                    let
+                        train =
+                            { id = 1
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
+                            , position = 10
+                            , trackPosition = placeOn (routeFrom EastStation Normal) 10
+                            , speed = 5.0
+                            , route = routeFrom EastStation Normal
+                            , spawnPoint = EastStation
+                            , program = []
+                            , programCounter = 0
+                            , trainState = Stopped "Emergency stop: standing cars ahead"
+                            , reverser = Programmer.Types.Forward
+                            , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
+                            }
+                    in
+                    Execution.stepProgram 0.5 emptyWorld train
+                        |> Tuple.first
+                        |> .speed
+                        |> Expect.within (Expect.Absolute 0.0001) (5.0 - consistEmergencyBraking train.consist * 0.5)
             ]
         , describe "multi-order program"
             [ test "executes multiple instant orders in sequence" <|
@@ -915,11 +1548,11 @@ executionTests =
 
                         -- First step: SetReverser (instant, advances)
                         ( step1, effects1 ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
 
                         -- Second step: SetSwitch (instant, advances)
                         ( step2, effects2 ) =
-                            Execution.stepProgram 0.1 step1
+                            Execution.stepProgram 0.1 emptyWorld step1
                     in
                     Expect.all
                         [ \_ -> step1.reverser |> Expect.equal Programmer.Types.Reverse
@@ -939,7 +1572,7 @@ executionTests =
                             executingTrain [ Programmer.Types.SetReverser Programmer.Types.Forward ]
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.trainState |> Expect.equal WaitingForOrders
@@ -953,7 +1586,7 @@ executionTests =
                             executingTrain []
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     result.trainState |> Expect.equal WaitingForOrders
             , test "program counter equals program length after completion" <|
@@ -966,10 +1599,10 @@ executionTests =
                                 ]
 
                         ( step1, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
 
                         ( step2, _ ) =
-                            Execution.stepProgram 0.1 step1
+                            Execution.stepProgram 0.1 emptyWorld step1
                     in
                     Expect.all
                         [ \r -> r.programCounter |> Expect.equal 2
@@ -982,13 +1615,14 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         -- Position train very close to route end, moving forward
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = route.totalLength - 5
+                            , trackPosition = placeOn route (route.totalLength - 5)
                             , speed = 10.0
                             , route = route
                             , spawnPoint = EastStation
@@ -997,10 +1631,12 @@ executionTests =
                             , trainState = Executing
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
                     in
                     -- Speed should be reduced or position clamped
                     Expect.all
@@ -1012,12 +1648,13 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = route.totalLength - 1
+                            , trackPosition = placeOn route (route.totalLength - 1)
                             , speed = 20.0
                             , route = route
                             , spawnPoint = EastStation
@@ -1026,17 +1663,19 @@ executionTests =
                             , trainState = Executing
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         -- Step multiple times to push against buffer stop
                         ( step1, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
 
                         ( step2, _ ) =
-                            Execution.stepProgram 0.5 step1
+                            Execution.stepProgram 0.5 emptyWorld step1
 
                         ( step3, _ ) =
-                            Execution.stepProgram 0.5 step2
+                            Execution.stepProgram 0.5 emptyWorld step2
                     in
                     step3.position |> Expect.atMost route.totalLength
             ]
@@ -1045,17 +1684,18 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         -- Get platform position on this route
                         platformDist =
-                            Route.spotPosition PlatformSpot route
+                            Route.spotPosition railway PlatformSpot route
                                 |> Maybe.withDefault 300
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = platformDist + 50
+                            , trackPosition = placeOn route (platformDist + 50)
                             , speed = 0
                             , route = route
                             , spawnPoint = EastStation
@@ -1067,15 +1707,17 @@ executionTests =
                             , trainState = Executing
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         -- Step 1: SetReverser (instant)
                         ( step1, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
 
                         -- Step 2+: MoveTo should accelerate backward (toward lower position)
                         ( step2, _ ) =
-                            Execution.stepProgram 1.0 step1
+                            Execution.stepProgram 1.0 emptyWorld step1
                     in
                     Expect.all
                         [ \_ -> step1.reverser |> Expect.equal Programmer.Types.Reverse
@@ -1087,17 +1729,18 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         platformDist =
-                            Route.spotPosition PlatformSpot route
+                            Route.spotPosition railway PlatformSpot route
                                 |> Maybe.withDefault 300
 
                         -- Position past the platform, reverser Forward
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = platformDist + 50
+                            , trackPosition = placeOn route (platformDist + 50)
                             , speed = 0
                             , route = route
                             , spawnPoint = EastStation
@@ -1106,10 +1749,12 @@ executionTests =
                             , trainState = Executing
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
                     in
                     -- Target is behind in forward direction: speed should be 0
                     result.speed |> Expect.equal 0
@@ -1119,17 +1764,18 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         platformDist =
-                            Route.spotPosition PlatformSpot route
+                            Route.spotPosition railway PlatformSpot route
                                 |> Maybe.withDefault 300
 
                         -- Place train very close to target (within arrival threshold)
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = platformDist - 0.3
+                            , trackPosition = placeOn route (platformDist - 0.3)
                             , speed = 1.0
                             , route = route
                             , spawnPoint = EastStation
@@ -1138,10 +1784,12 @@ executionTests =
                             , trainState = Executing
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.programCounter |> Expect.equal 1
@@ -1157,7 +1805,7 @@ executionTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 0
                               , program = [ Programmer.Types.SetReverser Programmer.Types.Forward ]
@@ -1165,7 +1813,7 @@ executionTests =
                             ]
 
                         spawned =
-                            checkSpawns 0.0 scheduled Set.empty Normal
+                            checkSpawns railway 0.0 scheduled Set.empty Dict.empty
                     in
                     case List.head spawned of
                         Just train ->
@@ -1178,7 +1826,7 @@ executionTests =
                     let
                         scheduled =
                             [ { id = 1
-                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                              , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                               , spawnPoint = EastStation
                               , departureTime = GameTime.fromDayHourMinute 0 0 0
                               , program = []
@@ -1186,7 +1834,7 @@ executionTests =
                             ]
 
                         spawned =
-                            checkSpawns 0.0 scheduled Set.empty Normal
+                            checkSpawns railway 0.0 scheduled Set.empty Dict.empty
                     in
                     case List.head spawned of
                         Just train ->
@@ -1200,12 +1848,13 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 100
+                            , trackPosition = placeOn route 100
                             , speed = 0
                             , route = route
                             , spawnPoint = EastStation
@@ -1214,10 +1863,12 @@ executionTests =
                             , trainState = WaitingForOrders
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, effects ) =
-                            Execution.stepProgram 1.0 train
+                            Execution.stepProgram 1.0 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.speed |> Expect.equal 0
@@ -1229,12 +1880,13 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 10
+                            , trackPosition = placeOn route 10
                             , speed = 3.0
                             , route = route
                             , spawnPoint = EastStation
@@ -1243,17 +1895,19 @@ executionTests =
                             , trainState = WaitingForOrders
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         -- Coast for several seconds (braking = 3.0 m/s^2, speed 3.0 => 1 second to stop)
                         ( step1, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
 
                         ( step2, _ ) =
-                            Execution.stepProgram 0.5 step1
+                            Execution.stepProgram 0.5 emptyWorld step1
 
                         ( step3, _ ) =
-                            Execution.stepProgram 0.5 step2
+                            Execution.stepProgram 0.5 emptyWorld step2
                     in
                     step3.speed |> Expect.equal 0
             ]
@@ -1265,30 +1919,31 @@ executionTests =
                             executingTrain [ Programmer.Types.Couple ]
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     result.trainState |> Expect.equal (Stopped "Couple: no adjacent cars found")
-            , test "Uncouple error message matches spec" <|
+            , test "Uncouple nothing error message matches spec" <|
                 \_ ->
                     let
                         train =
                             executingTrain [ Programmer.Types.Uncouple 1 ]
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
-                    result.trainState |> Expect.equal (Stopped "Uncouple: not yet supported")
+                    result.trainState |> Expect.equal (Stopped "Nothing to uncouple")
             , test "MoveTo unreachable spot error message matches spec" <|
                 \_ ->
                     let
                         -- Use mainline route where PlatformSpot is unreachable
                         route =
-                            Route.eastToWestRoute Normal
+                            routeFrom EastStation Normal
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 0
+                            , trackPosition = placeOn route 0
                             , speed = 0
                             , route = route
                             , spawnPoint = EastStation
@@ -1297,10 +1952,12 @@ executionTests =
                             , trainState = Executing
                             , reverser = Programmer.Types.Forward
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.1 train
+                            Execution.stepProgram 0.1 emptyWorld train
                     in
                     result.trainState |> Expect.equal (Stopped "Cannot reach Platform")
             ]
@@ -1309,13 +1966,14 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         -- Train near start of route, moving in reverse (toward position 0)
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 5
+                            , trackPosition = placeOn route 5
                             , speed = 10.0
                             , route = route
                             , spawnPoint = EastStation
@@ -1324,10 +1982,12 @@ executionTests =
                             , trainState = WaitingForOrders
                             , reverser = Programmer.Types.Reverse
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( result, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
                     in
                     Expect.all
                         [ \r -> r.speed |> Expect.lessThan 10.0
@@ -1338,12 +1998,13 @@ executionTests =
                 \_ ->
                     let
                         route =
-                            Route.eastToWestRoute Reverse
+                            routeFrom EastStation Reverse
 
                         train =
                             { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                             , position = 1
+                            , trackPosition = placeOn route 1
                             , speed = 20.0
                             , route = route
                             , spawnPoint = EastStation
@@ -1352,16 +2013,18 @@ executionTests =
                             , trainState = WaitingForOrders
                             , reverser = Programmer.Types.Reverse
                             , waitTimer = 0
+                            , autoMoves = []
+                            , laps = 0
                             }
 
                         ( step1, _ ) =
-                            Execution.stepProgram 0.5 train
+                            Execution.stepProgram 0.5 emptyWorld train
 
                         ( step2, _ ) =
-                            Execution.stepProgram 0.5 step1
+                            Execution.stepProgram 0.5 emptyWorld step1
 
                         ( step3, _ ) =
-                            Execution.stepProgram 0.5 step2
+                            Execution.stepProgram 0.5 emptyWorld step2
                     in
                     step3.position |> Expect.atLeast 0
             ]
@@ -1371,7 +2034,7 @@ executionTests =
                     let
                         inventories =
                             [ { spawnPointId = EastStation
-                              , availableStock = [ { id = 10, stockType = PassengerCar, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 10, stockType = PassengerCar, reversed = False, provisional = False, load = Empty } ]
                               }
                             , { spawnPointId = WestStation
                               , availableStock = []
@@ -1380,7 +2043,7 @@ executionTests =
 
                         returned =
                             returnStockToInventory EastStation
-                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                 inventories
                     in
                     case List.head returned of
@@ -1397,13 +2060,13 @@ executionTests =
                               , availableStock = []
                               }
                             , { spawnPointId = WestStation
-                              , availableStock = [ { id = 5, stockType = Boxcar, reversed = False, provisional = False } ]
+                              , availableStock = [ { id = 5, stockType = Boxcar, reversed = False, provisional = False, load = Empty } ]
                               }
                             ]
 
                         returned =
                             returnStockToInventory EastStation
-                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
+                                [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty } ]
                                 inventories
                     in
                     case returned of
@@ -1417,9 +2080,9 @@ executionTests =
                     let
                         -- Simulate a 3-car train returning its consist
                         consist =
-                            [ { id = 1, stockType = Locomotive, reversed = False, provisional = False }
-                            , { id = 2, stockType = PassengerCar, reversed = False, provisional = False }
-                            , { id = 3, stockType = Flatbed, reversed = False, provisional = False }
+                            [ { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+                            , { id = 2, stockType = PassengerCar, reversed = False, provisional = False, load = Empty }
+                            , { id = 3, stockType = Flatbed, reversed = False, provisional = False, load = Empty }
                             ]
 
                         inventories =
@@ -1453,7 +2116,7 @@ arcOrientationTests =
             \_ ->
                 let
                     route =
-                        Route.eastToWestRoute Reverse
+                        routeFrom EastStation Reverse
 
                     -- Find where the arc segment (turnout diverge, ElementId 2) starts
                     arcSegment =
@@ -1485,7 +2148,7 @@ arcOrientationTests =
             \_ ->
                 let
                     route =
-                        Route.eastToWestRoute Reverse
+                        routeFrom EastStation Reverse
 
                     arcSegment =
                         route.segments
@@ -1533,108 +2196,115 @@ arcOrientationTests =
         ]
 
 
-turnoutRebuildTests : Test
-turnoutRebuildTests =
-    describe "Conditional route rebuild on switch change"
-        [ test "turnoutStartDistance returns Just for route containing turnout" <|
+rerouteTests : Test
+rerouteTests =
+    describe "Train.Route.reroute"
+        [ test "a train short of the turnout follows it when it is thrown" <|
             \_ ->
                 let
-                    route =
-                        Route.eastToWestRoute Normal
+                    ( route, shift ) =
+                        Route.reroute railway.layout
+                            (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId Reverse Dict.empty)
+                            (200 - stockLength Locomotive)
+                            200
+                            (routeFrom EastStation Normal)
                 in
-                case Route.turnoutStartDistance route of
-                    Just dist ->
-                        dist |> Expect.greaterThan 0.0
-
-                    Nothing ->
-                        Expect.fail "Expected turnout on mainline route"
-        , test "turnoutStartDistance returns Nothing for route without turnout" <|
+                Expect.all
+                    [ \_ ->
+                        List.map .elementId route.segments
+                            |> Expect.equal (List.map .elementId (routeFrom EastStation Reverse).segments)
+                    , \_ -> shift |> Expect.within (Expect.Absolute 0.001) 0
+                    ]
+                    ()
+        , test "a train past the turnout keeps its place and its leg when it is thrown" <|
             \_ ->
                 let
-                    route =
-                        testRoute 500.0
-                in
-                Route.turnoutStartDistance route
-                    |> Expect.equal Nothing
-        , test "train before turnout gets route rebuilt" <|
-            \_ ->
-                let
-                    normalRoute =
-                        Route.eastToWestRoute Normal
+                    sidingRoute =
+                        routeFrom EastStation Reverse
 
-                    -- Position train before the turnout
-                    turnoutDist =
-                        Route.turnoutStartDistance normalRoute
-                            |> Maybe.withDefault 999
+                    platform =
+                        Route.spotPosition railway PlatformSpot sidingRoute |> Maybe.withDefault 0
 
-                    train =
-                        testTrain
-                            { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
-                            , position = turnoutDist - 10
-                            , speed = 5.0
-                            , route = normalRoute
-                            }
-
-                    reverseRoute =
-                        Route.eastToWestRoute Reverse
+                    ( route, shift ) =
+                        Route.reroute railway.layout Dict.empty (platform - stockLength Locomotive) platform sidingRoute
                 in
-                -- Route should differ from Normal after rebuild with Reverse
-                -- (the segments after turnout differ)
-                let
-                    normalSegmentIds =
-                        List.map .elementId normalRoute.segments
+                Expect.all
+                    [ \_ ->
+                        List.map .elementId route.segments
+                            |> Expect.equal (List.map .elementId sidingRoute.segments)
+                    , \_ ->
+                        case ( Route.positionOnRoute platform sidingRoute, Route.positionOnRoute (platform + shift) route ) of
+                            ( Just before, Just after ) ->
+                                Vec2.distance before.position after.position
+                                    |> Expect.within (Expect.Absolute 0.01) 0
 
-                    reverseSegmentIds =
-                        List.map .elementId reverseRoute.segments
+                            _ ->
+                                Expect.fail "Expected the train on both routes"
+                    ]
+                    ()
+        , test "a train reversing past the turnout takes the leg it is set for" <|
+            \_ ->
+                let
+                    westRoute =
+                        routeFrom WestStation Normal
+
+                    -- On the mainline east of the turnout, having come from the west
+                    head =
+                        westRoute.totalLength - 20
+
+                    ( route, shift ) =
+                        Route.reroute railway.layout
+                            (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId Reverse Dict.empty)
+                            (head - stockLength Locomotive)
+                            head
+                            westRoute
                 in
-                normalSegmentIds
-                    |> Expect.notEqual reverseSegmentIds
-        , test "train past turnout keeps existing route on switch change" <|
+                Route.spotPosition railway PlatformSpot route
+                    |> Maybe.map (\platform -> platform < head + shift)
+                    |> Expect.equal (Just True)
+        , test "finds where a route distance is on the track" <|
+            \_ ->
+                Route.trackPosition railway.layout 100 (routeFrom EastStation Normal)
+                    |> Maybe.map (\position -> ( position.elementId, position.offset ))
+                    |> Expect.equal (Just ( ElementId 1, 100 ))
+        , test "measures a place before the start of a route back from its first element" <|
+            \_ ->
+                Route.trackPosition railway.layout -10 (routeFrom EastStation Normal)
+                    |> Maybe.map (\position -> ( position.elementId, position.offset ))
+                    |> Expect.equal (Just ( ElementId 1, -10 ))
+        , test "walks a route again through a place on the track" <|
             \_ ->
                 let
-                    -- Build a siding route (Reverse)
                     sidingRoute =
-                        Route.eastToWestRoute Reverse
-
-                    turnoutDist =
-                        Route.turnoutStartDistance sidingRoute
-                            |> Maybe.withDefault 0
-
-                    -- Find the turnout segment to get past it
-                    turnoutSegment =
-                        sidingRoute.segments
-                            |> List.filter (\s -> s.elementId == ElementId 2)
-                            |> List.head
-
-                    pastTurnoutDist =
-                        case turnoutSegment of
-                            Just seg ->
-                                seg.startDistance + seg.length + 10
+                        routeFrom EastStation Reverse
 
-                            Nothing ->
-                                turnoutDist + 50
-
-                    -- Train is past the turnout on the siding
-                    train =
-                        testTrain
-                            { id = 1
-                            , consist = [ { id = 1, stockType = Locomotive, reversed = False, provisional = False } ]
-                            , position = pastTurnoutDist
-                            , speed = 0.0
-                            , route = sidingRoute
-                            }
+                    platform =
+                        Route.spotPosition railway PlatformSpot sidingRoute |> Maybe.withDefault 0
+                in
+                case
+                    Route.trackPosition railway.layout platform sidingRoute
+                        |> Maybe.andThen (Route.routeAt railway.layout Dict.empty)
+                of
+                    Just ( route, distance ) ->
+                        case ( Route.positionOnRoute platform sidingRoute, Route.positionOnRoute distance route ) of
+                            ( Just before, Just after ) ->
+                                Expect.all
+                                    [ \_ -> Vec2.distance before.position after.position |> Expect.within (Expect.Absolute 0.01) 0
+                                    , \_ -> after.orientation |> Expect.within (Expect.Absolute 0.01) before.orientation
+                                    ]
+                                    ()
 
-                    -- Now try to rebuild with Normal (mainline) state
-                    -- The route should NOT change because train is past turnout
-                    originalSegmentIds =
-                        List.map .elementId train.route.segments
+                            _ ->
+                                Expect.fail "Expected the place on both routes"
 
-                    -- Simulate what rebuildIfBeforeTurnout would do:
-                    -- train.position >= turnoutDist, so route should stay
-                    trainPositionPastTurnout =
-                        train.position >= turnoutDist
-                in
-                trainPositionPastTurnout
-                    |> Expect.equal True
+                    Nothing ->
+                        Expect.fail "Expected a route through the platform"
+        , test "tells the tunnel a route runs into" <|
+            \_ ->
+                List.map (Route.endSpawnPoint railway)
+                    [ routeFrom EastStation Normal
+                    , routeFrom WestStation Normal
+                    , routeFrom EastStation Reverse
+                    ]
+                    |> Expect.equal [ Just WestStation, Just EastStation, Nothing ]
         ]
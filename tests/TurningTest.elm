@@ -0,0 +1,279 @@
+module TurningTest exposing (..)
+
+{-| Tests for turning stock round on wyes and turntables.
+-}
+
+import Dict
+import Expect
+import Planning.Types exposing (Load(..), SpawnPointId(..), StockItem, StockType(..))
+import Programmer.Types exposing (Order(..), ReverserPosition(..))
+import Sawmill.Layout exposing (SwitchState(..))
+import Scenario exposing (ScenarioId(..))
+import Test exposing (..)
+import Track.Element exposing (ElementId(..), Hand(..), TrackElementType(..))
+import Track.Layout as Layout exposing (Layout)
+import Train.Execution as Execution
+import Train.Route as Route
+import Train.Turning as Turning
+import Train.Types exposing (ActiveTrain, Railway, Route, TrackPosition, TrainState(..))
+import Util.Vec2 exposing (vec2)
+
+
+suite : Test
+suite =
+    describe "Turning"
+        [ wyeTests
+        , turntableTests
+        , rotateTests
+        ]
+
+
+
+-- HELPERS
+
+
+{-| The sawmill track and its spots.
+-}
+railway : Railway
+railway =
+    Scenario.railway Scenario.default
+
+
+{-| The sawmill track with a turntable at the end of the siding.
+-}
+turntableRailway : Railway
+turntableRailway =
+    Scenario.railway (Scenario.byId SawmillTurntable)
+
+
+{-| The route from the east tunnel onto the turntable at the end of the
+siding, and where the bridge starts on it.
+-}
+ontoTurntable : ( Route, Float )
+ontoTurntable =
+    let
+        route =
+            Route.rebuildRoute turntableRailway EastStation (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId Reverse Dict.empty)
+    in
+    ( route
+    , route.segments
+        |> List.filter (\segment -> segment.elementId == ElementId 6)
+        |> List.head
+        |> Maybe.map .startDistance
+        |> Maybe.withDefault 0
+    )
+
+
+{-| The route from a station's tunnel over the sawmill track, with the main
+turnout set one way.
+-}
+routeFrom : SpawnPointId -> Sawmill.Layout.SwitchState -> Route
+routeFrom spawnPoint switchState =
+    Route.rebuildRoute railway spawnPoint (Sawmill.Layout.setSwitchState Sawmill.Layout.mainTurnoutId switchState Dict.empty)
+
+
+{-| Where a distance along a route over the sawmill track is on the track.
+-}
+placeOn : Route -> Float -> TrackPosition
+placeOn route distance =
+    Route.trackPosition railway.layout distance route
+        |> Maybe.withDefault { elementId = ElementId 0, fromConnector = 0, toConnector = 0, offset = distance }
+
+
+loco : StockItem
+loco =
+    { id = 1, stockType = Locomotive, reversed = False, provisional = False, load = Empty }
+
+
+{-| A wye built from three turnouts: A where the east main comes in, B at
+the tail, C where the west main goes on. Each leg joins the heels of two
+turnouts.
+
+    0 east end, 1 east main, 2 A, 3 leg AB, 4 leg AC, 5 B, 6 leg BC,
+    7 tail, 8 tail end, 9 C, 10 west main, 11 west end
+
+-}
+wye : Layout
+wye =
+    let
+        turnout =
+            Turnout { throughLength = 30, radius = 100, sweep = 0.3, hand = RightHand }
+
+        place elementType at layout =
+            Tuple.first (Layout.placeElementAt elementType at layout)
+
+        standAlone elementType layout =
+            Tuple.first (Layout.placeElement elementType { position = vec2 0 0, orientation = 0 } layout)
+    in
+    Layout.emptyLayout
+        |> standAlone TrackEnd
+        |> place (StraightTrack 100) ( ElementId 0, 0 )
+        |> place turnout ( ElementId 1, 1 )
+        |> place (StraightTrack 50) ( ElementId 2, 1 )
+        |> place (StraightTrack 50) ( ElementId 2, 2 )
+        |> standAlone turnout
+        |> Layout.connect ( ElementId 3, 1 ) ( ElementId 5, 1 )
+        |> place (StraightTrack 50) ( ElementId 5, 2 )
+        |> place (StraightTrack 50) ( ElementId 5, 0 )
+        |> place TrackEnd ( ElementId 7, 1 )
+        |> standAlone turnout
+        |> Layout.connect ( ElementId 4, 1 ) ( ElementId 9, 1 )
+        |> Layout.connect ( ElementId 6, 1 ) ( ElementId 9, 2 )
+        |> place (StraightTrack 100) ( ElementId 9, 0 )
+        |> place TrackEnd ( ElementId 10, 1 )
+
+
+{-| A turntable with four exits and a track at two opposite ones.
+
+    0 approach end, 1 approach, 2 turntable, 3 far track, 4 far end
+
+-}
+turntable : Layout
+turntable =
+    let
+        place elementType at layout =
+            Tuple.first (Layout.placeElementAt elementType at layout)
+    in
+    Layout.placeElement TrackEnd { position = vec2 0 0, orientation = 0 } Layout.emptyLayout
+        |> Tuple.first
+        |> place (StraightTrack 50) ( ElementId 0, 0 )
+        |> place (Turntable { radius = 12, exits = 4 }) ( ElementId 1, 1 )
+        |> place (StraightTrack 50) ( ElementId 2, 2 )
+        |> place TrackEnd ( ElementId 3, 1 )
+
+
+routeIn : Layout -> Int -> List ( Int, SwitchState ) -> Route
+routeIn layout fromEnd switchStates =
+    Route.buildRoute (ElementId fromEnd) 0 (Dict.fromList switchStates) layout
+
+
+locoOn : Route -> Float -> { route : Route, position : Float, consist : List StockItem }
+locoOn route position =
+    { route = route, position = position, consist = [ loco ] }
+
+
+turned : Layout -> { route : Route, position : Float, consist : List StockItem } -> { route : Route, position : Float, consist : List StockItem } -> List Bool
+turned layout before after =
+    Turning.turnStock layout before after
+        |> List.map .reversed
+
+
+
+-- TESTS
+
+
+wyeTests : Test
+wyeTests =
+    describe "wye"
+        [ test "a loco backed out of the tail onto the west main is turned" <|
+            \_ ->
+                -- In on leg AB from the east main to the tail, then back
+                -- out over leg BC: the route from the west end to the tail
+                turned wye
+                    (locoOn (routeIn wye 0 []) 60)
+                    (locoOn (routeIn wye 11 [ ( 9, Reverse ) ]) 60)
+                    |> Expect.equal [ True ]
+        , test "a loco run straight from the east main to the west main is not" <|
+            \_ ->
+                turned wye
+                    (locoOn (routeIn wye 0 [ ( 2, Reverse ) ]) 60)
+                    (locoOn (routeIn wye 0 [ ( 2, Reverse ) ]) 260)
+                    |> Expect.equal [ False ]
+        , test "nor is one that runs into the tail and back out the way it came" <|
+            \_ ->
+                turned wye
+                    (locoOn (routeIn wye 0 []) 60)
+                    (locoOn (routeIn wye 0 []) 240)
+                    |> Expect.equal [ False ]
+        ]
+
+
+turntableTests : Test
+turntableTests =
+    describe "turntable"
+        [ test "a loco on the bridge turned round is turned" <|
+            \_ ->
+                -- On the bridge from the approach, then lined up the other
+                -- way round: the route from the far end
+                turned turntable
+                    (locoOn (routeIn turntable 0 []) 70)
+                    (locoOn (routeIn turntable 4 []) 70)
+                    |> Expect.equal [ True ]
+        , test "running across the table turns nothing" <|
+            \_ ->
+                turned turntable
+                    (locoOn (routeIn turntable 0 []) 30)
+                    (locoOn (routeIn turntable 0 []) 110)
+                    |> Expect.equal [ False ]
+        , test "the route onto the table runs straight across the bridge" <|
+            \_ ->
+                (routeIn turntable 0 []).segments
+                    |> List.map (\segment -> ( segment.elementId, segment.length ))
+                    |> Expect.equal [ ( ElementId 1, 50 ), ( ElementId 2, 24 ), ( ElementId 3, 50 ) ]
+        , test "the sawmill siding runs across the turntable into the stall" <|
+            \_ ->
+                Tuple.first ontoTurntable
+                    |> .segments
+                    |> List.map .elementId
+                    |> Expect.equal [ ElementId 1, ElementId 8, ElementId 2, ElementId 10, ElementId 4, ElementId 5, ElementId 6, ElementId 11 ]
+        ]
+
+
+rotateTests : Test
+rotateTests =
+    describe "Rotate"
+        [ test "a train off a turntable stops" <|
+            \_ ->
+                let
+                    train : ActiveTrain
+                    train =
+                        { id = 1
+                        , consist = [ loco ]
+                        , position = 100
+                        , trackPosition = placeOn (routeFrom EastStation Normal) 100
+                        , speed = 0
+                        , route = routeFrom EastStation Normal
+                        , spawnPoint = Planning.Types.EastStation
+                        , program = [ Rotate 2 ]
+                        , programCounter = 0
+                        , trainState = Executing
+                        , reverser = Forward
+                        , waitTimer = 0
+                        , autoMoves = []
+                        , laps = 0
+                        }
+                in
+                Execution.stepProgram 0.1 { railway = railway, standingConsists = [], reservations = Dict.empty, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] } train
+                    |> Tuple.first
+                    |> .trainState
+                    |> Expect.equal (Stopped "Rotate: not on a turntable")
+        , test "a loco on the sawmill turntable is turned to face the siding" <|
+            \_ ->
+                let
+                    ( route, bridgeStart ) =
+                        ontoTurntable
+
+                    train : ActiveTrain
+                    train =
+                        { id = 1
+                        , consist = [ loco ]
+                        , position = bridgeStart + 18
+                        , trackPosition = { elementId = ElementId 6, fromConnector = 0, toConnector = 1, offset = 18 }
+                        , speed = 0
+                        , route = route
+                        , spawnPoint = Planning.Types.EastStation
+                        , program = [ Rotate 0 ]
+                        , programCounter = 0
+                        , trainState = Executing
+                        , reverser = Forward
+                        , waitTimer = 0
+                        , autoMoves = []
+                        , laps = 0
+                        }
+                in
+                Execution.stepProgram 0.1 { railway = turntableRailway, standingConsists = [], reservations = Dict.empty, lockedTurnouts = Dict.empty, gameTime = 0, trains = [] } train
+                    |> Tuple.first
+                    |> (\result -> Route.trackPosition turntableRailway.layout result.position result.route)
+                    |> Maybe.map (\place -> ( place.elementId, place.toConnector ))
+                    |> Expect.equal (Just ( ElementId 6, 0 ))
+        ]
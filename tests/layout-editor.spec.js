@@ -0,0 +1,136 @@
+import { test, expect } from '@playwright/test';
+import { readFile } from 'node:fs/promises';
+
+const sawmillFile = new URL('../layouts/sawmill.json', import.meta.url);
+
+// Parse a layout file, rounding its numbers to a micrometer
+const parsed = json =>
+  JSON.parse(json, (key, value) =>
+    typeof value === 'number' ? Math.round(value * 1e6) / 1e6 + 0 : value);
+
+test.describe('Layout Editor', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => localStorage.clear());
+    await page.reload();
+    await expect(page.getByText('Train Planning')).toBeVisible();
+
+    await page.getByTestId('layout-editor-button').click();
+    await expect(page.getByText('Layout Editor')).toBeVisible();
+  });
+
+  test('opens on the scenario layout in editor mode', async ({ page }) => {
+    await expect(page.getByTestId('mode-indicator')).toHaveText('EDITOR');
+    await expect(page.getByTestId('play-pause-button')).toBeDisabled();
+    await expect(page.getByTestId('editor-layout-ok')).toBeVisible();
+    await expect(page.getByTestId('editor-element-0')).toHaveCount(1);
+  });
+
+  test('lays pieces on from open connectors', async ({ page }) => {
+    await page.getByTestId('editor-clear').click();
+    await page.getByTestId('editor-piece-straight-100m').click();
+
+    // The first piece goes where the canvas is double-clicked
+    await page.getByTestId('svg-canvas').dblclick();
+    await expect(page.getByTestId('editor-element-0')).toHaveCount(1);
+
+    // The next one snaps to its open end
+    await page.getByTestId('editor-piece-straight-50m').click();
+    await page.getByTestId('editor-connector-0-1').click();
+    await expect(page.getByTestId('editor-element-1')).toHaveCount(1);
+    await expect(page.getByTestId('editor-connector-0-1')).toHaveCount(0);
+    await expect(page.getByTestId('editor-layout-ok')).toBeVisible();
+  });
+
+  test('rotating a joined piece shows the broken joint', async ({ page }) => {
+    await page.getByTestId('editor-clear').click();
+    await page.getByTestId('editor-piece-straight-100m').click();
+    await page.getByTestId('svg-canvas').dblclick();
+    await page.getByTestId('editor-connector-0-1').click();
+
+    await page.getByTestId('editor-tool-select').click();
+    await page.getByTestId('editor-element-1').click();
+    await page.getByTestId('editor-rotate').click();
+
+    await expect(page.getByTestId('editor-errors')).toContainText('out of line');
+    await expect(page.getByTestId('editor-broken-joint').first()).toBeVisible();
+  });
+
+  test('opening a broken layout file lists what is wrong with it', async ({ page }) => {
+    const layout = {
+      format: 'rr-layout',
+      version: 2,
+      elements: [{ id: 0, type: { type: 'TrackEnd' }, at: { x: 0, y: 0, orientation: 0 } }],
+      connections: [],
+      spots: [],
+      portals: [{ name: 'West Station', spawnPoint: 'WestStation', element: 3 }],
+      furniture: null
+    };
+
+    const fileChooser = page.waitForEvent('filechooser');
+    await page.getByTestId('editor-open').click();
+    await (await fileChooser).setFiles({
+      name: 'rr-layout.json',
+      mimeType: 'application/json',
+      buffer: Buffer.from(JSON.stringify(layout))
+    });
+
+    await expect(page.getByTestId('editor-load-errors'))
+      .toContainText('The West Station portal is on element 3, which doesn\'t exist');
+    await expect(page.getByTestId('editor-element-1')).toHaveCount(1);
+  });
+
+  test('the shipped sawmill layout file is the layout the game builds', async ({ page }) => {
+    const download = page.waitForEvent('download');
+    await page.getByTestId('editor-save').click();
+    const saved = await readFile(await (await download).path(), 'utf8');
+
+    expect(parsed(saved)).toEqual(parsed(await readFile(sawmillFile, 'utf8')));
+  });
+
+  test('the shipped sawmill layout file opens without problems', async ({ page }) => {
+    const fileChooser = page.waitForEvent('filechooser');
+    await page.getByTestId('editor-open').click();
+    await (await fileChooser).setFiles({
+      name: 'sawmill.json',
+      mimeType: 'application/json',
+      buffer: await readFile(sawmillFile)
+    });
+
+    await expect(page.getByText('Layout loaded')).toBeVisible();
+    await expect(page.getByTestId('editor-load-errors')).toHaveCount(0);
+    await expect(page.getByTestId('editor-layout-ok')).toBeVisible();
+  });
+
+  test('a layout without a portal can\'t be played', async ({ page }) => {
+    await page.getByTestId('editor-clear').click();
+    await page.getByTestId('editor-play').click();
+
+    await expect(page.getByTestId('editor-play-errors'))
+      .toContainText('There is no portal for trains to come in by');
+    await expect(page.getByTestId('mode-indicator')).toHaveText('EDITOR');
+  });
+
+  test('the layout being edited is played, and still after a reload', async ({ page }) => {
+    // Take the buffer stop off the end of the siding
+    await page.getByTestId('editor-element-6').click();
+    await page.getByTestId('editor-delete').click();
+    await page.getByTestId('editor-play').click();
+
+    await expect(page.getByTestId('mode-indicator')).toHaveText('PLANNING');
+    await expect(page.getByText('Layout Editor')).toHaveCount(0);
+    await expect(page.getByTestId('buffer-stop')).toHaveCount(0);
+
+    await expect.poll(() => page.evaluate(() => JSON.parse(localStorage.getItem('rr-state') ?? '{}').layoutFile ?? null))
+      .not.toBeNull();
+    await page.reload();
+    await expect(page.getByText('Train Planning')).toBeVisible();
+    await expect(page.getByTestId('buffer-stop')).toHaveCount(0);
+  });
+
+  test('Done goes back to the game', async ({ page }) => {
+    await page.getByTestId('close-editor').click();
+    await expect(page.getByTestId('mode-indicator')).toHaveText('PAUSED');
+    await expect(page.getByText('Layout Editor')).toHaveCount(0);
+  });
+});
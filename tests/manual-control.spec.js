@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Manual Control', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => localStorage.clear());
+    await page.reload();
+    await expect(page.getByText('Train Planning')).toBeVisible();
+
+    // A locomotive with a program to run to the platform
+    await page.getByTestId('stock-locomotive').click();
+    await page.locator('button:has-text("+")').first().click();
+    await page.getByTestId('schedule-button').click();
+    await page.getByTestId(/train-row-/).first().click();
+    await page.getByTestId(/program-btn-/).first().click();
+    await page.getByTestId('add-switch-main-diverging').click();
+    await page.getByTestId('add-moveto-platform').click();
+    await page.getByTestId('save-program-btn').click();
+
+    await page.getByTestId('close-planning-panel').click();
+    await page.getByRole('button', { name: 'Start', exact: true }).click();
+
+    // The train moves, so click it without waiting for it to hold still
+    const loco = page.locator('svg').first().getByTestId('train-car-locomotive');
+    await expect(loco).toHaveCount(1, { timeout: 10000 });
+    await loco.dispatchEvent('click');
+    await expect(page.getByText(/Train #\d+/)).toBeVisible();
+  });
+
+  test('emergency stop hands a running train to the driver', async ({ page }) => {
+    await page.getByTestId('emergency-stop').click();
+
+    await expect(page.getByTestId('manual-controls')).toBeVisible();
+    await expect(page.getByText('Manual control', { exact: true })).toBeVisible();
+    await expect(page.getByText('0 km/h', { exact: true })).toBeVisible({ timeout: 10000 });
+  });
+
+  test('the driver can resume the program', async ({ page }) => {
+    await page.getByTestId('emergency-stop').click();
+    await expect(page.getByText('0 km/h', { exact: true })).toBeVisible({ timeout: 10000 });
+
+    await page.getByTestId('resume-step-2').click();
+    await expect(page.getByTestId('manual-controls')).toHaveCount(0);
+    await expect(page.getByText('Executing', { exact: true })).toBeVisible();
+  });
+
+  test('the reverser only moves with the train standing', async ({ page }) => {
+    await page.getByTestId('emergency-stop').click();
+    await expect(page.getByTestId('reverser-reverse')).toBeEnabled({ timeout: 10000 });
+
+    await page.getByTestId('brake-0').click();
+    await page.getByTestId('throttle-100').click();
+    await expect(page.getByTestId('reverser-reverse')).toBeDisabled({ timeout: 10000 });
+  });
+});
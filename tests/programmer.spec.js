@@ -275,6 +275,99 @@ test.describe('Train Programmer', () => {
     await expect(page.getByTestId('order-item-1')).toContainText('Move To Platform');
   });
 
+  test('Scenario 16: Automatic move shows its planned orders', async ({ page }) => {
+    // Open programmer
+    const trainRow = page.getByTestId(/train-row-/).first();
+    await trainRow.click();
+    await page.getByTestId(/program-btn-/).first().click();
+
+    // Switch to automatic routing and add a move to the platform
+    await page.getByTestId('toggle-auto-route').click();
+    await expect(page.getByTestId('toggle-auto-route')).toHaveText('Automatic');
+    await page.getByTestId('add-moveto-platform').click();
+
+    // The move is planned through the main turnout
+    await expect(page.getByTestId('order-item-0')).toContainText('Auto Move To Platform');
+    const planned = page.getByTestId('planned-moves-0');
+    await expect(planned).toContainText('Set main Diverging');
+    await expect(planned).toContainText('Move To Platform');
+  });
+
+  test('Scenario 17: Add WaitUntil and WaitForTrain orders', async ({ page }) => {
+    // Open programmer
+    const trainRow = page.getByTestId(/train-row-/).first();
+    await trainRow.click();
+    await page.getByTestId(/program-btn-/).first().click();
+
+    // Pick a time of day and wait until then
+    await page.getByTestId('wait-until-hour').selectOption('8');
+    await page.getByTestId('wait-until-minute').selectOption('15');
+    await page.getByTestId('add-wait-until').click();
+    await expect(page.getByTestId('order-item-0')).toContainText('Wait until 08:15');
+
+    // Waiting for a train needs one picked first
+    await expect(page.getByTestId('add-waitfor-platform')).toBeDisabled();
+    await page.getByTestId('wait-for-train').selectOption('1001');
+    await page.getByTestId('add-waitfor-platform').click();
+    await expect(page.getByTestId('order-item-1')).toContainText('Wait for train #1001 at Platform');
+  });
+
+  test('Scenario 18: Add If, EndIf and Repeat orders', async ({ page }) => {
+    // Open programmer
+    const trainRow = page.getByTestId(/train-row-/).first();
+    await trainRow.click();
+    await page.getByTestId(/program-btn-/).first().click();
+
+    await page.getByTestId('add-if-loaded-0').click();
+    await expect(page.getByTestId('order-item-0')).toContainText('If car 1 is loaded');
+
+    await page.getByTestId('add-endif').click();
+    await expect(page.getByTestId('order-item-1')).toContainText('End if');
+
+    await page.getByTestId('add-repeat').click();
+    await expect(page.getByTestId('order-item-2')).toContainText('Repeat from the start');
+  });
+
+  test('Scenario 19: Orders that would go wrong say why', async ({ page }) => {
+    // Open programmer
+    const trainRow = page.getByTestId(/train-row-/).first();
+    await trainRow.click();
+    await page.getByTestId(/program-btn-/).first().click();
+
+    // The platform is off the mainline until the main turnout is thrown
+    await page.getByTestId('add-moveto-platform').click();
+    await expect(page.getByTestId('order-problems-0')).toContainText('Cannot reach Platform');
+
+    // Throwing it first clears the problem
+    await page.getByTestId('add-switch-main-diverging').click();
+    await page.getByTestId('order-item-1').locator('button:has-text("↑")').click();
+    await expect(page.getByTestId('order-item-0')).toContainText('Set main Diverging');
+    await expect(page.getByTestId('order-problems-0')).toHaveCount(0);
+    await expect(page.getByTestId('order-problems-1')).toHaveCount(0);
+  });
+
+  test('Scenario 20: Rotate orders are offered only where the layout has a turntable', async ({ page }) => {
+    // The sawmill morning run has no turntable
+    await page.getByTestId(/train-row-/).first().click();
+    await page.getByTestId(/program-btn-/).first().click();
+    await expect(page.getByTestId('add-rotate-0')).toHaveCount(0);
+    await page.getByText('← Back').click();
+
+    // The turning scenario has one with two exits at the end of the siding
+    await page.getByTestId('scenario-selector').selectOption('SawmillTurntable');
+    await page.getByTestId('confirm-scenario').click();
+    await page.getByTestId('stock-locomotive').click();
+    await page.locator('button:has-text("+")').first().click();
+    await page.getByTestId('schedule-button').click();
+    await page.getByTestId(/train-row-/).first().click();
+    await page.getByTestId(/program-btn-/).first().click();
+
+    await expect(page.getByTestId('add-rotate-1')).toBeVisible();
+    await expect(page.getByTestId('add-rotate-2')).toHaveCount(0);
+    await page.getByTestId('add-rotate-0').click();
+    await expect(page.getByTestId('order-item-0')).toContainText('Rotate to exit 1');
+  });
+
   test('Complete workflow: Build a full program', async ({ page }) => {
     // Open programmer
     const trainRow = page.getByTestId(/train-row-/).first();
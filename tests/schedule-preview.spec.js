@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Schedule Preview', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(() => localStorage.clear());
+    await page.reload();
+    await expect(page.getByText('Train Planning')).toBeVisible();
+
+    // A locomotive with a program to run to the platform
+    await page.getByTestId('stock-locomotive').click();
+    await page.locator('button:has-text("+")').first().click();
+    await page.getByTestId('schedule-button').click();
+    await page.getByTestId(/train-row-/).first().click();
+    await page.getByTestId(/program-btn-/).first().click();
+    await page.getByTestId('add-switch-main-diverging').click();
+    await page.getByTestId('add-moveto-platform').click();
+    await page.getByTestId('save-program-btn').click();
+  });
+
+  test('a dry run shows where the train got to without starting the run', async ({ page }) => {
+    await page.getByTestId('preview-schedule').click();
+
+    const report = page.getByTestId('preview-report');
+    await expect(report).toBeVisible();
+    await expect(report.getByTestId(/preview-train-/)).toContainText('at Platform');
+    await expect(report).toContainText('Ran: Set main Diverging, Move To Platform');
+
+    // Nothing has departed for real
+    await expect(page.getByText('Train Planning')).toBeVisible();
+    await expect(page.locator('svg').first().getByTestId('train-car-locomotive')).toHaveCount(0);
+  });
+
+  test('changing the schedule clears the dry run', async ({ page }) => {
+    await page.getByTestId('preview-schedule').click();
+    await expect(page.getByTestId('preview-report')).toBeVisible();
+
+    await page.getByTestId(/train-row-/).first().locator('button:has-text("X")').click();
+    await expect(page.getByTestId('preview-report')).toHaveCount(0);
+  });
+});
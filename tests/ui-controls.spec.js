@@ -281,4 +281,38 @@ test.describe('UI Controls - Zoom, Speed, Panning', () => {
       await expect(postRects).toHaveCount(2);
     });
   });
+
+  // ---------------------------------------------------------------------------
+  // Scenario selector
+  // ---------------------------------------------------------------------------
+  test.describe('Scenario selector', () => {
+    test('a fresh game switches scenario straight away', async ({ page }) => {
+      await page.getByTestId('scenario-selector').selectOption('SawmillPassenger');
+
+      await expect(page.getByTestId('scenario-confirmation')).toHaveCount(0);
+      await expect(page.getByTestId('scenario-brief')).toContainText('Sawmill: Passenger Traffic');
+    });
+
+    test('a game under way is only given up once confirmed', async ({ page }) => {
+      const selector = page.getByTestId('scenario-selector');
+
+      await page.getByTestId('close-planning-panel').click();
+      await page.getByRole('button', { name: 'Start', exact: true }).click();
+      await page.waitForTimeout(1000);
+      await page.getByRole('button', { name: 'Pause' }).click();
+
+      // Keeping the game puts the menu back on the scenario being played
+      await selector.selectOption('SawmillPassenger');
+      await expect(page.getByTestId('scenario-confirmation')).toBeVisible();
+      await page.getByTestId('keep-scenario').click();
+      await expect(page.getByTestId('scenario-confirmation')).toHaveCount(0);
+      await expect(selector).toHaveValue('SawmillMorning');
+
+      await selector.selectOption('SawmillPassenger');
+      await page.getByTestId('confirm-scenario').click();
+      await expect(page.getByTestId('scenario-confirmation')).toHaveCount(0);
+      await expect(selector).toHaveValue('SawmillPassenger');
+      await expect(page.getByTestId('game-clock')).toContainText('06:00');
+    });
+  });
 });